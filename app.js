@@ -6,6 +6,7 @@ import cors from 'cors';
 import { connectDB } from './src/config/connect.js';
 import { PORT } from './src/config/config.js';
 import { registerRoutes } from './src/routes/index.js';
+import { registerJobs } from './src/jobs/index.js';
 import { admin, buildAdminRouter } from './src/config/setup.js';
 import session from 'express-session';
 import { sessionStore } from './src/config/config.js';
@@ -72,7 +73,13 @@ const start = async () => {
         next();
     });
 
-    app.use(express.json({ limit: '10mb' })); // Limit request body size
+    app.use(express.json({
+        limit: '10mb', // Limit request body size
+        // Webhook signatures are computed over the exact bytes received
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
 
     // Request logging middleware
     app.use((req, res, next) => {
@@ -106,6 +113,7 @@ const start = async () => {
     app.use(admin.options.rootPath, adminRouter);
 
     registerRoutes(app);
+    registerJobs(app);
 
     io.on('connection', (socket) => {
         console.log('User Connected YOOOO');
@@ -8,20 +8,46 @@ import { Admin } from "../models/user.js";
 
 AdminJS.registerAdapter(AdminJSMongoose);
 
+// Leave out fields the panel must not write, even when a request posts them
+// (nested fields arrive flattened, e.g. "paymentDetails.amount")
+const dropFromPayload = (...fields) => async (request) => {
+    if (request.payload) {
+        Object.keys(request.payload)
+            .filter(key => fields.some(field => key === field || key.startsWith(`${field}.`)))
+            .forEach(key => { delete request.payload[key]; });
+    }
+    return request;
+};
+
+// Order fields owned by the order lifecycle (src/services/orderLifecycle.js) and the
+// payment, refund and delivery flows; changing them by hand would skip their side effects
+const ORDER_LIFECYCLE_FIELDS = [
+    'status', 'deliveryStatus', 'paymentStatus', 'paymentDetails', 'statusHistory',
+    'cancellationReason', 'cancelledBy', 'cancelledAt', 'proofOfDelivery', 'dispatch', 'run',
+];
+const readOnly = { isVisible:{ list:true, show:true, edit:false, filter:true } };
+
 export const admin = new AdminJS({
     resources:[
         {
             resource:Models.Customer,
             options:{
-                listProperties:['phone','role', 'isActivated', 'isSubscription'],
-                filterProperties:['phone','role', 'isSubscription']
+                listProperties:['phone','role', 'isActivated', 'isSubscription', 'billingMode'],
+                filterProperties:['phone','role', 'isSubscription', 'billingMode']
             }
         },
         {
             resource:Models.DeliveryPartner,
             options:{
-                listProperties:['email','role', 'isActivated'],
-                filterProperties:['email','role']
+                listProperties:['email','role', 'isActivated', 'availability', 'cashInHand'],
+                filterProperties:['email','role', 'availability'],
+                properties:{
+                    // Follows the cash ledger; changed by collections and deposits only
+                    cashInHand:{ isVisible:{ list:true, show:true, edit:false, filter:false } },
+                    // Changed by clocking in and out
+                    availability:{ isVisible:{ list:true, show:true, edit:false, filter:true } },
+                    availabilityUpdatedAt:{ isVisible:{ list:false, show:true, edit:false, filter:false } },
+                }
             }
         },
         {
@@ -32,11 +58,335 @@ export const admin = new AdminJS({
             }
         },
         {resource:Models.Branch},
-        {resource:Models.Product},
+        {
+            resource:Models.Product,
+            options:{
+                // Stock lives in BranchInventory and is changed through goods receipts and
+                // adjustments so branch rows and the ledger stay in step; these are totals only
+                properties:{
+                    stock:{ isVisible:{ list:true, show:true, edit:false, filter:true } },
+                    reserved:{ isVisible:{ list:false, show:true, edit:false, filter:false } },
+                },
+                actions:{
+                    new:{ before:dropFromPayload('stock', 'reserved') },
+                    edit:{ before:dropFromPayload('stock', 'reserved') },
+                }
+            }
+        },
         {resource:Models.Category},
-        {resource:Models.Order},
+        {
+            resource:Models.Order,
+            options:{
+                // Status changes go through PATCH /order/:orderId/status and the order endpoints
+                properties:{
+                    ...Object.fromEntries(ORDER_LIFECYCLE_FIELDS.map(field => [field, readOnly])),
+                    handoverCode:{ isVisible:false },
+                },
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ before:dropFromPayload(...ORDER_LIFECYCLE_FIELDS, 'handoverCode') },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
         {resource:Models.Counter},
         {resource:Models.Address},
+        {
+            resource:Models.Subscription,
+            options:{
+                listProperties:['customer','product','quantity','frequency','status','startDate'],
+                filterProperties:['customer','product','frequency','status']
+            }
+        },
+        {
+            resource:Models.Wallet,
+            options:{
+                listProperties:['customer','status','createdAt'],
+                filterProperties:['customer','status']
+            }
+        },
+        {
+            resource:Models.WalletTransaction,
+            options:{
+                listProperties:['customer','type','amount','balanceAfter','reason','createdAt'],
+                filterProperties:['customer','type','reason','order'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.Statement,
+            options:{
+                listProperties:['statementNumber','customer','periodStart','amountDue','status','dueDate'],
+                filterProperties:['customer','status','periodStart']
+            }
+        },
+        {
+            resource:Models.StockReservation,
+            options:{
+                listProperties:['order','product','quantity','status','expiresAt'],
+                filterProperties:['order','product','status']
+            }
+        },
+        {
+            resource:Models.BranchInventory,
+            options:{
+                listProperties:['branch','product','stock','reserved','updatedAt'],
+                filterProperties:['branch','product'],
+                // Stock changes go through the inventory service so product totals stay in step
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.InventoryMovement,
+            options:{
+                listProperties:['createdAt','branch','product','reason','quantity','stockAfter','order'],
+                filterProperties:['branch','product','reason','createdAt'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.StockAlert,
+            options:{
+                listProperties:['branch','product','status','stockAtAlert','threshold','createdAt','resolvedAt'],
+                filterProperties:['branch','product','status']
+            }
+        },
+        {
+            resource:Models.StockLot,
+            options:{
+                listProperties:['lotNumber','branch','product','expiresAt','quantityRemaining','status','writtenOffQuantity'],
+                filterProperties:['branch','product','status','expiresAt'],
+                // Lots are received and written off through the inventory service
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.Coupon,
+            options:{
+                listProperties:['code','type','value','redemptionCount','usageLimit','validUntil','isActive'],
+                filterProperties:['code','type','isActive'],
+                // Only moved by checkout so usage limits hold
+                properties:{
+                    redemptionCount:{ isDisabled:true },
+                }
+            }
+        },
+        {
+            resource:Models.CouponRedemption,
+            options:{
+                listProperties:['coupon','customer','count','updatedAt'],
+                filterProperties:['coupon','customer'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.Supplier,
+            options:{
+                listProperties:['name','contactName','phone','leadTimeDays','isActive'],
+                filterProperties:['name','isActive']
+            }
+        },
+        {
+            resource:Models.PurchaseOrder,
+            options:{
+                listProperties:['poNumber','supplier','branch','status','expectedAt','createdAt'],
+                filterProperties:['supplier','branch','status'],
+                // Receipts change stock, so they go through the purchase order endpoints
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.Invoice,
+            options:{
+                listProperties:['invoiceNumber','order','customer','amount','totalTax','status','issuedAt'],
+                filterProperties:['invoiceNumber','customer','branch','status','issuedAt'],
+                properties:{
+                    pdf:{ isVisible:false },
+                },
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.WebhookEvent,
+            options:{
+                listProperties:['eventId','event','status','order','attempts','createdAt'],
+                filterProperties:['event','status','order','razorpayPaymentId'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.Refund,
+            options:{
+                listProperties:['order','customer','amount','method','status','createdAt'],
+                filterProperties:['order','customer','method','status'],
+                // Refunds move money, so they are issued through POST /refund
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.CashLedgerEntry,
+            options:{
+                listProperties:['deliveryPartner','type','amount','balanceAfter','order','createdAt'],
+                filterProperties:['deliveryPartner','branch','type','order'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.CashDeposit,
+            options:{
+                listProperties:['depositNumber','branch','deliveryPartner','amount','expectedAmount','remainingInHand','createdAt'],
+                filterProperties:['branch','deliveryPartner','receivedBy'],
+                // Deposits move the ledger, so they are recorded through POST /branch/:branchId/cash-deposits
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.EarningEntry,
+            options:{
+                listProperties:['deliveryPartner','type','amount','order','day','statement'],
+                filterProperties:['deliveryPartner','branch','type','day','statement'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.PayoutStatement,
+            options:{
+                listProperties:['statementNumber','deliveryPartner','periodStart','totalEarnings','cashOffset','netPayable','status'],
+                filterProperties:['statementNumber','deliveryPartner','branch','status','periodStart'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.Shift,
+            options:{
+                listProperties:['branch','deliveryPartner','startsAt','endsAt','status'],
+                filterProperties:['branch','deliveryPartner','status','startsAt'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.Attendance,
+            options:{
+                listProperties:['deliveryPartner','clockInAt','clockOutAt','lateMinutes','workedMinutes','status'],
+                filterProperties:['branch','deliveryPartner','status','clockInAt'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.DeliveryRun,
+            options:{
+                listProperties:['runNumber','branch','deliveryPartner','status','totalDistanceKm','startedAt','completedAt'],
+                filterProperties:['runNumber','branch','deliveryPartner','status'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.DispatchOffer,
+            options:{
+                listProperties:['order','deliveryPartner','attempt','status','distanceKm','expiresAt'],
+                filterProperties:['order','branch','deliveryPartner','status'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
+        {
+            resource:Models.ReconciliationReport,
+            options:{
+                listProperties:['from','to','gateway','trigger','summary.mismatches','createdAt'],
+                filterProperties:['gateway','trigger','from'],
+                actions:{
+                    new:{ isAccessible:false },
+                    edit:{ isAccessible:false },
+                    delete:{ isAccessible:false },
+                    bulkDelete:{ isAccessible:false },
+                }
+            }
+        },
     ],
     branding:{
         companyName: "AgStore",
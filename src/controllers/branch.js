@@ -1,13 +1,18 @@
+import mongoose from "mongoose";
 import Branch from "../models/branch.js";
+import { getFeeRules } from "../services/deliveryFeeService.js";
+import { getEarningRules } from "../services/earningsService.js";
 
 export const addBranch = async (req, res) => {
     try {
-        const { name, address, location, phone } = req.body;
+        const { name, address, location, phone, state, gstin } = req.body;
         const newBranch = new Branch({
             name,
             address,
             location, // { latitude: Number, longitude: Number }
             phone, // Include phone number
+            state, // GST state of registration
+            gstin,
         });
         await newBranch.save();
         return res.status(201).json({ message: "Branch created successfully", branch: newBranch });
@@ -26,3 +31,151 @@ export const getBranches = async (req, res) => {
         return res.status(500).json({ message: "Internal server error" });
     }
 };
+
+const FEE_RULE_FIELDS = ['baseFee', 'distanceBands', 'freeDeliveryThreshold', 'smallOrderThreshold', 'smallOrderSurcharge', 'lateHours', 'subscriberWaiver'];
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+
+const validateFeeRules = (rules) => {
+    for (const field of ['baseFee', 'freeDeliveryThreshold', 'smallOrderThreshold', 'smallOrderSurcharge']) {
+        if (rules[field] !== undefined && !isAmount(rules[field])) {
+            return `${field} must be a non-negative number`;
+        }
+    }
+    if (rules.distanceBands !== undefined) {
+        if (!Array.isArray(rules.distanceBands) || !rules.distanceBands.every(b => isAmount(b?.upToKm) && isAmount(b?.fee))) {
+            return "distanceBands must be a list of { upToKm, fee }";
+        }
+    }
+    if (rules.lateHours !== undefined && rules.lateHours !== null) {
+        const { startHour, endHour, surcharge } = rules.lateHours;
+        if (!isHour(startHour) || !isHour(endHour) || !isAmount(surcharge)) {
+            return "lateHours needs startHour and endHour (0-23) and a surcharge";
+        }
+    }
+    if (rules.subscriberWaiver !== undefined && typeof rules.subscriberWaiver !== 'boolean') {
+        return "subscriberWaiver must be true or false";
+    }
+    return null;
+};
+
+// Update a branch's delivery fee rules (admin). Only the fields sent are changed.
+export const updateDeliveryFeeRules = async (req, res) => {
+    try {
+        const { branchId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(branchId)) {
+            return res.status(400).json({ message: "Invalid branch ID" });
+        }
+
+        const error = validateFeeRules(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const update = {};
+        for (const field of FEE_RULE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                update[`deliveryFeeRules.${field}`] = field === 'lateHours' && req.body.lateHours === null
+                    ? { surcharge: 0 }
+                    : req.body[field];
+            }
+        }
+
+        const branch = await Branch.findByIdAndUpdate(branchId, { $set: update }, { new: true, runValidators: true });
+        if (!branch) {
+            return res.status(404).json({ message: "Branch not found" });
+        }
+
+        return res.status(200).json({
+            message: "Delivery fee rules updated successfully",
+            deliveryFeeRules: getFeeRules(branch)
+        });
+    } catch (error) {
+        console.error("Error updating delivery fee rules:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+const EARNING_RULE_FIELDS = ['basePay', 'perKm', 'peakHours', 'dailyTargets'];
+
+const validateEarningRules = (rules) => {
+    for (const field of ['basePay', 'perKm']) {
+        if (rules[field] !== undefined && !isAmount(rules[field])) {
+            return `${field} must be a non-negative number`;
+        }
+    }
+    if (rules.peakHours !== undefined) {
+        if (!Array.isArray(rules.peakHours) || !rules.peakHours.every(w => isHour(w?.startHour) && isHour(w?.endHour) && isAmount(w?.bonus))) {
+            return "peakHours must be a list of { startHour, endHour, bonus } with hours 0-23";
+        }
+    }
+    if (rules.dailyTargets !== undefined) {
+        if (!Array.isArray(rules.dailyTargets) || !rules.dailyTargets.every(t => Number.isInteger(t?.deliveries) && t.deliveries >= 1 && isAmount(t?.bonus))) {
+            return "dailyTargets must be a list of { deliveries, bonus }";
+        }
+    }
+    return null;
+};
+
+// Update how the branch's delivery partners are paid (admin). Only the fields sent are changed.
+export const updateEarningRules = async (req, res) => {
+    try {
+        const { branchId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(branchId)) {
+            return res.status(400).json({ message: "Invalid branch ID" });
+        }
+
+        const error = validateEarningRules(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const update = {};
+        for (const field of EARNING_RULE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                update[`earningRules.${field}`] = req.body[field];
+            }
+        }
+
+        const branch = await Branch.findByIdAndUpdate(branchId, { $set: update }, { new: true, runValidators: true });
+        if (!branch) {
+            return res.status(404).json({ message: "Branch not found" });
+        }
+
+        return res.status(200).json({
+            message: "Earning rules updated successfully",
+            earningRules: getEarningRules(branch)
+        });
+    } catch (error) {
+        console.error("Error updating earning rules:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+// Switch a branch between broadcasting new orders and auto-dispatching them
+export const updateDispatchMode = async (req, res) => {
+    try {
+        const { branchId } = req.params;
+        const { dispatchMode } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(branchId)) {
+            return res.status(400).json({ message: "Invalid branch ID" });
+        }
+        if (!['broadcast', 'auto'].includes(dispatchMode)) {
+            return res.status(400).json({ message: "dispatchMode must be broadcast or auto" });
+        }
+
+        const branch = await Branch.findByIdAndUpdate(branchId, { $set: { dispatchMode } }, { new: true });
+        if (!branch) {
+            return res.status(404).json({ message: "Branch not found" });
+        }
+
+        return res.status(200).json({
+            message: "Dispatch mode updated successfully",
+            dispatchMode: branch.dispatchMode
+        });
+    } catch (error) {
+        console.error("Error updating dispatch mode:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+};
@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import { DeliveryPartner } from "../models/user.js";
+import { CashLedgerEntry, CashDeposit } from "../models/cash.js";
+import { depositCash } from "../services/cashService.js";
+import { ACTORS, actorFromUser } from "../services/orderLifecycle.js";
+
+// Cash in hand and ledger of one partner (the partner themselves or an admin)
+export const getPartnerCash = async (req, res) => {
+  const { partnerId } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(partnerId)) {
+      return res.status(400).json({ message: "Invalid delivery partner ID" });
+    }
+
+    const actor = actorFromUser(req.user);
+    if (actor !== ACTORS.ADMIN && !(actor === ACTORS.PARTNER && req.user._id.toString() === partnerId)) {
+      return res.status(403).json({ message: "You can only view your own cash" });
+    }
+
+    const partner = await DeliveryPartner.findById(partnerId).select('name phone branch cashInHand');
+    if (!partner) {
+      return res.status(404).json({ message: "Delivery partner not found" });
+    }
+
+    const skip = (page - 1) * limit;
+    const entries = await CashLedgerEntry.find({ deliveryPartner: partnerId })
+      .populate('order', 'orderId amountPayable')
+      .sort({ sequence: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await CashLedgerEntry.countDocuments({ deliveryPartner: partnerId });
+
+    return res.status(200).json({
+      partner,
+      cashInHand: partner.cashInHand,
+      entries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalEntries: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error("Get partner cash error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Cash held by each partner of the branch, for the end-of-shift count
+export const getBranchCashSummary = async (req, res) => {
+  try {
+    const { branchId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({ message: "Invalid branch ID" });
+    }
+
+    const partners = await DeliveryPartner.find({ branch: branchId })
+      .select('name phone cashInHand')
+      .sort({ cashInHand: -1 });
+    const totalInHand = Number(partners.reduce((sum, partner) => sum + (partner.cashInHand || 0), 0).toFixed(2));
+
+    return res.status(200).json({ branchId, totalInHand, partners });
+  } catch (error) {
+    console.error("Get branch cash summary error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const createCashDeposit = async (req, res) => {
+  try {
+    const { branchId } = req.params;
+    const { deliveryPartnerId, amount, note } = req.body;
+
+    if (![branchId, deliveryPartnerId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Valid branch and delivery partner IDs are required" });
+    }
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ message: "Amount must be greater than zero" });
+    }
+
+    const result = await depositCash({
+      branchId,
+      partnerId: deliveryPartnerId,
+      amount: Number(amount),
+      adminId: req.user._id,
+      note,
+      io: req.app.get('io'),
+    });
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    return res.status(201).json({
+      message: "Cash deposit recorded",
+      deposit: result.deposit
+    });
+  } catch (error) {
+    console.error("Create cash deposit error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getCashDeposits = async (req, res) => {
+  const { branchId } = req.params;
+  const { deliveryPartnerId, page = 1, limit = 20 } = req.query;
+
+  try {
+    if ([branchId, deliveryPartnerId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Invalid branch or delivery partner ID" });
+    }
+
+    const filter = { branch: branchId };
+    if (deliveryPartnerId) filter.deliveryPartner = deliveryPartnerId;
+
+    const skip = (page - 1) * limit;
+    const deposits = await CashDeposit.find(filter)
+      .populate('deliveryPartner', 'name phone')
+      .populate('receivedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await CashDeposit.countDocuments(filter);
+
+    return res.status(200).json({
+      deposits,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalDeposits: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error("Get cash deposits error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import { DeliveryPartner } from "../models/user.js";
+import DispatchOffer from "../models/dispatchOffer.js";
+import { respondToOffer } from "../services/dispatchService.js";
+import { ACTORS, actorFromUser } from "../services/orderLifecycle.js";
+
+const isPartner = (req) => actorFromUser(req.user) === ACTORS.PARTNER;
+
+// Open offers for the signed-in partner
+export const getMyOffers = async (req, res) => {
+  try {
+    if (!isPartner(req)) {
+      return res.status(403).json({ message: "Only delivery partners receive offers" });
+    }
+
+    const offers = await DispatchOffer.find({
+      deliveryPartner: req.user._id,
+      status: 'offered',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('order', 'orderId items deliveryLocation pickupLocation totalPrice deliveryFee discount scheduledFor')
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({ offers });
+  } catch (error) {
+    console.error("Get dispatch offers error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const answerOffer = (accept) => async (req, res) => {
+  try {
+    const { offerId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(offerId)) {
+      return res.status(400).json({ message: "Invalid offer ID" });
+    }
+    if (!isPartner(req)) {
+      return res.status(403).json({ message: "Only delivery partners can answer offers" });
+    }
+
+    const result = await respondToOffer({
+      offerId,
+      partnerId: req.user._id,
+      accept,
+      io: req.app.get('io'),
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    return res.status(200).json({
+      message: accept ? "Order accepted successfully" : "Offer declined",
+      order: accept ? result.order : undefined
+    });
+  } catch (error) {
+    console.error(`${accept ? 'Accept' : 'Decline'} dispatch offer error:`, error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const acceptOffer = answerOffer(true);
+export const declineOffer = answerOffer(false);
+
+// Partners report where they are while waiting for orders, so dispatch can rank them
+export const updateMyLocation = async (req, res) => {
+  try {
+    const { latitude, longitude } = req.body;
+    if (!isPartner(req)) {
+      return res.status(403).json({ message: "Only delivery partners report a live location" });
+    }
+    if (!Number.isFinite(Number(latitude)) || !Number.isFinite(Number(longitude))) {
+      return res.status(400).json({ message: "latitude and longitude are required" });
+    }
+
+    const liveLocation = { latitude: Number(latitude), longitude: Number(longitude), updatedAt: new Date() };
+    await DeliveryPartner.updateOne({ _id: req.user._id }, { $set: { liveLocation } });
+
+    return res.status(200).json({ liveLocation });
+  } catch (error) {
+    console.error("Update live location error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
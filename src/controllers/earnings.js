@@ -0,0 +1,198 @@
+import mongoose from "mongoose";
+import { DeliveryPartner } from "../models/user.js";
+import { EarningEntry, PayoutStatement } from "../models/earning.js";
+import { getEarningsBreakdown } from "../services/earningsService.js";
+import {
+  generatePayoutStatements,
+  getPayoutWeek,
+  getPreviousPayoutWeek,
+  markPayoutPaid
+} from "../services/payoutService.js";
+import { ACTORS, actorFromUser } from "../services/orderLifecycle.js";
+import { startOfDay, addDays, toDateKey } from "../utils/dateUtils.js";
+
+// from/to are calendar days (YYYY-MM-DD), both inclusive; the current payout week so far when omitted
+const parseRange = ({ from, to }) => {
+  const start = from ? startOfDay(from) : getPayoutWeek().periodStart;
+  const end = to ? startOfDay(to) : startOfDay();
+  if (isNaN(start) || isNaN(end) || end < start) {
+    return null;
+  }
+  return { from: start, to: addDays(end, 1) };
+};
+
+// Partners see their own earnings; admins pick the partner with ?deliveryPartnerId=
+const resolvePartnerId = (req) => {
+  const actor = actorFromUser(req.user);
+  if (actor === ACTORS.PARTNER) {
+    return req.user._id.toString();
+  }
+  if (actor === ACTORS.ADMIN && mongoose.Types.ObjectId.isValid(req.query.deliveryPartnerId)) {
+    return req.query.deliveryPartnerId;
+  }
+  return null;
+};
+
+export const getEarnings = async (req, res) => {
+  try {
+    const partnerId = resolvePartnerId(req);
+    if (!partnerId) {
+      return res.status(403).json({ message: "Only delivery partners (or admins with deliveryPartnerId) can view earnings" });
+    }
+
+    const range = parseRange(req.query);
+    if (!range) {
+      return res.status(400).json({ message: "from and to must be dates (YYYY-MM-DD) with from on or before to" });
+    }
+
+    const partner = await DeliveryPartner.findById(partnerId).select('name cashInHand');
+    if (!partner) {
+      return res.status(404).json({ message: "Delivery partner not found" });
+    }
+
+    const [breakdown, unpaid] = await Promise.all([
+      getEarningsBreakdown(partnerId, range.from, range.to),
+      EarningEntry.aggregate([
+        { $match: { deliveryPartner: partner._id, statement: { $exists: false } } },
+        { $group: { _id: null, total: { $sum: '$amount' } } },
+      ]),
+    ]);
+
+    return res.status(200).json({
+      from: toDateKey(range.from),
+      to: toDateKey(addDays(range.to, -1)),
+      ...breakdown,
+      // Earned but not on a payout statement yet
+      unpaidEarnings: Number((unpaid[0]?.total || 0).toFixed(2)),
+      cashInHand: partner.cashInHand
+    });
+  } catch (error) {
+    console.error("Get earnings error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const paginated = async (filter, { page = 1, limit = 20 }) => {
+  const skip = (page - 1) * limit;
+  const statements = await PayoutStatement.find(filter)
+    .populate('deliveryPartner', 'name phone')
+    .sort({ periodStart: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+  const total = await PayoutStatement.countDocuments(filter);
+
+  return {
+    statements,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalStatements: total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  };
+};
+
+export const getMyPayoutStatements = async (req, res) => {
+  try {
+    if (actorFromUser(req.user) !== ACTORS.PARTNER) {
+      return res.status(403).json({ message: "Only delivery partners have payout statements" });
+    }
+
+    return res.status(200).json(await paginated({ deliveryPartner: req.user._id }, req.query));
+  } catch (error) {
+    console.error("Get my payout statements error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getBranchPayoutStatements = async (req, res) => {
+  try {
+    const { branchId } = req.params;
+    const { status, deliveryPartnerId } = req.query;
+    if ([branchId, deliveryPartnerId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Invalid branch or delivery partner ID" });
+    }
+
+    const filter = { branch: branchId };
+    if (status) filter.status = status;
+    if (deliveryPartnerId) filter.deliveryPartner = deliveryPartnerId;
+
+    return res.status(200).json(await paginated(filter, req.query));
+  } catch (error) {
+    console.error("Get branch payout statements error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Statement with the earnings it pays (the partner or admin)
+export const getPayoutStatementById = async (req, res) => {
+  try {
+    const { statementId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(statementId)) {
+      return res.status(400).json({ message: "Invalid statement ID" });
+    }
+
+    const statement = await PayoutStatement.findById(statementId).populate('deliveryPartner', 'name phone');
+    const actor = actorFromUser(req.user);
+    if (!statement || (actor !== ACTORS.ADMIN &&
+        !(actor === ACTORS.PARTNER && statement.deliveryPartner._id.toString() === req.user._id.toString()))) {
+      return res.status(404).json({ message: "Payout statement not found" });
+    }
+
+    const entries = await EarningEntry.find({ statement: statement._id })
+      .populate('order', 'orderId')
+      .sort({ earnedAt: 1 });
+
+    return res.status(200).json({ statement, entries });
+  } catch (error) {
+    console.error("Get payout statement error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Issue statements for a week now (admin); the week of { weekOf }, last week when omitted
+export const issuePayoutStatements = async (req, res) => {
+  try {
+    const { weekOf } = req.body;
+    if (weekOf && isNaN(new Date(weekOf))) {
+      return res.status(400).json({ message: "weekOf must be a date (YYYY-MM-DD)" });
+    }
+
+    const { periodStart, periodEnd } = weekOf ? getPayoutWeek(startOfDay(weekOf)) : getPreviousPayoutWeek();
+    if (periodEnd > new Date()) {
+      return res.status(400).json({ message: "Statements can only be issued for weeks that have ended" });
+    }
+
+    const summary = await generatePayoutStatements(periodStart, periodEnd, { io: req.app.get('io') });
+    return res.status(201).json({
+      message: "Payout statements issued",
+      periodStart,
+      periodEnd,
+      ...summary
+    });
+  } catch (error) {
+    console.error("Issue payout statements error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const markPayoutStatementPaid = async (req, res) => {
+  try {
+    const { statementId } = req.params;
+    const { reference } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(statementId)) {
+      return res.status(400).json({ message: "Invalid statement ID" });
+    }
+
+    const result = await markPayoutPaid({ statementId, adminId: req.user._id, reference });
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    return res.status(200).json({ message: "Payout marked as paid", statement: result.statement });
+  } catch (error) {
+    console.error("Mark payout paid error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,384 @@
+import mongoose from "mongoose";
+import Branch from "../models/branch.js";
+import Product from "../models/product.js";
+import BranchInventory from "../models/branchInventory.js";
+import InventoryMovement from "../models/inventoryMovement.js";
+import StockAlert from "../models/stockAlert.js";
+import { getStockAvailability, transferStock, adjustStock, receiveLot } from "../services/inventoryService.js";
+import { buildLowStockDigest } from "../services/stockAlertService.js";
+import { getExpiringLots } from "../services/stockLotService.js";
+
+// On-hand, reserved and available stock (?productIds=a,b&branchId=; all active products by default)
+export const getInventoryAvailability = async (req, res) => {
+  try {
+    const { branchId } = req.query;
+    const productIds = (req.query.productIds || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    if (productIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Invalid product ID" });
+    }
+
+    if (branchId && !mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({ message: "Invalid branch ID" });
+    }
+
+    const products = await getStockAvailability(productIds, branchId || null);
+
+    return res.status(200).json({
+      message: "Stock availability fetched successfully",
+      branchId: branchId || null,
+      products
+    });
+  } catch (error) {
+    console.error("Get inventory availability error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getProductAvailability = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { branchId } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: "Invalid product ID" });
+    }
+
+    if (branchId && !mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({ message: "Invalid branch ID" });
+    }
+
+    const [availability] = await getStockAvailability([productId], branchId || null);
+    if (!availability) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    return res.status(200).json({
+      message: "Stock availability fetched successfully",
+      availability
+    });
+  } catch (error) {
+    console.error("Get product availability error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Every product row held by a branch (admin)
+export const getBranchInventory = async (req, res) => {
+  try {
+    const { branchId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({ message: "Invalid branch ID" });
+    }
+
+    const branch = await Branch.findById(branchId).select('name');
+    if (!branch) {
+      return res.status(404).json({ message: "Branch not found" });
+    }
+
+    const inventory = await BranchInventory.find({ branch: branchId })
+      .populate('product', 'name quantityValue quantityUnit lowStockThreshold status')
+      .sort({ updatedAt: -1 });
+
+    return res.status(200).json({
+      message: "Branch inventory fetched successfully",
+      branch,
+      inventory
+    });
+  } catch (error) {
+    console.error("Get branch inventory error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Move stock between branches (admin)
+export const transferBranchStock = async (req, res) => {
+  try {
+    const { productId, fromBranchId, toBranchId, quantity } = req.body;
+
+    if (![productId, fromBranchId, toBranchId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "productId, fromBranchId and toBranchId must be valid IDs" });
+    }
+
+    const [product, branchCount] = await Promise.all([
+      Product.exists({ _id: productId }),
+      Branch.countDocuments({ _id: { $in: [fromBranchId, toBranchId] } })
+    ]);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (branchCount !== 2) {
+      return res.status(404).json({ message: "Branch not found" });
+    }
+
+    const result = await transferStock({
+      productId,
+      fromBranchId,
+      toBranchId,
+      quantity: Number(quantity),
+      adminId: req.user._id,
+      note: req.body.note,
+      io: req.app.get('io')
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    return res.status(200).json({
+      message: "Stock transferred successfully",
+      from: result.from,
+      to: result.to
+    });
+  } catch (error) {
+    console.error("Transfer branch stock error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Post a stock adjustment at a branch (admin)
+export const postStockAdjustment = async (req, res) => {
+  try {
+    const { branchId, productId, quantity, reason, note } = req.body;
+
+    if (![productId, branchId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "productId and branchId must be valid IDs" });
+    }
+
+    const [product, branch] = await Promise.all([
+      Product.exists({ _id: productId }),
+      Branch.exists({ _id: branchId })
+    ]);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (!branch) {
+      return res.status(404).json({ message: "Branch not found" });
+    }
+
+    const result = await adjustStock({
+      branchId,
+      productId,
+      quantity: Number(quantity),
+      reason,
+      note,
+      adminId: req.user._id,
+      io: req.app.get('io')
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    return res.status(201).json({
+      message: "Stock adjusted successfully",
+      inventory: result.inventory,
+      movement: result.movement
+    });
+  } catch (error) {
+    console.error("Post stock adjustment error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Movement history of a product (admin): ?from=&to=&branchId=&reason=&page=&limit=
+export const getProductMovements = async (req, res) => {
+  const { productId } = req.params;
+  const { branchId, reason, from, to, page = 1, limit = 50 } = req.query;
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: "Invalid product ID" });
+    }
+    if (branchId && !mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({ message: "Invalid branch ID" });
+    }
+
+    const filter = { product: productId };
+    if (branchId) filter.branch = branchId;
+    if (reason) filter.reason = reason;
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({ message: "from and to must be valid dates" });
+      }
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    const skip = (page - 1) * limit;
+    const movements = await InventoryMovement.find(filter)
+      .populate('branch', 'name')
+      .populate('counterpartBranch', 'name')
+      .populate('order', 'orderId')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await InventoryMovement.countDocuments(filter);
+
+    return res.status(200).json({
+      message: "Inventory movements fetched successfully",
+      movements,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalMovements: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error("Get product movements error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Low-stock alerts (admin): ?status=open|resolved&branchId=&productId=
+export const getStockAlerts = async (req, res) => {
+  const { status = 'open', branchId, productId, page = 1, limit = 50 } = req.query;
+
+  try {
+    if (!['open', 'resolved'].includes(status)) {
+      return res.status(400).json({ message: "status must be open or resolved" });
+    }
+    if ([branchId, productId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Invalid branch or product ID" });
+    }
+
+    const filter = { status };
+    if (branchId) filter.branch = branchId;
+    if (productId) filter.product = productId;
+
+    const skip = (page - 1) * limit;
+    const alerts = await StockAlert.find(filter)
+      .populate('branch', 'name')
+      .populate('product', 'name lowStockThreshold')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await StockAlert.countDocuments(filter);
+
+    return res.status(200).json({
+      message: "Stock alerts fetched successfully",
+      alerts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalAlerts: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error("Get stock alerts error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Same digest the daily job sends, on demand (admin): ?branchId=&days=
+export const getLowStockDigest = async (req, res) => {
+  try {
+    const { branchId } = req.query;
+    const days = Number(req.query.days) || undefined;
+
+    if (branchId && !mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({ message: "Invalid branch ID" });
+    }
+    if (days !== undefined && !(Number.isInteger(days) && days > 0)) {
+      return res.status(400).json({ message: "days must be a positive whole number" });
+    }
+
+    const digest = await buildLowStockDigest({ branchId: branchId || null, days });
+
+    return res.status(200).json({
+      message: "Low stock digest fetched successfully",
+      generatedAt: new Date(),
+      branches: digest
+    });
+  } catch (error) {
+    console.error("Get low stock digest error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Receive a dated lot at a branch (admin)
+export const receiveStockLot = async (req, res) => {
+  try {
+    const { branchId, productId, quantity, lotNumber, manufacturedAt, expiresAt, unitCost, note } = req.body;
+
+    if (![productId, branchId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "productId and branchId must be valid IDs" });
+    }
+
+    const [product, branch] = await Promise.all([
+      Product.exists({ _id: productId }),
+      Branch.exists({ _id: branchId })
+    ]);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (!branch) {
+      return res.status(404).json({ message: "Branch not found" });
+    }
+
+    const result = await receiveLot({
+      branchId,
+      productId,
+      quantity: Number(quantity),
+      lotNumber,
+      manufacturedAt,
+      expiresAt,
+      unitCost: Number(unitCost),
+      note,
+      adminId: req.user._id,
+      io: req.app.get('io')
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    return res.status(201).json({
+      message: "Lot received successfully",
+      lot: result.lot,
+      inventory: result.inventory
+    });
+  } catch (error) {
+    console.error("Receive stock lot error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Lots with stock left that expire within N days (admin): ?branchId=&days=3
+export const getExpiringStockLots = async (req, res) => {
+  try {
+    const { branchId } = req.query;
+    const days = req.query.days === undefined ? 3 : Number(req.query.days);
+
+    if (branchId && !mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({ message: "Invalid branch ID" });
+    }
+    if (!(Number.isInteger(days) && days >= 0)) {
+      return res.status(400).json({ message: "days must be a whole number of days" });
+    }
+
+    const lots = await getExpiringLots({ branchId: branchId || null, days });
+
+    return res.status(200).json({
+      message: "Expiring lots fetched successfully",
+      days,
+      totalQuantity: lots.reduce((sum, lot) => sum + lot.quantityRemaining, 0),
+      lots
+    });
+  } catch (error) {
+    console.error("Get expiring lots error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import { Customer } from "../../models/user.js";
+import Product from "../../models/product.js";
+import { startOfDay, addDays, isSameDay } from "../../utils/dateUtils.js";
+
+const isValidDate = (value) => value && !isNaN(new Date(value).getTime());
+
+// List pause windows and one-off overrides for the logged-in customer
+export const getDeliveryPauses = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.user._id).select('deliveryPauses deliveryOverrides');
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const today = startOfDay();
+    const { includePast = 'false' } = req.query;
+
+    const pauses = customer.deliveryPauses
+      .filter(p => includePast === 'true' || startOfDay(p.endDate) >= today)
+      .sort((a, b) => a.startDate - b.startDate);
+    const overrides = customer.deliveryOverrides
+      .filter(o => includePast === 'true' || startOfDay(o.date) >= today)
+      .sort((a, b) => a.date - b.date);
+
+    return res.status(200).json({
+      message: "Delivery pauses fetched successfully",
+      pauses,
+      overrides
+    });
+  } catch (error) {
+    console.error("Get delivery pauses error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const addDeliveryPause = async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body;
+
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+      return res.status(400).json({ message: "Valid startDate and endDate are required" });
+    }
+
+    const start = startOfDay(startDate);
+    const end = startOfDay(endDate);
+
+    if (start < startOfDay()) {
+      return res.status(400).json({ message: "Pause cannot start in the past" });
+    }
+
+    if (end < start) {
+      return res.status(400).json({ message: "End date cannot be before start date" });
+    }
+
+    const customer = await Customer.findById(req.user._id);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const overlapping = customer.deliveryPauses.find(p =>
+      startOfDay(p.startDate) <= end && start <= startOfDay(p.endDate)
+    );
+    if (overlapping) {
+      return res.status(409).json({
+        message: "Pause overlaps with an existing pause",
+        pause: overlapping
+      });
+    }
+
+    customer.deliveryPauses.push({ startDate: start, endDate: end, reason });
+    await customer.save();
+
+    const pause = customer.deliveryPauses[customer.deliveryPauses.length - 1];
+
+    return res.status(201).json({ message: "Deliveries paused successfully", pause });
+  } catch (error) {
+    console.error("Add delivery pause error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Undo a pause. Future pauses are removed; a pause already in progress ends yesterday.
+export const removeDeliveryPause = async (req, res) => {
+  try {
+    const { pauseId } = req.params;
+
+    const customer = await Customer.findById(req.user._id);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const pause = customer.deliveryPauses.id(pauseId);
+    if (!pause) {
+      return res.status(404).json({ message: "Pause not found" });
+    }
+
+    const today = startOfDay();
+    if (startOfDay(pause.endDate) < today) {
+      return res.status(400).json({ message: "Pause has already ended" });
+    }
+
+    if (startOfDay(pause.startDate) < today) {
+      pause.endDate = addDays(today, -1);
+    } else {
+      pause.deleteOne();
+    }
+
+    await customer.save();
+
+    return res.status(200).json({ message: "Pause removed successfully", pauses: customer.deliveryPauses });
+  } catch (error) {
+    console.error("Remove delivery pause error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Skip a single day or change the quantity delivered on that day
+export const addDeliveryOverride = async (req, res) => {
+  try {
+    const { date, productId, skip = false, quantity, note } = req.body;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: "A valid date is required" });
+    }
+
+    const day = startOfDay(date);
+    if (day < startOfDay()) {
+      return res.status(400).json({ message: "Cannot change deliveries in the past" });
+    }
+
+    if (!skip && (!Number.isInteger(Number(quantity)) || Number(quantity) < 1)) {
+      return res.status(400).json({ message: "Either skip or a positive quantity is required" });
+    }
+
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId) || !(await Product.exists({ _id: productId }))) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+    }
+
+    const customer = await Customer.findById(req.user._id);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    // Replace any previous override for the same day and product
+    const existing = customer.deliveryOverrides.find(o =>
+      isSameDay(o.date, day) && String(o.product || '') === String(productId || '')
+    );
+    if (existing) {
+      existing.deleteOne();
+    }
+
+    customer.deliveryOverrides.push({
+      date: day,
+      product: productId || undefined,
+      skip: !!skip,
+      quantity: skip ? undefined : Number(quantity),
+      note
+    });
+    await customer.save();
+
+    const override = customer.deliveryOverrides[customer.deliveryOverrides.length - 1];
+
+    return res.status(201).json({
+      message: skip ? "Delivery skipped successfully" : "Delivery quantity updated successfully",
+      override
+    });
+  } catch (error) {
+    console.error("Add delivery override error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const removeDeliveryOverride = async (req, res) => {
+  try {
+    const { overrideId } = req.params;
+
+    const customer = await Customer.findById(req.user._id);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const override = customer.deliveryOverrides.id(overrideId);
+    if (!override) {
+      return res.status(404).json({ message: "Override not found" });
+    }
+
+    if (startOfDay(override.date) < startOfDay()) {
+      return res.status(400).json({ message: "Cannot undo an override in the past" });
+    }
+
+    override.deleteOne();
+    await customer.save();
+
+    return res.status(200).json({ message: "Override removed successfully", overrides: customer.deliveryOverrides });
+  } catch (error) {
+    console.error("Remove delivery override error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
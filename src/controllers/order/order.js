@@ -4,13 +4,50 @@ import Order from "../../models/order.js";
 import Address from "../../models/address.js";
 import { googleMapsService } from '../../services/googleMapsService.js';
 import Product from "../../models/product.js";
+import { findActivePause, nextDeliverableDate } from "../../utils/deliveryCalendar.js";
+import { startOfDay, addDays, toDateKey } from "../../utils/dateUtils.js";
+import { calculateDistance } from "../../utils/geo.js";
+import { debitWallet, creditWallet, getBalance } from "../../services/walletService.js";
+import { findCoupon, evaluateCoupon, redeemCoupon, releaseCoupon } from "../../services/couponService.js";
+import { calculateDeliveryFee } from "../../services/deliveryFeeService.js";
+import { calculateOrderTax } from "../../services/taxService.js";
+import { getOrIssueInvoice } from "../../services/invoiceService.js";
+import { deliverOrder } from "../../services/deliveryService.js";
+import { releaseOrderToPartners, cancelOpenOffer } from "../../services/dispatchService.js";
+import { isOnDuty } from "../../services/shiftService.js";
+import {
+  reserveStock,
+  commitReservations,
+  releaseReservations,
+  releaseOrderStock,
+  getBranchStockMap
+} from "../../services/inventoryService.js";
+import {
+  ACTORS,
+  TERMINAL_STATUSES,
+  PAYMENT_CLEARED_FILTER,
+  actorFromUser,
+  canTransition,
+  isAwaitingPayment,
+  recordOrderCreated,
+  transitionOrder
+} from "../../services/orderLifecycle.js";
+
+// How long a customer has to complete online payment for a new order
+const PAYMENT_DEADLINE_MINUTES = Number(process.env.PAYMENT_DEADLINE_MINUTES) || Number(process.env.RESERVATION_TTL_MINUTES) || 15;
 
 // --- MAIN CREATE ORDER LOGIC ---
 export const createOrder = async (req, res) => {
   try {
-    const { userId, items, branch, addressId, paymentMode, deliveryFee: frontendDeliveryFee, preview = false } = req.body;
+    // Any client-sent deliveryFee is ignored; the branch's fee rules decide it
+    const { userId, items, branch, addressId, paymentMode, preview = false, scheduledFor, deferIfPaused = false, couponCode } = req.body;
+    // Orders, and the wallet, addresses and postpaid statement behind them, always belong to the signed-in customer
+    const customerId = req.user._id;
+    if (userId && userId.toString() !== customerId.toString()) {
+      return res.status(403).json({ message: "You can only place orders for yourself" });
+    }
 
-    const customerData = await Customer.findById(userId);
+    const customerData = await Customer.findById(customerId);
     const branchData = await Branch.findById(branch);
 
     if (!customerData) {
@@ -24,11 +61,11 @@ export const createOrder = async (req, res) => {
     // Get address logic (unchanged)
     let addressData = null;
     if (addressId) {
-      addressData = await Address.findById(addressId);
+      addressData = await Address.findOne({ _id: addressId, userId: customerId });
     }
 
     if (!addressData) {
-      addressData = await Address.findOne({ userId, isDefault: true });
+      addressData = await Address.findOne({ userId: customerId, isDefault: true });
     }
 
     if (!addressData) {
@@ -46,10 +83,33 @@ export const createOrder = async (req, res) => {
     const latitude = addressData.latitude ?? 0.0;
     const longitude = addressData.longitude ?? 0.0;
 
+    // Vacation mode: refuse deliveries inside a pause, or defer them when the client asks to
+    if (scheduledFor && (isNaN(new Date(scheduledFor).getTime()) || startOfDay(scheduledFor) < startOfDay())) {
+      return res.status(400).json({ message: "Invalid scheduled delivery date" });
+    }
+
+    const requestedDay = startOfDay(scheduledFor || new Date());
+    let deliveryDay = scheduledFor ? requestedDay : null;
+    const activePause = findActivePause(customerData, requestedDay);
+    if (activePause) {
+      const nextAvailableDay = nextDeliverableDate(customerData, requestedDay);
+      if (!deferIfPaused) {
+        return res.status(409).json({
+          message: "Deliveries are paused for the requested date",
+          error: "DELIVERY_PAUSED",
+          pause: activePause,
+          nextAvailableDate: toDateKey(nextAvailableDay)
+        });
+      }
+      deliveryDay = nextAvailableDay;
+    }
+
     // Load product data
     const productIds = items.map(i => i.id);
     const products = await Product.find({ _id: { $in: productIds } });
     const productMap = new Map(products.map(p => [p._id.toString(), p]));
+    // Orders are fulfilled from the chosen branch's stock
+    const branchStock = await getBranchStockMap(branch, productIds);
 
     const isSubscriber = !!customerData.isSubscription;
     const THRESHOLD = 2500;
@@ -112,7 +172,7 @@ export const createOrder = async (req, res) => {
         return res.status(400).json({ message: `Product not found: ${item.id}` });
       }
 
-      if (p.stock < item.count) {
+      if ((branchStock.get(item.id)?.available ?? 0) < item.count) {
         return res.status(400).json({ message: `Insufficient stock for ${p.name}` });
       }
 
@@ -169,21 +229,79 @@ export const createOrder = async (req, res) => {
       });
     }
 
-    // Calculate delivery fee
-    const deliveryFee = frontendDeliveryFee !== undefined ? frontendDeliveryFee : (cartTotal < 1000 ? 49 : 0);
+    // Calculate delivery fee from the branch's rules
+    const feeQuote = calculateDeliveryFee(branchData, {
+      deliveryLocation: { latitude: addressData.latitude, longitude: addressData.longitude },
+      cartTotal,
+      isSubscriber,
+    });
+    if (!feeQuote.success) {
+      return res.status(400).json({ message: feeQuote.error, error: feeQuote.code });
+    }
+    const deliveryFee = feeQuote.fee;
+
+    // Coupon: validated against the priced cart, redeemed only when the order is placed
+    let coupon = null;
+    let couponResult = null;
+    if (couponCode) {
+      coupon = await findCoupon(couponCode);
+      couponResult = await evaluateCoupon(coupon, {
+        customerId,
+        items: orderItems.map(oi => ({ ...oi, category: productMap.get(oi.product.toString())?.category })),
+        cartTotal,
+        deliveryFee,
+      });
+
+      if (!couponResult.success && !preview) {
+        return res.status(400).json({ message: couponResult.error, error: "COUPON_INVALID" });
+      }
+    }
+    const discount = couponResult?.success ? couponResult.discount : 0;
+    const amountPayable = Number(Math.max(0, cartTotal + Number(deliveryFee) - discount).toFixed(2));
+
+    // GST on what each line costs after the coupon: CGST/SGST in the branch's state, IGST outside it
+    const lineDiscounts = couponResult?.success ? couponResult.lineDiscounts : [];
+    const { itemTaxes, taxBreakdown } = calculateOrderTax({
+      items: orderItems.map((oi, index) => {
+        const p = productMap.get(oi.product.toString());
+        return { totalPrice: oi.totalPrice, discount: lineDiscounts[index] || 0, gstRate: p.gstRate, hsnCode: p.hsnCode };
+      }),
+      deliveryFee,
+      deliveryDiscount: couponResult?.success ? couponResult.deliveryDiscount : 0,
+      branchState: branchData.state,
+      deliveryState: addressData.state,
+    });
+    orderItems = orderItems.map((oi, index) => ({ ...oi, discount: lineDiscounts[index] || 0, tax: itemTaxes[index] }));
 
     // ✅ PREVIEW MODE - Return preview data without creating order
     if (preview) {
       const previewOrder = {
-        customer: userId,
+        customer: customerId,
         items: orderItems,
         branch,
         totalPrice: Number(cartTotal.toFixed(2)),
         deliveryFee,
+        deliveryFeeBreakdown: feeQuote.breakdown,
+        distanceKm: feeQuote.distanceKm,
+        discount,
+        discountLines: couponResult?.success ? [couponResult.line] : [],
+        amountPayable,
+        taxBreakdown,
         wholesaleEligible, // Add this flag for frontend
-        paymentMode: paymentMode || 'online'
+        paymentMode: paymentMode || 'online',
+        scheduledFor: deliveryDay ? toDateKey(deliveryDay) : null
       };
 
+      if (couponCode) {
+        previewOrder.coupon = couponResult.success
+          ? { code: coupon.code, valid: true }
+          : { code: String(couponCode).trim().toUpperCase(), valid: false, message: couponResult.error };
+      }
+
+      if (paymentMode === 'wallet') {
+        previewOrder.walletBalance = await getBalance(customerId);
+      }
+
       return res.status(200).json({
         message: "Order preview calculated successfully",
         order: previewOrder,
@@ -201,18 +319,17 @@ export const createOrder = async (req, res) => {
       }
     }
 
-    // Update stock for actual orders only
-    for (const oi of orderItems) {
-      await Product.updateOne({ _id: oi.product }, { $inc: { stock: -oi.unitsBought } });
-      const updated = await Product.findById(oi.product).select('name stock lowStockThreshold');
-      if (updated && typeof updated.lowStockThreshold === 'number' && updated.stock < updated.lowStockThreshold) {
-        console.warn(`⚠️ Low stock alert for ${updated.name}: ${updated.stock} left`);
-      }
+    // Postpaid orders are billed on the monthly statement
+    if (paymentMode === 'postpaid' && customerData.billingMode !== 'postpaid') {
+      return res.status(400).json({
+        message: 'Postpaid billing is not enabled for this customer',
+        error: 'POSTPAID_NOT_ENABLED'
+      });
     }
 
     // Create actual order
     const newOrder = new Order({
-      customer: userId,
+      customer: customerId,
       items: orderItems,
       branch,
       totalPrice: Number(cartTotal.toFixed(2)),
@@ -223,32 +340,136 @@ export const createOrder = async (req, res) => {
         address: branchData.address || "Not provided",
       },
       deliveryFee,
+      deliveryFeeBreakdown: feeQuote.breakdown,
+      deliveryDistanceKm: feeQuote.distanceKm ?? undefined,
+      discount,
+      coupon: couponResult?.success ? {
+        coupon: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        itemsDiscount: couponResult.itemsDiscount,
+        deliveryDiscount: couponResult.deliveryDiscount,
+      } : undefined,
+      taxBreakdown,
       deliveryPersonLocation: {
         latitude: 0.0,
         longitude: 0.0,
         address: "Not assigned",
       },
+      scheduledFor: deliveryDay || undefined,
     });
+    recordOrderCreated(newOrder, { actor: actorFromUser(req.user) || ACTORS.CUSTOMER, actorId: req.user?._id });
 
-    // Handle COD payment
+    // Handle COD payment - to be collected by the partner on delivery
     if (paymentMode === 'COD') {
-      newOrder.paymentStatus = 'completed';
+      newOrder.paymentStatus = 'pending';
       newOrder.paymentDetails = {
         method: 'COD',
-        amount: Number(cartTotal.toFixed(2)) + Number(deliveryFee),
+        amount: newOrder.amountPayable,
+        currency: 'INR',
+      };
+    }
+
+    // Handle postpaid - nothing collected now, settled with the statement
+    if (paymentMode === 'postpaid') {
+      newOrder.paymentStatus = 'pending';
+      newOrder.paymentDetails = {
+        method: 'postpaid',
+        amount: newOrder.amountPayable,
+        currency: 'INR',
+      };
+    }
+
+    // Online payment: the customer has until the deadline to pay, or the order is cancelled
+    const isOnlinePayment = !['COD', 'wallet', 'postpaid'].includes(paymentMode);
+    if (isOnlinePayment) {
+      newOrder.paymentDetails = {
+        method: 'online',
+        amount: newOrder.amountPayable,
+        currency: 'INR',
+      };
+      newOrder.paymentDeadline = new Date(Date.now() + PAYMENT_DEADLINE_MINUTES * 60 * 1000);
+    }
+
+    // Hold stock for the order; online payments must complete before the hold expires
+    const reservation = await reserveStock(
+      newOrder._id,
+      branch,
+      orderItems.map(oi => ({ product: oi.product, quantity: oi.unitsBought })),
+      isOnlinePayment ? { ttlMinutes: PAYMENT_DEADLINE_MINUTES } : undefined
+    );
+    if (!reservation.success) {
+      return res.status(400).json({ message: reservation.error, error: "INSUFFICIENT_STOCK" });
+    }
+
+    if (coupon && couponResult.success) {
+      const redemption = await redeemCoupon(coupon, customerId, newOrder._id, discount);
+      if (!redemption.success) {
+        await releaseReservations(newOrder._id, 'coupon_failed');
+        return res.status(400).json({ message: redemption.error, error: "COUPON_INVALID" });
+      }
+    }
+
+    // Handle wallet payment
+    let walletDebit = null;
+    if (paymentMode === 'wallet') {
+      walletDebit = await debitWallet(customerId, newOrder.amountPayable, {
+        reason: 'order_payment',
+        order: newOrder._id,
+      });
+
+      if (!walletDebit.success) {
+        await releaseReservations(newOrder._id, 'payment_failed');
+        await releaseCoupon(newOrder);
+        return res.status(400).json({
+          message: walletDebit.error,
+          error: "WALLET_DEBIT_FAILED",
+          balance: walletDebit.balance
+        });
+      }
+
+      newOrder.paymentStatus = 'completed';
+      newOrder.paymentDetails = {
+        method: 'wallet',
+        amount: newOrder.amountPayable,
         currency: 'INR',
         verifiedAt: new Date(),
+        walletTransaction: walletDebit.transaction._id,
       };
     }
 
-    const savedOrder = await newOrder.save();
+    // No online payment to wait for: take the stock now
+    if (!isOnlinePayment) {
+      await commitReservations(newOrder._id, { io: req.app.get('io'), order: newOrder });
+    }
 
-    // Emit socket event
-    req.app.get('io').to(`branch-${branch}`).emit('newOrderAvailable', savedOrder);
+    let savedOrder;
+    try {
+      savedOrder = await newOrder.save();
+    } catch (saveError) {
+      // Give the stock, coupon and money back if the order could not be stored
+      await releaseOrderStock(newOrder, 'order_failed', { io: req.app.get('io') });
+      await releaseCoupon(newOrder);
+      if (walletDebit) {
+        await creditWallet(customerId, newOrder.amountPayable, {
+          reason: 'order_refund',
+          order: newOrder._id,
+          note: 'Order creation failed'
+        });
+      }
+      throw saveError;
+    }
+
+    // Partners hear about online orders once they are paid
+    if (!isOnlinePayment) {
+      await releaseOrderToPartners(savedOrder, { io: req.app.get('io') });
+    }
 
     return res.status(201).json({
       message: "Order created successfully",
-      order: savedOrder
+      order: savedOrder,
+      // Shown to the customer, who reads it out to the partner at the door
+      handoverCode: savedOrder.handoverCode
     });
 
   } catch (error) {
@@ -276,27 +497,30 @@ export const confirmOrder = async (req, res) => {
             return res.status(404).json({ message: "Order not found" });
         }
 
-        if (order.status !== "accepted") {
-            return res.status(400).json({ message: "Order cannot be confirmed" });
+        const result = await transitionOrder(order, "in-progress", {
+            actor: actorFromUser(req.user),
+            actorId: userId,
+            reason: "Confirmed by delivery partner",
+            io: req.app.get('io'),
+            apply: (o) => {
+                o.deliveryPartner = userId;
+                o.deliveryPersonLocation = {
+                    latitude: deliveryPersonLocation.latitude,
+                    longitude: deliveryPersonLocation.longitude,
+                    address: deliveryPersonLocation.address || "Not provided",
+                };
+            }
+        });
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ message: result.message });
         }
-        
-        order.status = "in-progress";
-        order.deliveryStatus = "Partner Assigned";
-        
-        order.deliveryPartner = userId;
-        order.deliveryPersonLocation = {
-            latitude: deliveryPersonLocation.latitude,
-            longitude: deliveryPersonLocation.longitude,
-            address: deliveryPersonLocation.address || "Not provided",
-        };
 
         req.app.get('io').to(orderId).emit("orderConfirmed", order);
 
         // Emit to other delivery partners in the same branch to remove this order
         req.app.get('io').to(`branch-${order.branch}`).emit('orderAcceptedByOther', order._id);
 
-        await order.save();
-
         return res.status(200).json({
             message: "Order confirmed successfully",
             order:order
@@ -311,7 +535,7 @@ export const confirmOrder = async (req, res) => {
 export const updateOrderStatus = async (req, res) => {    
     try{
         const {orderId }= req.params;
-        const {status , deliveryPersonLocation, deliveryStatus} = req.body;
+        const {status , deliveryPersonLocation, reason} = req.body;
         const userId = req.user._id;
 
         const deliveryPerson =await DeliveryPartner.findById(userId);
@@ -324,58 +548,36 @@ export const updateOrderStatus = async (req, res) => {
             return res.status(404).json({ message: "Order not found" });
         }
 
-        if(["delivered", "cancelled"].includes(order.status)) {
-            return res.status(400).json({ message: "Order cannot be updated" });
-        }
-
-        if(order.deliveryPartner.toString() !== userId) {
-            return res.status(403).json({ message: "You are not authorized to update this order" });
+        if (!status) {
+            return res.status(400).json({ message: "Status is required" });
         }
 
-        // Validate status transitions
-        const validTransitions = {
-            'accepted': ['in-progress'],
-            'in-progress': ['awaitconfirmation'],
-            'awaitconfirmation': ['delivered']
-        };
-
-        if (validTransitions[order.status] && !validTransitions[order.status].includes(status)) {
-            return res.status(400).json({ 
-                message: `Invalid status transition from ${order.status} to ${status}` 
+        // Handover needs proof of delivery (and the COD cash), which only mark-delivered takes
+        if (['awaitconfirmation', 'delivered'].includes(status) && order.status === 'in-progress') {
+            return res.status(400).json({
+                message: "Orders are marked delivered through mark-delivered with the handover code or a doorstep photo",
+                error: "PROOF_REQUIRED"
             });
         }
 
-        // Update order status
-        order.status = status;
-        
-        // Update delivery status based on new status
-        switch (status) {
-            case 'in-progress':
-                order.deliveryStatus = 'On The Way';
-                break;
-            case 'awaitconfirmation':
-                order.deliveryStatus = 'Delivered';
-                break;
-            case 'delivered':
-                order.deliveryStatus = 'Delivered';
-                break;
-            case 'cancelled':
-                order.deliveryStatus = 'Cancelled';
-                order.cancelledAt = new Date();
-                break;
-        }
+        // Transition rules and side effects live in the order lifecycle
+        const result = await transitionOrder(order, status, {
+            actor: actorFromUser(req.user),
+            actorId: userId,
+            reason,
+            io: req.app.get('io'),
+            apply: (o) => {
+                // Update delivery person location if provided
+                if (deliveryPersonLocation) {
+                    o.deliveryPersonLocation = deliveryPersonLocation;
+                }
+            }
+        });
 
-        // Update delivery person location if provided
-        if (deliveryPersonLocation) {
-            order.deliveryPersonLocation = deliveryPersonLocation;
+        if (!result.success) {
+            return res.status(result.statusCode).json({ message: result.message });
         }
-        
-        order.updatedAt = new Date();
-        await order.save();
 
-        // Emit socket events for real-time updates
-        req.app.get('io').to(orderId).emit("orderStatusUpdated", order);
-        
         // Emit location updates separately for more granular control
         if (deliveryPersonLocation) {
             req.app.get('io').to(orderId).emit("orderLocationUpdated", { 
@@ -384,49 +586,8 @@ export const updateOrderStatus = async (req, res) => {
             });
         }
 
-        // Emit specific events based on status
-        if (order.status === 'awaitconfirmation') {
-            req.app.get('io').to(order.customer.toString()).emit('awaitingCustomerConfirmation', order);
-        } else if (order.status === 'in-progress') {
+        if (order.status === 'in-progress') {
             req.app.get('io').to(order.customer.toString()).emit('orderInProgress', order);
-        } else if (order.status === 'delivered') {
-            // Close socket connections when order is delivered
-            req.app.get('io').to(orderId).emit('orderCompleted', {
-                orderId: order._id,
-                status: 'delivered',
-                message: 'Order delivery completed successfully'
-            });
-            
-            const orderRoom = `order-${orderId}`;
-            req.app.get('io').socketsLeave(orderRoom);
-            
-            console.log(`✅ Order ${order.orderId} delivered via status update - socket connections closed`);
-        } else if (order.status === 'cancelled') {
-            // Close socket connections when order is cancelled
-            req.app.get('io').to(order.customer.toString()).emit('orderCancelled', {
-                orderId: order._id,
-                orderNumber: order.orderId,
-                message: 'Order has been cancelled'
-            });
-            
-            if (order.deliveryPartner) {
-                req.app.get('io').to(order.deliveryPartner.toString()).emit('orderCancelled', {
-                    orderId: order._id,
-                    orderNumber: order.orderId,
-                    message: 'Order has been cancelled'
-                });
-            }
-            
-            req.app.get('io').to(orderId).emit('orderCompleted', {
-                orderId: order._id,
-                status: 'cancelled',
-                message: 'Order has been cancelled'
-            });
-            
-            const orderRoom = `order-${orderId}`;
-            req.app.get('io').socketsLeave(orderRoom);
-            
-            console.log(`❌ Order ${order.orderId} cancelled via status update - socket connections closed`);
         }
 
         return res.status(200).json({
@@ -502,7 +663,7 @@ export const getOrderById = async (req, res) => {
     try{
         const { orderId } = req.params;
 
-        const order = await Order.findById(orderId).populate([
+        const order = await Order.findById(orderId).select('+handoverCode').populate([
             { path: 'customer', model: 'Customer' },
             { path: 'branch', model: 'Branch' },
             { path: 'deliveryPartner', model: 'DeliveryPartner', select: 'name phone' },
@@ -513,9 +674,14 @@ export const getOrderById = async (req, res) => {
             return res.status(404).json({ message: "Order not found" });
         }
 
+        // Only the customer sees the handover code, and only until the order is closed
+        const showHandoverCode = order.customer?._id?.toString() === req.user._id.toString()
+            && !TERMINAL_STATUSES.includes(order.status);
+
         return res.status(200).json({
             message: "Order fetched successfully",
-            order: order
+            order: order,
+            handoverCode: showHandoverCode ? order.handoverCode : undefined
         });
     }
     catch(error) {
@@ -533,11 +699,8 @@ export const deleteOrder = async (req, res) => {
         return res.status(404).json({ message: "Order not found" });
       }
       try {
-        for (const item of order.items) {
-          if (item?.product && item?.unitsBought) {
-            await Product.updateOne({ _id: item.product }, { $inc: { stock: item.unitsBought } });
-          }
-        }
+        await releaseOrderStock(order, 'deleted', { io: req.app.get('io') });
+        await releaseCoupon(order);
       } catch (restoreErr) {
         console.error('Stock restoration error on delete:', restoreErr);
       }
@@ -566,13 +729,13 @@ export const getActiveOrderForUser = async (req, res) => {
         const activeOrder = await Order.findOne({
             customer: userId,
             status: { $in: ["pending", "accepted", "in-progress", "awaitconfirmation"] },
-        }).populate('deliveryPartner', 'name');
+        }).select('+handoverCode').populate('deliveryPartner', 'name');
 
         if (!activeOrder) {
             return res.status(404).json({ message: "No active order found" });
         }
 
-        return res.status(200).json({ order: activeOrder });
+        return res.status(200).json({ order: activeOrder, handoverCode: activeOrder.handoverCode });
     } catch (error) {
         console.error("Get active order error:", error);
         return res.status(500).json({ message: "Internal server error" });
@@ -598,6 +761,106 @@ export const getOrderTrackingInfo = async (req, res) => {
     }
 };
 
+// Status history of an order, for the customer, the assigned partner or an admin
+export const getOrderTimeline = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const order = await Order.findById(orderId).select('orderId customer deliveryPartner status deliveryStatus statusHistory createdAt');
+        if (!order) {
+            return res.status(404).json({ message: "Order not found" });
+        }
+
+        const actor = actorFromUser(req.user);
+        const userId = req.user._id.toString();
+        const canView = actor === ACTORS.ADMIN ||
+            order.customer?.toString() === userId ||
+            order.deliveryPartner?.toString() === userId;
+        if (!canView) {
+            return res.status(403).json({ message: "You are not authorized to view this order" });
+        }
+
+        return res.status(200).json({
+            message: "Order timeline fetched successfully",
+            orderId: order.orderId,
+            status: order.status,
+            deliveryStatus: order.deliveryStatus,
+            timeline: order.statusHistory
+        });
+    } catch (error) {
+        console.error("Get order timeline error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+// Download the order's tax invoice (PDF); issued and stored on first download
+export const getOrderInvoice = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({ message: "Order not found" });
+        }
+
+        const canView = actorFromUser(req.user) === ACTORS.ADMIN ||
+            order.customer?.toString() === req.user._id.toString();
+        if (!canView) {
+            return res.status(403).json({ message: "You are not authorized to view this invoice" });
+        }
+
+        const result = await getOrIssueInvoice(order);
+        if (!result.success) {
+            return res.status(409).json({ message: result.error, error: "INVOICE_NOT_AVAILABLE" });
+        }
+
+        const { invoice } = result;
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+            'Content-Length': invoice.pdf.length,
+        });
+        return res.status(200).send(invoice.pdf);
+    } catch (error) {
+        console.error("Get order invoice error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+// Doorstep photo taken as proof of delivery
+export const getProofOfDeliveryPhoto = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const order = await Order.findById(orderId).select('+proofOfDelivery.photo.data');
+        if (!order) {
+            return res.status(404).json({ message: "Order not found" });
+        }
+
+        const userId = req.user._id.toString();
+        const canView = actorFromUser(req.user) === ACTORS.ADMIN ||
+            order.customer?.toString() === userId ||
+            order.deliveryPartner?.toString() === userId;
+        if (!canView) {
+            return res.status(403).json({ message: "You are not authorized to view this photo" });
+        }
+
+        const photo = order.proofOfDelivery?.photo;
+        if (!photo?.data) {
+            return res.status(404).json({ message: "This order has no proof of delivery photo" });
+        }
+
+        res.set({
+            'Content-Type': photo.contentType,
+            'Content-Length': photo.data.length,
+        });
+        return res.status(200).send(photo.data);
+    } catch (error) {
+        console.error("Get proof of delivery photo error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+};
+
 export const confirmDeliveryReceipt = async (req, res) => {
     try {
         const { orderId } = req.params;
@@ -619,24 +882,21 @@ export const confirmDeliveryReceipt = async (req, res) => {
             return res.status(400).json({ message: "Order is not awaiting customer confirmation." });
         }
 
-        order.status = 'delivered';
-        await order.save();
+        const result = await transitionOrder(order, 'delivered', {
+            actor: actorFromUser(req.user),
+            actorId: userId,
+            reason: 'Receipt confirmed by customer',
+            io: req.app.get('io')
+        });
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ message: result.message });
+        }
 
         // Emit final delivery confirmation events
         req.app.get('io').to(order.customer.toString()).emit('deliveryConfirmed', order);
         req.app.get('io').to(order.deliveryPartner.toString()).emit('orderStatusUpdated', order);
         
-        // Close socket connections for this order
-        req.app.get('io').to(orderId).emit('orderCompleted', {
-            orderId: order._id,
-            status: 'delivered',
-            message: 'Order delivery completed successfully'
-        });
-        
-        // Remove clients from order-specific rooms
-        const orderRoom = `order-${orderId}`;
-        req.app.get('io').socketsLeave(orderRoom);
-        
         console.log(`✅ Order ${order.orderId} delivery confirmed - socket connections closed`);
 
         return res.status(200).json({ message: "Delivery confirmed successfully", order });
@@ -665,6 +925,27 @@ export const acceptOrder = async (req, res) => {
       return res.status(400).json({ message: "Order is not in pending status" });
     }
 
+    if (isAwaitingPayment(order)) {
+      return res.status(400).json({ message: "Order has not been paid yet", error: "PAYMENT_PENDING" });
+    }
+
+    const actor = actorFromUser(req.user);
+    // Auto-dispatch: while the order is offered to one partner, others cannot take it
+    if (order.dispatch?.status === 'offering' && actor === ACTORS.PARTNER) {
+      return res.status(409).json({ message: "Order is being offered to another partner", error: "ORDER_OFFERED" });
+    }
+    if (!canTransition(order.status, "accepted", actor)) {
+      return res.status(403).json({ message: "You are not allowed to accept this order" });
+    }
+
+    if (actor === ACTORS.PARTNER && req.user._id.toString() !== deliveryPartnerId) {
+      return res.status(403).json({ message: "Delivery partners can only accept orders for themselves" });
+    }
+
+    if (actor === ACTORS.PARTNER && !isOnDuty(req.user)) {
+      return res.status(403).json({ message: "Clock in to accept orders", error: "OFF_DUTY" });
+    }
+
     // Check if delivery partner exists and belongs to the same branch
     const deliveryPartner = await DeliveryPartner.findById(deliveryPartnerId);
     if (!deliveryPartner) {
@@ -675,46 +956,32 @@ export const acceptOrder = async (req, res) => {
       return res.status(403).json({ message: "Delivery partner does not belong to this branch" });
     }
 
-    // **NOW REDUCE STOCK WHEN ORDER IS ACTUALLY ACCEPTED**
-    for (const item of order.items) {
-      if (item?.product && item?.unitsBought) {
-        // Double-check stock availability before reducing
-        const product = await Product.findById(item.product);
-        if (!product) {
-          return res.status(400).json({ message: `Product not found: ${item.name}` });
-        }
-
-        if (product.stock < item.unitsBought) {
-          return res.status(400).json({ 
-            message: `Insufficient stock for ${item.name}. Available: ${product.stock}, Required: ${item.unitsBought}` 
-          });
-        }
-
-        // Reduce stock
-        await Product.updateOne(
-          { _id: item.product }, 
-          { $inc: { stock: -item.unitsBought } }
-        );
-
-        // Check for low stock warning
-        const updated = await Product.findById(item.product).select('name stock lowStockThreshold');
-        if (updated && typeof updated.lowStockThreshold === 'number' && updated.stock < updated.lowStockThreshold) {
-          console.warn(`⚠️ Low stock alert for ${updated.name}: ${updated.stock} left`);
-        }
-      }
+    // Acceptance commits the order's stock hold (re-taking it if the hold expired)
+    const commit = await commitReservations(order._id, { io: req.app.get('io'), order });
+    if (!commit.success) {
+      return res.status(400).json({ message: commit.error });
     }
 
     // Update order status to accepted and assign delivery partner
-    order.status = "accepted";
-    order.deliveryPartner = deliveryPartnerId;
-    order.deliveryStatus = "Partner Assigned";
-    order.updatedAt = new Date();
-
-    await order.save();
+    const reason = actor === ACTORS.ADMIN ? "Assigned by admin" : "Accepted by delivery partner";
+    const result = await transitionOrder(order, "accepted", {
+      actor,
+      actorId: req.user._id,
+      reason,
+      io: req.app.get('io'),
+      apply: (o) => {
+        o.deliveryPartner = deliveryPartnerId;
+        if (o.dispatch?.status) {
+          o.dispatch.status = 'assigned';
+          o.dispatch.updatedAt = new Date();
+        }
+      }
+    });
 
-    // Emit socket event for real-time updates
-    req.app.get('io').to(`branch-${order.branch}`).emit('orderAcceptedByOther', orderId);
-    req.app.get('io').to(orderId).emit('orderStatusUpdated', order);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+    await cancelOpenOffer(order._id, reason);
 
     return res.status(200).json({
       message: "Order accepted successfully",
@@ -751,19 +1018,25 @@ export const pickupOrder = async (req, res) => {
         }
 
         // Update order status to in-progress (picked up from branch)
-        order.status = "in-progress";
-        order.deliveryStatus = "On The Way";
-        order.deliveryPersonLocation = pickupLocation || {
-            latitude: order.pickupLocation.latitude,
-            longitude: order.pickupLocation.longitude,
-            address: order.pickupLocation.address
-        };
-        order.updatedAt = new Date();
+        const result = await transitionOrder(order, "in-progress", {
+            actor: actorFromUser(req.user),
+            actorId: req.user._id,
+            reason: "Picked up from branch",
+            io: req.app.get('io'),
+            apply: (o) => {
+                o.deliveryPersonLocation = pickupLocation || {
+                    latitude: o.pickupLocation.latitude,
+                    longitude: o.pickupLocation.longitude,
+                    address: o.pickupLocation.address
+                };
+            }
+        });
 
-        await order.save();
+        if (!result.success) {
+            return res.status(result.statusCode).json({ message: result.message });
+        }
 
         // Emit socket event for real-time updates
-        req.app.get('io').to(orderId).emit('orderStatusUpdated', order);
         req.app.get('io').to(order.customer.toString()).emit('orderPickedUp', order);
         // Emit to branch room for delivery partner updates
         req.app.get('io').to(`branch-${order.branch}`).emit('orderPickedUp', {
@@ -785,7 +1058,7 @@ export const pickupOrder = async (req, res) => {
 export const markOrderAsDelivered = async (req, res) => {
     try {
         const { orderId } = req.params;
-        const { deliveryPartnerId, deliveryLocation } = req.body;
+        const { deliveryPartnerId, deliveryLocation, handoverCode, photo, cashCollected } = req.body;
 
         if (!deliveryPartnerId) {
             return res.status(400).json({ message: "Delivery partner ID is required" });
@@ -796,42 +1069,25 @@ export const markOrderAsDelivered = async (req, res) => {
             return res.status(404).json({ message: "Order not found" });
         }
 
-        if (order.status !== "in-progress") {
-            return res.status(400).json({ message: "Order must be in-progress before marking as delivered" });
-        }
-
-        if (order.deliveryPartner.toString() !== deliveryPartnerId) {
-            return res.status(403).json({ message: "Only assigned delivery partner can mark this order as delivered" });
-        }
+        // A valid handover code or doorstep photo closes the order as delivered
+        const result = await deliverOrder(order, {
+            partnerId: deliveryPartnerId,
+            actor: actorFromUser(req.user),
+            actorId: req.user._id,
+            deliveryLocation,
+            handoverCode,
+            photo,
+            cashCollected,
+            io: req.app.get('io'),
+        });
 
-        // Update order status to awaitconfirmation (waiting for customer confirmation)
-        order.status = "awaitconfirmation";
-        order.deliveryStatus = "Delivered";
-
-        // Save final delivery coordinates to database
-        const finalLocation = deliveryLocation || order.deliveryPersonLocation;
-        if (finalLocation) {
-            order.deliveryPersonLocation = {
-                ...finalLocation,
-                timestamp: new Date(),
-                isFinalLocation: true, // Mark this as the final delivery location
-                deliveredAt: new Date()
-            };
-            console.log(`📍 Final delivery location saved for order ${order.orderId}:`, finalLocation);
+        if (!result.success) {
+            const { success, statusCode, ...details } = result;
+            return res.status(statusCode).json(details);
         }
 
-        order.updatedAt = new Date();
-
-        await order.save();
-
-        // Emit socket event for real-time updates
-        req.app.get('io').to(orderId).emit('orderStatusUpdated', order);
-        req.app.get('io').to(order.customer.toString()).emit('awaitingCustomerConfirmation', order);
-
-        console.log(`📦 Order ${order.orderId} marked as delivered - socket events emitted`);
-
         return res.status(200).json({
-            message: "Order marked as delivered, waiting for customer confirmation",
+            message: "Order delivered",
             order: order
         });
     } catch (error) {
@@ -849,6 +1105,11 @@ export const getAvailableOrders = async (req, res) => {
       return res.status(400).json({ message: "Branch ID is required" });
     }
 
+    // Partners only see new orders while clocked in and not on a break
+    if (actorFromUser(req.user) === ACTORS.PARTNER && !isOnDuty(req.user)) {
+      return res.status(403).json({ message: "Clock in to see available orders", error: "OFF_DUTY" });
+    }
+
     // Debug: Check all orders for this branch first
     const allBranchOrders = await Order.find({ branch: branchId });
     console.log(`🔍 All orders for branch ${branchId}:`, allBranchOrders.map(order => ({
@@ -859,12 +1120,25 @@ export const getAvailableOrders = async (req, res) => {
     })));
 
     // Find all pending orders from this branch that are not assigned to any delivery partner
-    const availableOrders = await Order.find({
+    const branchOrders = await Order.find({
       branch: branchId,
       status: 'pending',
-      $or: [
-        { deliveryPartner: { $exists: false } }, // Orders not yet assigned to any delivery partner
-        { deliveryPartner: null } // Orders with null delivery partner
+      $and: [
+        {
+          $or: [
+            { deliveryPartner: { $exists: false } }, // Orders not yet assigned to any delivery partner
+            { deliveryPartner: null } // Orders with null delivery partner
+          ]
+        },
+        {
+          $or: [
+            { scheduledFor: { $exists: false } }, // Deliver as soon as possible
+            { scheduledFor: null },
+            { scheduledFor: { $lt: addDays(startOfDay(), 1) } } // Scheduled for today or earlier
+          ]
+        },
+        PAYMENT_CLEARED_FILTER, // Online orders only once paid
+        { 'dispatch.status': { $ne: 'offering' } } // Auto-dispatch: not while offered to one partner
       ]
     })
     .populate('customer', 'name phone address')
@@ -872,6 +1146,19 @@ export const getAvailableOrders = async (req, res) => {
     .populate('items.product', 'name price images')
     .sort({ createdAt: -1 });
 
+    // Hide orders whose delivery day falls inside the customer's vacation pause
+    const customerIds = [...new Set(branchOrders.map(order => order.customer?._id?.toString()).filter(Boolean))];
+    const customersWithPauses = await Customer.find({
+      _id: { $in: customerIds },
+      'deliveryPauses.0': { $exists: true }
+    }).select('deliveryPauses');
+    const pausesByCustomer = new Map(customersWithPauses.map(c => [c._id.toString(), c]));
+
+    const availableOrders = branchOrders.filter(order => {
+      const customer = pausesByCustomer.get(order.customer?._id?.toString());
+      return !customer || !findActivePause(customer, order.scheduledFor || new Date());
+    });
+
     console.log(`🔍 Found ${availableOrders.length} available orders for branch: ${branchId}`);
     console.log(`🔍 Available orders:`, availableOrders.map(order => ({
       _id: order._id,
@@ -988,6 +1275,12 @@ export const updateDeliveryPartnerLocation = async (req, res) => {
       return res.status(403).json({ message: "Only assigned delivery partner can update location" });
     }
 
+    // Dispatch ranks partners by where they last reported being
+    await DeliveryPartner.updateOne(
+      { _id: deliveryPartnerId },
+      { $set: { liveLocation: { latitude: location.latitude, longitude: location.longitude, updatedAt: new Date() } } }
+    );
+
     // Update order location with additional metadata
     order.deliveryPersonLocation = {
       ...location,
@@ -1205,25 +1498,11 @@ export const getGoogleMapsDirections = async (req, res) => {
   }
 };
 
-// Helper function to calculate distance between two points
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Radius of the Earth in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c; // Distance in kilometers
-  return distance;
-};
-
 // Cancel order with proper socket cleanup
 export const cancelOrder = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { reason, cancelledBy } = req.body; // cancelledBy: 'customer' or 'delivery_partner'
+    const { reason } = req.body;
 
     if (!reason) {
       return res.status(400).json({ message: "Cancellation reason is required" });
@@ -1235,68 +1514,22 @@ export const cancelOrder = async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (['delivered', 'cancelled'].includes(order.status)) {
+    if (TERMINAL_STATUSES.includes(order.status)) {
       return res.status(400).json({ message: "Order cannot be cancelled" });
     }
 
-    // Update order status
-    order.status = 'cancelled';
-    order.cancellationReason = reason;
-    order.cancelledBy = cancelledBy || 'customer';
-    order.cancelledAt = new Date();
-    order.updatedAt = new Date();
-
-    // Restore stock for all items
-    try {
-      for (const item of order.items) {
-        if (item?.product && item?.unitsBought) {
-          await Product.updateOne({ _id: item.product }, { $inc: { stock: item.unitsBought } });
-        }
-      }
-    } catch (restoreErr) {
-      console.error('Stock restoration error on cancel:', restoreErr);
-    }
-
-    await order.save();
-
-    // Emit cancellation events
-    req.app.get('io').to(order.customer.toString()).emit('orderCancelled', {
-      orderId: order._id,
-      orderNumber: order.orderId,
-      reason: reason,
-      cancelledBy: cancelledBy,
-      message: 'Order has been cancelled'
+    // Stock and wallet release plus cancellation events are lifecycle side effects
+    const result = await transitionOrder(order, 'cancelled', {
+      actor: actorFromUser(req.user),
+      actorId: req.user._id,
+      reason,
+      io: req.app.get('io')
     });
 
-    if (order.deliveryPartner) {
-      req.app.get('io').to(order.deliveryPartner.toString()).emit('orderCancelled', {
-        orderId: order._id,
-        orderNumber: order.orderId,
-        reason: reason,
-        cancelledBy: cancelledBy,
-        message: 'Order has been cancelled'
-      });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
     }
 
-    // Close socket connections for this order
-    req.app.get('io').to(orderId).emit('orderCompleted', {
-      orderId: order._id,
-      status: 'cancelled',
-      message: 'Order has been cancelled'
-    });
-
-    // Remove clients from order-specific rooms
-    const orderRoom = `order-${orderId}`;
-    req.app.get('io').socketsLeave(orderRoom);
-
-    // Emit to branch room for other delivery partners
-    req.app.get('io').to(`branch-${order.branch}`).emit('orderCancelled', {
-      orderId: order._id,
-      orderNumber: order.orderId,
-      reason: reason,
-      cancelledBy: cancelledBy
-    });
-
     console.log(`❌ Order ${order.orderId} cancelled - socket connections closed`);
 
     return res.status(200).json({
@@ -1,12 +1,30 @@
 import razorpay from '../config/razorpay.js';
 import crypto from 'crypto';
 import Order from '../models/order.js'; // Import the Order model
+import Refund from '../models/refund.js';
+import { Customer } from '../models/user.js';
+import { creditTopupPayment } from '../services/walletService.js';
+import { commitReservations, releaseReservations } from '../services/inventoryService.js';
+import {
+    verifyWebhookSignature,
+    webhookEventId,
+    claimWebhookEvent,
+    handleWebhookEvent,
+    refundLatePayment
+} from '../services/paymentWebhookService.js';
+import { issueRefund } from '../services/refundService.js';
+import { ACTORS, actorFromUser } from '../services/orderLifecycle.js';
+import { releaseOrderToPartners } from '../services/dispatchService.js';
 
 import mongoose from 'mongoose';
 
+const WALLET_TOPUP_LIMIT = 10000; // Maximum single top-up in INR
+
 // Enhanced payment order creation with validation
 export const createOrder = async (req, res) => {
     const { amount, currency, receipt, orderType, orderId } = req.body;
+    // Top-ups go to the signed-in customer's wallet; a customerId in the body is ignored
+    const customerId = orderType === 'walletTopup' ? req.user?._id : undefined;
 
     // Enhanced validation
     if (!amount || !currency || !receipt) {
@@ -59,8 +77,15 @@ export const createOrder = async (req, res) => {
                 });
             }
 
-            // Validate amount matches order total (items + delivery fee)
-            const expectedAmount = Number(order.totalPrice || 0) + Number(order.deliveryFee || 0);
+            if (order.paymentDeadline && order.paymentDeadline <= new Date()) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: "The payment window for this order has closed" 
+                });
+            }
+
+            // Validate amount matches order total (items + delivery fee - discount)
+            const expectedAmount = order.amountPayable;
             if (Math.abs(numericAmount - expectedAmount) > 0.01) { // Allow small floating point differences
                 return res.status(400).json({ 
                     success: false,
@@ -69,6 +94,31 @@ export const createOrder = async (req, res) => {
             }
         }
 
+        // Wallet top-ups are credited to the customer recorded in the Razorpay order notes
+        if (orderType === 'walletTopup') {
+            if (!customerId) {
+                return res.status(401).json({ 
+                    success: false,
+                    error: "Sign in to top up your wallet" 
+                });
+            }
+
+            if (numericAmount > WALLET_TOPUP_LIMIT) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: `Wallet top-up cannot exceed ₹${WALLET_TOPUP_LIMIT}` 
+                });
+            }
+
+            const customer = await Customer.exists({ _id: customerId });
+            if (!customer) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: "Customer not found" 
+                });
+            }
+        }
+
         // Special handling for addProduct order type (no existing order validation needed)
         if (orderType === 'addProduct') {
             console.log('✅ Creating Razorpay order for add product payment:', { 
@@ -86,6 +136,7 @@ export const createOrder = async (req, res) => {
             receipt: receipt,
             notes: {
                 orderId: orderId || null,
+                customerId: customerId ? customerId.toString() : null,
                 orderType: orderType || 'regular',
                 timestamp: new Date().toISOString()
             }
@@ -98,6 +149,11 @@ export const createOrder = async (req, res) => {
             currency: order.currency,
             status: order.status
         });
+
+        // Lets the payment webhooks find the app order even if the client never verifies
+        if (orderId) {
+            await Order.updateOne({ _id: orderId }, { $set: { 'paymentDetails.razorpayOrderId': order.id } });
+        }
         
         res.json({
             success: true,
@@ -117,7 +173,7 @@ export const verifyPayment = async (req, res) => {
     const session = await mongoose.startSession();
     
     try {
-        const { order_id, payment_id, signature, appOrderId, amount, isAddProductPayment } = req.body;
+        const { order_id, payment_id, signature, appOrderId, isAddProductPayment, orderType } = req.body;
 
         // Enhanced validation
         if (!order_id || !payment_id || !signature) {
@@ -148,20 +204,57 @@ export const verifyPayment = async (req, res) => {
             });
         }
 
+        // Wallet top-up: credit the ledger (once per Razorpay payment)
+        if (orderType === 'walletTopup') {
+            const topupResult = await processWalletTopup(order_id, payment_id);
+            if (!topupResult.success) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: topupResult.error 
+                });
+            }
+
+            return res.json({ 
+                success: true, 
+                message: "Wallet topped up successfully",
+                order_id,
+                payment_id,
+                balance: topupResult.balance
+            });
+        }
+
         // Start transaction for atomic operations
         await session.startTransaction();
 
         // Process order payment
+        let orderResult = null;
         if (appOrderId) {
-            const orderResult = await processOrderPayment(appOrderId, {
+            orderResult = await processOrderPayment(appOrderId, {
                 order_id,
                 payment_id,
-                signature,
-                amount
+                signature
             }, session);
 
             if (!orderResult.success) {
                 await session.abortTransaction();
+
+                if (orderResult.latePayment) {
+                    try {
+                        await refundLatePayment(orderResult.latePayment.order, {
+                            razorpayOrderId: order_id,
+                            razorpayPaymentId: payment_id,
+                            amount: orderResult.latePayment.amount
+                        });
+                    } catch (refundError) {
+                        // The payment webhook retries the refund
+                        console.error(`Refund of late payment ${payment_id} failed:`, refundError);
+                    }
+                    return res.status(409).json({ 
+                        success: false,
+                        error: orderResult.error 
+                    });
+                }
+
                 return res.status(400).json({ 
                     success: false,
                     error: orderResult.error 
@@ -174,6 +267,17 @@ export const verifyPayment = async (req, res) => {
         // Commit transaction
         await session.commitTransaction();
 
+        // Paid: turn the order's stock hold into a real deduction and offer the order to partners
+        if (appOrderId) {
+            const stockResult = await commitReservations(appOrderId, { io: req.app.get('io') });
+            if (!stockResult.success) {
+                console.error(`⚠️ Paid order ${appOrderId} could not commit its stock:`, stockResult.error);
+            }
+            if (orderResult.order) {
+                await releaseOrderToPartners(orderResult.order, { io: req.app.get('io') });
+            }
+        }
+
         res.json({ 
             success: true, 
             message: "Payment verified successfully",
@@ -196,6 +300,54 @@ export const verifyPayment = async (req, res) => {
     }
 };
 
+// Checkout failed or was abandoned on the client: release the order's stock hold
+export const reportPaymentFailure = async (req, res) => {
+    try {
+        const { appOrderId, reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(appOrderId)) {
+            return res.status(400).json({ 
+                success: false,
+                error: "Invalid order ID format" 
+            });
+        }
+
+        const order = await Order.findById(appOrderId);
+        if (!order || order.customer.toString() !== req.user._id.toString()) {
+            return res.status(404).json({ 
+                success: false,
+                error: "Order not found" 
+            });
+        }
+
+        if (order.paymentStatus !== 'pending') {
+            return res.status(400).json({ 
+                success: false,
+                error: `Payment cannot be marked failed. Payment status: ${order.paymentStatus}` 
+            });
+        }
+
+        order.paymentStatus = 'failed';
+        order.updatedAt = new Date();
+        await order.save();
+
+        const released = await releaseReservations(order._id, 'payment_failed');
+        console.log(`💳 Payment failed for order ${order.orderId} (${reason || 'no reason given'}), ${released} hold(s) released`);
+
+        res.json({
+            success: true,
+            message: "Payment failure recorded",
+            orderId: order._id
+        });
+    } catch (error) {
+        console.error("Report payment failure error:", error);
+        res.status(500).json({ 
+            success: false, 
+            error: "Internal server error" 
+        });
+    }
+};
+
 // Get payment status for an order
 export const getPaymentStatus = async (req, res) => {
     try {
@@ -234,34 +386,61 @@ export const getPaymentStatus = async (req, res) => {
     }
 };
 
-// Refund payment (admin functionality)
+// Refund an order (admin): the whole remaining amount, a given amount, or line items
 export const refundPayment = async (req, res) => {
     try {
-        const { paymentId, amount, reason } = req.body;
+        const { orderId, amount, lines, reason } = req.body;
 
-        if (!paymentId) {
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
             return res.status(400).json({ 
                 success: false,
-                error: "Payment ID is required" 
+                error: "Invalid order ID format" 
             });
         }
 
-        const refundData = {
-            payment_id: paymentId,
-            amount: amount ? Math.round(Number(amount) * 100) : undefined, // Convert to paise
-            notes: {
-                reason: reason || 'Customer request',
-                refundedAt: new Date().toISOString()
-            }
-        };
+        if (amount !== undefined && !(Number.isFinite(Number(amount)) && Number(amount) > 0)) {
+            return res.status(400).json({ 
+                success: false,
+                error: "Amount must be a positive number" 
+            });
+        }
 
-        const refund = await razorpay.payments.refund(paymentId, refundData);
-        console.log("Refund processed:", refund);
+        if (lines !== undefined && (!Array.isArray(lines) || lines.some(l => !mongoose.Types.ObjectId.isValid(l?.itemId)))) {
+            return res.status(400).json({ 
+                success: false,
+                error: "lines must be a list of { itemId, quantity }" 
+            });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({ 
+                success: false,
+                error: "Order not found" 
+            });
+        }
+
+        const result = await issueRefund(order, {
+            amount: amount === undefined ? undefined : Number(amount),
+            lines,
+            reason,
+            actor: ACTORS.ADMIN,
+            adminId: req.user._id
+        });
+
+        if (!result.success) {
+            return res.status(400).json({ 
+                success: false,
+                error: result.error,
+                refund: result.refund
+            });
+        }
 
         res.json({
             success: true,
-            message: "Refund processed successfully",
-            refund
+            message: result.refund.status === 'processed' ? "Refund processed successfully" : "Refund initiated",
+            refund: result.refund,
+            paymentStatus: order.paymentStatus
         });
 
     } catch (error) {
@@ -273,10 +452,115 @@ export const refundPayment = async (req, res) => {
     }
 };
 
+// Refunds of an order (its customer or an admin)
+export const getOrderRefunds = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ 
+                success: false,
+                error: "Invalid order ID format" 
+            });
+        }
+
+        const order = await Order.findById(orderId).select('orderId customer paymentStatus paymentDetails');
+        if (!order) {
+            return res.status(404).json({ 
+                success: false,
+                error: "Order not found" 
+            });
+        }
+
+        if (actorFromUser(req.user) !== ACTORS.ADMIN && order.customer.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ 
+                success: false,
+                error: "You are not authorized to view this order" 
+            });
+        }
+
+        const refunds = await Refund.find({ order: order._id }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            orderId: order._id,
+            paymentStatus: order.paymentStatus,
+            refundedAmount: order.paymentDetails?.refundAmount || 0,
+            refunds
+        });
+    } catch (error) {
+        console.error("Get order refunds error:", error);
+        res.status(500).json({ 
+            success: false, 
+            error: "Internal server error" 
+        });
+    }
+};
+
+// Razorpay webhook: payment and refund events, verified against RAZORPAY_WEBHOOK_SECRET.
+// Keeps orders in step when the app never calls /verify-payment (e.g. it crashed after paying).
+export const razorpayWebhook = async (req, res) => {
+    const signature = req.get('X-Razorpay-Signature');
+    if (!verifyWebhookSignature(req.rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET)) {
+        console.error("Razorpay webhook rejected - invalid signature");
+        return res.status(400).json({ 
+            success: false,
+            error: "Invalid webhook signature" 
+        });
+    }
+
+    const { event } = req.body;
+    const eventId = webhookEventId(req.get('X-Razorpay-Event-Id'), req.rawBody);
+    let record = null;
+
+    try {
+        record = await claimWebhookEvent(eventId, event);
+        if (!record) {
+            return res.json({ success: true, duplicate: true });
+        }
+
+        const outcome = await handleWebhookEvent(req.body, { io: req.app.get('io') });
+
+        record.status = outcome.status;
+        record.result = outcome.result;
+        record.order = outcome.order?._id;
+        record.razorpayOrderId = req.body.payload?.payment?.entity?.order_id;
+        record.razorpayPaymentId = req.body.payload?.payment?.entity?.id || req.body.payload?.refund?.entity?.payment_id;
+        record.razorpayRefundId = req.body.payload?.refund?.entity?.id;
+        record.processedAt = new Date();
+        await record.save();
+
+        res.json({ success: true, status: outcome.status });
+    } catch (error) {
+        console.error(`Razorpay webhook ${event} (${eventId}) error:`, error);
+        if (record) {
+            record.status = 'failed';
+            record.result = error.message;
+            await record.save().catch(saveError => console.error("Webhook event save error:", saveError));
+        }
+        // A non-2xx response makes Razorpay deliver the event again
+        res.status(500).json({ 
+            success: false, 
+            error: "Internal server error" 
+        });
+    }
+};
+
+// The Razorpay order was made for this app order: /create-order saved its id on
+// the order, or put the order's id in its notes or receipt
+const isPaymentForOrder = (order, razorpayOrder) => {
+    const appOrderId = order._id.toString();
+    return Boolean(razorpayOrder?.id) && (
+        order.paymentDetails?.razorpayOrderId === razorpayOrder.id ||
+        razorpayOrder.notes?.orderId === appOrderId ||
+        razorpayOrder.receipt === appOrderId
+    );
+};
+
 // Process order payment with validation
 async function processOrderPayment(orderId, paymentData, session) {
     try {
-        const { order_id, payment_id, signature, amount } = paymentData;
+        const { order_id, payment_id, signature } = paymentData;
 
         // Validate order ID format
         if (!mongoose.Types.ObjectId.isValid(orderId)) {
@@ -289,44 +573,67 @@ async function processOrderPayment(orderId, paymentData, session) {
             return { success: false, error: "Order not found" };
         }
 
+        // The amount captured is the Razorpay order's, which the signature vouches for;
+        // refunds and reconciliation work from it, so the client's figure is not used
+        const razorpayOrder = await razorpay.orders.fetch(order_id);
+        const paidAmount = Number(razorpayOrder?.amount) / 100;
+
+        // A valid signature only proves the payment is real; it must also be for this order
+        if (!isPaymentForOrder(order, razorpayOrder)) {
+            console.error(`Payment ${payment_id} (Razorpay order ${order_id}) does not belong to order ${orderId}`);
+            return { success: false, error: "Payment does not belong to this order" };
+        }
+
+        // Cancelled before the money arrived (e.g. the payment deadline passed): refunded by the caller
+        if (order.status === 'cancelled') {
+            return {
+                success: false,
+                error: "The order was cancelled before the payment arrived; the payment is being refunded",
+                latePayment: { order, amount: paidAmount }
+            };
+        }
+
         // Check if order is in a state that allows payment verification
         if (!['pending', 'created'].includes(order.status)) {
             return { success: false, error: `Order cannot be verified. Current status: ${order.status}` };
         }
-
-        // Validate amount if provided (totalPrice already includes deliveryFee)
-        if (amount) {
-            const expectedAmount = order.totalPrice;
-            const receivedAmount = Number(amount);
-            if (Math.abs(receivedAmount - expectedAmount) > 0.01) {
-                return { success: false, error: `Amount mismatch. Expected: ${expectedAmount}, Received: ${receivedAmount}` };
-            }
+        if (!(Math.abs(paidAmount - order.amountPayable) <= 0.01)) {
+            return { success: false, error: `Amount mismatch. Expected: ${order.amountPayable}, Received: ${paidAmount}` };
         }
 
-        // Check for duplicate payment processing
+        // Check for duplicate payment processing; the webhook may have recorded this payment first
         if (order.paymentStatus === 'verified' || order.paymentStatus === 'completed') {
+            if (order.paymentDetails?.razorpayPaymentId === payment_id) {
+                return { success: true, alreadyPaid: true };
+            }
             return { success: false, error: "Payment already processed for this order" };
         }
 
         // Update order with payment information
         order.paymentStatus = 'verified';
-        order.paymentDetails = {
-            razorpayOrderId: order_id,
-            razorpayPaymentId: payment_id,
-            razorpaySignature: signature,
-            verifiedAt: new Date(),
-            amount: amount || order.totalPrice
-        };
+        order.paymentDetails.razorpayOrderId = order_id;
+        order.paymentDetails.razorpayPaymentId = payment_id;
+        order.paymentDetails.razorpaySignature = signature;
+        order.paymentDetails.verifiedAt = new Date();
+        order.paymentDetails.amount = paidAmount;
         order.updatedAt = new Date();
 
         await order.save({ session });
         console.log(`Order ${orderId} payment verified and status updated to accepted.`);
 
-        return { success: true };
+        return { success: true, order };
     } catch (error) {
         console.error("Process order payment error:", error);
         return { success: false, error: "Failed to process order payment" };
     }
 }
 
-
+// Credit a verified Razorpay top-up payment to the wallet (once per payment)
+async function processWalletTopup(razorpayOrderId, razorpayPaymentId) {
+    try {
+        return await creditTopupPayment(razorpayOrderId, razorpayPaymentId);
+    } catch (error) {
+        console.error("Process wallet top-up error:", error);
+        return { success: false, error: "Failed to process wallet top-up" };
+    }
+}
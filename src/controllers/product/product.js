@@ -1,4 +1,6 @@
+import mongoose from "mongoose";
 import Product from "../../models/product.js";
+import { getBranchStockMap } from "../../services/inventoryService.js";
 
 // Helper function to format product pricing based on user subscription
 const formatProductPricing = (product, isSubscriber) => {
@@ -22,6 +24,8 @@ const formatProductPricing = (product, isSubscriber) => {
     unitPerSubscription: obj.unitPerSubscription,
     tags: obj.tags,
     lowStockThreshold: obj.lowStockThreshold,
+    hsnCode: obj.hsnCode,
+    gstRate: obj.gstRate,
   };
 
   // Only show wholesale pricing to subscribed users
@@ -36,10 +40,33 @@ const formatProductPricing = (product, isSubscriber) => {
   return response;
 };
 
+// When the client picks a branch, report that branch's stock instead of the global total
+const withBranchAvailability = async (formatted, branchId) => {
+  if (!branchId) {
+    return formatted;
+  }
+
+  const stockMap = await getBranchStockMap(branchId, formatted.map(p => p._id));
+  return formatted.map(p => {
+    const level = stockMap.get(p._id.toString()) || { stock: 0, reserved: 0, available: 0 };
+    return {
+      ...p,
+      stock: level.available,
+      availability: { branch: branchId, ...level, inStock: level.available > 0 }
+    };
+  });
+};
+
+const isInvalidBranchId = (branchId) => branchId !== undefined && !mongoose.Types.ObjectId.isValid(branchId);
+
 // Get products by category ID
 export const getProductByCategoryId = async (req, res) => {
   const { categoryId } = req.params;
-  const { page = 1, limit = 20, sort = 'createdAt', order = 'desc' } = req.query;
+  const { page = 1, limit = 20, sort = 'createdAt', order = 'desc', branchId } = req.query;
+
+  if (isInvalidBranchId(branchId)) {
+    return res.status(400).json({ message: "Invalid branch ID" });
+  }
 
   try {
     const sortOrder = order === 'desc' ? -1 : 1;
@@ -62,7 +89,7 @@ export const getProductByCategoryId = async (req, res) => {
     });
 
     const isSubscriber = !!req.user?.isSubscription;
-    const filtered = products.map(p => formatProductPricing(p, isSubscriber));
+    const filtered = await withBranchAvailability(products.map(p => formatProductPricing(p, isSubscriber)), branchId);
 
     return res.status(200).json({
       products: filtered,
@@ -93,9 +120,14 @@ export const getAllProducts = async (req, res) => {
     brand,
     minPrice,
     maxPrice,
-    search
+    search,
+    branchId
   } = req.query;
 
+  if (isInvalidBranchId(branchId)) {
+    return res.status(400).json({ message: "Invalid branch ID" });
+  }
+
   try {
     const sortOrder = order === 'desc' ? -1 : 1;
     const skip = (page - 1) * limit;
@@ -147,7 +179,7 @@ export const getAllProducts = async (req, res) => {
     const total = await Product.countDocuments(filter);
 
     const isSubscriber = !!req.user?.isSubscription;
-    const filtered = products.map(p => formatProductPricing(p, isSubscriber));
+    const filtered = await withBranchAvailability(products.map(p => formatProductPricing(p, isSubscriber)), branchId);
 
     return res.status(200).json({
       products: filtered,
@@ -168,6 +200,11 @@ export const getAllProducts = async (req, res) => {
 // Get product by ID with full details
 export const getProductById = async (req, res) => {
   const { productId } = req.params;
+  const { branchId } = req.query;
+
+  if (isInvalidBranchId(branchId)) {
+    return res.status(400).json({ message: "Invalid branch ID" });
+  }
 
   try {
     const product = await Product.findById(productId)
@@ -180,7 +217,7 @@ export const getProductById = async (req, res) => {
     }
 
     const isSubscriber = !!req.user?.isSubscription;
-    const response = formatProductPricing(product, isSubscriber);
+    const [response] = await withBranchAvailability([formatProductPricing(product, isSubscriber)], branchId);
     
     // Add additional details for single product view
     response.tags = product.tags;
@@ -245,9 +282,14 @@ export const searchProducts = async (req, res) => {
     page = 1,
     limit = 20,
     sort = 'createdAt',
-    order = 'desc'
+    order = 'desc',
+    branchId
   } = req.query;
 
+  if (isInvalidBranchId(branchId)) {
+    return res.status(400).json({ message: "Invalid branch ID" });
+  }
+
   try {
     const sortOrder = order === 'desc' ? -1 : 1;
     const skip = (page - 1) * limit;
@@ -293,7 +335,7 @@ export const searchProducts = async (req, res) => {
     const total = await Product.countDocuments(filter);
 
     const isSubscriber = !!req.user?.isSubscription;
-    const filtered = products.map(p => formatProductPricing(p, isSubscriber));
+    const filtered = await withBranchAvailability(products.map(p => formatProductPricing(p, isSubscriber)), branchId);
 
     return res.status(200).json({
       products: filtered,
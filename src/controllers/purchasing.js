@@ -0,0 +1,391 @@
+import mongoose from "mongoose";
+import Branch from "../models/branch.js";
+import Product from "../models/product.js";
+import Supplier from "../models/supplier.js";
+import PurchaseOrder from "../models/purchaseOrder.js";
+import { receiveGoods, suggestReorders } from "../services/purchaseOrderService.js";
+
+const SUPPLIER_FIELDS = ['name', 'contactName', 'phone', 'email', 'address', 'products', 'leadTimeDays', 'isActive'];
+
+const pick = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Validate purchase order lines; returns { lines } or { error }
+const parseLines = async (lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { error: "At least one line is required" };
+  }
+
+  const parsed = [];
+  for (const line of lines) {
+    const quantityOrdered = Number(line.quantityOrdered);
+    const unitCost = Number(line.unitCost);
+
+    if (!mongoose.Types.ObjectId.isValid(line.product)) {
+      return { error: "Each line needs a valid product ID" };
+    }
+    if (!(Number.isInteger(quantityOrdered) && quantityOrdered > 0)) {
+      return { error: "quantityOrdered must be a positive whole number" };
+    }
+    if (!(Number.isFinite(unitCost) && unitCost >= 0)) {
+      return { error: "unitCost must be a non-negative number" };
+    }
+    if (parsed.some(p => p.product === String(line.product))) {
+      return { error: "Each product can only appear once per purchase order" };
+    }
+    parsed.push({ product: String(line.product), quantityOrdered, unitCost });
+  }
+
+  const found = await Product.countDocuments({ _id: { $in: parsed.map(p => p.product) } });
+  if (found !== parsed.length) {
+    return { error: "One or more products were not found" };
+  }
+
+  return { lines: parsed };
+};
+
+const findPurchaseOrder = async (purchaseOrderId) => {
+  if (!mongoose.Types.ObjectId.isValid(purchaseOrderId)) {
+    return null;
+  }
+  return PurchaseOrder.findById(purchaseOrderId);
+};
+
+export const createSupplier = async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ message: "Supplier name is required" });
+    }
+
+    const supplier = await Supplier.create(pick(req.body, SUPPLIER_FIELDS));
+    return res.status(201).json({ message: "Supplier created successfully", supplier });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "A supplier with this name already exists" });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Create supplier error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getSuppliers = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+    if (req.query.productId && mongoose.Types.ObjectId.isValid(req.query.productId)) {
+      filter.products = req.query.productId;
+    }
+
+    const suppliers = await Supplier.find(filter).sort({ name: 1 });
+    return res.status(200).json({ suppliers });
+  } catch (error) {
+    console.error("Get suppliers error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getSupplierById = async (req, res) => {
+  try {
+    const { supplierId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+      return res.status(400).json({ message: "Invalid supplier ID" });
+    }
+
+    const supplier = await Supplier.findById(supplierId).populate('products', 'name quantityValue quantityUnit');
+    if (!supplier) {
+      return res.status(404).json({ message: "Supplier not found" });
+    }
+
+    return res.status(200).json({ supplier });
+  } catch (error) {
+    console.error("Get supplier error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const updateSupplier = async (req, res) => {
+  try {
+    const { supplierId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+      return res.status(400).json({ message: "Invalid supplier ID" });
+    }
+
+    const supplier = await Supplier.findByIdAndUpdate(
+      supplierId,
+      { $set: pick(req.body, SUPPLIER_FIELDS) },
+      { new: true, runValidators: true }
+    );
+    if (!supplier) {
+      return res.status(404).json({ message: "Supplier not found" });
+    }
+
+    return res.status(200).json({ message: "Supplier updated successfully", supplier });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "A supplier with this name already exists" });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Update supplier error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// New purchase orders start as drafts
+export const createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplierId, branchId, lines, expectedAt, notes } = req.body;
+
+    if (![supplierId, branchId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "supplierId and branchId must be valid IDs" });
+    }
+
+    const [supplier, branch] = await Promise.all([
+      Supplier.findById(supplierId).select('isActive'),
+      Branch.exists({ _id: branchId })
+    ]);
+    if (!supplier) {
+      return res.status(404).json({ message: "Supplier not found" });
+    }
+    if (!supplier.isActive) {
+      return res.status(400).json({ message: "Supplier is not active" });
+    }
+    if (!branch) {
+      return res.status(404).json({ message: "Branch not found" });
+    }
+
+    const parsed = await parseLines(lines);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const purchaseOrder = await PurchaseOrder.create({
+      supplier: supplierId,
+      branch: branchId,
+      lines: parsed.lines,
+      expectedAt,
+      notes,
+      createdBy: req.user._id,
+    });
+
+    return res.status(201).json({ message: "Purchase order created successfully", purchaseOrder });
+  } catch (error) {
+    console.error("Create purchase order error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getPurchaseOrders = async (req, res) => {
+  const { status, branchId, supplierId, page = 1, limit = 20 } = req.query;
+
+  try {
+    if ([branchId, supplierId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Invalid branch or supplier ID" });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (branchId) filter.branch = branchId;
+    if (supplierId) filter.supplier = supplierId;
+
+    const skip = (page - 1) * limit;
+    const purchaseOrders = await PurchaseOrder.find(filter)
+      .select('-receipts')
+      .populate('supplier', 'name')
+      .populate('branch', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await PurchaseOrder.countDocuments(filter);
+
+    return res.status(200).json({
+      purchaseOrders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalPurchaseOrders: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error("Get purchase orders error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getPurchaseOrderById = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req.params.purchaseOrderId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: "Purchase order not found" });
+    }
+
+    await purchaseOrder.populate([
+      { path: 'supplier', select: 'name contactName phone email leadTimeDays' },
+      { path: 'branch', select: 'name' },
+      { path: 'lines.product', select: 'name quantityValue quantityUnit' }
+    ]);
+
+    return res.status(200).json({ purchaseOrder });
+  } catch (error) {
+    console.error("Get purchase order error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Only drafts can be edited
+export const updatePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req.params.purchaseOrderId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: "Purchase order not found" });
+    }
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({ message: "Only draft purchase orders can be edited" });
+    }
+
+    const { lines, expectedAt, notes } = req.body;
+    if (lines !== undefined) {
+      const parsed = await parseLines(lines);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      purchaseOrder.lines = parsed.lines;
+    }
+    if (expectedAt !== undefined) purchaseOrder.expectedAt = expectedAt;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+
+    await purchaseOrder.save();
+    return res.status(200).json({ message: "Purchase order updated successfully", purchaseOrder });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: "Purchase order was changed by someone else, please retry" });
+    }
+    console.error("Update purchase order error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const sendPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req.params.purchaseOrderId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: "Purchase order not found" });
+    }
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({ message: `Cannot send a ${purchaseOrder.status} purchase order` });
+    }
+
+    purchaseOrder.status = 'sent';
+    purchaseOrder.sentAt = new Date();
+    await purchaseOrder.save();
+
+    return res.status(200).json({ message: "Purchase order sent", purchaseOrder });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: "Purchase order was changed by someone else, please retry" });
+    }
+    console.error("Send purchase order error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Orders that have not received anything yet can be cancelled
+export const cancelPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req.params.purchaseOrderId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: "Purchase order not found" });
+    }
+    if (!['draft', 'sent'].includes(purchaseOrder.status)) {
+      return res.status(400).json({ message: `Cannot cancel a ${purchaseOrder.status} purchase order` });
+    }
+
+    purchaseOrder.status = 'cancelled';
+    purchaseOrder.cancelledAt = new Date();
+    if (req.body?.reason) {
+      purchaseOrder.notes = [purchaseOrder.notes, `Cancelled: ${req.body.reason}`].filter(Boolean).join('\n');
+    }
+    await purchaseOrder.save();
+
+    return res.status(200).json({ message: "Purchase order cancelled", purchaseOrder });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: "Purchase order was changed by someone else, please retry" });
+    }
+    console.error("Cancel purchase order error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Goods receipt: { lines: [{ product, quantity, unitCost?, lotNumber?, manufacturedAt?, expiresAt? }], note }
+export const receivePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req.params.purchaseOrderId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: "Purchase order not found" });
+    }
+
+    const result = await receiveGoods(purchaseOrder, req.body.lines, {
+      adminId: req.user._id,
+      note: req.body.note,
+      io: req.app.get('io')
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ message: result.error, failed: result.failed });
+    }
+
+    return res.status(200).json({
+      message: result.failed.length > 0
+        ? "Goods received; some lines could not be added to stock"
+        : "Goods received successfully",
+      purchaseOrder: result.purchaseOrder,
+      failed: result.failed
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: "Purchase order was changed by someone else, please retry" });
+    }
+    console.error("Receive purchase order error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// ?branchId=&days=14
+export const getReorderSuggestions = async (req, res) => {
+  try {
+    const { branchId } = req.query;
+    const days = req.query.days === undefined ? 14 : Number(req.query.days);
+
+    if (!mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({ message: "A valid branchId is required" });
+    }
+    if (!(Number.isInteger(days) && days > 0)) {
+      return res.status(400).json({ message: "days must be a positive whole number" });
+    }
+
+    const branch = await Branch.findById(branchId).select('name');
+    if (!branch) {
+      return res.status(404).json({ message: "Branch not found" });
+    }
+
+    const suggestions = await suggestReorders({ branchId, days });
+
+    return res.status(200).json({
+      message: "Reorder suggestions fetched successfully",
+      branch,
+      days,
+      suggestions
+    });
+  } catch (error) {
+    console.error("Get reorder suggestions error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
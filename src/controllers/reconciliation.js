@@ -0,0 +1,106 @@
+import mongoose from "mongoose";
+import ReconciliationReport from "../models/reconciliationReport.js";
+import { reconcilePayments, reportToCsv } from "../services/reconciliationService.js";
+import { startOfDay, addDays, toDateKey } from "../utils/dateUtils.js";
+
+// from/to are calendar days (YYYY-MM-DD), both inclusive; yesterday when omitted
+const parseRange = ({ from, to }) => {
+  const yesterday = addDays(startOfDay(), -1);
+  const start = from ? startOfDay(from) : yesterday;
+  const end = to ? startOfDay(to) : start;
+  if (isNaN(start) || isNaN(end) || end < start) {
+    return null;
+  }
+  return { from: start, to: addDays(end, 1) };
+};
+
+const findReport = async (reportId) => {
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    return null;
+  }
+  return ReconciliationReport.findById(reportId);
+};
+
+export const runReconciliation = async (req, res) => {
+  try {
+    const range = parseRange(req.body);
+    if (!range) {
+      return res.status(400).json({ message: "from and to must be dates (YYYY-MM-DD) with from on or before to" });
+    }
+
+    const result = await reconcilePayments({ ...range, trigger: 'admin', requestedBy: req.user._id });
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    return res.status(201).json({
+      message: "Reconciliation completed",
+      report: result.report
+    });
+  } catch (error) {
+    console.error("Run reconciliation error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getReconciliationReports = async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  try {
+    const skip = (page - 1) * limit;
+    const reports = await ReconciliationReport.find()
+      .select('-mismatches')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await ReconciliationReport.countDocuments();
+
+    return res.status(200).json({
+      reports,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalReports: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error("Get reconciliation reports error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getReconciliationReportById = async (req, res) => {
+  try {
+    const report = await findReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ message: "Reconciliation report not found" });
+    }
+
+    return res.status(200).json({ report });
+  } catch (error) {
+    console.error("Get reconciliation report error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const exportReconciliationReport = async (req, res) => {
+  try {
+    const report = await findReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ message: "Reconciliation report not found" });
+    }
+
+    const lastDay = toDateKey(addDays(report.to, -1));
+    const filename = `reconciliation-${toDateKey(report.from)}-to-${lastDay}.csv`;
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+    return res.status(200).send(reportToCsv(report));
+  } catch (error) {
+    console.error("Export reconciliation report error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,226 @@
+import mongoose from "mongoose";
+import DeliveryRun from "../models/deliveryRun.js";
+import { createRun, startRun, completeStop, cancelRun, refreshRun } from "../services/runService.js";
+import { ACTORS, actorFromUser } from "../services/orderLifecycle.js";
+
+// What the partner app needs at each door
+const populateStops = (query) => query.populate({
+  path: 'stops.order',
+  select: 'orderId status customer items deliveryLocation amountPayable paymentStatus paymentDetails.method',
+  populate: [
+    { path: 'customer', select: 'name phone' },
+    { path: 'items.product', select: 'name images' },
+  ],
+});
+
+const canViewRun = (req, run) => {
+  const actor = actorFromUser(req.user);
+  return actor === ACTORS.ADMIN ||
+    (actor === ACTORS.PARTNER && run.deliveryPartner.toString() === req.user._id.toString());
+};
+
+// Failed service result: message, error code and details such as amountDue or attemptsLeft
+const sendResult = (res, { success, statusCode, run, order, ...details }) => res.status(statusCode).json(details);
+
+export const createDeliveryRun = async (req, res) => {
+  try {
+    const { branchId } = req.params;
+    const { deliveryPartnerId, orderIds } = req.body;
+
+    if (![branchId, deliveryPartnerId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Valid branch and delivery partner IDs are required" });
+    }
+    if (!Array.isArray(orderIds) || orderIds.length === 0 || !orderIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "orderIds must be a non-empty list of order IDs" });
+    }
+
+    const result = await createRun({
+      branchId,
+      partnerId: deliveryPartnerId,
+      orderIds,
+      adminId: req.user._id,
+      io: req.app.get('io'),
+    });
+    if (!result.success) {
+      return sendResult(res, result);
+    }
+
+    return res.status(201).json({
+      message: "Delivery run created",
+      run: await populateStops(DeliveryRun.findById(result.run._id)),
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error("Create delivery run error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getBranchRuns = async (req, res) => {
+  const { branchId } = req.params;
+  const { status, deliveryPartnerId, page = 1, limit = 20 } = req.query;
+
+  try {
+    if ([branchId, deliveryPartnerId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Invalid branch or delivery partner ID" });
+    }
+
+    const filter = { branch: branchId };
+    if (status) filter.status = status;
+    if (deliveryPartnerId) filter.deliveryPartner = deliveryPartnerId;
+
+    const skip = (page - 1) * limit;
+    const runs = await DeliveryRun.find(filter)
+      .populate('deliveryPartner', 'name phone')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await DeliveryRun.countDocuments(filter);
+
+    return res.status(200).json({
+      runs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalRuns: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error("Get branch runs error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Planned and in-progress runs of the signed-in partner
+export const getMyRuns = async (req, res) => {
+  try {
+    if (actorFromUser(req.user) !== ACTORS.PARTNER) {
+      return res.status(403).json({ message: "Only delivery partners have runs" });
+    }
+
+    const runs = await DeliveryRun.find({
+      deliveryPartner: req.user._id,
+      status: { $in: ['planned', 'in_progress'] }
+    }).sort({ createdAt: 1 });
+    for (const run of runs) {
+      await refreshRun(run);
+    }
+
+    return res.status(200).json({
+      runs: await populateStops(DeliveryRun.find({ _id: { $in: runs.map(run => run._id) } }).sort({ createdAt: 1 }))
+    });
+  } catch (error) {
+    console.error("Get my runs error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getRunById = async (req, res) => {
+  try {
+    const { runId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(runId)) {
+      return res.status(400).json({ message: "Invalid run ID" });
+    }
+
+    const run = await DeliveryRun.findById(runId);
+    if (!run || !canViewRun(req, run)) {
+      return res.status(404).json({ message: "Run not found" });
+    }
+    await refreshRun(run);
+
+    const populated = await populateStops(DeliveryRun.findById(runId).populate('deliveryPartner', 'name phone'));
+    return res.status(200).json({
+      run: populated,
+      nextStop: populated.stops.find(stop => stop.status === 'pending') || null
+    });
+  } catch (error) {
+    console.error("Get run error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const startDeliveryRun = async (req, res) => {
+  try {
+    const { runId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(runId)) {
+      return res.status(400).json({ message: "Invalid run ID" });
+    }
+    if (actorFromUser(req.user) !== ACTORS.PARTNER) {
+      return res.status(403).json({ message: "Only the run's delivery partner can start it" });
+    }
+
+    const result = await startRun({ runId, partnerId: req.user._id, io: req.app.get('io') });
+    if (!result.success) {
+      return sendResult(res, result);
+    }
+
+    return res.status(200).json({
+      message: "Run started",
+      run: await populateStops(DeliveryRun.findById(runId))
+    });
+  } catch (error) {
+    console.error("Start delivery run error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const completeRunStop = async (req, res) => {
+  try {
+    const { runId, orderId } = req.params;
+    const { deliveryLocation, handoverCode, photo, cashCollected } = req.body;
+
+    if (![runId, orderId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Invalid run or order ID" });
+    }
+    if (actorFromUser(req.user) !== ACTORS.PARTNER) {
+      return res.status(403).json({ message: "Only the run's delivery partner can complete stops" });
+    }
+
+    const result = await completeStop({
+      runId,
+      orderId,
+      partnerId: req.user._id,
+      actor: ACTORS.PARTNER,
+      actorId: req.user._id,
+      deliveryLocation,
+      handoverCode,
+      photo,
+      cashCollected,
+      io: req.app.get('io'),
+    });
+    if (!result.success) {
+      return sendResult(res, result);
+    }
+
+    const run = await populateStops(DeliveryRun.findById(runId));
+    return res.status(200).json({
+      message: "Stop delivered",
+      run,
+      nextStop: run.stops.find(stop => stop.status === 'pending') || null
+    });
+  } catch (error) {
+    console.error("Complete run stop error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const cancelDeliveryRun = async (req, res) => {
+  try {
+    const { runId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(runId)) {
+      return res.status(400).json({ message: "Invalid run ID" });
+    }
+
+    const result = await cancelRun({ runId, io: req.app.get('io') });
+    if (!result.success) {
+      return sendResult(res, result);
+    }
+
+    return res.status(200).json({ message: "Run cancelled", run: result.run });
+  } catch (error) {
+    console.error("Cancel delivery run error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
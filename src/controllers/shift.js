@@ -0,0 +1,255 @@
+import mongoose from "mongoose";
+import { Shift } from "../models/shift.js";
+import {
+  scheduleShift,
+  cancelShift,
+  clockIn,
+  clockOut,
+  changeAvailability,
+  getOpenAttendance,
+  buildAttendanceReport
+} from "../services/shiftService.js";
+import { ACTORS, actorFromUser } from "../services/orderLifecycle.js";
+import { addDays, toDateKey } from "../utils/dateUtils.js";
+
+const isPartner = (req) => actorFromUser(req.user) === ACTORS.PARTNER;
+
+const parseLocation = ({ latitude, longitude } = {}) => {
+  if (!Number.isFinite(Number(latitude)) || !Number.isFinite(Number(longitude))) {
+    return null;
+  }
+  return { latitude: Number(latitude), longitude: Number(longitude) };
+};
+
+const currentMonth = () => toDateKey(new Date()).slice(0, 7);
+
+export const createShift = async (req, res) => {
+  try {
+    const { branchId } = req.params;
+    const { deliveryPartnerId, startsAt, endsAt, note } = req.body;
+
+    if (![branchId, deliveryPartnerId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Valid branch and delivery partner IDs are required" });
+    }
+    if (!startsAt || !endsAt) {
+      return res.status(400).json({ message: "startsAt and endsAt are required" });
+    }
+
+    const result = await scheduleShift({
+      branchId,
+      partnerId: deliveryPartnerId,
+      startsAt,
+      endsAt,
+      note,
+      adminId: req.user._id,
+    });
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    return res.status(201).json({ message: "Shift scheduled", shift: result.shift });
+  } catch (error) {
+    console.error("Create shift error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Roster of the branch; defaults to the next 7 days
+export const getBranchShifts = async (req, res) => {
+  try {
+    const { branchId } = req.params;
+    const { deliveryPartnerId } = req.query;
+
+    if ([branchId, deliveryPartnerId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Invalid branch or delivery partner ID" });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : addDays(from, 7);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ message: "Invalid from or to date" });
+    }
+
+    const filter = { branch: branchId, status: 'scheduled', startsAt: { $lt: to }, endsAt: { $gt: from } };
+    if (deliveryPartnerId) filter.deliveryPartner = deliveryPartnerId;
+
+    const shifts = await Shift.find(filter)
+      .populate('deliveryPartner', 'name phone availability')
+      .sort({ startsAt: 1 });
+
+    return res.status(200).json({ from, to, shifts });
+  } catch (error) {
+    console.error("Get branch shifts error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const deleteShift = async (req, res) => {
+  try {
+    const { branchId, shiftId } = req.params;
+    if (![branchId, shiftId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Invalid branch or shift ID" });
+    }
+
+    const result = await cancelShift({ branchId, shiftId });
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    return res.status(200).json({ message: "Shift cancelled", shift: result.shift });
+  } catch (error) {
+    console.error("Cancel shift error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// The signed-in partner's duty state and upcoming shifts
+export const getMyShifts = async (req, res) => {
+  try {
+    if (!isPartner(req)) {
+      return res.status(403).json({ message: "Only delivery partners have shifts" });
+    }
+
+    const now = new Date();
+    const [shifts, attendance] = await Promise.all([
+      Shift.find({ deliveryPartner: req.user._id, status: 'scheduled', endsAt: { $gt: now }, startsAt: { $lt: addDays(now, 7) } })
+        .sort({ startsAt: 1 }),
+      getOpenAttendance(req.user._id),
+    ]);
+
+    return res.status(200).json({
+      availability: req.user.availability,
+      attendance,
+      shifts
+    });
+  } catch (error) {
+    console.error("Get my shifts error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const clockInPartner = async (req, res) => {
+  try {
+    if (!isPartner(req)) {
+      return res.status(403).json({ message: "Only delivery partners can clock in" });
+    }
+
+    const location = parseLocation(req.body);
+    if (!location) {
+      return res.status(400).json({ message: "latitude and longitude are required" });
+    }
+
+    const result = await clockIn({ partner: req.user, location });
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    return res.status(200).json({
+      message: "Clocked in",
+      availability: 'online',
+      attendance: result.attendance
+    });
+  } catch (error) {
+    console.error("Clock in error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const clockOutPartner = async (req, res) => {
+  try {
+    if (!isPartner(req)) {
+      return res.status(403).json({ message: "Only delivery partners can clock out" });
+    }
+
+    const location = parseLocation(req.body);
+    if (!location) {
+      return res.status(400).json({ message: "latitude and longitude are required" });
+    }
+
+    const result = await clockOut({ partner: req.user, location, io: req.app.get('io') });
+    if (!result.success) {
+      return res.status(400).json({ message: result.error, error: result.code });
+    }
+
+    return res.status(200).json({
+      message: "Clocked out",
+      availability: 'offline',
+      attendance: result.attendance
+    });
+  } catch (error) {
+    console.error("Clock out error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const updateAvailability = async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!isPartner(req)) {
+      return res.status(403).json({ message: "Only delivery partners have an availability" });
+    }
+
+    const result = await changeAvailability({ partner: req.user, availability: status, io: req.app.get('io') });
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    return res.status(200).json({
+      message: "Availability updated",
+      availability: status,
+      attendance: result.attendance
+    });
+  } catch (error) {
+    console.error("Update availability error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// One row per partner of the branch for the month (?month=YYYY-MM, default this month)
+export const getBranchAttendance = async (req, res) => {
+  try {
+    const { branchId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({ message: "Invalid branch ID" });
+    }
+
+    const result = await buildAttendanceReport({ branchId, month: req.query.month || currentMonth() });
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    return res.status(200).json(result.report);
+  } catch (error) {
+    console.error("Get branch attendance error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// One partner's month with every shift and clock-in (the partner or admin)
+export const getPartnerAttendance = async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(partnerId)) {
+      return res.status(400).json({ message: "Invalid delivery partner ID" });
+    }
+
+    const actor = actorFromUser(req.user);
+    if (actor !== ACTORS.ADMIN && !(actor === ACTORS.PARTNER && req.user._id.toString() === partnerId)) {
+      return res.status(403).json({ message: "You can only view your own attendance" });
+    }
+
+    const result = await buildAttendanceReport({ partnerId, month: req.query.month || currentMonth() });
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+    if (result.report.partners.length === 0) {
+      return res.status(404).json({ message: "Delivery partner not found" });
+    }
+
+    const { partners: [attendance], ...period } = result.report;
+    return res.status(200).json({ ...period, ...attendance });
+  } catch (error) {
+    console.error("Get partner attendance error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
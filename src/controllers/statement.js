@@ -0,0 +1,148 @@
+import mongoose from "mongoose";
+import Statement from "../models/statement.js";
+import { Customer } from "../models/user.js";
+import {
+  createStatementPaymentLink,
+  verifyPaymentLinkSignature,
+  settleStatement
+} from "../services/billingService.js";
+
+const findCustomerStatement = async (statementId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(statementId)) {
+    return null;
+  }
+  return Statement.findOne({ _id: statementId, customer: userId });
+};
+
+export const getMyStatements = async (req, res) => {
+  const { page = 1, limit = 12, status } = req.query;
+
+  try {
+    const filter = { customer: req.user._id };
+    if (status) filter.status = status;
+
+    const skip = (page - 1) * limit;
+    const statements = await Statement.find(filter)
+      .select('-lines -adjustments')
+      .sort({ periodStart: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await Statement.countDocuments(filter);
+
+    return res.status(200).json({
+      statements,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalStatements: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error("Get statements error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getStatementById = async (req, res) => {
+  try {
+    const statement = await findCustomerStatement(req.params.statementId, req.user._id);
+    if (!statement) {
+      return res.status(404).json({ message: "Statement not found" });
+    }
+
+    return res.status(200).json({ statement });
+  } catch (error) {
+    console.error("Get statement error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Create a Razorpay payment link for the outstanding amount
+export const createStatementPayment = async (req, res) => {
+  try {
+    const statement = await findCustomerStatement(req.params.statementId, req.user._id);
+    if (!statement) {
+      return res.status(404).json({ message: "Statement not found" });
+    }
+
+    if (statement.status === 'paid') {
+      return res.status(400).json({ message: "Statement is already paid" });
+    }
+
+    if (!(statement.amountDue > 0)) {
+      return res.status(400).json({ message: "Nothing to pay on this statement" });
+    }
+
+    const customer = await Customer.findById(req.user._id).select('name phone email');
+    const paymentLink = await createStatementPaymentLink(statement, customer);
+
+    return res.status(200).json({
+      message: "Payment link created successfully",
+      statementNumber: statement.statementNumber,
+      amountDue: statement.amountDue,
+      paymentLink
+    });
+  } catch (error) {
+    console.error("Create statement payment error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Verify the payment link callback and settle the statement
+export const verifyStatementPayment = async (req, res) => {
+  const {
+    razorpay_payment_id,
+    razorpay_payment_link_id,
+    razorpay_payment_link_reference_id,
+    razorpay_payment_link_status,
+    razorpay_signature
+  } = req.body;
+
+  try {
+    if (!razorpay_payment_id || !razorpay_payment_link_id || !razorpay_signature) {
+      return res.status(400).json({ message: "Missing required payment parameters" });
+    }
+
+    const statement = await findCustomerStatement(req.params.statementId, req.user._id);
+    if (!statement) {
+      return res.status(404).json({ message: "Statement not found" });
+    }
+
+    if (statement.paymentLink?.id !== razorpay_payment_link_id) {
+      return res.status(400).json({ message: "Payment link does not belong to this statement" });
+    }
+
+    const isValid = verifyPaymentLinkSignature({
+      paymentLinkId: razorpay_payment_link_id,
+      referenceId: razorpay_payment_link_reference_id,
+      status: razorpay_payment_link_status,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
+
+    if (!isValid) {
+      return res.status(400).json({ message: "Invalid signature", success: false });
+    }
+
+    if (razorpay_payment_link_status !== 'paid') {
+      return res.status(400).json({ message: "Payment not completed", status: razorpay_payment_link_status });
+    }
+
+    const result = await settleStatement(statement, {
+      razorpayPaymentId: razorpay_payment_id,
+      razorpayPaymentLinkId: razorpay_payment_link_id,
+      amount: statement.amountDue
+    });
+
+    return res.status(200).json({
+      message: result.alreadyPaid ? "Statement already paid" : "Statement paid successfully",
+      success: true,
+      statement
+    });
+  } catch (error) {
+    console.error("Verify statement payment error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,324 @@
+import mongoose from "mongoose";
+import Subscription from "../models/subscription.js";
+import Product from "../models/product.js";
+import Branch from "../models/branch.js";
+import Address from "../models/address.js";
+import { getUpcomingDeliveries as listUpcomingDeliveries } from "../services/subscriptionService.js";
+import { startOfDay } from "../utils/dateUtils.js";
+
+const FREQUENCIES = ["daily", "alternate", "weekdays", "custom"];
+const MAX_UPCOMING_DAYS = 31;
+
+// Validate the schedule fields shared by create and update. Returns an error message or null.
+const validateSchedule = ({ quantity, frequency, customDays, startDate, endDate }) => {
+  if (quantity !== undefined && (!Number.isInteger(Number(quantity)) || Number(quantity) < 1)) {
+    return "Quantity must be a positive whole number";
+  }
+
+  if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+    return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+
+  if (frequency === "custom") {
+    if (!Array.isArray(customDays) || customDays.length === 0) {
+      return "customDays is required for custom frequency";
+    }
+    if (customDays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return "customDays must contain days of week between 0 (Sunday) and 6 (Saturday)";
+    }
+  }
+
+  if (startDate !== undefined && isNaN(new Date(startDate).getTime())) {
+    return "Invalid start date";
+  }
+
+  if (endDate !== undefined && endDate !== null) {
+    if (isNaN(new Date(endDate).getTime())) {
+      return "Invalid end date";
+    }
+    if (startDate && new Date(endDate) < new Date(startDate)) {
+      return "End date cannot be before start date";
+    }
+  }
+
+  return null;
+};
+
+const findCustomerSubscription = async (subscriptionId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(subscriptionId)) {
+    return null;
+  }
+  return Subscription.findOne({ _id: subscriptionId, customer: userId });
+};
+
+export const createSubscription = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { productId, branchId, addressId, quantity, frequency = "daily", customDays, startDate, endDate } = req.body;
+
+    if (!productId || !branchId || !quantity) {
+      return res.status(400).json({ message: "productId, branchId and quantity are required" });
+    }
+
+    const firstDay = startOfDay(startDate || new Date());
+    const validationError = validateSchedule({ quantity, frequency, customDays, startDate: firstDay, endDate });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (firstDay < startOfDay()) {
+      return res.status(400).json({ message: "Start date cannot be in the past" });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product || product.status === 'inactive') {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const branch = await Branch.findById(branchId);
+    if (!branch) {
+      return res.status(404).json({ message: "Branch not found" });
+    }
+
+    const address = addressId
+      ? await Address.findOne({ _id: addressId, userId })
+      : await Address.findOne({ userId, isDefault: true });
+    if (!address) {
+      return res.status(404).json({ message: "Delivery address not found" });
+    }
+
+    const subscription = new Subscription({
+      customer: userId,
+      product: product._id,
+      branch: branch._id,
+      address: address._id,
+      quantity: Number(quantity),
+      frequency,
+      customDays: frequency === "custom" ? customDays : [],
+      startDate: firstDay,
+      endDate: endDate ? startOfDay(endDate) : undefined,
+    });
+
+    await subscription.save();
+
+    return res.status(201).json({
+      message: "Subscription created successfully",
+      subscription,
+      upcomingDeliveries: listUpcomingDeliveries(subscription, 7, new Date(), req.user)
+    });
+  } catch (error) {
+    console.error("Create subscription error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getMySubscriptions = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { status } = req.query;
+
+    const filter = { customer: userId };
+    if (status) {
+      filter.status = status;
+    }
+
+    const subscriptions = await Subscription.find(filter)
+      .populate('product', 'name images quantityValue quantityUnit basePrice discountPrice')
+      .populate('branch', 'name address')
+      .populate('address')
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      message: "Subscriptions fetched successfully",
+      subscriptions,
+      total: subscriptions.length
+    });
+  } catch (error) {
+    console.error("Get subscriptions error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getSubscriptionById = async (req, res) => {
+  try {
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, req.user._id);
+    if (!subscription) {
+      return res.status(404).json({ message: "Subscription not found" });
+    }
+
+    await subscription.populate([
+      { path: 'product', select: 'name images quantityValue quantityUnit basePrice discountPrice' },
+      { path: 'branch', select: 'name address' },
+      { path: 'address' }
+    ]);
+
+    return res.status(200).json({
+      message: "Subscription fetched successfully",
+      subscription,
+      upcomingDeliveries: listUpcomingDeliveries(subscription, 7, new Date(), req.user)
+    });
+  } catch (error) {
+    console.error("Get subscription by ID error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const updateSubscription = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { quantity, frequency, customDays, endDate, addressId } = req.body;
+
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, userId);
+    if (!subscription) {
+      return res.status(404).json({ message: "Subscription not found" });
+    }
+
+    if (subscription.status === "cancelled") {
+      return res.status(400).json({ message: "Cancelled subscriptions cannot be edited" });
+    }
+
+    const nextFrequency = frequency ?? subscription.frequency;
+    const nextCustomDays = customDays ?? subscription.customDays;
+    const validationError = validateSchedule({
+      quantity,
+      frequency: nextFrequency,
+      customDays: nextCustomDays,
+      startDate: subscription.startDate,
+      endDate
+    });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (addressId) {
+      const address = await Address.findOne({ _id: addressId, userId });
+      if (!address) {
+        return res.status(404).json({ message: "Delivery address not found" });
+      }
+      subscription.address = address._id;
+    }
+
+    if (quantity !== undefined) subscription.quantity = Number(quantity);
+    subscription.frequency = nextFrequency;
+    subscription.customDays = nextFrequency === "custom" ? nextCustomDays : [];
+    if (endDate !== undefined) {
+      subscription.endDate = endDate ? startOfDay(endDate) : undefined;
+    }
+
+    await subscription.save();
+
+    return res.status(200).json({
+      message: "Subscription updated successfully",
+      subscription,
+      upcomingDeliveries: listUpcomingDeliveries(subscription, 7, new Date(), req.user)
+    });
+  } catch (error) {
+    console.error("Update subscription error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const pauseSubscription = async (req, res) => {
+  try {
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, req.user._id);
+    if (!subscription) {
+      return res.status(404).json({ message: "Subscription not found" });
+    }
+
+    if (subscription.status !== "active") {
+      return res.status(400).json({ message: `Subscription cannot be paused. Current status: ${subscription.status}` });
+    }
+
+    subscription.status = "paused";
+    subscription.pausedAt = new Date();
+    await subscription.save();
+
+    return res.status(200).json({ message: "Subscription paused successfully", subscription });
+  } catch (error) {
+    console.error("Pause subscription error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const resumeSubscription = async (req, res) => {
+  try {
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, req.user._id);
+    if (!subscription) {
+      return res.status(404).json({ message: "Subscription not found" });
+    }
+
+    if (subscription.status !== "paused") {
+      return res.status(400).json({ message: `Subscription cannot be resumed. Current status: ${subscription.status}` });
+    }
+
+    subscription.status = "active";
+    subscription.pausedAt = undefined;
+    await subscription.save();
+
+    return res.status(200).json({
+      message: "Subscription resumed successfully",
+      subscription,
+      upcomingDeliveries: listUpcomingDeliveries(subscription, 7, new Date(), req.user)
+    });
+  } catch (error) {
+    console.error("Resume subscription error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const cancelSubscription = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, req.user._id);
+    if (!subscription) {
+      return res.status(404).json({ message: "Subscription not found" });
+    }
+
+    if (subscription.status === "cancelled") {
+      return res.status(400).json({ message: "Subscription is already cancelled" });
+    }
+
+    subscription.status = "cancelled";
+    subscription.cancelledAt = new Date();
+    subscription.cancellationReason = reason;
+    await subscription.save();
+
+    return res.status(200).json({ message: "Subscription cancelled successfully", subscription });
+  } catch (error) {
+    console.error("Cancel subscription error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Upcoming deliveries across all of the customer's active subscriptions
+export const getUpcomingDeliveries = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const days = Math.min(parseInt(req.query.days) || 7, MAX_UPCOMING_DAYS);
+
+    const subscriptions = await Subscription.find({ customer: userId, status: "active" })
+      .populate('product', 'name images quantityValue quantityUnit');
+
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      for (const delivery of listUpcomingDeliveries(subscription, days, new Date(), req.user)) {
+        deliveries.push({
+          ...delivery,
+          subscriptionId: subscription._id,
+          product: subscription.product
+        });
+      }
+    }
+
+    deliveries.sort((a, b) => a.date.localeCompare(b.date));
+
+    return res.status(200).json({
+      message: "Upcoming deliveries fetched successfully",
+      deliveries,
+      total: deliveries.length
+    });
+  } catch (error) {
+    console.error("Get upcoming deliveries error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -19,6 +19,8 @@ export const getUserProfile = async (req, res) => {
       phone: user.phone,
       address: user.address,
       isActivated: user.isActivated,
+      businessName: user.businessName,
+      gstin: user.gstin,
     });
     
   } catch (error) {
@@ -30,7 +32,7 @@ export const getUserProfile = async (req, res) => {
 export const updateUserProfile = async (req, res) => {
     try {
       const userId = req.user._id;
-      const { name, email, address } = req.body;
+      const { name, email, address, businessName, gstin } = req.body;
   
       const user = await Customer.findById(userId);
   
@@ -41,6 +43,8 @@ export const updateUserProfile = async (req, res) => {
       if (name) user.name = name;
       if (email) user.email = email;
       if (address) user.address = address;
+      if (businessName !== undefined) user.businessName = businessName;
+      if (gstin !== undefined) user.gstin = gstin;
   
       await user.save();
   
@@ -0,0 +1,72 @@
+import { WalletTransaction } from "../models/wallet.js";
+import { getOrCreateWallet, getBalance, auditWallet } from "../services/walletService.js";
+
+// Wallet summary for the logged-in customer
+export const getWallet = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const wallet = await getOrCreateWallet(userId);
+    const balance = await getBalance(userId);
+
+    const recentTransactions = await WalletTransaction.find({ wallet: wallet._id })
+      .sort({ sequence: -1 })
+      .limit(10);
+
+    return res.status(200).json({
+      message: "Wallet fetched successfully",
+      wallet: {
+        _id: wallet._id,
+        status: wallet.status,
+        currency: wallet.currency,
+        balance
+      },
+      recentTransactions
+    });
+  } catch (error) {
+    console.error("Get wallet error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getWalletTransactions = async (req, res) => {
+  const { page = 1, limit = 20, type, reason } = req.query;
+
+  try {
+    const filter = { customer: req.user._id };
+    if (type) filter.type = type;
+    if (reason) filter.reason = reason;
+
+    const skip = (page - 1) * limit;
+    const transactions = await WalletTransaction.find(filter)
+      .populate('order', 'orderId totalPrice deliveryFee status')
+      .sort({ createdAt: -1, sequence: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await WalletTransaction.countDocuments(filter);
+
+    return res.status(200).json({
+      transactions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalTransactions: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error("Get wallet transactions error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Recompute the balance from the full ledger
+export const getWalletAudit = async (req, res) => {
+  try {
+    const audit = await auditWallet(req.user._id);
+    return res.status(200).json({ audit });
+  } catch (error) {
+    console.error("Wallet audit error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
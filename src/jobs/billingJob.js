@@ -0,0 +1,28 @@
+import cron from 'node-cron';
+import {
+  closeBillingCycle,
+  getPreviousBillingCycle,
+  markOverdueStatements
+} from '../services/billingService.js';
+
+// Every day at 02:00: close last month's cycle on the 1st, flag overdue statements daily
+const BILLING_SCHEDULE = '0 2 * * *';
+
+export const scheduleBilling = () => {
+  return cron.schedule(BILLING_SCHEDULE, async () => {
+    try {
+      const now = new Date();
+      if (now.getDate() === 1) {
+        const { periodStart, periodEnd } = getPreviousBillingCycle(now);
+        await closeBillingCycle(periodStart, periodEnd);
+      }
+
+      const overdue = await markOverdueStatements(now);
+      if (overdue > 0) {
+        console.log(`⚠️ ${overdue} statement(s) marked overdue`);
+      }
+    } catch (error) {
+      console.error("❌ Billing job failed:", error);
+    }
+  });
+};
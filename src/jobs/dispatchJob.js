@@ -0,0 +1,31 @@
+import cron from 'node-cron';
+import { expireOffers, dispatchWaitingOrders } from '../services/dispatchService.js';
+
+// Every 10 seconds: move unanswered offers on to the next partner, and start
+// auto-dispatch for orders that became deliverable (e.g. deferred to today)
+const DISPATCH_SCHEDULE = '*/10 * * * * *';
+
+export const scheduleDispatch = (io) => {
+  let running = false;
+  return cron.schedule(DISPATCH_SCHEDULE, async () => {
+    // A slow pass must not overlap the next one
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const expired = await expireOffers(new Date(), { io });
+      if (expired > 0) {
+        console.log(`⏱️ ${expired} dispatch offer(s) expired`);
+      }
+      const dispatched = await dispatchWaitingOrders(new Date(), { io });
+      if (dispatched > 0) {
+        console.log(`🎯 Started dispatch for ${dispatched} waiting order(s)`);
+      }
+    } catch (error) {
+      console.error("❌ Dispatch job failed:", error);
+    } finally {
+      running = false;
+    }
+  });
+};
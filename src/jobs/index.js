@@ -0,0 +1,25 @@
+import { scheduleSubscriptionOrders } from './subscriptionJob.js';
+import { scheduleBilling } from './billingJob.js';
+import { scheduleReservationSweeper } from './reservationJob.js';
+import { scheduleLowStockDigest } from './lowStockDigestJob.js';
+import { scheduleLotExpiry } from './lotExpiryJob.js';
+import { scheduleUnpaidOrderExpiry } from './paymentExpiryJob.js';
+import { scheduleReconciliation } from './reconciliationJob.js';
+import { scheduleDispatch } from './dispatchJob.js';
+import { schedulePayouts } from './payoutJob.js';
+
+export const registerJobs = (app) => {
+    const io = app.get('io');
+
+    scheduleSubscriptionOrders(io);
+    scheduleBilling();
+    scheduleReservationSweeper();
+    scheduleLowStockDigest(io);
+    scheduleLotExpiry(io);
+    scheduleUnpaidOrderExpiry(io);
+    scheduleReconciliation();
+    scheduleDispatch(io);
+    schedulePayouts(io);
+
+    console.log('⏰ Scheduled jobs registered');
+};
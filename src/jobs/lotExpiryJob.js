@@ -0,0 +1,18 @@
+import cron from 'node-cron';
+import { writeOffExpiredLots } from '../services/inventoryService.js';
+
+// Every hour: expired dairy lots stop counting as sellable stock soon after they expire
+const LOT_EXPIRY_SCHEDULE = '5 * * * *';
+
+export const scheduleLotExpiry = (io) => {
+  return cron.schedule(LOT_EXPIRY_SCHEDULE, async () => {
+    try {
+      const summary = await writeOffExpiredLots(new Date(), { io });
+      if (summary.lots > 0) {
+        console.log(`🗑️ Wrote off ${summary.quantity} unit(s) from ${summary.lots} expired lot(s), value ₹${summary.value}`);
+      }
+    } catch (error) {
+      console.error("❌ Lot expiry job failed:", error);
+    }
+  });
+};
@@ -0,0 +1,23 @@
+import cron from 'node-cron';
+import { buildLowStockDigest } from '../services/stockAlertService.js';
+
+// Every day at 07:00, before branch staff plan the day's restocking
+const LOW_STOCK_DIGEST_SCHEDULE = '0 7 * * *';
+
+export const scheduleLowStockDigest = (io) => {
+  return cron.schedule(LOW_STOCK_DIGEST_SCHEDULE, async () => {
+    try {
+      const generatedAt = new Date();
+      const digest = await buildLowStockDigest({ now: generatedAt });
+
+      for (const entry of digest) {
+        console.log(`📉 Low stock digest for ${entry.branch.name || entry.branch._id}: ${entry.items.length} product(s) below threshold`);
+        if (io) {
+          io.to(`branch-${entry.branch._id}`).emit('lowStockDigest', { generatedAt, ...entry });
+        }
+      }
+    } catch (error) {
+      console.error("❌ Low stock digest job failed:", error);
+    }
+  });
+};
@@ -0,0 +1,18 @@
+import cron from 'node-cron';
+import { expireUnpaidOrders } from '../services/orderLifecycle.js';
+
+// Every minute: cancel online orders whose customer never finished checkout
+const PAYMENT_EXPIRY_SCHEDULE = '* * * * *';
+
+export const scheduleUnpaidOrderExpiry = (io) => {
+  return cron.schedule(PAYMENT_EXPIRY_SCHEDULE, async () => {
+    try {
+      const cancelled = await expireUnpaidOrders(new Date(), { io });
+      if (cancelled > 0) {
+        console.log(`⌛ Cancelled ${cancelled} unpaid order(s) past their payment deadline`);
+      }
+    } catch (error) {
+      console.error("❌ Payment expiry job failed:", error);
+    }
+  });
+};
@@ -0,0 +1,16 @@
+import cron from 'node-cron';
+import { generatePayoutStatements, getPreviousPayoutWeek } from '../services/payoutService.js';
+
+// Mondays at 03:00: issue payout statements for the week that just ended
+const PAYOUT_SCHEDULE = '0 3 * * 1';
+
+export const schedulePayouts = (io) => {
+  return cron.schedule(PAYOUT_SCHEDULE, async () => {
+    try {
+      const { periodStart, periodEnd } = getPreviousPayoutWeek(new Date());
+      await generatePayoutStatements(periodStart, periodEnd, { io });
+    } catch (error) {
+      console.error("❌ Payout job failed:", error);
+    }
+  });
+};
@@ -0,0 +1,20 @@
+import cron from 'node-cron';
+import { reconcilePayments } from '../services/reconciliationService.js';
+import { startOfDay, addDays } from '../utils/dateUtils.js';
+
+// Every day at 06:00: reconcile the previous day's payments against the gateway
+const RECONCILIATION_SCHEDULE = '0 6 * * *';
+
+export const scheduleReconciliation = () => {
+  return cron.schedule(RECONCILIATION_SCHEDULE, async () => {
+    try {
+      const to = startOfDay();
+      const result = await reconcilePayments({ from: addDays(to, -1), to, trigger: 'scheduled' });
+      if (result.success && result.report.summary.mismatches > 0) {
+        console.log(`⚠️ Reconciliation report ${result.report._id} has ${result.report.summary.mismatches} mismatch(es)`);
+      }
+    } catch (error) {
+      console.error("❌ Reconciliation job failed:", error);
+    }
+  });
+};
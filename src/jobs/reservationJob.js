@@ -0,0 +1,18 @@
+import cron from 'node-cron';
+import { releaseExpiredReservations } from '../services/inventoryService.js';
+
+// Every 5 minutes: give abandoned checkout holds back to available stock
+const RESERVATION_SWEEP_SCHEDULE = '*/5 * * * *';
+
+export const scheduleReservationSweeper = () => {
+  return cron.schedule(RESERVATION_SWEEP_SCHEDULE, async () => {
+    try {
+      const released = await releaseExpiredReservations(new Date());
+      if (released > 0) {
+        console.log(`🔓 Released ${released} expired stock reservation(s)`);
+      }
+    } catch (error) {
+      console.error("❌ Reservation sweeper failed:", error);
+    }
+  });
+};
@@ -0,0 +1,15 @@
+import cron from 'node-cron';
+import { generateSubscriptionOrders } from '../services/subscriptionService.js';
+
+// Every day at 04:00, before the morning milk runs start
+const SUBSCRIPTION_ORDER_SCHEDULE = '0 4 * * *';
+
+export const scheduleSubscriptionOrders = (io) => {
+  return cron.schedule(SUBSCRIPTION_ORDER_SCHEDULE, async () => {
+    try {
+      await generateSubscriptionOrders(new Date(), io);
+    } catch (error) {
+      console.error("❌ Subscription order job failed:", error);
+    }
+  });
+};
@@ -47,6 +47,15 @@ export const verifyToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
 
+    // Admins have no API token; they use the session of their AdminJS login (/admin)
+    if (!authHeader && req.session?.adminUser?._id) {
+      const admin = await Admin.findById(req.session.adminUser._id).select('-password');
+      if (admin) {
+        req.user = admin;
+        return next();
+      }
+    }
+
     if (!authHeader) {
       return res.status(401).json({
         message: "Authorization header is required",
@@ -171,6 +180,17 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
+// Role guard, use after verifyToken: requireRole('Admin')
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      message: "You do not have permission to perform this action",
+      error: "FORBIDDEN"
+    });
+  }
+  next();
+};
+
 // Rate limiting middleware for auth endpoints
 export const authRateLimit = (req, res, next) => {
   const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
@@ -18,11 +18,66 @@ const branchSchema = new mongoose.Schema({
         latitude: { type: Number, required: true },
         longitude: { type: Number, required: true },
     },
+    // State the branch is registered in for GST; deliveries to another state are charged IGST
+    state: {
+        type: String,
+        trim: true,
+    },
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+    },
     phone:{
         type: String,
         unique: true,
         sparse: true,
-    }
+    },
+    // Delivery fee rules (see services/deliveryFeeService.js). The defaults
+    // charge a flat ₹49 below a ₹1000 cart.
+    deliveryFeeRules: {
+        baseFee: { type: Number, default: 49, min: 0 },
+        // Fee by road-independent distance from the branch; beyond the last band the address is not served
+        distanceBands: [{
+            _id: false,
+            upToKm: { type: Number, required: true, min: 0 },
+            fee: { type: Number, required: true, min: 0 },
+        }],
+        freeDeliveryThreshold: { type: Number, default: 1000, min: 0 },
+        smallOrderThreshold: { type: Number, default: 0, min: 0 },
+        smallOrderSurcharge: { type: Number, default: 0, min: 0 },
+        lateHours: {
+            startHour: { type: Number, min: 0, max: 23 },
+            endHour: { type: Number, min: 0, max: 23 },
+            surcharge: { type: Number, default: 0, min: 0 },
+        },
+        subscriberWaiver: { type: Boolean, default: false },
+    },
+    // Delivery partner pay (see services/earningsService.js)
+    earningRules: {
+        basePay: { type: Number, default: 20, min: 0 },
+        perKm: { type: Number, default: 5, min: 0 },
+        // Extra pay per order handed over in these hours; windows may wrap midnight
+        peakHours: [{
+            _id: false,
+            startHour: { type: Number, required: true, min: 0, max: 23 },
+            endHour: { type: Number, required: true, min: 0, max: 23 },
+            bonus: { type: Number, required: true, min: 0 },
+        }],
+        // One-off bonus once a partner makes this many deliveries in a day
+        dailyTargets: [{
+            _id: false,
+            deliveries: { type: Number, required: true, min: 1 },
+            bonus: { type: Number, required: true, min: 0 },
+        }],
+    },
+    // broadcast: every on-duty partner of the branch sees new orders and the first to accept gets them.
+    // auto: orders are offered to the best partner in turn (see services/dispatchService.js)
+    dispatchMode: {
+        type: String,
+        enum: ['broadcast', 'auto'],
+        default: 'broadcast',
+    },
 });
 
 const Branch = mongoose.model("Branch", branchSchema);
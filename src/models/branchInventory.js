@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// Stock of one product at one branch. Product.stock/reserved hold the totals across branches.
+const branchInventorySchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: "Units on hand at this branch"
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: "Units held by open stock reservations at this branch"
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+branchInventorySchema.virtual('availableStock').get(function() {
+  return Math.max(0, (this.stock || 0) - (this.reserved || 0));
+});
+
+branchInventorySchema.index({ branch: 1, product: 1 }, { unique: true });
+branchInventorySchema.index({ product: 1 });
+
+const BranchInventory = mongoose.model("BranchInventory", branchInventorySchema);
+
+export default BranchInventory;
@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+import Counter from "./counter.js";
+
+// Append-only ledger of cash a delivery partner holds: COD collections add to
+// it, deposits at the branch and cash kept as pay on a payout statement take
+// from it (a settlement_reversal gives back a settlement whose statement failed). Like the wallet ledger, every entry
+// carries the running balance and `sequence` is unique per partner.
+const cashLedgerEntrySchema = new mongoose.Schema({
+  deliveryPartner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryPartner",
+    required: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  type: {
+    type: String,
+    enum: ["collection", "deposit", "settlement", "settlement_reversal"],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  deposit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CashDeposit",
+  },
+  payoutStatement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PayoutStatement",
+  },
+  note: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+cashLedgerEntrySchema.index({ deliveryPartner: 1, sequence: 1 }, { unique: true });
+cashLedgerEntrySchema.index({ branch: 1, createdAt: -1 });
+// An order's cash is collected once
+cashLedgerEntrySchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { type: "collection" } }
+);
+
+// Cash a partner handed over at the branch, e.g. at the end of a shift
+const cashDepositSchema = new mongoose.Schema({
+  depositNumber: {
+    type: String,
+    unique: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  deliveryPartner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryPartner",
+    required: true,
+  },
+  expectedAmount: {
+    type: Number,
+    required: true,
+    description: "Cash in hand when the deposit was counted",
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  remainingInHand: {
+    type: Number,
+    required: true,
+    description: "Cash the partner still holds after the deposit",
+  },
+  collections: {
+    type: Number,
+    default: 0,
+    description: "COD collections since the partner's previous deposit",
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    required: true,
+  },
+  note: { type: String },
+}, {
+  timestamps: true,
+});
+
+cashDepositSchema.index({ branch: 1, createdAt: -1 });
+cashDepositSchema.index({ deliveryPartner: 1, createdAt: -1 });
+
+async function generateDepositNumber() {
+  const counter = await Counter.findOneAndUpdate(
+    { name: "cashDepositNumber" },
+    { $inc: { sequenceValue: 1 } },
+    { new: true, upsert: true }
+  );
+  return `DEP-${counter.sequenceValue.toString().padStart(5, '0')}`;
+}
+
+cashDepositSchema.pre("save", async function (next) {
+  if (this.isNew) {
+    this.depositNumber = await generateDepositNumber();
+  }
+  next();
+});
+
+const rejectLedgerMutation = function (next) {
+  next(new Error("Cash ledger entries are append-only and cannot be modified"));
+};
+
+cashLedgerEntrySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectLedgerMutation
+);
+
+cashLedgerEntrySchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectLedgerMutation(next);
+  }
+  next();
+});
+
+export const CashLedgerEntry = mongoose.model("CashLedgerEntry", cashLedgerEntrySchema);
+export const CashDeposit = mongoose.model("CashDeposit", cashDepositSchema);
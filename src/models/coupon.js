@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: { type: String },
+  type: {
+    type: String,
+    enum: ["percentage", "flat", "free_delivery", "buy_x_get_y"],
+    required: true,
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: "Percent off (percentage) or rupees off (flat)"
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    description: "Cap on a percentage discount"
+  },
+  // buy_x_get_y: every buyQuantity + getQuantity units of an item, getQuantity are free
+  buyQuantity: { type: Number, min: 1 },
+  getQuantity: { type: Number, min: 1 },
+  minCartValue: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Leave both empty to apply to the whole cart
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+  }],
+  validFrom: { type: Date },
+  validUntil: { type: Date },
+  usageLimit: {
+    type: Number,
+    min: 1,
+    description: "Total redemptions allowed across all customers (empty for unlimited)"
+  },
+  perCustomerLimit: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+// Per-customer redemption counter; `count` only moves through conditional updates
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Coupon",
+    required: true,
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  orders: [{
+    _id: false,
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    discount: { type: Number },
+    redeemedAt: { type: Date, default: Date.now },
+  }],
+}, {
+  timestamps: true,
+});
+
+couponRedemptionSchema.index({ coupon: 1, customer: 1 }, { unique: true });
+couponRedemptionSchema.index({ "orders.order": 1 });
+
+export const Coupon = mongoose.model("Coupon", couponSchema);
+export const CouponRedemption = mongoose.model("CouponRedemption", couponRedemptionSchema);
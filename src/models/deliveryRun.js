@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import Counter from "./counter.js";
+
+// One stop of a run: an order to hand over, in visiting order
+const runStopSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  location: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    address: { type: String },
+  },
+  // Straight-line km from the previous stop (the branch for the first one)
+  legDistanceKm: { type: Number },
+  // Expected arrival; recalculated when the run starts and after every completed stop
+  eta: { type: Date },
+  status: {
+    type: String,
+    enum: ["pending", "delivered", "cancelled"],
+    default: "pending",
+  },
+  completedAt: { type: Date },
+}, { _id: false });
+
+// A batch of orders delivered by one partner in a single trip from the
+// branch, e.g. the morning milk run
+const deliveryRunSchema = new mongoose.Schema({
+  runNumber: {
+    type: String,
+    unique: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  deliveryPartner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryPartner",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["planned", "in_progress", "completed", "cancelled"],
+    default: "planned",
+  },
+  startLocation: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+  },
+  stops: [runStopSchema],
+  totalDistanceKm: { type: Number },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+}, {
+  timestamps: true,
+  // Stops are completed concurrently from the app; a stale save must not undo another
+  optimisticConcurrency: true,
+});
+
+deliveryRunSchema.index({ deliveryPartner: 1, status: 1 });
+deliveryRunSchema.index({ branch: 1, createdAt: -1 });
+
+async function generateRunNumber() {
+  const counter = await Counter.findOneAndUpdate(
+    { name: "deliveryRunNumber" },
+    { $inc: { sequenceValue: 1 } },
+    { new: true, upsert: true }
+  );
+  return `RUN-${counter.sequenceValue.toString().padStart(5, '0')}`;
+}
+
+deliveryRunSchema.pre("save", async function (next) {
+  if (this.isNew) {
+    this.runNumber = await generateRunNumber();
+  }
+  next();
+});
+
+const DeliveryRun = mongoose.model("DeliveryRun", deliveryRunSchema);
+
+export default DeliveryRun;
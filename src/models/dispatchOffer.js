@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// An order offered to one delivery partner by auto-dispatch. The partner has
+// until expiresAt to accept; otherwise the order is offered to the next candidate.
+const dispatchOfferSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  deliveryPartner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryPartner",
+    required: true,
+  },
+  attempt: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  status: {
+    type: String,
+    enum: ["offered", "accepted", "declined", "expired", "cancelled"],
+    default: "offered",
+  },
+  // How the partner ranked when the offer was made (lower score is better)
+  score: { type: Number },
+  distanceKm: { type: Number },
+  activeOrders: { type: Number },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  respondedAt: { type: Date },
+  reason: { type: String },
+}, {
+  timestamps: true,
+});
+
+// Only one open offer per order at a time
+dispatchOfferSchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { status: "offered" } }
+);
+dispatchOfferSchema.index({ status: 1, expiresAt: 1 });
+dispatchOfferSchema.index({ deliveryPartner: 1, status: 1 });
+
+const DispatchOffer = mongoose.model("DispatchOffer", dispatchOfferSchema);
+
+export default DispatchOffer;
@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+import Counter from "./counter.js";
+
+// What a delivery partner earned: the pay for a delivered order and the
+// incentives on top of it. Entries are paid out on a weekly PayoutStatement.
+const earningEntrySchema = new mongoose.Schema({
+  deliveryPartner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryPartner",
+    required: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+  },
+  type: {
+    type: String,
+    enum: ["delivery", "peak_bonus", "daily_target"],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  // When the order was handed over, and that day as YYYY-MM-DD (local time)
+  earnedAt: {
+    type: Date,
+    required: true,
+  },
+  day: {
+    type: String,
+    required: true,
+  },
+  // Delivery pay: base pay plus distance pay for the pickup-to-drop distance
+  basePay: { type: Number },
+  distanceKm: { type: Number },
+  distancePay: { type: Number },
+  // Daily target: number of deliveries the bonus was for
+  target: { type: Number },
+  note: { type: String },
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PayoutStatement",
+  },
+}, {
+  timestamps: true,
+});
+
+// An order earns its pay and its peak bonus once
+earningEntrySchema.index(
+  { order: 1, type: 1 },
+  { unique: true, partialFilterExpression: { order: { $exists: true } } }
+);
+// A daily target pays once per day
+earningEntrySchema.index(
+  { deliveryPartner: 1, day: 1, target: 1 },
+  { unique: true, partialFilterExpression: { type: "daily_target" } }
+);
+earningEntrySchema.index({ deliveryPartner: 1, earnedAt: 1 });
+earningEntrySchema.index({ statement: 1 });
+
+// A week of earnings for one partner, with the COD cash they held netted off
+const payoutStatementSchema = new mongoose.Schema({
+  statementNumber: {
+    type: String,
+    unique: true,
+  },
+  deliveryPartner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryPartner",
+    required: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+  },
+  periodStart: {
+    type: Date,
+    required: true,
+  },
+  periodEnd: {
+    type: Date,
+    required: true,
+    description: "Exclusive end of the payout week",
+  },
+  deliveries: { type: Number, default: 0 },
+  distanceKm: { type: Number, default: 0 },
+  deliveryPay: { type: Number, default: 0 },
+  peakBonus: { type: Number, default: 0 },
+  targetBonus: { type: Number, default: 0 },
+  totalEarnings: {
+    type: Number,
+    required: true,
+  },
+  cashInHand: {
+    type: Number,
+    default: 0,
+    description: "COD cash the partner held when the statement was issued",
+  },
+  cashOffset: {
+    type: Number,
+    default: 0,
+    description: "Part of that cash kept by the partner as pay",
+  },
+  netPayable: {
+    type: Number,
+    required: true,
+    description: "Earnings left to pay after the cash offset",
+  },
+  cashRemaining: {
+    type: Number,
+    default: 0,
+    description: "Cash still to be deposited at the branch",
+  },
+  status: {
+    type: String,
+    enum: ["issued", "paid"],
+    default: "issued",
+  },
+  paidAt: { type: Date },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  paymentReference: { type: String },
+}, {
+  timestamps: true,
+});
+
+payoutStatementSchema.index({ deliveryPartner: 1, periodStart: 1 }, { unique: true });
+payoutStatementSchema.index({ branch: 1, periodStart: -1 });
+
+async function generateStatementNumber() {
+  const counter = await Counter.findOneAndUpdate(
+    { name: "payoutStatementNumber" },
+    { $inc: { sequenceValue: 1 } },
+    { new: true, upsert: true }
+  );
+  return `PAY-${counter.sequenceValue.toString().padStart(5, '0')}`;
+}
+
+payoutStatementSchema.pre("save", async function (next) {
+  if (this.isNew) {
+    this.statementNumber = await generateStatementNumber();
+  }
+  next();
+});
+
+export const EarningEntry = mongoose.model("EarningEntry", earningEntrySchema);
+export const PayoutStatement = mongoose.model("PayoutStatement", payoutStatementSchema);
@@ -5,6 +5,26 @@ import Product from "./product.js";
 import Category from "./category.js";
 import Counter from "./counter.js";
 import Address from "./address.js";
+import Subscription from "./subscription.js";
+import { Wallet, WalletTransaction } from "./wallet.js";
+import Statement from "./statement.js";
+import StockReservation from "./stockReservation.js";
+import BranchInventory from "./branchInventory.js";
+import InventoryMovement from "./inventoryMovement.js";
+import StockAlert from "./stockAlert.js";
+import StockLot from "./stockLot.js";
+import Supplier from "./supplier.js";
+import PurchaseOrder from "./purchaseOrder.js";
+import { Coupon, CouponRedemption } from "./coupon.js";
+import Invoice from "./invoice.js";
+import WebhookEvent from "./webhookEvent.js";
+import Refund from "./refund.js";
+import ReconciliationReport from "./reconciliationReport.js";
+import { CashLedgerEntry, CashDeposit } from "./cash.js";
+import DispatchOffer from "./dispatchOffer.js";
+import DeliveryRun from "./deliveryRun.js";
+import { Shift, Attendance } from "./shift.js";
+import { EarningEntry, PayoutStatement } from "./earning.js";
 
 
 export {
@@ -16,6 +36,30 @@ export {
     Product,
     Category,
     Counter,
-    Address
-    
+    Address,
+    Subscription,
+    Wallet,
+    WalletTransaction,
+    Statement,
+    StockReservation,
+    BranchInventory,
+    InventoryMovement,
+    StockAlert,
+    StockLot,
+    Supplier,
+    PurchaseOrder,
+    Coupon,
+    CouponRedemption,
+    Invoice,
+    WebhookEvent,
+    Refund,
+    ReconciliationReport,
+    CashLedgerEntry,
+    CashDeposit,
+    DispatchOffer,
+    DeliveryRun,
+    Shift,
+    Attendance,
+    EarningEntry,
+    PayoutStatement
 };
\ No newline at end of file
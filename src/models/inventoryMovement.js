@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+// Append-only record of every change to a branch's on-hand stock. Holds
+// (StockReservation) only move `reserved` and are not recorded here.
+const inventoryMovementSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: [
+      "sale",
+      "cancellation_restore",
+      "delete_restore",
+      "manual_adjustment",
+      "damage",
+      "supplier_receipt",
+      "transfer_in",
+      "transfer_out",
+      "expiry_write_off",
+    ],
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    description: "Signed change to on-hand stock (negative when stock left the branch)"
+  },
+  stockAfter: {
+    type: Number,
+    description: "Branch stock right after this movement"
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "StockLot",
+  },
+  // Other side of a transfer
+  counterpartBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  note: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ branch: 1, product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+const rejectLedgerMutation = function (next) {
+  next(new Error("Inventory movements are append-only and cannot be modified"));
+};
+
+inventoryMovementSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectLedgerMutation
+);
+
+inventoryMovementSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectLedgerMutation(next);
+  }
+  next();
+});
+
+const InventoryMovement = mongoose.model("InventoryMovement", inventoryMovementSchema);
+
+export default InventoryMovement;
@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+import Counter from "./counter.js";
+
+// Tax invoice issued for an order. The PDF is rendered once from the order
+// snapshot and stored as issued; invoices are never edited or re-rendered.
+// The record is inserted first as an 'issuing' claim on the order, and only
+// the request holding the claim numbers, renders and completes it.
+const isIssued = function () {
+  return this.status === 'issued';
+};
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+    unique: true,
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["issuing", "issued"],
+    default: "issued",
+  },
+  claimedAt: {
+    type: Date,
+    description: "When the request issuing the invoice claimed it"
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Figures printed on the invoice, kept for lookups without opening the PDF
+  amount: { type: Number, required: isIssued },
+  totalTax: { type: Number, default: 0 },
+  paid: {
+    type: Boolean,
+    default: false,
+    description: "Whether the invoice was issued with a payment receipt"
+  },
+  pdf: {
+    type: Buffer,
+    required: isIssued,
+    select: false,
+  },
+  sha256: {
+    type: String,
+    required: isIssued,
+    description: "Checksum of the stored PDF"
+  },
+});
+
+invoiceSchema.index({ customer: 1, issuedAt: -1 });
+
+// Taken by the request holding the claim before rendering, since the number
+// is printed on the PDF
+invoiceSchema.statics.nextInvoiceNumber = async function () {
+  const counter = await Counter.findOneAndUpdate(
+    { name: "invoiceNumber" },
+    { $inc: { sequenceValue: 1 } },
+    { new: true, upsert: true }
+  );
+  return `INV-${counter.sequenceValue.toString().padStart(5, '0')}`;
+};
+
+const rejectInvoiceMutation = function (next) {
+  next(new Error("Invoices are immutable once issued"));
+};
+
+// Updates are only let through for an invoice still being issued
+const rejectIssuedInvoiceUpdate = function (next) {
+  if (this.getFilter().status === "issuing") {
+    return next();
+  }
+  rejectInvoiceMutation(next);
+};
+
+invoiceSchema.pre(["updateOne", "findOneAndUpdate"], rejectIssuedInvoiceUpdate);
+invoiceSchema.pre(
+  ["updateMany", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectInvoiceMutation
+);
+
+invoiceSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectInvoiceMutation(next);
+  }
+  next();
+});
+
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+
+export default Invoice;
@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
 import Counter from "./counter.js";
 
@@ -63,7 +64,27 @@ const orderSchema = new mongoose.Schema({
     basePrice: { type: Number },
     discountPrice: { type: Number },
     subscriptionPrice: { type: Number },
-    unitPerSubscription: { type: Number }
+    unitPerSubscription: { type: Number },
+    // Lots the units shipped from (set when the stock is committed)
+    lots: [{
+      _id: false,
+      lot: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot" },
+      lotNumber: { type: String },
+      expiresAt: { type: Date },
+      quantity: { type: Number }
+    }],
+    // Coupon discount carried by this line
+    discount: { type: Number, default: 0 },
+    // GST included in what was paid for this line (see services/taxService.js)
+    tax: {
+      hsnCode: { type: String },
+      gstRate: { type: Number },
+      taxableValue: { type: Number },
+      cgst: { type: Number },
+      sgst: { type: Number },
+      igst: { type: Number },
+      totalTax: { type: Number }
+    }
   }],
   
   deliveryLocation: {
@@ -146,6 +167,23 @@ const orderSchema = new mongoose.Schema({
     enum: ["Assigning Partner", "Partner Assigned", "On The Way", "Delivered", "Cancelled"],
     default: "Assigning Partner",
   },
+  // Every status change, appended by the order lifecycle (src/services/orderLifecycle.js)
+  statusHistory: [{
+    fromStatus: { type: String },
+    status: { type: String, required: true },
+    deliveryStatus: { type: String },
+    actor: {
+      type: String,
+      enum: ["customer", "partner", "admin", "system"],
+      required: true,
+    },
+    actorId: { type: mongoose.Schema.Types.ObjectId },
+    reason: { type: String },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  cancellationReason: { type: String },
+  cancelledBy: { type: String },
+  cancelledAt: { type: Date },
   totalPrice: {
     type: Number,
     required: true,
@@ -154,11 +192,61 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // How the fee was derived from the branch's fee rules
+  deliveryFeeBreakdown: [{
+    _id: false,
+    rule: { type: String },
+    label: { type: String },
+    amount: { type: Number },
+  }],
+  deliveryDistanceKm: { type: Number },
+  // Coupon applied at checkout; `discount` covers both item and delivery savings
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  coupon: {
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    code: { type: String },
+    type: { type: String },
+    itemsDiscount: { type: Number },
+    deliveryDiscount: { type: Number },
+  },
+  // GST included in the amount payable: CGST/SGST within the branch's state, IGST across states
+  taxBreakdown: {
+    supplyType: { type: String, enum: ["intra_state", "inter_state"] },
+    placeOfSupply: { type: String },
+    pricesIncludeTax: { type: Boolean },
+    taxableValue: { type: Number },
+    cgst: { type: Number },
+    sgst: { type: Number },
+    igst: { type: Number },
+    totalTax: { type: Number },
+    rates: [{
+      _id: false,
+      gstRate: { type: Number },
+      taxableValue: { type: Number },
+      cgst: { type: Number },
+      sgst: { type: Number },
+      igst: { type: Number },
+      totalTax: { type: Number },
+    }],
+    delivery: {
+      sacCode: { type: String },
+      gstRate: { type: Number },
+      taxableValue: { type: Number },
+      cgst: { type: Number },
+      sgst: { type: Number },
+      igst: { type: Number },
+      totalTax: { type: Number },
+    },
+  },
   
   // Payment tracking (unchanged)
   paymentStatus: {
     type: String,
-    enum: ["pending", "verified", "failed", "refunded", "completed"],
+    enum: ["pending", "verified", "failed", "partially_refunded", "refunded", "completed"],
     default: "pending",
   },
   paymentDetails: {
@@ -169,11 +257,76 @@ const orderSchema = new mongoose.Schema({
     amount: { type: Number },
     currency: { type: String, default: "INR" },
     method: { type: String },
+    // Latest refund and running totals; each refund is a Refund document
     refundId: { type: String },
     refundedAt: { type: Date },
     refundAmount: { type: Number },
-    refundReason: { type: String }
+    refundReason: { type: String },
+    // Amount held by initiated and processed refunds, so concurrent refunds cannot exceed what was paid
+    refundCommitted: { type: Number },
+    walletTransaction: { type: mongoose.Schema.Types.ObjectId, ref: "WalletTransaction" },
+    // COD: cash the partner recorded on delivery
+    cashCollected: { type: Number },
+    collectedAt: { type: Date },
+    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "DeliveryPartner" }
+  },
+  // Online orders not paid by this time are cancelled by the payment expiry job
+  paymentDeadline: { type: Date },
+
+  // Recurring delivery source (set for orders generated from a Subscription)
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subscription",
+  },
+  scheduledFor: { type: Date },
+
+  // Auto-dispatch progress (branches in auto dispatch mode only)
+  dispatch: {
+    status: { type: String, enum: ["offering", "broadcast", "assigned"] },
+    attempts: { type: Number, default: 0 },
+    updatedAt: { type: Date },
+  },
+
+  // Shown to the customer only; the partner enters it at the door (see services/deliveryService.js)
+  handoverCode: {
+    type: String,
+    select: false,
+  },
+  // How the handover was proven: the customer's code or a doorstep photo,
+  // taken within range of deliveryLocation
+  proofOfDelivery: {
+    method: { type: String, enum: ["code", "photo"] },
+    verifiedAt: { type: Date },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryPartner",
+    },
+    location: {
+      latitude: { type: Number },
+      longitude: { type: Number },
+    },
+    distanceMeters: { type: Number },
+    failedCodeAttempts: { type: Number, default: 0 },
+    photo: {
+      data: { type: Buffer, select: false },
+      contentType: { type: String },
+      size: { type: Number },
+      sha256: { type: String },
+    },
+  },
+
+  // Delivery run the order is batched into, while it is on one
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryRun",
   },
+
+  // Postpaid billing: statement this delivered order was billed on
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Statement",
+  },
+
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
@@ -187,14 +340,40 @@ async function generateOrderId() {
   return `ORD-${counter.sequenceValue.toString().padStart(5, '0')}`;
 }
 
+// Amount the customer pays: items plus delivery fee, less any coupon discount
+orderSchema.virtual("amountPayable").get(function () {
+  const payable = Number(this.totalPrice || 0) + Number(this.deliveryFee || 0) - Number(this.discount || 0);
+  return Number(Math.max(0, payable).toFixed(2));
+});
+
 orderSchema.pre("save", async function (next) {
   if (this.isNew) {
     this.orderId = await generateOrderId();
+    this.handoverCode = crypto.randomInt(0, 10000).toString().padStart(4, '0');
   }
   this.updatedAt = Date.now();
   next();
 });
 
+// The handover code and the photo never go out with the order (it is sent to
+// partners and branch rooms); endpoints add the code for the customer
+orderSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.handoverCode;
+    if (ret.proofOfDelivery?.photo) {
+      delete ret.proofOfDelivery.photo.data;
+    }
+    return ret;
+  },
+});
+
+// One order per subscription and delivery day
+orderSchema.index(
+  { subscription: 1, scheduledFor: 1 },
+  { unique: true, partialFilterExpression: { subscription: { $exists: true } } }
+);
+orderSchema.index({ status: 1, paymentDeadline: 1 });
+
 const Order = mongoose.model("Order", orderSchema);
 
 export default Order;
@@ -73,7 +73,25 @@ const productSchema = new mongoose.Schema({
     type: Number,
     required: true,
     default: 0,
-    description: "Total available stock"
+    description: "Total stock across all branches (per-branch stock lives in BranchInventory)"
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: "Units held by open stock reservations (not yet taken from stock)"
+  },
+  // GST classification; prices above include the tax
+  hsnCode: {
+    type: String,
+    trim: true,
+    description: "HSN code used on tax invoices"
+  },
+  gstRate: {
+    type: Number,
+    enum: [0, 5, 12, 18, 28],
+    default: 0,
+    description: "GST rate in percent"
   },
   lowStockThreshold: {
     type: Number,
@@ -121,6 +139,11 @@ productSchema.virtual('discountPercentage').get(function() {
   return 0;
 });
 
+// Stock that can still be promised to new orders
+productSchema.virtual('availableStock').get(function() {
+  return Math.max(0, (this.stock || 0) - (this.reserved || 0));
+});
+
 // Pre-save middleware to update timestamps
 productSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+import Counter from "./counter.js";
+
+// draft -> sent -> partially_received -> received
+// draft | sent -> cancelled
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true,
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Supplier",
+    required: true,
+  },
+  // Branch the goods are delivered to
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["draft", "sent", "partially_received", "received", "cancelled"],
+    default: "draft",
+  },
+  lines: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    quantityOrdered: { type: Number, required: true, min: 1 },
+    quantityReceived: { type: Number, default: 0, min: 0 },
+    unitCost: {
+      type: Number,
+      required: true,
+      min: 0,
+      description: "Agreed purchase price per unit"
+    },
+  }],
+  // Goods receipts, one entry per delivery
+  receipts: [{
+    receivedAt: { type: Date, default: Date.now },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    note: { type: String },
+    lines: [{
+      _id: false,
+      product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+      quantity: { type: Number },
+      unitCost: { type: Number },
+      lot: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot" },
+    }],
+  }],
+  expectedAt: { type: Date },
+  sentAt: { type: Date },
+  receivedAt: { type: Date },
+  cancelledAt: { type: Date },
+  notes: { type: String },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+}, {
+  timestamps: true,
+  // Two goods receipts on the same order must not both count
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+purchaseOrderSchema.virtual("totalCost").get(function () {
+  const total = (this.lines || []).reduce((sum, line) => sum + line.quantityOrdered * line.unitCost, 0);
+  return Number(total.toFixed(2));
+});
+
+purchaseOrderSchema.index({ branch: 1, status: 1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+
+async function generatePoNumber() {
+  const counter = await Counter.findOneAndUpdate(
+    { name: "purchaseOrderNumber" },
+    { $inc: { sequenceValue: 1 } },
+    { new: true, upsert: true }
+  );
+  return `PO-${counter.sequenceValue.toString().padStart(5, '0')}`;
+}
+
+purchaseOrderSchema.pre("save", async function (next) {
+  if (this.isNew) {
+    this.poNumber = await generatePoNumber();
+  }
+  next();
+});
+
+const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
+
+export default PurchaseOrder;
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// Outcome of matching the gateway's payments and settlements for a date range
+// against orders, statements and wallet top-ups. Only the mismatches are kept.
+const mismatchSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["captured_not_verified", "verified_not_captured", "amount_mismatch", "unmatched_payment"],
+    required: true,
+  },
+  razorpayPaymentId: { type: String },
+  razorpayOrderId: { type: String },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  orderId: { type: String, description: "Order number, e.g. ORD-00012" },
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Statement",
+  },
+  gatewayStatus: { type: String },
+  gatewayAmount: { type: Number },
+  appPaymentStatus: { type: String },
+  appAmount: { type: Number },
+  settlementId: { type: String },
+  settledAmount: { type: Number },
+  detail: { type: String },
+}, { _id: false });
+
+const reconciliationReportSchema = new mongoose.Schema({
+  from: { type: Date, required: true },
+  to: { type: Date, required: true, description: "Exclusive" },
+  gateway: { type: String, required: true, description: "Gateway client used: razorpay or fake" },
+  trigger: {
+    type: String,
+    enum: ["scheduled", "admin"],
+    required: true,
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  summary: {
+    payments: { type: Number, default: 0 },
+    captured: { type: Number, default: 0 },
+    capturedAmount: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    settled: { type: Number, default: 0 },
+    settledAmount: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    mismatches: { type: Number, default: 0 },
+  },
+  mismatches: [mismatchSchema],
+}, {
+  timestamps: true,
+});
+
+reconciliationReportSchema.index({ from: -1, to: -1 });
+
+const ReconciliationReport = mongoose.model("ReconciliationReport", reconciliationReportSchema);
+
+export default ReconciliationReport;
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// Money given back on an order, through the channel it was paid with.
+// Razorpay refunds stay initiated until the gateway reports them processed.
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  method: {
+    type: String,
+    enum: ["razorpay", "wallet"],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["initiated", "processed", "failed"],
+    default: "initiated",
+  },
+  // Empty for refunds of an amount rather than of specific items
+  lines: [{
+    _id: false,
+    item: { type: mongoose.Schema.Types.ObjectId, description: "Order item _id" },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+    name: { type: String },
+    quantity: { type: Number },
+    amount: { type: Number },
+  }],
+  reason: { type: String },
+  initiatedBy: {
+    actor: { type: String, enum: ["admin", "system", "gateway"], required: true },
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  },
+  razorpayPaymentId: { type: String },
+  razorpayRefundId: { type: String },
+  walletTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "WalletTransaction",
+  },
+  failureReason: { type: String },
+  processedAt: { type: Date },
+  failedAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+refundSchema.index({ order: 1, createdAt: -1 });
+refundSchema.index({ razorpayRefundId: 1 }, { unique: true, sparse: true });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+const Refund = mongoose.model("Refund", refundSchema);
+
+export default Refund;
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+const pointSchema = new mongoose.Schema({
+  latitude: { type: Number, required: true },
+  longitude: { type: Number, required: true },
+}, { _id: false });
+
+// A shift a partner is rostered on at their branch
+const shiftSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  deliveryPartner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryPartner",
+    required: true,
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["scheduled", "cancelled"],
+    default: "scheduled",
+  },
+  note: { type: String },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+}, {
+  timestamps: true,
+});
+
+shiftSchema.index({ deliveryPartner: 1, startsAt: 1 });
+shiftSchema.index({ branch: 1, startsAt: 1 });
+
+// One clock-in to clock-out period, with the breaks taken in it. Linked to the
+// rostered shift it falls in, if any.
+const attendanceSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  deliveryPartner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryPartner",
+    required: true,
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Shift",
+  },
+  status: {
+    type: String,
+    enum: ["open", "closed"],
+    default: "open",
+  },
+  clockInAt: {
+    type: Date,
+    required: true,
+  },
+  clockInLocation: pointSchema,
+  // Straight-line km from the branch when clocking in
+  clockInDistanceKm: { type: Number },
+  clockOutAt: { type: Date },
+  clockOutLocation: pointSchema,
+  clockOutDistanceKm: { type: Number },
+  breaks: [{
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date },
+  }],
+  // Minutes past the shift start (beyond the grace period) at clock-in
+  lateMinutes: {
+    type: Number,
+    default: 0,
+  },
+  // Set at clock-out
+  breakMinutes: { type: Number },
+  workedMinutes: { type: Number },
+}, {
+  timestamps: true,
+});
+
+// A partner has at most one open attendance record
+attendanceSchema.index(
+  { deliveryPartner: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+attendanceSchema.index({ branch: 1, clockInAt: 1 });
+attendanceSchema.index({ deliveryPartner: 1, clockInAt: 1 });
+
+export const Shift = mongoose.model("Shift", shiftSchema);
+export const Attendance = mongoose.model("Attendance", attendanceSchema);
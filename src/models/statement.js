@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+import Counter from "./counter.js";
+
+const statementSchema = new mongoose.Schema({
+  statementNumber: {
+    type: String,
+    unique: true,
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true,
+  },
+  periodStart: {
+    type: Date,
+    required: true,
+  },
+  periodEnd: {
+    type: Date,
+    required: true,
+    description: "Exclusive end of the billing cycle"
+  },
+  // One line per delivered order (snapshot at statement time)
+  lines: [{
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    orderId: { type: String },
+    deliveredAt: { type: Date },
+    itemsTotal: { type: Number, required: true },
+    deliveryFee: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    amount: { type: Number, required: true },
+  }],
+  // Credits (negative) or charges (positive) applied on top of the orders
+  adjustments: [{
+    description: { type: String, required: true },
+    amount: { type: Number, required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  itemsTotal: { type: Number, default: 0 },
+  deliveryFeeTotal: { type: Number, default: 0 },
+  discountTotal: { type: Number, default: 0 },
+  adjustmentsTotal: { type: Number, default: 0 },
+  amountDue: {
+    type: Number,
+    required: true,
+  },
+  currency: { type: String, default: "INR" },
+  dueDate: { type: Date },
+  status: {
+    type: String,
+    enum: ["issued", "paid", "overdue"],
+    default: "issued",
+  },
+  paymentLink: {
+    id: { type: String },
+    shortUrl: { type: String },
+    createdAt: { type: Date },
+  },
+  paymentDetails: {
+    razorpayPaymentId: { type: String },
+    razorpayPaymentLinkId: { type: String },
+    amount: { type: Number },
+    paidAt: { type: Date },
+  },
+}, {
+  timestamps: true,
+});
+
+statementSchema.index({ customer: 1, periodStart: -1 });
+statementSchema.index({ customer: 1, periodStart: 1 }, { unique: true });
+
+async function generateStatementNumber() {
+  const counter = await Counter.findOneAndUpdate(
+    { name: "statementNumber" },
+    { $inc: { sequenceValue: 1 } },
+    { new: true, upsert: true }
+  );
+  return `STM-${counter.sequenceValue.toString().padStart(5, '0')}`;
+}
+
+statementSchema.pre("save", async function (next) {
+  if (this.isNew) {
+    this.statementNumber = await generateStatementNumber();
+  }
+  next();
+});
+
+const Statement = mongoose.model("Statement", statementSchema);
+
+export default Statement;
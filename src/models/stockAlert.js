@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Raised when a branch's stock of a product drops below the product's
+// lowStockThreshold; resolved once the stock is back at or above it.
+// A branch/product pair has at most one open alert at a time.
+const stockAlertSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["open", "resolved"],
+    default: "open",
+  },
+  threshold: {
+    type: Number,
+    required: true,
+  },
+  stockAtAlert: {
+    type: Number,
+    required: true,
+  },
+  resolvedAt: { type: Date },
+  resolvedStock: { type: Number },
+}, {
+  timestamps: true,
+});
+
+stockAlertSchema.index(
+  { branch: 1, product: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+stockAlertSchema.index({ status: 1, createdAt: -1 });
+stockAlertSchema.index({ product: 1, createdAt: -1 });
+
+const StockAlert = mongoose.model("StockAlert", stockAlertSchema);
+
+export default StockAlert;
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// A batch of one product received at a branch. Sales consume lots
+// first-expiry-first-out; whatever is left when a lot expires is written off.
+// active -> depleted (sold out) | expired (written off)
+const stockLotSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  lotNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  manufacturedAt: { type: Date },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  quantityReceived: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  quantityRemaining: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0,
+    description: "Purchase cost per unit, used to value write-offs"
+  },
+  status: {
+    type: String,
+    enum: ["active", "depleted", "expired"],
+    default: "active",
+  },
+  writtenOffQuantity: { type: Number, default: 0 },
+  writtenOffValue: { type: Number, default: 0 },
+  writtenOffAt: { type: Date },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+}, {
+  timestamps: true,
+});
+
+stockLotSchema.index({ branch: 1, product: 1, status: 1, expiresAt: 1 });
+stockLotSchema.index({ expiresAt: 1, quantityRemaining: 1 });
+stockLotSchema.index({ branch: 1, product: 1, lotNumber: 1 }, { unique: true });
+
+const StockLot = mongoose.model("StockLot", stockLotSchema);
+
+export default StockLot;
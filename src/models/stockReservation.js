@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+// Time-limited hold on a branch's product stock for one order line.
+// held -> committed (stock taken) | released (hold dropped)
+// committed -> returned (stock given back on cancellation)
+const stockReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  status: {
+    type: String,
+    enum: ["held", "committed", "released", "returned"],
+    default: "held",
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  committedAt: { type: Date },
+  releasedAt: { type: Date },
+  releaseReason: { type: String },
+  // Lots the committed units were taken from (first-expiry-first-out)
+  lots: [{
+    _id: false,
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot" },
+    lotNumber: { type: String },
+    expiresAt: { type: Date },
+    quantity: { type: Number },
+  }],
+}, {
+  timestamps: true,
+});
+
+stockReservationSchema.index({ order: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ product: 1, status: 1 });
+stockReservationSchema.index({ branch: 1, product: 1, status: 1 });
+
+const StockReservation = mongoose.model("StockReservation", stockReservationSchema);
+
+export default StockReservation;
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+const subscriptionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  address: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Address",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    description: "Units delivered on each delivery day"
+  },
+  frequency: {
+    type: String,
+    enum: ["daily", "alternate", "weekdays", "custom"],
+    default: "daily",
+  },
+  customDays: [{
+    type: Number,
+    min: 0,
+    max: 6,
+    description: "Days of week for custom frequency (0 = Sunday)"
+  }],
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+  },
+  status: {
+    type: String,
+    enum: ["active", "paused", "cancelled"],
+    default: "active",
+  },
+  pausedAt: { type: Date },
+  cancelledAt: { type: Date },
+  cancellationReason: { type: String },
+  lastOrderDate: {
+    type: Date,
+    description: "Delivery day for which the last order was generated"
+  },
+}, {
+  timestamps: true,
+});
+
+subscriptionSchema.index({ customer: 1, status: 1 });
+subscriptionSchema.index({ status: 1, startDate: 1 });
+
+const Subscription = mongoose.model("Subscription", subscriptionSchema);
+
+export default Subscription;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true,
+  },
+  contactName: { type: String, trim: true },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  address: { type: String },
+  // Products this supplier can deliver; used to pick a supplier for reorder suggestions
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+  }],
+  leadTimeDays: {
+    type: Number,
+    default: 2,
+    min: 0,
+    description: "Usual days between sending a purchase order and receiving the goods"
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+supplierSchema.index({ products: 1, isActive: 1 });
+
+const Supplier = mongoose.model("Supplier", supplierSchema);
+
+export default Supplier;
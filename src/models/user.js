@@ -45,7 +45,39 @@ const customerSchema = new mongoose.Schema({
     isSubscription: {
         type: Boolean,
         default: false
-    }
+    },
+    // B2B buyers: printed on tax invoices
+    businessName: {
+        type: String,
+        trim: true,
+    },
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+    },
+    // prepaid: pay per order; postpaid: delivered orders are billed on a monthly statement
+    billingMode: {
+        type: String,
+        enum: ['prepaid', 'postpaid'],
+        default: 'prepaid'
+    },
+    // Vacation mode: no deliveries between startDate and endDate (inclusive)
+    deliveryPauses: [{
+        startDate: { type: Date, required: true },
+        endDate: { type: Date, required: true },
+        reason: { type: String },
+        createdAt: { type: Date, default: Date.now },
+    }],
+    // One-off changes for a single day: skip it, or deliver a different quantity
+    deliveryOverrides: [{
+        date: { type: Date, required: true },
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // empty = every product that day
+        skip: { type: Boolean, default: false },
+        quantity: { type: Number, min: 1 },
+        note: { type: String },
+        createdAt: { type: Date, default: Date.now },
+    }]
 }, {
     timestamps: true
 });
@@ -66,6 +98,7 @@ const deliveryPartnerSchema = new mongoose.Schema({
     liveLocation: {
         latitude: { type: Number },
         longitude: { type: Number },
+        updatedAt: { type: Date },
     },
     phone: {
         type: String,
@@ -79,6 +112,20 @@ const deliveryPartnerSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Branch',
     },
+    // Duty state: 'offline' until the partner clocks in; only 'online' partners get new orders
+    availability: {
+        type: String,
+        enum: ['online', 'offline', 'on_break'],
+        default: 'offline',
+    },
+    availabilityUpdatedAt: {
+        type: Date,
+    },
+    // COD cash collected and not yet deposited at the branch; follows the cash ledger
+    cashInHand: {
+        type: Number,
+        default: 0,
+    },
     role : {
         type: String,
         enum: ['DeliveryPartner'],
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+const walletSchema = new mongoose.Schema({
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+        required: true,
+        unique: true,
+    },
+    currency: {
+        type: String,
+        default: "INR",
+    },
+    status: {
+        type: String,
+        enum: ["active", "frozen"],
+        default: "active",
+    },
+}, {
+    timestamps: true,
+});
+
+// Append-only ledger. Every entry carries the running balance after it, and
+// `sequence` is unique per wallet so two concurrent writers cannot both append
+// on top of the same previous entry.
+const walletTransactionSchema = new mongoose.Schema({
+    wallet: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Wallet",
+        required: true,
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+        required: true,
+    },
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    type: {
+        type: String,
+        enum: ["credit", "debit"],
+        required: true,
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01,
+    },
+    balanceAfter: {
+        type: Number,
+        required: true,
+    },
+    reason: {
+        type: String,
+        enum: ["topup", "order_payment", "order_refund", "adjustment"],
+        required: true,
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+    },
+    razorpayOrderId: { type: String },
+    razorpayPaymentId: { type: String },
+    note: { type: String },
+    createdAt: { type: Date, default: Date.now },
+});
+
+walletTransactionSchema.index({ wallet: 1, sequence: 1 }, { unique: true });
+walletTransactionSchema.index({ customer: 1, createdAt: -1 });
+walletTransactionSchema.index({ order: 1 });
+// A Razorpay payment can only ever be credited once
+walletTransactionSchema.index(
+    { razorpayPaymentId: 1 },
+    { unique: true, partialFilterExpression: { razorpayPaymentId: { $type: "string" } } }
+);
+
+const rejectLedgerMutation = function (next) {
+    next(new Error("Wallet transactions are append-only and cannot be modified"));
+};
+
+walletTransactionSchema.pre(
+    ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+    rejectLedgerMutation
+);
+
+walletTransactionSchema.pre("save", function (next) {
+    if (!this.isNew) {
+        return rejectLedgerMutation(next);
+    }
+    next();
+});
+
+export const Wallet = mongoose.model("Wallet", walletSchema);
+export const WalletTransaction = mongoose.model("WalletTransaction", walletTransactionSchema);
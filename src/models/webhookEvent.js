@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// One row per Razorpay webhook delivery, keyed on the event id, so a
+// redelivered event is recognised and not applied twice.
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  event: {
+    type: String,
+    required: true,
+    description: "Razorpay event type, e.g. payment.captured"
+  },
+  status: {
+    type: String,
+    enum: ["processing", "processed", "ignored", "failed"],
+    default: "processing",
+  },
+  razorpayOrderId: { type: String },
+  razorpayPaymentId: { type: String },
+  razorpayRefundId: { type: String },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  result: {
+    type: String,
+    description: "What the handler did, or why the event was ignored or failed"
+  },
+  attempts: {
+    type: Number,
+    default: 1,
+  },
+  processedAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+webhookEventSchema.index({ razorpayPaymentId: 1 });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+
+export default WebhookEvent;
@@ -1,9 +1,13 @@
 import express from "express";
-import { addBranch, getBranches } from "../controllers/branch.js";
+import { addBranch, getBranches, updateDeliveryFeeRules, updateEarningRules, updateDispatchMode } from "../controllers/branch.js";
+import { verifyToken, requireRole } from "../middleware/auth.js";
 
 const router = express.Router();
 
 router.post("/branch", addBranch);
 router.get("/branch", getBranches);
+router.patch("/branch/:branchId/delivery-fee-rules", verifyToken, requireRole('Admin'), updateDeliveryFeeRules);
+router.patch("/branch/:branchId/earning-rules", verifyToken, requireRole('Admin'), updateEarningRules);
+router.patch("/branch/:branchId/dispatch-mode", verifyToken, requireRole('Admin'), updateDispatchMode);
 
 export default router;
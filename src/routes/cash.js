@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getPartnerCash,
+  getBranchCashSummary,
+  createCashDeposit,
+  getCashDeposits
+} from '../controllers/cash.js';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/delivery-partners/:partnerId/cash', verifyToken, getPartnerCash);
+
+// Branch staff count and take partner cash at the end of a shift
+router.get('/branch/:branchId/cash-summary', verifyToken, requireRole('Admin'), getBranchCashSummary);
+router.get('/branch/:branchId/cash-deposits', verifyToken, requireRole('Admin'), getCashDeposits);
+router.post('/branch/:branchId/cash-deposits', verifyToken, requireRole('Admin'), createCashDeposit);
+
+export default router;
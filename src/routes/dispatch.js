@@ -0,0 +1,14 @@
+import express from 'express';
+import { getMyOffers, acceptOffer, declineOffer, updateMyLocation } from '../controllers/dispatch.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use('/dispatch', verifyToken);
+
+router.get('/dispatch/offers', getMyOffers);
+router.post('/dispatch/offers/:offerId/accept', acceptOffer);
+router.post('/dispatch/offers/:offerId/decline', declineOffer);
+router.patch('/dispatch/location', updateMyLocation);
+
+export default router;
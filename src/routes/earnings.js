@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getEarnings,
+  getMyPayoutStatements,
+  getBranchPayoutStatements,
+  getPayoutStatementById,
+  issuePayoutStatements,
+  markPayoutStatementPaid
+} from '../controllers/earnings.js';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/delivery/earnings', verifyToken, getEarnings);
+router.get('/delivery/payout-statements', verifyToken, getMyPayoutStatements);
+router.get('/payout-statements/:statementId', verifyToken, getPayoutStatementById);
+
+router.get('/branch/:branchId/payout-statements', verifyToken, requireRole('Admin'), getBranchPayoutStatements);
+router.post('/payout-statements', verifyToken, requireRole('Admin'), issuePayoutStatements);
+router.post('/payout-statements/:statementId/mark-paid', verifyToken, requireRole('Admin'), markPayoutStatementPaid);
+
+export default router;
@@ -8,6 +8,18 @@ import productRoutes from './products.js';
 import profileRoutes from './profileRoutes.js';
 
 import branchRoutes from './branch.js';
+import subscriptionRoutes from './subscription.js';
+import walletRoutes from './wallet.js';
+import statementRoutes from './statement.js';
+import inventoryRoutes from './inventory.js';
+import purchasingRoutes from './purchasing.js';
+import webhookRoutes from './webhook.js';
+import reconciliationRoutes from './reconciliation.js';
+import cashRoutes from './cash.js';
+import dispatchRoutes from './dispatch.js';
+import runRoutes from './run.js';
+import shiftRoutes from './shift.js';
+import earningsRoutes from './earnings.js';
 
 
 
@@ -17,6 +29,7 @@ export const registerRoutes = (app) => {
     // Register public routes first (no authentication required)
     app.use('/', authRoutes);
     app.use('/otp', otpRoutes); // Mount OTP routes with /otp prefix
+    app.use('/', webhookRoutes); // Must come before the routers that require a token
     
     // Register protected routes (authentication required)
     app.use('/', addressRoutes);
@@ -25,5 +38,16 @@ export const registerRoutes = (app) => {
     app.use('/', productRoutes);
     app.use('/', profileRoutes);
     app.use('/', branchRoutes);
+    app.use('/', subscriptionRoutes);
+    app.use('/', walletRoutes);
+    app.use('/', statementRoutes);
+    app.use('/', inventoryRoutes);
+    app.use('/', purchasingRoutes);
+    app.use('/', reconciliationRoutes);
+    app.use('/', cashRoutes);
+    app.use('/', dispatchRoutes);
+    app.use('/', runRoutes);
+    app.use('/', shiftRoutes);
+    app.use('/', earningsRoutes);
 
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getInventoryAvailability,
+  getProductAvailability,
+  getBranchInventory,
+  transferBranchStock,
+  postStockAdjustment,
+  getProductMovements,
+  getStockAlerts,
+  getLowStockDigest,
+  receiveStockLot,
+  getExpiringStockLots
+} from '../controllers/inventory.js';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use('/inventory', verifyToken);
+
+router.get('/inventory/availability', getInventoryAvailability);
+router.get('/inventory/availability/:productId', getProductAvailability);
+
+// Admin only
+router.get('/inventory/branches/:branchId', requireRole('Admin'), getBranchInventory);
+router.post('/inventory/transfers', requireRole('Admin'), transferBranchStock);
+router.post('/inventory/adjustments', requireRole('Admin'), postStockAdjustment);
+router.get('/inventory/products/:productId/movements', requireRole('Admin'), getProductMovements);
+router.get('/inventory/alerts', requireRole('Admin'), getStockAlerts);
+router.get('/inventory/alerts/digest', requireRole('Admin'), getLowStockDigest);
+router.post('/inventory/lots', requireRole('Admin'), receiveStockLot);
+router.get('/inventory/lots/expiring', requireRole('Admin'), getExpiringStockLots);
+
+export default router;
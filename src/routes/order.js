@@ -7,6 +7,9 @@ import {
     updateOrderStatus,
     deleteOrder,
     getOrderTrackingInfo,
+    getOrderTimeline,
+    getOrderInvoice,
+    getProofOfDeliveryPhoto,
     getActiveOrderForUser,
     getMyOrderHistory,
     confirmDeliveryReceipt,
@@ -21,6 +24,13 @@ import {
     getGoogleMapsDirections,
     cancelOrder
 } from "../controllers/order/order.js";
+import {
+    getDeliveryPauses,
+    addDeliveryPause,
+    removeDeliveryPause,
+    addDeliveryOverride,
+    removeDeliveryOverride
+} from "../controllers/order/deliveryPause.js";
 
 import { verifyToken } from "../middleware/auth.js";
 
@@ -35,8 +45,16 @@ router.get("/order/current/:deliveryPartnerId", getCurrentOrders);
 router.get("/order/history/:deliveryPartnerId", getHistoryOrders);
 router.get("/order/active/user", getActiveOrderForUser);
 router.get("/orders/my-history", getMyOrderHistory);
+router.get("/orders/pauses", getDeliveryPauses);
+router.post("/orders/pauses", addDeliveryPause);
+router.delete("/orders/pauses/:pauseId", removeDeliveryPause);
+router.post("/orders/skips", addDeliveryOverride);
+router.delete("/orders/skips/:overrideId", removeDeliveryOverride);
 router.get("/order/:orderId", getOrderById);
 router.get("/order/:orderId/tracking", getOrderTrackingInfo);
+router.get("/order/:orderId/timeline", getOrderTimeline);
+router.get("/order/:orderId/invoice", getOrderInvoice);
+router.get("/order/:orderId/proof-of-delivery/photo", getProofOfDeliveryPhoto);
 router.post("/order/:orderId/confirm", confirmOrder);
 router.post("/order/:orderId/accept", acceptOrder);
 router.post("/order/:orderId/pickup", pickupOrder);
@@ -1,20 +1,27 @@
 import express from 'express';
-import { createOrder, verifyPayment, getPaymentStatus, refundPayment } from '../controllers/payment.js';
-import { verifyToken } from '../middleware/auth.js';
+import { createOrder, verifyPayment, reportPaymentFailure, getPaymentStatus, refundPayment, getOrderRefunds } from '../controllers/payment.js';
+import { verifyToken, optionalVerifyToken, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Public routes (no authentication required for payment processing)
-router.post('/create-order', createOrder);
+// Public routes (no authentication required for payment processing);
+// wallet top-ups need the customer's token
+router.post('/create-order', optionalVerifyToken, createOrder);
 router.post('/verify-payment', verifyPayment);
 
 // Protected routes (authentication required)
 router.use(verifyToken);
 
+// Release the stock hold of an order whose checkout failed
+router.post('/payment-failed', reportPaymentFailure);
+
 // Get payment status for an order
 router.get('/payment-status/:orderId', getPaymentStatus);
 
-// Refund payment (admin only - add admin middleware if needed)
-router.post('/refund', refundPayment);
+// Refund an order (admin only; cancellations refund automatically)
+router.post('/refund', requireRole('Admin'), refundPayment);
+
+// Refunds issued on an order
+router.get('/order/:orderId/refunds', getOrderRefunds);
 
 export default router;
\ No newline at end of file
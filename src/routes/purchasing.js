@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+  createSupplier,
+  getSuppliers,
+  getSupplierById,
+  updateSupplier,
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+  getReorderSuggestions
+} from '../controllers/purchasing.js';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Purchasing is admin only
+router.use(['/suppliers', '/purchase-orders', '/reorder-suggestions'], verifyToken, requireRole('Admin'));
+
+router.post('/suppliers', createSupplier);
+router.get('/suppliers', getSuppliers);
+router.get('/suppliers/:supplierId', getSupplierById);
+router.patch('/suppliers/:supplierId', updateSupplier);
+
+router.post('/purchase-orders', createPurchaseOrder);
+router.get('/purchase-orders', getPurchaseOrders);
+router.get('/purchase-orders/:purchaseOrderId', getPurchaseOrderById);
+router.patch('/purchase-orders/:purchaseOrderId', updatePurchaseOrder);
+router.post('/purchase-orders/:purchaseOrderId/send', sendPurchaseOrder);
+router.post('/purchase-orders/:purchaseOrderId/cancel', cancelPurchaseOrder);
+router.post('/purchase-orders/:purchaseOrderId/receipts', receivePurchaseOrder);
+
+router.get('/reorder-suggestions', getReorderSuggestions);
+
+export default router;
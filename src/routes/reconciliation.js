@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  runReconciliation,
+  getReconciliationReports,
+  getReconciliationReportById,
+  exportReconciliationReport
+} from '../controllers/reconciliation.js';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Reconciliation is for finance admins only
+router.use('/reconciliation', verifyToken, requireRole('Admin'));
+
+router.post('/reconciliation/reports', runReconciliation);
+router.get('/reconciliation/reports', getReconciliationReports);
+router.get('/reconciliation/reports/:reportId', getReconciliationReportById);
+router.get('/reconciliation/reports/:reportId/csv', exportReconciliationReport);
+
+export default router;
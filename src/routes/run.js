@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  createDeliveryRun,
+  getBranchRuns,
+  getMyRuns,
+  getRunById,
+  startDeliveryRun,
+  completeRunStop,
+  cancelDeliveryRun
+} from '../controllers/run.js';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Branch staff batch orders into runs
+router.post('/branch/:branchId/runs', verifyToken, requireRole('Admin'), createDeliveryRun);
+router.get('/branch/:branchId/runs', verifyToken, requireRole('Admin'), getBranchRuns);
+router.post('/runs/:runId/cancel', verifyToken, requireRole('Admin'), cancelDeliveryRun);
+
+// Partner app
+router.get('/runs/mine', verifyToken, getMyRuns);
+router.get('/runs/:runId', verifyToken, getRunById);
+router.post('/runs/:runId/start', verifyToken, startDeliveryRun);
+router.post('/runs/:runId/stops/:orderId/complete', verifyToken, completeRunStop);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  createShift,
+  getBranchShifts,
+  deleteShift,
+  getMyShifts,
+  clockInPartner,
+  clockOutPartner,
+  updateAvailability,
+  getBranchAttendance,
+  getPartnerAttendance
+} from '../controllers/shift.js';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Branch roster and attendance
+router.post('/branch/:branchId/shifts', verifyToken, requireRole('Admin'), createShift);
+router.get('/branch/:branchId/shifts', verifyToken, requireRole('Admin'), getBranchShifts);
+router.delete('/branch/:branchId/shifts/:shiftId', verifyToken, requireRole('Admin'), deleteShift);
+router.get('/branch/:branchId/attendance', verifyToken, requireRole('Admin'), getBranchAttendance);
+router.get('/delivery-partners/:partnerId/attendance', verifyToken, getPartnerAttendance);
+
+// Partner duty
+router.get('/delivery/shifts', verifyToken, getMyShifts);
+router.post('/delivery/clock-in', verifyToken, clockInPartner);
+router.post('/delivery/clock-out', verifyToken, clockOutPartner);
+router.patch('/delivery/availability', verifyToken, updateAvailability);
+
+export default router;
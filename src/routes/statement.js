@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getMyStatements,
+  getStatementById,
+  createStatementPayment,
+  verifyStatementPayment
+} from '../controllers/statement.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use('/statements', verifyToken);
+
+router.get('/statements', getMyStatements);
+router.get('/statements/:statementId', getStatementById);
+router.post('/statements/:statementId/pay', createStatementPayment);
+router.post('/statements/:statementId/verify-payment', verifyStatementPayment);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+    createSubscription,
+    getMySubscriptions,
+    getSubscriptionById,
+    updateSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    cancelSubscription,
+    getUpcomingDeliveries,
+} from '../controllers/subscription.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use('/subscriptions', verifyToken);
+
+router.post('/subscriptions', createSubscription);
+router.get('/subscriptions', getMySubscriptions);
+router.get('/subscriptions/upcoming', getUpcomingDeliveries);
+router.get('/subscriptions/:subscriptionId', getSubscriptionById);
+router.put('/subscriptions/:subscriptionId', updateSubscription);
+router.post('/subscriptions/:subscriptionId/pause', pauseSubscription);
+router.post('/subscriptions/:subscriptionId/resume', resumeSubscription);
+router.post('/subscriptions/:subscriptionId/cancel', cancelSubscription);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import { getWallet, getWalletTransactions, getWalletAudit } from '../controllers/wallet.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use('/wallet', verifyToken);
+
+router.get('/wallet', getWallet);
+router.get('/wallet/transactions', getWalletTransactions);
+router.get('/wallet/audit', getWalletAudit);
+
+export default router;
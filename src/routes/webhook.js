@@ -0,0 +1,9 @@
+import express from 'express';
+import { razorpayWebhook } from '../controllers/payment.js';
+
+const router = express.Router();
+
+// Called by Razorpay, authenticated by the X-Razorpay-Signature header instead of a token
+router.post('/payment/webhook', razorpayWebhook);
+
+export default router;
@@ -0,0 +1,376 @@
+// Check the webhook handling against the fixtures, without a running server:
+// each delivery is signed, verified with verifyWebhookSignature, claimed and
+// applied with handleWebhookEvent the way the /payment/webhook route does it,
+// and the order, refund, wallet and statement state is asserted after every
+// one, replays included. Razorpay order lookups and refunds go to a fake
+// gateway instead of Razorpay.
+// Usage: node src/scripts/checkWebhooks.js
+// Run it against a scratch database (MONGO_URI): it creates its own orders and
+// removes them, with their refunds, wallets, statements and webhook events, when it is done.
+import 'dotenv/config';
+import assert from 'assert/strict';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/connect.js';
+import razorpay from '../config/razorpay.js';
+import Order from '../models/order.js';
+import Refund from '../models/refund.js';
+import Statement from '../models/statement.js';
+import { Wallet, WalletTransaction } from '../models/wallet.js';
+import WebhookEvent from '../models/webhookEvent.js';
+import {
+  verifyWebhookSignature,
+  claimWebhookEvent,
+  handleWebhookEvent,
+} from '../services/paymentWebhookService.js';
+import { getBalance } from '../services/walletService.js';
+import { buildPayload, signPayload } from './webhookFixtures.js';
+
+const SECRET = 'webhook_check_secret';
+const AMOUNT = 250;
+const RUN = Date.now().toString(36).toUpperCase();
+
+const createdOrders = [];
+const createdCustomers = [];
+const createdStatements = [];
+const eventIds = [];
+let failures = 0;
+
+// Refunds made during the check (the next one fails when failNext is set) and
+// the Razorpay orders the check created
+const gateway = { failNext: false, refunds: 0, orders: new Map() };
+razorpay.orders.fetch = async (razorpayOrderId) => gateway.orders.get(razorpayOrderId) || { id: razorpayOrderId, notes: {} };
+razorpay.payments.refund = async (paymentId, { amount, notes }) => {
+  if (gateway.failNext) {
+    gateway.failNext = false;
+    throw Object.assign(new Error('Gateway unavailable'), { error: { description: 'Gateway unavailable' } });
+  }
+  gateway.refunds++;
+  return { id: `rfnd_CHECK_${RUN}_${gateway.refunds}`, entity: 'refund', payment_id: paymentId, amount, notes, status: 'pending' };
+};
+
+const createOrder = async (label, fields = {}) => {
+  const order = await Order.create({
+    customer: new mongoose.Types.ObjectId(),
+    branch: new mongoose.Types.ObjectId(),
+    items: [{
+      product: new mongoose.Types.ObjectId(),
+      name: 'Webhook check item',
+      mode: 'retail',
+      unitsBought: 1,
+      unitPrice: AMOUNT,
+      totalPrice: AMOUNT,
+    }],
+    totalPrice: AMOUNT,
+    deliveryFee: 0,
+    deliveryLocation: { latitude: 0, longitude: 0, address: 'Webhook check' },
+    pickupLocation: { latitude: 0, longitude: 0, address: 'Webhook check' },
+    deliveryPersonLocation: { latitude: 0, longitude: 0, address: 'Not assigned' },
+    paymentStatus: 'pending',
+    paymentDetails: { method: 'online', razorpayOrderId: `order_CHECK_${RUN}_${label}`, currency: 'INR' },
+    ...fields,
+  });
+  createdOrders.push(order._id);
+  return order;
+};
+
+const valuesFor = (order, { paymentId, refundId, amount = AMOUNT } = {}) => ({
+  appOrderId: order._id.toString(),
+  razorpayOrderId: order.paymentDetails.razorpayOrderId,
+  paymentId,
+  refundId,
+  amountPaise: Math.round(amount * 100),
+  now: Math.floor(Date.now() / 1000),
+});
+
+// One delivery of a signed fixture, handled as the webhook route does
+const deliver = async (event, values, eventId) => {
+  const body = buildPayload(event, values);
+  assert.equal(verifyWebhookSignature(Buffer.from(body), signPayload(body, SECRET), SECRET), true, `${event} signature`);
+
+  const id = `evt_check_${RUN}_${eventId}`;
+  eventIds.push(id);
+  const record = await claimWebhookEvent(id, event);
+  if (!record) {
+    return { duplicate: true };
+  }
+
+  try {
+    const outcome = await handleWebhookEvent(JSON.parse(body));
+    record.status = outcome.status;
+    record.result = outcome.result;
+    record.order = outcome.order?._id;
+    record.processedAt = new Date();
+    await record.save();
+    return outcome;
+  } catch (error) {
+    record.status = 'failed';
+    record.result = error.message;
+    await record.save();
+    return { status: 'failed', result: error.message };
+  }
+};
+
+const step = async (name, fn) => {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`❌ ${name}: ${error.message}`);
+  }
+};
+
+const newCustomerId = () => {
+  const customerId = new mongoose.Types.ObjectId();
+  createdCustomers.push(customerId);
+  return customerId;
+};
+
+const reload = (order) => Order.findById(order._id);
+const refundsOf = (order) => Refund.find({ order: order._id }).sort({ createdAt: 1 });
+
+const checkSignatures = async () => {
+  const body = buildPayload('payment.captured', { paymentId: 'pay_SIG', razorpayOrderId: 'order_SIG', amountPaise: 100, now: 0 });
+  const signature = signPayload(body, SECRET);
+
+  await step('signature: valid body is accepted', () => {
+    assert.equal(verifyWebhookSignature(Buffer.from(body), signature, SECRET), true);
+  });
+  await step('signature: tampered body, wrong secret or missing header is rejected', () => {
+    assert.equal(verifyWebhookSignature(Buffer.from(body.replace('100', '1')), signature, SECRET), false);
+    assert.equal(verifyWebhookSignature(Buffer.from(body), signature, 'another_secret'), false);
+    assert.equal(verifyWebhookSignature(Buffer.from(body), undefined, SECRET), false);
+  });
+};
+
+// Pending order paid through the webhook; later events for it change nothing
+const checkPaidOrder = async () => {
+  const order = await createOrder('PAID');
+  const values = valuesFor(order, { paymentId: `pay_CHECK_${RUN}_PAID` });
+
+  await step('payment.captured marks the order verified', async () => {
+    const outcome = await deliver('payment.captured', values, 'paid_captured');
+    assert.equal(outcome.status, 'processed');
+    const stored = await reload(order);
+    assert.equal(stored.paymentStatus, 'verified');
+    assert.equal(stored.paymentDetails.razorpayPaymentId, values.paymentId);
+    assert.equal(stored.paymentDetails.amount, AMOUNT);
+  });
+  await step('payment.captured replayed with the same event id is a duplicate', async () => {
+    const outcome = await deliver('payment.captured', values, 'paid_captured');
+    assert.equal(outcome.duplicate, true);
+    assert.equal((await reload(order)).paymentStatus, 'verified');
+  });
+  await step('order.paid for the same payment is ignored', async () => {
+    const outcome = await deliver('order.paid', values, 'paid_order_paid');
+    assert.equal(outcome.status, 'ignored');
+    assert.equal((await reload(order)).paymentStatus, 'verified');
+  });
+  await step('payment.failed after the payment went through is ignored', async () => {
+    const outcome = await deliver('payment.failed', values, 'paid_failed');
+    assert.equal(outcome.status, 'ignored');
+    assert.equal((await reload(order)).paymentStatus, 'verified');
+    assert.equal((await refundsOf(order)).length, 0);
+  });
+};
+
+// Wrong amount first, then a failed payment
+const checkFailedOrder = async () => {
+  const order = await createOrder('FAILED');
+  const values = valuesFor(order, { paymentId: `pay_CHECK_${RUN}_FAILED` });
+
+  await step('payment.captured with the wrong amount leaves the order pending', async () => {
+    const outcome = await deliver('payment.captured', { ...values, amountPaise: 100 }, 'failed_short');
+    assert.equal(outcome.status, 'ignored');
+    const stored = await reload(order);
+    assert.equal(stored.paymentStatus, 'pending');
+    assert.equal(stored.paymentDetails.razorpayPaymentId, undefined);
+  });
+  await step('payment.failed marks the order failed', async () => {
+    const outcome = await deliver('payment.failed', values, 'failed_failed');
+    assert.equal(outcome.status, 'processed');
+    assert.equal((await reload(order)).paymentStatus, 'failed');
+  });
+  await step('payment.failed redelivered with a new event id is ignored', async () => {
+    const outcome = await deliver('payment.failed', values, 'failed_failed_again');
+    assert.equal(outcome.status, 'ignored');
+    assert.equal((await reload(order)).paymentStatus, 'failed');
+  });
+};
+
+// Payment captured after the order was cancelled: refunded once, even across retries and replays
+const checkLatePayment = async () => {
+  const order = await createOrder('LATE', { status: 'cancelled', deliveryStatus: 'Cancelled' });
+  const values = valuesFor(order, { paymentId: `pay_CHECK_${RUN}_LATE` });
+
+  await step('late payment.captured with the gateway down fails and can be retried', async () => {
+    gateway.failNext = true;
+    const outcome = await deliver('payment.captured', values, 'late_captured');
+    assert.equal(outcome.status, 'failed');
+    const stored = await reload(order);
+    assert.equal(stored.paymentDetails.razorpayPaymentId, values.paymentId);
+    assert.deepEqual((await refundsOf(order)).map(r => r.status), ['failed']);
+  });
+  await step('late payment.captured redelivered refunds the payment in full', async () => {
+    const outcome = await deliver('payment.captured', values, 'late_captured');
+    assert.equal(outcome.status, 'processed');
+    const refunds = await refundsOf(order);
+    assert.deepEqual(refunds.map(r => r.status), ['failed', 'initiated']);
+    assert.equal(refunds[1].amount, AMOUNT);
+    assert.equal(refunds[1].initiatedBy.actor, 'system');
+  });
+  await step('late payment.captured replayed again is a duplicate', async () => {
+    const outcome = await deliver('payment.captured', values, 'late_captured');
+    assert.equal(outcome.duplicate, true);
+    assert.equal((await refundsOf(order)).length, 2);
+  });
+  await step('order.paid for the late payment does not refund it twice', async () => {
+    const outcome = await deliver('order.paid', values, 'late_order_paid');
+    assert.equal(outcome.status, 'ignored');
+    assert.equal((await refundsOf(order)).filter(r => r.status !== 'failed').length, 1);
+    assert.equal(gateway.refunds, 1);
+  });
+
+  const refundId = (await refundsOf(order)).find(r => r.status === 'initiated')?.razorpayRefundId;
+  const refundValues = { ...values, refundId };
+
+  await step('refund.processed completes the refund and the order is refunded', async () => {
+    const outcome = await deliver('refund.processed', refundValues, 'late_refund');
+    assert.equal(outcome.status, 'processed');
+    const refund = await Refund.findOne({ razorpayRefundId: refundId });
+    assert.equal(refund.status, 'processed');
+    const stored = await reload(order);
+    assert.equal(stored.paymentStatus, 'refunded');
+    assert.equal(stored.paymentDetails.refundAmount, AMOUNT);
+  });
+  await step('refund.processed replayed is a duplicate, redelivered is ignored', async () => {
+    assert.equal((await deliver('refund.processed', refundValues, 'late_refund')).duplicate, true);
+    assert.equal((await deliver('refund.processed', refundValues, 'late_refund_again')).status, 'ignored');
+    const stored = await reload(order);
+    assert.equal(stored.paymentStatus, 'refunded');
+    assert.equal(stored.paymentDetails.refundAmount, AMOUNT);
+    assert.equal((await refundsOf(order)).filter(r => r.status === 'processed').length, 1);
+  });
+};
+
+// Top-up whose app never reached /verify-payment: the webhook credits it once
+const checkWalletTopup = async () => {
+  const customerId = newCustomerId();
+  const razorpayOrderId = `order_CHECK_${RUN}_TOPUP`;
+  gateway.orders.set(razorpayOrderId, {
+    id: razorpayOrderId,
+    amount: AMOUNT * 100,
+    notes: { orderId: null, customerId: customerId.toString(), orderType: 'walletTopup' },
+  });
+  const values = {
+    appOrderId: '',
+    razorpayOrderId,
+    paymentId: `pay_CHECK_${RUN}_TOPUP`,
+    amountPaise: AMOUNT * 100,
+    now: Math.floor(Date.now() / 1000),
+  };
+
+  await step('payment.captured for a top-up credits the wallet', async () => {
+    const outcome = await deliver('payment.captured', values, 'topup_captured');
+    assert.equal(outcome.status, 'processed');
+    assert.equal(await getBalance(customerId), AMOUNT);
+  });
+  await step('top-up payment.captured replayed is a duplicate', async () => {
+    assert.equal((await deliver('payment.captured', values, 'topup_captured')).duplicate, true);
+    assert.equal(await getBalance(customerId), AMOUNT);
+  });
+  await step('order.paid for the same top-up does not credit it twice', async () => {
+    const outcome = await deliver('order.paid', values, 'topup_order_paid');
+    assert.equal(outcome.status, 'ignored');
+    assert.equal(await getBalance(customerId), AMOUNT);
+    assert.equal(await WalletTransaction.countDocuments({ customer: customerId }), 1);
+  });
+};
+
+// Statement paid through its payment link without the callback coming back
+const checkStatementPayment = async () => {
+  const customerId = newCustomerId();
+  const now = new Date();
+  const statement = await Statement.create({
+    customer: customerId,
+    periodStart: new Date(now.getFullYear(), now.getMonth() - 1, 1),
+    periodEnd: new Date(now.getFullYear(), now.getMonth(), 1),
+    amountDue: AMOUNT,
+    paymentLink: { id: `plink_CHECK_${RUN}`, createdAt: now },
+  });
+  createdStatements.push(statement._id);
+  const order = await createOrder('STATEMENT', {
+    customer: customerId,
+    status: 'delivered',
+    paymentDetails: { method: 'postpaid', currency: 'INR' },
+    statement: statement._id,
+  });
+  statement.lines.push({ order: order._id, orderId: order.orderId, itemsTotal: AMOUNT, amount: AMOUNT });
+  await statement.save();
+  const values = {
+    paymentLinkId: statement.paymentLink.id,
+    referenceId: statement.statementNumber,
+    statementId: statement._id.toString(),
+    razorpayOrderId: `order_CHECK_${RUN}_STATEMENT`,
+    paymentId: `pay_CHECK_${RUN}_STATEMENT`,
+    amountPaise: AMOUNT * 100,
+    now: Math.floor(Date.now() / 1000),
+  };
+
+  await step('payment.captured for a statement is left to payment_link.paid', async () => {
+    const outcome = await deliver('payment.captured', { ...values, appOrderId: '' }, 'statement_captured');
+    assert.equal(outcome.status, 'ignored');
+    assert.equal((await Statement.findById(statement._id)).status, 'issued');
+  });
+  await step('payment_link.paid settles the statement and its orders', async () => {
+    const outcome = await deliver('payment_link.paid', values, 'statement_link_paid');
+    assert.equal(outcome.status, 'processed');
+    const stored = await Statement.findById(statement._id);
+    assert.equal(stored.status, 'paid');
+    assert.equal(stored.paymentDetails.razorpayPaymentId, values.paymentId);
+    assert.equal(stored.paymentDetails.amount, AMOUNT);
+    const paidOrder = await reload(order);
+    assert.equal(paidOrder.paymentStatus, 'completed');
+    assert.equal(paidOrder.paymentDetails.amount, AMOUNT);
+  });
+  await step('payment_link.paid replayed is a duplicate, redelivered is ignored', async () => {
+    assert.equal((await deliver('payment_link.paid', values, 'statement_link_paid')).duplicate, true);
+    assert.equal((await deliver('payment_link.paid', values, 'statement_link_paid_again')).status, 'ignored');
+    assert.equal((await Statement.findById(statement._id)).status, 'paid');
+  });
+};
+
+const cleanUp = async () => {
+  await Refund.deleteMany({ order: { $in: createdOrders } });
+  await Order.deleteMany({ _id: { $in: createdOrders } });
+  await WalletTransaction.deleteMany({ customer: { $in: createdCustomers } });
+  await Wallet.deleteMany({ customer: { $in: createdCustomers } });
+  await Statement.deleteMany({ _id: { $in: createdStatements } });
+  await WebhookEvent.deleteMany({ eventId: { $in: eventIds } });
+};
+
+const run = async () => {
+  await connectDB();
+  try {
+    await checkSignatures();
+    await checkPaidOrder();
+    await checkFailedOrder();
+    await checkLatePayment();
+    await checkWalletTopup();
+    await checkStatementPayment();
+  } finally {
+    await cleanUp();
+    await mongoose.disconnect();
+  }
+
+  if (failures > 0) {
+    console.error(`❌ ${failures} webhook check(s) failed`);
+    process.exit(1);
+  }
+  console.log('✅ All webhook checks passed');
+};
+
+run().catch((error) => {
+  console.error('❌ Webhook check failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+// One-off migration: move each product's global stock into a BranchInventory row.
+// Usage: node src/scripts/migrateBranchInventory.js <branchId>
+// Products that already have branch rows are left alone.
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/connect.js';
+import Branch from '../models/branch.js';
+import Product from '../models/product.js';
+import BranchInventory from '../models/branchInventory.js';
+
+const run = async () => {
+  const branchId = process.argv[2];
+  if (!branchId || !mongoose.Types.ObjectId.isValid(branchId)) {
+    console.error('Usage: node src/scripts/migrateBranchInventory.js <branchId>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const branch = await Branch.findById(branchId);
+  if (!branch) {
+    console.error(`Branch not found: ${branchId}`);
+    process.exit(1);
+  }
+
+  const products = await Product.find({}).select('name stock reserved');
+  let migrated = 0;
+
+  for (const product of products) {
+    const hasRows = await BranchInventory.exists({ product: product._id });
+    if (hasRows) {
+      continue;
+    }
+
+    await BranchInventory.create({
+      branch: branch._id,
+      product: product._id,
+      stock: Math.max(0, product.stock || 0),
+      reserved: Math.max(0, product.reserved || 0),
+    });
+    migrated++;
+  }
+
+  console.log(`✅ Moved stock of ${migrated} product(s) to branch ${branch.name}`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('❌ Branch inventory migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+// Replay Razorpay webhook fixtures against a running server, signed with
+// RAZORPAY_WEBHOOK_SECRET the way Razorpay signs them.
+// Usage: node src/scripts/replayWebhooks.js <event|all> [options]
+//   --app-order <id>         App order _id (put in the payment/order notes)
+//   --razorpay-order <id>    Razorpay order id (default order_REPLAY)
+//   --payment <id>           Razorpay payment id (default pay_REPLAY)
+//   --refund <id>            Razorpay refund id (default rfnd_REPLAY)
+//   --payment-link <id>      Razorpay payment link id of a statement (default plink_REPLAY)
+//   --statement <id>         Statement _id (put in the payment link notes)
+//   --amount <rupees>        Payment or refund amount (default 100)
+//   --repeat <n>             Send each event n times with the same event id (default 2)
+//   --url <url>              Webhook URL (default http://localhost:$PORT/payment/webhook)
+// The same event id is reused across repeats, so every delivery after the
+// first should come back as a duplicate.
+import 'dotenv/config';
+import { EVENTS, buildPayload, signPayload } from './webhookFixtures.js';
+
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    options[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return options;
+};
+
+const run = async () => {
+  const [target, ...rest] = process.argv.slice(2);
+  const events = target === 'all' ? EVENTS : [target];
+  if (!target || events.some(e => !EVENTS.includes(e))) {
+    console.error(`Usage: node src/scripts/replayWebhooks.js <${EVENTS.join('|')}|all> [--app-order id] [--razorpay-order id] [--payment id] [--refund id] [--payment-link id] [--statement id] [--amount rupees] [--repeat n] [--url url]`);
+    process.exit(1);
+  }
+
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('RAZORPAY_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const options = parseArgs(rest);
+  const url = options.url || `http://localhost:${process.env.PORT || 3000}/payment/webhook`;
+  const repeat = Number(options.repeat || 2);
+  const values = {
+    appOrderId: options['app-order'] || '',
+    razorpayOrderId: options['razorpay-order'] || 'order_REPLAY',
+    paymentId: options.payment || 'pay_REPLAY',
+    refundId: options.refund || 'rfnd_REPLAY',
+    paymentLinkId: options['payment-link'] || 'plink_REPLAY',
+    statementId: options.statement || '',
+    amountPaise: Math.round(Number(options.amount || 100) * 100),
+    now: Math.floor(Date.now() / 1000),
+  };
+
+  for (const event of events) {
+    const body = buildPayload(event, values);
+    const signature = signPayload(body, secret);
+    const entityId = event === 'refund.processed' ? values.refundId : values.paymentId;
+    const eventId = `evt_replay_${event.replace(/\W/g, '_')}_${entityId}`;
+
+    for (let attempt = 1; attempt <= repeat; attempt++) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Razorpay-Signature': signature,
+          'X-Razorpay-Event-Id': eventId,
+        },
+        body,
+      });
+      console.log(`${event} #${attempt}: ${response.status} ${await response.text()}`);
+    }
+  }
+};
+
+run().catch((error) => {
+  console.error('Replay failed:', error);
+  process.exit(1);
+});
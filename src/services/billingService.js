@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import razorpay from '../config/razorpay.js';
+import Order from '../models/order.js';
+import Statement from '../models/statement.js';
+import { addDays } from '../utils/dateUtils.js';
+
+const STATEMENT_DUE_DAYS = 10;
+const SETTLED_PAYMENT_STATUSES = ['verified', 'completed', 'partially_refunded', 'refunded'];
+
+const roundAmount = (amount) => Number(Number(amount).toFixed(2));
+
+/**
+ * Calendar month before the given date, as [periodStart, periodEnd)
+ * @param {Date} date - Any day in the month after the cycle
+ * @returns {{periodStart: Date, periodEnd: Date}}
+ */
+export const getPreviousBillingCycle = (date = new Date()) => {
+  const periodEnd = new Date(date.getFullYear(), date.getMonth(), 1);
+  const periodStart = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+  return { periodStart, periodEnd };
+};
+
+// Delivered postpaid orders that are not on a statement yet
+const unbilledOrdersFilter = (periodEnd) => ({
+  'paymentDetails.method': 'postpaid',
+  status: 'delivered',
+  statement: { $exists: false },
+  createdAt: { $lt: periodEnd },
+});
+
+const buildStatement = async (customerId, periodStart, periodEnd) => {
+  const orders = await Order.find({ ...unbilledOrdersFilter(periodEnd), customer: customerId })
+    .sort({ createdAt: 1 });
+
+  if (orders.length === 0) {
+    return null;
+  }
+
+  const lines = orders.map(order => ({
+    order: order._id,
+    orderId: order.orderId,
+    deliveredAt: order.deliveryPersonLocation?.deliveredAt || order.updatedAt,
+    itemsTotal: roundAmount(order.totalPrice),
+    deliveryFee: roundAmount(order.deliveryFee || 0),
+    discount: roundAmount(order.discount || 0),
+    amount: order.amountPayable,
+  }));
+
+  const itemsTotal = roundAmount(lines.reduce((sum, line) => sum + line.itemsTotal, 0));
+  const deliveryFeeTotal = roundAmount(lines.reduce((sum, line) => sum + line.deliveryFee, 0));
+  const discountTotal = roundAmount(lines.reduce((sum, line) => sum + line.discount, 0));
+
+  const statement = new Statement({
+    customer: customerId,
+    periodStart,
+    periodEnd,
+    lines,
+    itemsTotal,
+    deliveryFeeTotal,
+    discountTotal,
+    amountDue: Math.max(0, roundAmount(itemsTotal + deliveryFeeTotal - discountTotal)),
+    dueDate: addDays(periodEnd, STATEMENT_DUE_DAYS),
+  });
+
+  await statement.save();
+  await Order.updateMany(
+    { _id: { $in: orders.map(order => order._id) } },
+    { $set: { statement: statement._id, updatedAt: new Date() } }
+  );
+
+  return statement;
+};
+
+/**
+ * Close a billing cycle: one Statement per postpaid customer with delivered,
+ * unbilled orders. Re-running for the same cycle does not create duplicates.
+ * @param {Date} periodStart - Start of the cycle (inclusive)
+ * @param {Date} periodEnd - End of the cycle (exclusive)
+ * @returns {Promise<{created: number, failed: number}>}
+ */
+export const closeBillingCycle = async (periodStart, periodEnd) => {
+  const summary = { created: 0, failed: 0 };
+  const customerIds = await Order.distinct('customer', unbilledOrdersFilter(periodEnd));
+
+  for (const customerId of customerIds) {
+    try {
+      const existing = await Statement.exists({ customer: customerId, periodStart });
+      if (existing) {
+        continue;
+      }
+
+      const statement = await buildStatement(customerId, periodStart, periodEnd);
+      if (statement) {
+        summary.created++;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to build statement for customer ${customerId}:`, error);
+      summary.failed++;
+    }
+  }
+
+  console.log(`🧾 Billing cycle ${periodStart.toISOString()} - ${periodEnd.toISOString()} closed:`, summary);
+  return summary;
+};
+
+/**
+ * Flag issued statements past their due date
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of statements marked overdue
+ */
+export const markOverdueStatements = async (now = new Date()) => {
+  const result = await Statement.updateMany(
+    { status: 'issued', dueDate: { $lt: now } },
+    { $set: { status: 'overdue' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Create (or reuse) a Razorpay payment link for a statement
+ * @param {Object} statement - Statement document
+ * @param {Object} customer - Customer document (phone, name, email)
+ * @returns {Promise<{id: string, shortUrl: string}>}
+ */
+export const createStatementPaymentLink = async (statement, customer) => {
+  if (statement.paymentLink?.id) {
+    return statement.paymentLink;
+  }
+
+  const link = await razorpay.paymentLink.create({
+    amount: Math.round(statement.amountDue * 100), // To paise
+    currency: statement.currency || 'INR',
+    reference_id: statement.statementNumber,
+    description: `Statement ${statement.statementNumber}`,
+    customer: {
+      name: customer.name,
+      contact: customer.phone,
+      email: customer.email,
+    },
+    notes: {
+      orderType: 'statement',
+      statementId: statement._id.toString(),
+    },
+    ...(process.env.STATEMENT_PAYMENT_CALLBACK_URL && {
+      callback_url: process.env.STATEMENT_PAYMENT_CALLBACK_URL,
+      callback_method: 'get',
+    }),
+  });
+
+  statement.paymentLink = {
+    id: link.id,
+    shortUrl: link.short_url,
+    createdAt: new Date(),
+  };
+  await statement.save();
+
+  return statement.paymentLink;
+};
+
+/**
+ * Verify the signature Razorpay appends to the payment link callback
+ * @returns {boolean}
+ */
+export const verifyPaymentLinkSignature = ({ paymentLinkId, referenceId, status, paymentId, signature }) => {
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${paymentLinkId}|${referenceId}|${status}|${paymentId}`)
+    .digest('hex');
+  return typeof signature === 'string' && expected === signature;
+};
+
+/**
+ * Mark a statement and every order on it as paid
+ * @param {Object} statement - Statement document
+ * @param {Object} payment - razorpayPaymentId, razorpayPaymentLinkId, amount
+ * @returns {Promise<{success: boolean, alreadyPaid?: boolean}>}
+ */
+export const settleStatement = async (statement, { razorpayPaymentId, razorpayPaymentLinkId, amount }) => {
+  if (statement.status === 'paid') {
+    return { success: true, alreadyPaid: true };
+  }
+
+  const paidAt = new Date();
+  statement.status = 'paid';
+  statement.paymentDetails = {
+    razorpayPaymentId,
+    razorpayPaymentLinkId,
+    amount: amount ?? statement.amountDue,
+    paidAt,
+  };
+  await statement.save();
+
+  // Each order is paid its own line amount, which caps later refunds; orders
+  // already paid or refunded keep their payment status
+  if (statement.lines.length > 0) {
+    await Order.bulkWrite(statement.lines.map(line => ({
+      updateOne: {
+        filter: {
+          _id: line.order,
+          statement: statement._id,
+          paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES },
+        },
+        update: {
+          $set: {
+            paymentStatus: 'completed',
+            'paymentDetails.amount': line.amount,
+            'paymentDetails.razorpayPaymentId': razorpayPaymentId,
+            'paymentDetails.verifiedAt': paidAt,
+            updatedAt: paidAt,
+          }
+        },
+      },
+    })));
+  }
+
+  console.log(`✅ Statement ${statement.statementNumber} settled`);
+  return { success: true };
+};
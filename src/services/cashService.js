@@ -0,0 +1,194 @@
+import { CashLedgerEntry, CashDeposit } from '../models/cash.js';
+import { DeliveryPartner } from '../models/user.js';
+
+const MAX_APPEND_RETRIES = 5;
+
+const roundAmount = (amount) => Number(Number(amount).toFixed(2));
+
+// Entry types that add to the cash in hand; the others take from it
+const INCOMING_TYPES = ['collection', 'settlement_reversal'];
+
+const getLastEntry = (partnerId) => {
+  return CashLedgerEntry.findOne({ deliveryPartner: partnerId }).sort({ sequence: -1 });
+};
+
+/**
+ * Cash the partner holds, read from the latest ledger entry
+ * @param {string} partnerId - DeliveryPartner ID
+ * @returns {Promise<number>}
+ */
+export const getCashInHand = async (partnerId) => {
+  const last = await getLastEntry(partnerId);
+  return last ? last.balanceAfter : 0;
+};
+
+const notifyCashInHand = (io, partnerId, cashInHand) => {
+  if (io) {
+    io.to(`deliveryPartner-${partnerId}`).emit('cashInHandUpdated', { cashInHand });
+  }
+};
+
+// Append one entry on top of the latest one, retrying when another entry for
+// the same partner took the sequence number first. DeliveryPartner.cashInHand
+// follows the ledger.
+const appendEntry = async (partnerId, entry) => {
+  const amount = roundAmount(entry.amount);
+  if (!(amount > 0)) {
+    return { success: false, error: "Amount must be greater than zero" };
+  }
+
+  for (let attempt = 0; attempt < MAX_APPEND_RETRIES; attempt++) {
+    const last = await getLastEntry(partnerId);
+    const balance = last ? last.balanceAfter : 0;
+    const incoming = INCOMING_TYPES.includes(entry.type);
+    const balanceAfter = roundAmount(incoming ? balance + amount : balance - amount);
+
+    if (balanceAfter < 0) {
+      return { success: false, error: `Deposit is more than the ₹${balance} cash in hand`, balance };
+    }
+
+    try {
+      const ledgerEntry = await CashLedgerEntry.create({
+        ...entry,
+        amount,
+        deliveryPartner: partnerId,
+        sequence: (last ? last.sequence : 0) + 1,
+        balanceAfter,
+      });
+      await DeliveryPartner.updateOne(
+        { _id: partnerId },
+        { $inc: { cashInHand: incoming ? amount : -amount } }
+      );
+      return { success: true, entry: ledgerEntry, balanceBefore: balance, balance: balanceAfter };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // The order's cash was already recorded
+      if (error.keyPattern?.order) {
+        const existing = await CashLedgerEntry.findOne({ order: entry.order, type: 'collection' });
+        return { success: true, entry: existing, balance: await getCashInHand(partnerId), duplicate: true };
+      }
+    }
+  }
+
+  return { success: false, error: "Cash ledger is busy, please try again" };
+};
+
+/**
+ * Record the cash a partner collected for a COD order
+ * @param {Object} order - Order document
+ * @param {string} partnerId - DeliveryPartner ID
+ * @param {number} amount - Amount collected in rupees
+ * @param {Object} options - io
+ * @returns {Promise<{success: boolean, entry?: Object, balance?: number, error?: string}>}
+ */
+export const recordCashCollection = async (order, partnerId, amount, { io } = {}) => {
+  const result = await appendEntry(partnerId, {
+    type: 'collection',
+    amount,
+    order: order._id,
+    branch: order.branch,
+    note: `COD for order ${order.orderId}`,
+  });
+
+  if (result.success && !result.duplicate) {
+    notifyCashInHand(io, partnerId, result.balance);
+  }
+  return result;
+};
+
+/**
+ * Let a partner keep cash they hold as part of their pay on a payout statement
+ * @param {string} partnerId - DeliveryPartner ID
+ * @param {number} amount - Amount kept, in rupees (at most the cash in hand)
+ * @param {Object} statement - PayoutStatement document (may be unsaved)
+ * @param {Object} options - io
+ * @returns {Promise<{success: boolean, entry?: Object, balance?: number, error?: string}>}
+ */
+export const settleCashAgainstPayout = async (partnerId, amount, statement, { io } = {}) => {
+  const result = await appendEntry(partnerId, {
+    type: 'settlement',
+    amount,
+    branch: statement.branch,
+    payoutStatement: statement._id,
+    note: 'Kept as pay on payout statement',
+  });
+
+  if (result.success) {
+    notifyCashInHand(io, partnerId, result.balance);
+  }
+  return result;
+};
+
+/**
+ * Give back cash settled against a payout statement that could not be issued
+ * @param {string} partnerId - DeliveryPartner ID
+ * @param {number} amount - Amount settled, in rupees
+ * @param {Object} statement - PayoutStatement document
+ * @param {Object} options - io
+ * @returns {Promise<{success: boolean, entry?: Object, balance?: number, error?: string}>}
+ */
+export const reverseCashSettlement = async (partnerId, amount, statement, { io } = {}) => {
+  const result = await appendEntry(partnerId, {
+    type: 'settlement_reversal',
+    amount,
+    branch: statement.branch,
+    payoutStatement: statement._id,
+    note: 'Payout statement not issued; cash back in hand',
+  });
+
+  if (result.success) {
+    notifyCashInHand(io, partnerId, result.balance);
+  }
+  return result;
+};
+
+/**
+ * Take cash from a partner at their branch. Whatever is not deposited stays
+ * in the partner's hand.
+ * @param {Object} deposit - branchId, partnerId, amount, adminId, note, io
+ * @returns {Promise<{success: boolean, deposit?: Object, error?: string}>}
+ */
+export const depositCash = async ({ branchId, partnerId, amount, adminId, note, io }) => {
+  const partner = await DeliveryPartner.findById(partnerId).select('branch');
+  if (!partner) {
+    return { success: false, error: "Delivery partner not found" };
+  }
+  if (partner.branch?.toString() !== branchId.toString()) {
+    return { success: false, error: "Delivery partner does not belong to this branch" };
+  }
+
+  const lastDeposit = await CashLedgerEntry.findOne({ deliveryPartner: partnerId, type: 'deposit' }).sort({ sequence: -1 });
+  const deposit = new CashDeposit({
+    branch: branchId,
+    deliveryPartner: partnerId,
+    receivedBy: adminId,
+    note,
+  });
+
+  const result = await appendEntry(partnerId, {
+    type: 'deposit',
+    amount,
+    branch: branchId,
+    deposit: deposit._id,
+    note: note || 'Branch cash deposit',
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  deposit.amount = result.entry.amount;
+  deposit.expectedAmount = result.balanceBefore;
+  deposit.remainingInHand = result.balance;
+  deposit.collections = await CashLedgerEntry.countDocuments({
+    deliveryPartner: partnerId,
+    type: 'collection',
+    sequence: { $gt: lastDeposit ? lastDeposit.sequence : 0, $lt: result.entry.sequence },
+  });
+  await deposit.save();
+
+  notifyCashInHand(io, partnerId, result.balance);
+  console.log(`💵 Deposit ${deposit.depositNumber}: ₹${deposit.amount} of ₹${deposit.expectedAmount} from partner ${partnerId}`);
+  return { success: true, deposit };
+};
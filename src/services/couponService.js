@@ -0,0 +1,184 @@
+import { Coupon, CouponRedemption } from '../models/coupon.js';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export const findCoupon = (code) => Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+// Items the coupon is scoped to (all items when it has no product or category scope)
+const eligibleItems = (coupon, items) => {
+  const productIds = new Set((coupon.products || []).map(id => id.toString()));
+  const categoryIds = new Set((coupon.categories || []).map(id => id.toString()));
+  if (productIds.size === 0 && categoryIds.size === 0) {
+    return items;
+  }
+  return items.filter(item =>
+    productIds.has(item.product.toString()) ||
+    (item.category && categoryIds.has(item.category.toString()))
+  );
+};
+
+// Spread an items discount over the eligible lines in proportion to their value,
+// leaving any rounding remainder on the last line
+const allocateDiscount = (items, eligible, itemsDiscount) => {
+  const eligibleTotal = eligible.reduce((sum, item) => sum + item.totalPrice, 0);
+  const shares = new Map();
+  let allocated = 0;
+  eligible.forEach((item, index) => {
+    const share = index === eligible.length - 1
+      ? roundAmount(itemsDiscount - allocated)
+      : roundAmount(itemsDiscount * item.totalPrice / eligibleTotal);
+    shares.set(item, share);
+    allocated = roundAmount(allocated + share);
+  });
+  return items.map(item => shares.get(item) || 0);
+};
+
+/**
+ * Work out what a coupon takes off a priced cart, without redeeming it
+ * @param {Object} coupon - Coupon document (or null when the code is unknown)
+ * @param {Object} cart - customerId, items [{product, category, unitsBought, unitPrice, totalPrice}], cartTotal, deliveryFee, now
+ * @returns {Promise<{success: boolean, error?: string, discount?: number, itemsDiscount?: number, deliveryDiscount?: number, lineDiscounts?: number[], line?: Object}>}
+ */
+export const evaluateCoupon = async (coupon, { customerId, items, cartTotal, deliveryFee, now = new Date() }) => {
+  if (!coupon || !coupon.isActive) {
+    return { success: false, error: "Coupon is not valid" };
+  }
+  if (coupon.validFrom && coupon.validFrom > now) {
+    return { success: false, error: "Coupon is not active yet" };
+  }
+  if (coupon.validUntil && coupon.validUntil < now) {
+    return { success: false, error: "Coupon has expired" };
+  }
+  if (cartTotal < (coupon.minCartValue || 0)) {
+    return { success: false, error: `Minimum cart value for this coupon is ₹${coupon.minCartValue}` };
+  }
+  if (coupon.usageLimit && coupon.redemptionCount >= coupon.usageLimit) {
+    return { success: false, error: "Coupon usage limit reached" };
+  }
+
+  const redemption = await CouponRedemption.findOne({ coupon: coupon._id, customer: customerId }).select('count');
+  if (redemption && redemption.count >= coupon.perCustomerLimit) {
+    return { success: false, error: "You have already used this coupon" };
+  }
+
+  const eligible = eligibleItems(coupon, items);
+  if (eligible.length === 0) {
+    return { success: false, error: "Coupon does not apply to any item in your cart" };
+  }
+  const eligibleTotal = eligible.reduce((sum, item) => sum + item.totalPrice, 0);
+
+  let itemsDiscount = 0;
+  let deliveryDiscount = 0;
+  let lineDiscounts = null;
+  switch (coupon.type) {
+    case 'percentage':
+      itemsDiscount = eligibleTotal * coupon.value / 100;
+      if (coupon.maxDiscount) {
+        itemsDiscount = Math.min(itemsDiscount, coupon.maxDiscount);
+      }
+      break;
+    case 'flat':
+      itemsDiscount = Math.min(coupon.value, eligibleTotal);
+      break;
+    case 'free_delivery':
+      deliveryDiscount = Number(deliveryFee || 0);
+      break;
+    case 'buy_x_get_y': {
+      if (!coupon.buyQuantity || !coupon.getQuantity) {
+        return { success: false, error: "Coupon is not valid" };
+      }
+      const groupSize = coupon.buyQuantity + coupon.getQuantity;
+      lineDiscounts = items.map(item => (eligible.includes(item)
+        ? roundAmount(Math.floor(item.unitsBought / groupSize) * coupon.getQuantity * item.unitPrice)
+        : 0));
+      itemsDiscount = lineDiscounts.reduce((sum, amount) => sum + amount, 0);
+      break;
+    }
+    default:
+      return { success: false, error: "Coupon is not valid" };
+  }
+
+  itemsDiscount = roundAmount(itemsDiscount);
+  deliveryDiscount = roundAmount(deliveryDiscount);
+  const discount = roundAmount(itemsDiscount + deliveryDiscount);
+  if (discount <= 0) {
+    return { success: false, error: "Coupon gives no discount on this cart" };
+  }
+  // Per-line split of the items discount, in cart order
+  lineDiscounts = lineDiscounts ?? allocateDiscount(items, eligible, itemsDiscount);
+
+  return {
+    success: true,
+    discount,
+    itemsDiscount,
+    deliveryDiscount,
+    lineDiscounts,
+    line: {
+      code: coupon.code,
+      type: coupon.type,
+      description: coupon.description,
+      amount: -discount,
+    },
+  };
+};
+
+/**
+ * Count one redemption against the coupon's global and per-customer limits.
+ * Both counters only move through conditional updates, so concurrent
+ * checkouts cannot push either past its limit.
+ * @param {Object} coupon - Coupon document
+ * @param {string} customerId - Customer ID
+ * @param {string} orderId - Order the coupon is used on
+ * @param {number} discount - Discount given
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const redeemCoupon = async (coupon, customerId, orderId, discount) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$redemptionCount', '$usageLimit'] } }]
+    },
+    { $inc: { redemptionCount: 1 } }
+  );
+  if (!claimed) {
+    return { success: false, error: "Coupon usage limit reached" };
+  }
+
+  try {
+    // The upsert inserts a second counter (and hits the unique index) when this customer is at the limit
+    await CouponRedemption.findOneAndUpdate(
+      { coupon: coupon._id, customer: customerId, count: { $lt: coupon.perCustomerLimit } },
+      { $inc: { count: 1 }, $push: { orders: { order: orderId, discount } } },
+      { upsert: true }
+    );
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+    if (error.code === 11000) {
+      return { success: false, error: "You have already used this coupon" };
+    }
+    throw error;
+  }
+
+  return { success: true };
+};
+
+/**
+ * Give back the redemption of an order that will not be fulfilled.
+ * Safe to call more than once.
+ * @param {Object} order - Order document
+ */
+export const releaseCoupon = async (order) => {
+  const couponId = order.coupon?.coupon;
+  if (!couponId) {
+    return;
+  }
+
+  const released = await CouponRedemption.findOneAndUpdate(
+    { coupon: couponId, customer: order.customer, 'orders.order': order._id },
+    { $inc: { count: -1 }, $pull: { orders: { order: order._id } } }
+  );
+  if (released) {
+    await Coupon.updateOne({ _id: couponId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+  }
+};
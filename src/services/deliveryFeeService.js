@@ -0,0 +1,99 @@
+import { distanceBetween } from '../utils/geo.js';
+
+export const DEFAULT_FEE_RULES = {
+  baseFee: 49,
+  distanceBands: [],
+  freeDeliveryThreshold: 1000,
+  smallOrderThreshold: 0,
+  smallOrderSurcharge: 0,
+  lateHours: null,
+  subscriberWaiver: false,
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const hasCoordinates = (point) =>
+  point && Number.isFinite(point.latitude) && Number.isFinite(point.longitude) &&
+  !(point.latitude === 0 && point.longitude === 0);
+
+// Late-hour windows may wrap midnight (e.g. 21 -> 6)
+export const isWithinHours = (hour, { startHour, endHour }) => (
+  startHour <= endHour
+    ? hour >= startHour && hour < endHour
+    : hour >= startHour || hour < endHour
+);
+
+export const getFeeRules = (branch) => {
+  const configured = branch.deliveryFeeRules?.toObject?.() ?? branch.deliveryFeeRules ?? {};
+  return { ...DEFAULT_FEE_RULES, ...configured };
+};
+
+/**
+ * Work out the delivery fee of a cart from the branch's fee rules. The
+ * breakdown lists every rule that applied, in order, so the client can show
+ * how the fee was derived.
+ * @param {Object} branch - Branch document
+ * @param {Object} cart - deliveryLocation {latitude, longitude}, cartTotal, isSubscriber, now
+ * @returns {{success: boolean, fee?: number, distanceKm?: number, breakdown?: Array<{rule: string, label: string, amount: number}>, error?: string, code?: string}}
+ */
+export const calculateDeliveryFee = (branch, { deliveryLocation, cartTotal, isSubscriber = false, now = new Date() }) => {
+  const rules = getFeeRules(branch);
+  const bands = [...(rules.distanceBands || [])].sort((a, b) => a.upToKm - b.upToKm);
+  const breakdown = [];
+
+  const distanceKm = hasCoordinates(deliveryLocation) && hasCoordinates(branch.location)
+    ? roundAmount(distanceBetween(branch.location, deliveryLocation))
+    : null;
+
+  if (bands.length > 0) {
+    if (distanceKm === null) {
+      return { success: false, code: 'ADDRESS_NOT_LOCATED', error: "Delivery address has no map location" };
+    }
+    const band = bands.find(b => distanceKm <= b.upToKm);
+    if (!band) {
+      return {
+        success: false,
+        code: 'DELIVERY_OUT_OF_RANGE',
+        error: `Address is ${distanceKm} km away; this branch delivers up to ${bands[bands.length - 1].upToKm} km`
+      };
+    }
+    breakdown.push({ rule: 'distance', label: `Delivery up to ${band.upToKm} km (${distanceKm} km)`, amount: band.fee });
+  } else {
+    breakdown.push({ rule: 'base', label: 'Delivery fee', amount: rules.baseFee });
+  }
+
+  const distanceFee = breakdown[0].amount;
+  if (rules.freeDeliveryThreshold && cartTotal >= rules.freeDeliveryThreshold && distanceFee > 0) {
+    breakdown.push({
+      rule: 'free_delivery_threshold',
+      label: `Free delivery on orders of ₹${rules.freeDeliveryThreshold} or more`,
+      amount: -distanceFee
+    });
+  }
+
+  if (rules.smallOrderSurcharge > 0 && cartTotal < rules.smallOrderThreshold) {
+    breakdown.push({
+      rule: 'small_order',
+      label: `Small order surcharge (below ₹${rules.smallOrderThreshold})`,
+      amount: rules.smallOrderSurcharge
+    });
+  }
+
+  const late = rules.lateHours;
+  if (late?.surcharge > 0 && Number.isInteger(late.startHour) && Number.isInteger(late.endHour) &&
+      isWithinHours(now.getHours(), late)) {
+    breakdown.push({
+      rule: 'late_hours',
+      label: `Late delivery surcharge (${late.startHour}:00-${late.endHour}:00)`,
+      amount: late.surcharge
+    });
+  }
+
+  const subtotal = breakdown.reduce((sum, line) => sum + line.amount, 0);
+  if (rules.subscriberWaiver && isSubscriber && subtotal > 0) {
+    breakdown.push({ rule: 'subscriber_waiver', label: 'Free delivery for subscribers', amount: -subtotal });
+  }
+
+  const fee = roundAmount(Math.max(0, breakdown.reduce((sum, line) => sum + line.amount, 0)));
+  return { success: true, fee, distanceKm, breakdown };
+};
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import Order from '../models/order.js';
+import { recordCashCollection } from './cashService.js';
+import { transitionOrder } from './orderLifecycle.js';
+import { distanceBetween } from '../utils/geo.js';
+
+// How far from deliveryLocation the partner may be when proving the handover
+const PROOF_RADIUS_METERS = Number(process.env.POD_RADIUS_METERS) || 150;
+// Wrong handover codes before the partner has to take a photo instead
+const MAX_CODE_ATTEMPTS = Number(process.env.POD_MAX_CODE_ATTEMPTS) || 5;
+const MAX_PHOTO_KB = Number(process.env.POD_MAX_PHOTO_KB) || 2048;
+
+// File signatures of the photo formats we accept
+const PHOTO_SIGNATURES = {
+  'image/jpeg': (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/png': (buffer) => buffer.subarray(0, 4).toString('hex') === '89504e47',
+  'image/webp': (buffer) => buffer.subarray(0, 4).toString() === 'RIFF' && buffer.subarray(8, 12).toString() === 'WEBP',
+};
+
+// COD orders whose cash has not been taken yet
+export const isCashToCollect = (order) => order.paymentDetails?.method === 'COD' && order.paymentStatus === 'pending';
+
+const failure = (statusCode, error, message, extra = {}) => ({ success: false, statusCode, error, message, ...extra });
+
+/**
+ * Decode a doorstep photo sent as a data URL (data:image/jpeg;base64,...)
+ * @param {string} photo - Data URL
+ * @returns {{data?: Buffer, contentType?: string, error?: string}}
+ */
+export const parseProofPhoto = (photo) => {
+  const match = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(typeof photo === 'string' ? photo : '');
+  if (!match || !PHOTO_SIGNATURES[match[1]]) {
+    return { error: "photo must be a JPEG, PNG or WebP data URL" };
+  }
+
+  const data = Buffer.from(match[2], 'base64');
+  if (!PHOTO_SIGNATURES[match[1]](data)) {
+    return { error: `photo is not a valid ${match[1]} image` };
+  }
+  if (data.length > MAX_PHOTO_KB * 1024) {
+    return { error: `photo must be at most ${MAX_PHOTO_KB} KB` };
+  }
+  return { data, contentType: match[1] };
+};
+
+const codesMatch = (expected, given) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given).trim());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Hand an in-progress order over to the customer. The partner proves the
+ * handover with the customer's handover code or a doorstep photo, from within
+ * PROOF_RADIUS_METERS of deliveryLocation; the COD cash is recorded in the
+ * partner's ledger and the order moves straight to delivered. Used by mark-delivered and
+ * by delivery runs.
+ * @param {Object} order - Order document (in-progress, assigned to partnerId)
+ * @param {Object} delivery - partnerId, actor, actorId, deliveryLocation, handoverCode, photo, cashCollected, reason, io
+ * @returns {Promise<{success: boolean, order?: Object, statusCode?: number, message?: string, error?: string, amountDue?: number}>}
+ */
+export const deliverOrder = async (order, { partnerId, actor, actorId, deliveryLocation, handoverCode, photo, cashCollected, reason, io }) => {
+  if (order.status !== "in-progress") {
+    return { success: false, statusCode: 400, message: "Order must be in-progress before marking as delivered" };
+  }
+
+  if (order.deliveryPartner?.toString() !== partnerId.toString()) {
+    return { success: false, statusCode: 403, message: "Only assigned delivery partner can mark this order as delivered" };
+  }
+
+  // COD: the partner records the cash taken from the customer, which must cover the order
+  const collectsCash = isCashToCollect(order);
+  if (collectsCash && !(Math.abs(Number(cashCollected) - order.amountPayable) <= 0.01)) {
+    return failure(400, "COD_AMOUNT_MISMATCH", `Collect ₹${order.amountPayable} in cash and record it as cashCollected`, {
+      amountDue: order.amountPayable
+    });
+  }
+
+  // The partner must be at the door
+  if (!Number.isFinite(deliveryLocation?.latitude) || !Number.isFinite(deliveryLocation?.longitude)) {
+    return failure(400, "LOCATION_REQUIRED", "Send your current deliveryLocation { latitude, longitude }");
+  }
+  const distanceMeters = Math.round(distanceBetween(deliveryLocation, order.deliveryLocation) * 1000);
+  if (distanceMeters > PROOF_RADIUS_METERS) {
+    return failure(400, "OUTSIDE_DELIVERY_RADIUS", `You are ${distanceMeters} m from the delivery address; get within ${PROOF_RADIUS_METERS} m`, {
+      distanceMeters,
+      radiusMeters: PROOF_RADIUS_METERS
+    });
+  }
+
+  let proof;
+  if (handoverCode !== undefined && handoverCode !== null && handoverCode !== '') {
+    const attempts = order.proofOfDelivery?.failedCodeAttempts || 0;
+    if (attempts >= MAX_CODE_ATTEMPTS) {
+      return failure(400, "HANDOVER_CODE_LOCKED", "Too many wrong handover codes; take a doorstep photo instead");
+    }
+
+    const stored = await Order.findById(order._id).select('+handoverCode');
+    if (!stored?.handoverCode) {
+      return failure(400, "HANDOVER_CODE_UNAVAILABLE", "This order has no handover code; take a doorstep photo instead");
+    }
+    if (!codesMatch(stored.handoverCode, handoverCode)) {
+      await Order.updateOne({ _id: order._id }, { $inc: { 'proofOfDelivery.failedCodeAttempts': 1 } });
+      order.set('proofOfDelivery.failedCodeAttempts', attempts + 1);
+      return failure(400, "INVALID_HANDOVER_CODE", "Handover code does not match", {
+        attemptsLeft: MAX_CODE_ATTEMPTS - attempts - 1
+      });
+    }
+    proof = { method: 'code' };
+  } else if (photo) {
+    const parsed = parseProofPhoto(photo);
+    if (parsed.error) {
+      return failure(400, "INVALID_PHOTO", parsed.error);
+    }
+    proof = {
+      method: 'photo',
+      photo: {
+        data: parsed.data,
+        contentType: parsed.contentType,
+        size: parsed.data.length,
+        sha256: crypto.createHash('sha256').update(parsed.data).digest('hex'),
+      },
+    };
+  } else {
+    return failure(400, "PROOF_REQUIRED", "Enter the customer's handoverCode or upload a doorstep photo");
+  }
+
+  // The cash goes on the partner's ledger before the order is closed, so it is never
+  // lost; if closing fails, a retry finds the collection already recorded
+  if (collectsCash) {
+    const collection = await recordCashCollection(order, partnerId, order.amountPayable, { io });
+    if (!collection.success) {
+      console.error(`⚠️ Cash for order ${order.orderId} could not be added to the ledger:`, collection.error);
+      return failure(409, "CASH_NOT_RECORDED", `The cash could not be recorded (${collection.error}); please try again`);
+    }
+  }
+
+  const result = await transitionOrder(order, "delivered", {
+    actor,
+    actorId,
+    reason: reason || `Delivered with ${proof.method === 'code' ? 'handover code' : 'doorstep photo'}`,
+    io,
+    apply: (o) => {
+      const now = new Date();
+      // Save final delivery coordinates to database
+      o.deliveryPersonLocation = {
+        ...deliveryLocation,
+        address: deliveryLocation.address || o.deliveryLocation.address,
+        timestamp: now,
+        isFinalLocation: true, // Mark this as the final delivery location
+        deliveredAt: now
+      };
+      o.set('proofOfDelivery.method', proof.method);
+      o.set('proofOfDelivery.verifiedAt', now);
+      o.set('proofOfDelivery.verifiedBy', partnerId);
+      o.set('proofOfDelivery.location', { latitude: deliveryLocation.latitude, longitude: deliveryLocation.longitude });
+      o.set('proofOfDelivery.distanceMeters', distanceMeters);
+      if (proof.photo) {
+        o.set('proofOfDelivery.photo', proof.photo);
+      }
+      if (collectsCash) {
+        o.paymentStatus = 'completed';
+        o.paymentDetails.cashCollected = order.amountPayable;
+        o.paymentDetails.collectedAt = now;
+        o.paymentDetails.collectedBy = partnerId;
+        o.paymentDetails.verifiedAt = now;
+      }
+    }
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  console.log(`📦 Order ${order.orderId} delivered (${proof.method}, ${distanceMeters} m from the address)`);
+  return result;
+};
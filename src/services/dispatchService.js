@@ -0,0 +1,311 @@
+import Branch from '../models/branch.js';
+import Order from '../models/order.js';
+import DispatchOffer from '../models/dispatchOffer.js';
+import { DeliveryPartner } from '../models/user.js';
+import { commitReservations } from './inventoryService.js';
+import { ACTORS, PAYMENT_CLEARED_FILTER, transitionOrder } from './orderLifecycle.js';
+import { distanceBetween } from '../utils/geo.js';
+import { startOfDay, addDays } from '../utils/dateUtils.js';
+
+const OFFER_TIMEOUT_SECONDS = Number(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 45;
+// Candidates offered before the order falls back to the branch broadcast
+const MAX_ATTEMPTS = Number(process.env.DISPATCH_MAX_ATTEMPTS) || 5;
+const MAX_ACTIVE_ORDERS = Number(process.env.DISPATCH_MAX_ACTIVE_ORDERS) || 3;
+// Each order a partner is already carrying counts as this many extra km
+const LOAD_PENALTY_KM = Number(process.env.DISPATCH_LOAD_PENALTY_KM) || 2;
+
+// Same statuses as getCurrentOrders
+const ACTIVE_ORDER_STATUSES = ['accepted', 'in-progress', 'awaitconfirmation'];
+
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+// Partners of the branch who are clocked in and not on a break
+const findOnDutyPartners = (branchId) => DeliveryPartner.find({
+  branch: branchId,
+  availability: 'online',
+  accountLocked: { $ne: true },
+});
+
+const hasLocation = (partner) =>
+  Number.isFinite(partner.liveLocation?.latitude) && Number.isFinite(partner.liveLocation?.longitude);
+
+/**
+ * Rank the branch's on-duty partners for an order: distance from their live
+ * location to the pickup plus a penalty per order they are already carrying.
+ * Partners at MAX_ACTIVE_ORDERS are left out.
+ * @param {Object} order - Order document
+ * @param {Object} options - exclude (partner IDs)
+ * @returns {Promise<Array<{partner: Object, distanceKm: number, activeOrders: number, score: number}>>}
+ */
+export const rankCandidates = async (order, { exclude = [] } = {}) => {
+  const excluded = new Set(exclude.map(id => id.toString()));
+  const partners = (await findOnDutyPartners(order.branch).select('name liveLocation'))
+    .filter(partner => !excluded.has(partner._id.toString()) && hasLocation(partner));
+  if (partners.length === 0) {
+    return [];
+  }
+
+  const loads = await Order.aggregate([
+    { $match: { deliveryPartner: { $in: partners.map(p => p._id) }, status: { $in: ACTIVE_ORDER_STATUSES } } },
+    { $group: { _id: '$deliveryPartner', count: { $sum: 1 } } },
+  ]);
+  const loadByPartner = new Map(loads.map(load => [load._id.toString(), load.count]));
+
+  return partners
+    .map(partner => {
+      const activeOrders = loadByPartner.get(partner._id.toString()) || 0;
+      const distanceKm = roundKm(distanceBetween(partner.liveLocation, order.pickupLocation));
+      return { partner, distanceKm, activeOrders, score: roundKm(distanceKm + activeOrders * LOAD_PENALTY_KM) };
+    })
+    .filter(candidate => candidate.activeOrders < MAX_ACTIVE_ORDERS)
+    .sort((a, b) => a.score - b.score);
+};
+
+const setDispatch = (orderId, fields, inc) => Order.updateOne(
+  { _id: orderId },
+  {
+    $set: Object.fromEntries(Object.entries({ ...fields, updatedAt: new Date() }).map(([key, value]) => [`dispatch.${key}`, value])),
+    ...(inc ? { $inc: { 'dispatch.attempts': inc } } : {}),
+  }
+);
+
+// Let every on-duty partner of the branch know, as in broadcast mode
+const broadcastOrder = async (order, io, { fallback = false } = {}) => {
+  if (fallback) {
+    await setDispatch(order._id, { status: 'broadcast' });
+    console.log(`📣 No partner took order ${order.orderId}; broadcasting to branch ${order.branch}`);
+  }
+  if (io) {
+    const partners = await findOnDutyPartners(order.branch).select('_id');
+    for (const partner of partners) {
+      io.to(`deliveryPartner-${partner._id}`).emit('newOrderAvailable', order);
+    }
+  }
+};
+
+/**
+ * Offer the order to the best partner who has not been offered it yet, or
+ * broadcast it when nobody is left or MAX_ATTEMPTS is reached
+ * @param {Object} order - Order document
+ * @param {Object} options - io, now
+ * @returns {Promise<{offer?: Object, broadcast?: boolean}>}
+ */
+export const offerOrder = async (order, { io, now = new Date() } = {}) => {
+  const previous = await DispatchOffer.find({ order: order._id }).select('deliveryPartner');
+  if (previous.length >= MAX_ATTEMPTS) {
+    await broadcastOrder(order, io, { fallback: true });
+    return { broadcast: true };
+  }
+
+  const [best] = await rankCandidates(order, { exclude: previous.map(o => o.deliveryPartner) });
+  if (!best) {
+    await broadcastOrder(order, io, { fallback: true });
+    return { broadcast: true };
+  }
+
+  let offer;
+  try {
+    offer = await DispatchOffer.create({
+      order: order._id,
+      branch: order.branch,
+      deliveryPartner: best.partner._id,
+      attempt: previous.length + 1,
+      score: best.score,
+      distanceKm: best.distanceKm,
+      activeOrders: best.activeOrders,
+      expiresAt: new Date(now.getTime() + OFFER_TIMEOUT_SECONDS * 1000),
+    });
+  } catch (error) {
+    // Another dispatcher opened an offer for this order first
+    if (error.code === 11000) {
+      return {};
+    }
+    throw error;
+  }
+
+  await setDispatch(order._id, { status: 'offering' }, 1);
+  if (io) {
+    io.to(`deliveryPartner-${best.partner._id}`).emit('orderOffered', {
+      offerId: offer._id,
+      order,
+      distanceKm: best.distanceKm,
+      expiresAt: offer.expiresAt,
+    });
+  }
+  console.log(`🎯 Order ${order.orderId} offered to partner ${best.partner._id} (attempt ${offer.attempt}, ${best.distanceKm} km, ${best.activeOrders} active)`);
+  return { offer };
+};
+
+// Offer the order to the next candidate; if that fails, broadcast it so the
+// order is never left 'offering' without an open offer
+const offerOrBroadcast = async (order, { io, now } = {}) => {
+  try {
+    return await offerOrder(order, { io, now });
+  } catch (error) {
+    console.error(`Dispatch error for order ${order.orderId}:`, error);
+    await broadcastOrder(order, io, { fallback: true });
+    return { broadcast: true };
+  }
+};
+
+/**
+ * Let partners know about an order that is ready for pickup: offered through
+ * auto-dispatch or broadcast to the branch room, per the branch's dispatchMode.
+ * Orders deferred to a later delivery day are left for that day.
+ * @param {Object} order - Order document
+ * @param {Object} options - io
+ */
+export const releaseOrderToPartners = async (order, { io } = {}) => {
+  if (order.scheduledFor && order.scheduledFor >= addDays(startOfDay(), 1)) {
+    return;
+  }
+
+  try {
+    const branch = await Branch.findById(order.branch).select('dispatchMode');
+    if (branch?.dispatchMode === 'auto') {
+      await offerOrBroadcast(order, { io });
+    } else {
+      await broadcastOrder(order, io);
+    }
+  } catch (error) {
+    console.error(`Dispatch error for order ${order.orderId}:`, error);
+  }
+};
+
+const closeOffer = (offer, status, reason) => DispatchOffer.updateOne(
+  { _id: offer._id, status: 'offered' },
+  { $set: { status, reason, respondedAt: new Date() } }
+);
+
+/**
+ * A partner's answer to an offer. Accepting assigns the order to them the same
+ * way acceptOrder does; declining offers it to the next candidate.
+ * @param {Object} response - offerId, partnerId, accept, io
+ * @returns {Promise<{success: boolean, order?: Object, statusCode?: number, message?: string}>}
+ */
+export const respondToOffer = async ({ offerId, partnerId, accept, io }) => {
+  const now = new Date();
+  const offer = await DispatchOffer.findOneAndUpdate(
+    { _id: offerId, deliveryPartner: partnerId, status: 'offered', expiresAt: { $gt: now } },
+    { $set: { status: accept ? 'accepted' : 'declined', respondedAt: now } },
+    { new: true }
+  );
+  if (!offer) {
+    return { success: false, statusCode: 409, message: "This offer is no longer open" };
+  }
+
+  const order = await Order.findById(offer.order);
+  if (!order || order.status !== 'pending' || order.deliveryPartner) {
+    await DispatchOffer.updateOne({ _id: offer._id }, { $set: { status: 'cancelled', reason: 'Order no longer available' } });
+    return { success: false, statusCode: 409, message: "Order is no longer available" };
+  }
+
+  if (!accept) {
+    await offerOrBroadcast(order, { io });
+    return { success: true, order };
+  }
+
+  // Acceptance commits the order's stock hold, as in acceptOrder. When that
+  // fails the order goes to the branch broadcast rather than staying 'offering'.
+  const fallBack = async (reason) => {
+    await DispatchOffer.updateOne({ _id: offer._id }, { $set: { status: 'cancelled', reason } });
+    await broadcastOrder(order, io, { fallback: true });
+  };
+
+  try {
+    const commit = await commitReservations(order._id, { io, order });
+    if (!commit.success) {
+      await fallBack(commit.error);
+      return { success: false, statusCode: 400, message: commit.error };
+    }
+
+    const accepted = await transitionOrder(order, 'accepted', {
+      actor: ACTORS.PARTNER,
+      actorId: partnerId,
+      reason: `Accepted dispatch offer ${offer.attempt}`,
+      io,
+      apply: (o) => {
+        o.deliveryPartner = partnerId;
+        o.dispatch.status = 'assigned';
+        o.dispatch.updatedAt = now;
+      }
+    });
+    if (!accepted.success) {
+      await fallBack(accepted.message);
+    }
+    return accepted;
+  } catch (error) {
+    await fallBack(error.message);
+    throw error;
+  }
+};
+
+/**
+ * Close the order's open offer, e.g. when an admin assigns it by hand
+ * @param {string} orderId - Order ID
+ * @param {string} reason - Why the offer was withdrawn
+ */
+export const cancelOpenOffer = async (orderId, reason) => {
+  await DispatchOffer.updateOne({ order: orderId, status: 'offered' }, { $set: { status: 'cancelled', reason } });
+};
+
+/**
+ * Expire offers nobody answered in time and move their orders on to the next candidate
+ * @param {Date} now - Reference time
+ * @param {Object} options - io
+ * @returns {Promise<number>} - Number of offers expired
+ */
+export const expireOffers = async (now = new Date(), { io } = {}) => {
+  const due = await DispatchOffer.find({ status: 'offered', expiresAt: { $lte: now } });
+  let expired = 0;
+
+  for (const offer of due) {
+    const order = await Order.findById(offer.order);
+    const stillOpen = order && order.status === 'pending' && !order.deliveryPartner;
+
+    const closed = await closeOffer(offer, stillOpen ? 'expired' : 'cancelled', stillOpen ? 'No answer in time' : 'Order no longer available');
+    if (closed.modifiedCount === 0) {
+      continue;
+    }
+    expired++;
+
+    if (io) {
+      io.to(`deliveryPartner-${offer.deliveryPartner}`).emit('orderOfferExpired', { offerId: offer._id, orderId: offer.order });
+    }
+    if (stillOpen) {
+      await offerOrBroadcast(order, { io, now });
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Start dispatch for orders in auto-dispatch branches that became deliverable
+ * without being released to partners, e.g. orders deferred to today
+ * @param {Date} now - Reference time
+ * @param {Object} options - io
+ * @returns {Promise<number>} - Number of orders dispatched
+ */
+export const dispatchWaitingOrders = async (now = new Date(), { io } = {}) => {
+  const autoBranches = await Branch.find({ dispatchMode: 'auto' }).select('_id');
+  if (autoBranches.length === 0) {
+    return 0;
+  }
+
+  const waiting = await Order.find({
+    branch: { $in: autoBranches.map(b => b._id) },
+    status: 'pending',
+    deliveryPartner: null,
+    'dispatch.status': null,
+    $and: [
+      { $or: [{ scheduledFor: null }, { scheduledFor: { $lt: addDays(startOfDay(now), 1) } }] },
+      PAYMENT_CLEARED_FILTER,
+    ],
+  });
+
+  for (const order of waiting) {
+    await offerOrBroadcast(order, { io, now });
+  }
+  return waiting.length;
+};
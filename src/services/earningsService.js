@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+import Branch from '../models/branch.js';
+import { EarningEntry } from '../models/earning.js';
+import { isWithinHours } from './deliveryFeeService.js';
+import { distanceBetween } from '../utils/geo.js';
+import { toDateKey } from '../utils/dateUtils.js';
+
+export const DEFAULT_EARNING_RULES = {
+  basePay: 20,
+  perKm: 5,
+  peakHours: [],
+  dailyTargets: [],
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Branch earning rules with defaults filled in
+ * @param {Object} branch - Branch document
+ * @returns {Object}
+ */
+export const getEarningRules = (branch) => {
+  const configured = branch?.earningRules?.toObject?.() ?? branch?.earningRules ?? {};
+  return { ...DEFAULT_EARNING_RULES, ...configured };
+};
+
+/**
+ * Pay for one delivered order: base pay plus the straight-line pickup-to-drop
+ * distance at the per-km rate, and the bonus of the first peak window the
+ * handover falls in
+ * @param {Object} order - Order document
+ * @param {Object} rules - Earning rules (see getEarningRules)
+ * @param {Date} deliveredAt - Handover time
+ * @returns {{basePay: number, distanceKm: number, distancePay: number, amount: number, peakBonus: number}}
+ */
+export const calculateDeliveryEarning = (order, rules, deliveredAt) => {
+  const distanceKm = order.pickupLocation && order.deliveryLocation
+    ? Math.round(distanceBetween(order.pickupLocation, order.deliveryLocation) * 10) / 10
+    : 0;
+  const distancePay = roundAmount(distanceKm * rules.perKm);
+  const peak = (rules.peakHours || []).find(window => isWithinHours(deliveredAt.getHours(), window));
+
+  return {
+    basePay: rules.basePay,
+    distanceKm,
+    distancePay,
+    amount: roundAmount(rules.basePay + distancePay),
+    peakBonus: peak ? peak.bonus : 0,
+  };
+};
+
+// Create an entry unless it was credited already (same order/type, or same daily target)
+const createOnce = async (entry) => {
+  try {
+    return await EarningEntry.create(entry);
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Credit the assigned partner for an order that reached delivered: delivery
+ * pay, the peak-hour bonus and any daily target the delivery completes.
+ * Crediting the same order again does nothing.
+ * @param {Object} order - Delivered Order document
+ * @param {Object} options - io
+ * @returns {Promise<{success: boolean, entries: Array}>}
+ */
+export const creditDeliveryEarning = async (order, { io } = {}) => {
+  const partnerId = order.deliveryPartner;
+  const branch = await Branch.findById(order.branch).select('earningRules');
+  const rules = getEarningRules(branch);
+  const deliveredAt = order.deliveryPersonLocation?.deliveredAt || new Date();
+  const day = toDateKey(deliveredAt);
+  const pay = calculateDeliveryEarning(order, rules, deliveredAt);
+
+  const base = { deliveryPartner: partnerId, branch: order.branch, earnedAt: deliveredAt, day };
+  const delivery = await createOnce({
+    ...base,
+    type: 'delivery',
+    order: order._id,
+    amount: pay.amount,
+    basePay: pay.basePay,
+    distanceKm: pay.distanceKm,
+    distancePay: pay.distancePay,
+    note: `Delivery of ${order.orderId}`,
+  });
+  if (!delivery) {
+    return { success: true, entries: [] };
+  }
+
+  const entries = [delivery];
+  if (pay.peakBonus > 0) {
+    const peak = await createOnce({ ...base, type: 'peak_bonus', order: order._id, amount: pay.peakBonus, note: `Peak-hour bonus for ${order.orderId}` });
+    if (peak) entries.push(peak);
+  }
+
+  const deliveriesToday = await EarningEntry.countDocuments({ deliveryPartner: partnerId, day, type: 'delivery' });
+  for (const target of rules.dailyTargets || []) {
+    if (deliveriesToday >= target.deliveries) {
+      const bonus = await createOnce({ ...base, type: 'daily_target', target: target.deliveries, amount: target.bonus, note: `${target.deliveries} deliveries on ${day}` });
+      if (bonus) entries.push(bonus);
+    }
+  }
+
+  if (io) {
+    io.to(`deliveryPartner-${partnerId}`).emit('earningsUpdated', {
+      day,
+      credited: roundAmount(entries.reduce((sum, entry) => sum + entry.amount, 0)),
+      entries,
+    });
+  }
+  return { success: true, entries };
+};
+
+/**
+ * Earnings of a partner between two instants, day by day
+ * @param {string} partnerId - DeliveryPartner ID
+ * @param {Date} from - Start (inclusive)
+ * @param {Date} to - End (exclusive)
+ * @returns {Promise<{days: Array, totals: Object}>}
+ */
+export const getEarningsBreakdown = async (partnerId, from, to) => {
+  const rows = await EarningEntry.aggregate([
+    {
+      $match: {
+        deliveryPartner: new mongoose.Types.ObjectId(partnerId.toString()),
+        earnedAt: { $gte: from, $lt: to },
+      }
+    },
+    {
+      $group: {
+        _id: '$day',
+        deliveries: { $sum: { $cond: [{ $eq: ['$type', 'delivery'] }, 1, 0] } },
+        distanceKm: { $sum: { $ifNull: ['$distanceKm', 0] } },
+        deliveryPay: { $sum: { $cond: [{ $eq: ['$type', 'delivery'] }, '$amount', 0] } },
+        peakBonus: { $sum: { $cond: [{ $eq: ['$type', 'peak_bonus'] }, '$amount', 0] } },
+        targetBonus: { $sum: { $cond: [{ $eq: ['$type', 'daily_target'] }, '$amount', 0] } },
+        total: { $sum: '$amount' },
+      }
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const fields = ['deliveries', 'distanceKm', 'deliveryPay', 'peakBonus', 'targetBonus', 'total'];
+  const days = rows.map(({ _id, ...row }) => ({
+    date: _id,
+    ...Object.fromEntries(fields.map(field => [field, roundAmount(row[field])])),
+  }));
+  const totals = Object.fromEntries(fields.map(field => [field, roundAmount(days.reduce((sum, d) => sum + d[field], 0))]));
+
+  return { days, totals };
+};
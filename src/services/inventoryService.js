@@ -0,0 +1,485 @@
+import mongoose from 'mongoose';
+import Product from '../models/product.js';
+import BranchInventory from '../models/branchInventory.js';
+import StockReservation from '../models/stockReservation.js';
+import InventoryMovement from '../models/inventoryMovement.js';
+import StockLot from '../models/stockLot.js';
+import Order from '../models/order.js';
+import { syncStockAlert } from './stockAlertService.js';
+import { consumeLots, returnToLots, snapshotOrderLots } from './stockLotService.js';
+
+const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+// Adjustment reasons an admin may post, and the direction each one allows
+const ADJUSTMENT_REASONS = {
+  manual_adjustment: 'any',
+  damage: 'out',
+  supplier_receipt: 'in',
+};
+
+// Branch row has at least `quantity` units that are not held by someone else
+const availableAtLeast = (quantity) => ({
+  $expr: { $gte: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, quantity] }
+});
+
+// Apply the same change to the branch row and to the product totals.
+// Returns the updated branch row.
+const incrementStock = async (branchId, productId, inc, { upsert = false } = {}) => {
+  const row = await BranchInventory.findOneAndUpdate(
+    { branch: branchId, product: productId },
+    { $inc: inc },
+    { new: true, upsert }
+  );
+  await Product.updateOne({ _id: productId }, { $inc: inc });
+  return row;
+};
+
+// Same, but only if the branch still has `quantity` units free. Returns null otherwise.
+const incrementIfAvailable = async (branchId, productId, quantity, inc) => {
+  const row = await BranchInventory.findOneAndUpdate(
+    { branch: branchId, product: productId, ...availableAtLeast(quantity) },
+    { $inc: inc },
+    { new: true }
+  );
+  if (!row) {
+    return null;
+  }
+  await Product.updateOne({ _id: productId }, { $inc: inc });
+  return row;
+};
+
+// Append the ledger entry for a change that was just applied to `row`,
+// then open or resolve the low-stock alert it may have crossed
+const recordMovement = async (row, quantity, reason, { io, ...extra } = {}) => {
+  if (!row) {
+    return null;
+  }
+  const movement = await InventoryMovement.create({
+    branch: row.branch,
+    product: row.product,
+    reason,
+    quantity,
+    stockAfter: row.stock,
+    ...extra,
+  });
+  await syncStockAlert(row, { io });
+  return movement;
+};
+
+// Stock given back by an order that will not be fulfilled
+const restoreReasonFor = (reason) => (reason === 'deleted' ? 'delete_restore' : 'cancellation_restore');
+
+const insufficientStock = async (productId) => {
+  const product = await Product.findById(productId).select('name');
+  return `Insufficient stock for ${product?.name || productId}`;
+};
+
+/**
+ * Place a time-limited hold on a branch's stock for every line of an order.
+ * Either all lines are held or none are.
+ * @param {string} orderId - Order ID
+ * @param {string} branchId - Branch fulfilling the order
+ * @param {Array<{product: string, quantity: number}>} lines - Products and units
+ * @param {Object} options - ttlMinutes
+ * @returns {Promise<{success: boolean, reservations?: Object[], error?: string, product?: string}>}
+ */
+export const reserveStock = async (orderId, branchId, lines, { ttlMinutes = RESERVATION_TTL_MINUTES } = {}) => {
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  const reservations = [];
+
+  for (const line of lines) {
+    const held = await incrementIfAvailable(branchId, line.product, line.quantity, { reserved: line.quantity });
+    if (!held) {
+      await releaseReservations(orderId, 'insufficient_stock');
+      return {
+        success: false,
+        error: await insufficientStock(line.product),
+        product: line.product
+      };
+    }
+
+    reservations.push(await StockReservation.create({
+      order: orderId,
+      branch: branchId,
+      product: line.product,
+      quantity: line.quantity,
+      expiresAt,
+    }));
+  }
+
+  return { success: true, reservations };
+};
+
+// Take the sold units out of the branch's lots and remember which ones on the reservation
+const allocateLots = async (reservation) => {
+  const lots = await consumeLots(reservation.branch, reservation.product, reservation.quantity);
+  await StockReservation.updateOne({ _id: reservation._id }, { $set: { lots } });
+  return { product: reservation.product, lots };
+};
+
+/**
+ * Turn an order's holds into real stock deductions. Holds that already
+ * expired are re-taken from whatever stock is still available. The units
+ * are taken from lots first-expiry-first-out and the lots are copied onto
+ * the order items: onto `order` when given (caller saves it), otherwise
+ * onto the stored order. Safe to call more than once.
+ * @param {string} orderId - Order ID
+ * @param {Object} options - io (optional, for low-stock alerts), order (optional in-memory document)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const commitReservations = async (orderId, { io, order = null } = {}) => {
+  const reservations = await StockReservation.find({ order: orderId, status: { $in: ['held', 'released'] } });
+  const committed = [];
+  let failure = null;
+
+  for (const reservation of reservations) {
+    const { branch, product, quantity } = reservation;
+    const now = new Date();
+
+    if (reservation.status === 'held') {
+      // Claim the hold first so a concurrent sweep or commit cannot act on it too
+      const claimed = await StockReservation.findOneAndUpdate(
+        { _id: reservation._id, status: 'held' },
+        { $set: { status: 'committed', committedAt: now } }
+      );
+      if (claimed) {
+        const row = await incrementStock(branch, product, { stock: -quantity, reserved: -quantity });
+        await recordMovement(row, -quantity, 'sale', { order: orderId, io });
+        committed.push(await allocateLots(reservation));
+        continue;
+      }
+    }
+
+    // Hold was released (expired) before the order went through
+    const row = await incrementIfAvailable(branch, product, quantity, { stock: -quantity });
+    if (!row) {
+      failure = { success: false, error: await insufficientStock(product) };
+      break;
+    }
+    await StockReservation.updateOne(
+      { _id: reservation._id },
+      { $set: { status: 'committed', committedAt: now } }
+    );
+    await recordMovement(row, -quantity, 'sale', { order: orderId, io });
+    committed.push(await allocateLots(reservation));
+  }
+
+  if (committed.length > 0) {
+    const target = order || await Order.findById(orderId);
+    if (target) {
+      snapshotOrderLots(target, committed);
+      if (!order) {
+        await target.save();
+      }
+    }
+  }
+
+  return failure || { success: true };
+};
+
+/**
+ * Drop the open holds of an order without touching stock
+ * @param {string} orderId - Order ID
+ * @param {string} reason - Why the hold was released
+ * @returns {Promise<number>} - Number of holds released
+ */
+export const releaseReservations = async (orderId, reason) => {
+  const reservations = await StockReservation.find({ order: orderId, status: 'held' });
+  let released = 0;
+
+  for (const reservation of reservations) {
+    const claimed = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'held' },
+      { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } }
+    );
+    if (claimed) {
+      await incrementStock(reservation.branch, reservation.product, { reserved: -reservation.quantity });
+      released++;
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Undo everything an order did to stock: release open holds and give back
+ * units that were already committed.
+ * @param {Object} order - Order document
+ * @param {string} reason - cancelled, deleted, payment_failed, ...
+ * @param {Object} options - io (optional, for low-stock alerts)
+ */
+export const releaseOrderStock = async (order, reason, { io } = {}) => {
+  const reservations = await StockReservation.find({ order: order._id });
+  const movementReason = restoreReasonFor(reason);
+
+  // Orders placed before reservations existed took stock at creation
+  if (reservations.length === 0) {
+    for (const item of order.items) {
+      if (item?.product && item?.unitsBought) {
+        const row = await incrementStock(order.branch, item.product, { stock: item.unitsBought }, { upsert: true });
+        await recordMovement(row, item.unitsBought, movementReason, { order: order._id, note: reason, io });
+      }
+    }
+    return;
+  }
+
+  await releaseReservations(order._id, reason);
+
+  for (const reservation of reservations.filter(r => r.status === 'committed')) {
+    const claimed = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'committed' },
+      { $set: { status: 'returned', releasedAt: new Date(), releaseReason: reason } }
+    );
+    if (claimed) {
+      const row = await incrementStock(reservation.branch, reservation.product, { stock: reservation.quantity });
+      await recordMovement(row, reservation.quantity, movementReason, { order: order._id, note: reason, io });
+      await returnToLots(reservation.lots);
+    }
+  }
+};
+
+/**
+ * Release holds whose time ran out (abandoned checkouts)
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of holds released
+ */
+export const releaseExpiredReservations = async (now = new Date()) => {
+  const expired = await StockReservation.find({ status: 'held', expiresAt: { $lte: now } });
+  let released = 0;
+
+  for (const reservation of expired) {
+    const claimed = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'held' },
+      { $set: { status: 'released', releasedAt: now, releaseReason: 'expired' } }
+    );
+    if (claimed) {
+      await incrementStock(reservation.branch, reservation.product, { reserved: -reservation.quantity });
+      released++;
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Move units of a product from one branch to another. Only units that are
+ * not held by open reservations can move. Product totals do not change.
+ * @param {Object} transfer - productId, fromBranchId, toBranchId, quantity, adminId, note, io
+ * @returns {Promise<{success: boolean, from?: Object, to?: Object, error?: string}>}
+ */
+export const transferStock = async ({ productId, fromBranchId, toBranchId, quantity, adminId = null, note, io }) => {
+  if (!(Number.isInteger(quantity) && quantity > 0)) {
+    return { success: false, error: "Quantity must be a positive whole number" };
+  }
+  if (fromBranchId.toString() === toBranchId.toString()) {
+    return { success: false, error: "Source and destination branch must differ" };
+  }
+
+  const from = await BranchInventory.findOneAndUpdate(
+    { branch: fromBranchId, product: productId, ...availableAtLeast(quantity) },
+    { $inc: { stock: -quantity } },
+    { new: true }
+  );
+  if (!from) {
+    return { success: false, error: "Not enough available stock at the source branch" };
+  }
+
+  const to = await BranchInventory.findOneAndUpdate(
+    { branch: toBranchId, product: productId },
+    { $inc: { stock: quantity } },
+    { new: true, upsert: true }
+  );
+
+  await recordMovement(from, -quantity, 'transfer_out', { counterpartBranch: toBranchId, performedBy: adminId, note, io });
+  await recordMovement(to, quantity, 'transfer_in', { counterpartBranch: fromBranchId, performedBy: adminId, note, io });
+
+  console.log(`🔁 Transferred ${quantity} of product ${productId} from branch ${fromBranchId} to ${toBranchId}`);
+  return { success: true, from, to };
+};
+
+/**
+ * Post a manual stock change at a branch: a count correction, damaged goods
+ * written off or a delivery received from a supplier. Units held by open
+ * reservations cannot be removed.
+ * @param {Object} adjustment - branchId, productId, quantity (signed), reason, note, adminId, io
+ * @returns {Promise<{success: boolean, inventory?: Object, movement?: Object, error?: string}>}
+ */
+export const adjustStock = async ({ branchId, productId, quantity, reason, note, adminId = null, io }) => {
+  const direction = ADJUSTMENT_REASONS[reason];
+  if (!direction) {
+    return { success: false, error: `Reason must be one of: ${Object.keys(ADJUSTMENT_REASONS).join(', ')}` };
+  }
+  if (!(Number.isInteger(quantity) && quantity !== 0)) {
+    return { success: false, error: "Quantity must be a non-zero whole number" };
+  }
+  if ((direction === 'in' && quantity < 0) || (direction === 'out' && quantity > 0)) {
+    return { success: false, error: `Quantity for ${reason} must be ${direction === 'in' ? 'positive' : 'negative'}` };
+  }
+
+  const row = quantity > 0
+    ? await incrementStock(branchId, productId, { stock: quantity }, { upsert: true })
+    : await incrementIfAvailable(branchId, productId, -quantity, { stock: quantity });
+  if (!row) {
+    return { success: false, error: "Not enough available stock at the branch" };
+  }
+
+  const movement = await recordMovement(row, quantity, reason, { performedBy: adminId, note, io });
+
+  return { success: true, inventory: row, movement };
+};
+
+/**
+ * Receive a dated lot of a product at a branch and add it to stock
+ * @param {Object} receipt - branchId, productId, quantity, lotNumber, manufacturedAt, expiresAt, unitCost, note, adminId, io
+ * @returns {Promise<{success: boolean, lot?: Object, inventory?: Object, movement?: Object, error?: string}>}
+ */
+export const receiveLot = async ({ branchId, productId, quantity, lotNumber, manufacturedAt, expiresAt, unitCost, note, adminId = null, io }) => {
+  if (!(Number.isInteger(quantity) && quantity > 0)) {
+    return { success: false, error: "Quantity must be a positive whole number" };
+  }
+  if (!lotNumber || typeof lotNumber !== 'string') {
+    return { success: false, error: "lotNumber is required" };
+  }
+  const expiry = new Date(expiresAt);
+  const manufactured = manufacturedAt ? new Date(manufacturedAt) : null;
+  if (isNaN(expiry) || (manufactured && isNaN(manufactured))) {
+    return { success: false, error: "expiresAt and manufacturedAt must be valid dates" };
+  }
+  if (manufactured && manufactured > expiry) {
+    return { success: false, error: "A lot cannot expire before it was made" };
+  }
+  if (expiry <= new Date()) {
+    return { success: false, error: "Lot has already expired" };
+  }
+  if (!(typeof unitCost === 'number' && unitCost >= 0)) {
+    return { success: false, error: "unitCost must be a non-negative number" };
+  }
+
+  let lot;
+  try {
+    lot = await StockLot.create({
+      branch: branchId,
+      product: productId,
+      lotNumber: lotNumber.trim(),
+      manufacturedAt: manufactured,
+      expiresAt: expiry,
+      quantityReceived: quantity,
+      quantityRemaining: quantity,
+      unitCost,
+      receivedBy: adminId,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { success: false, error: `Lot ${lotNumber} was already received for this product at this branch` };
+    }
+    throw error;
+  }
+
+  const row = await incrementStock(branchId, productId, { stock: quantity }, { upsert: true });
+  const movement = await recordMovement(row, quantity, 'supplier_receipt', { lot: lot._id, performedBy: adminId, note, io });
+
+  return { success: true, lot, inventory: row, movement };
+};
+
+/**
+ * Write off whatever is left of expired lots: the units leave stock and the
+ * lot records the quantity and value lost. Also picks up units returned to
+ * a lot after it expired.
+ * @param {Date} now - Reference time
+ * @param {Object} options - io (optional, for low-stock alerts)
+ * @returns {Promise<{lots: number, quantity: number, value: number}>}
+ */
+export const writeOffExpiredLots = async (now = new Date(), { io } = {}) => {
+  const expired = await StockLot.find({ expiresAt: { $lte: now }, quantityRemaining: { $gt: 0 } });
+  const summary = { lots: 0, quantity: 0, value: 0 };
+
+  for (const lot of expired) {
+    const quantity = lot.quantityRemaining;
+    const value = Math.round(quantity * lot.unitCost * 100) / 100;
+
+    // Claim exactly the units we saw so a concurrent return or sale is not lost
+    const claimed = await StockLot.findOneAndUpdate(
+      { _id: lot._id, quantityRemaining: quantity },
+      {
+        $set: { quantityRemaining: 0, status: 'expired', writtenOffAt: now },
+        $inc: { writtenOffQuantity: quantity, writtenOffValue: value }
+      }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    // Never take the branch below zero if its stock was already corrected by hand
+    const current = await BranchInventory.findOne({ branch: lot.branch, product: lot.product }).select('stock');
+    const removed = Math.min(quantity, current?.stock ?? 0);
+    if (removed > 0) {
+      const row = await incrementStock(lot.branch, lot.product, { stock: -removed });
+      await recordMovement(row, -removed, 'expiry_write_off', {
+        lot: lot._id,
+        note: `Lot ${lot.lotNumber} expired`,
+        io
+      });
+    }
+
+    summary.lots++;
+    summary.quantity += quantity;
+    summary.value += value;
+  }
+
+  summary.value = Math.round(summary.value * 100) / 100;
+  return summary;
+};
+
+/**
+ * Stock, reserved and available units of each product at one branch
+ * @param {string} branchId - Branch ID
+ * @param {string[]} productIds - Products to look up
+ * @returns {Promise<Map<string, {stock: number, reserved: number, available: number}>>}
+ */
+export const getBranchStockMap = async (branchId, productIds) => {
+  const rows = await BranchInventory.find({ branch: branchId, product: { $in: productIds } });
+  return new Map(rows.map(row => [row.product.toString(), {
+    stock: row.stock,
+    reserved: row.reserved,
+    available: row.availableStock,
+  }]));
+};
+
+/**
+ * On-hand, reserved and available stock per product, in total or at one branch
+ * @param {string[]} productIds - Products to report (all active products when empty)
+ * @param {string} branchId - Optional branch to report on
+ * @returns {Promise<Array<{product: string, name: string, stock: number, reserved: number, available: number, openReservations: number}>>}
+ */
+export const getStockAvailability = async (productIds = [], branchId = null) => {
+  const filter = productIds.length > 0 ? { _id: { $in: productIds } } : { status: 'active' };
+  const products = await Product.find(filter).select('name stock reserved lowStockThreshold').sort({ name: 1 });
+  const ids = products.map(p => p._id);
+
+  const openMatch = { status: 'held', product: { $in: ids } };
+  if (branchId) {
+    // aggregate() does not cast, so match on a real ObjectId
+    openMatch.branch = new mongoose.Types.ObjectId(branchId.toString());
+  }
+  const openCounts = await StockReservation.aggregate([
+    { $match: openMatch },
+    { $group: { _id: '$product', count: { $sum: 1 } } }
+  ]);
+  const countByProduct = new Map(openCounts.map(c => [c._id.toString(), c.count]));
+  const branchStock = branchId ? await getBranchStockMap(branchId, ids) : null;
+
+  return products.map(p => {
+    const level = branchStock
+      ? (branchStock.get(p._id.toString()) || { stock: 0, reserved: 0, available: 0 })
+      : { stock: p.stock, reserved: p.reserved || 0, available: p.availableStock };
+
+    return {
+      product: p._id,
+      name: p.name,
+      ...(branchId && { branch: branchId }),
+      ...level,
+      lowStockThreshold: p.lowStockThreshold,
+      openReservations: countByProduct.get(p._id.toString()) || 0
+    };
+  });
+};
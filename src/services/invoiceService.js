@@ -0,0 +1,257 @@
+import crypto from 'crypto';
+import Invoice from '../models/invoice.js';
+import { calculateOrderTax } from './taxService.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+
+const BUSINESS_NAME = 'Lush & Pure';
+const PAID_STATUSES = ['verified', 'completed'];
+
+const PAYMENT_METHOD_LABELS = {
+  COD: 'cash on delivery',
+  wallet: 'wallet',
+  postpaid: 'monthly statement',
+  subscription: 'subscription',
+};
+
+const UNPAID_NOTES = {
+  postpaid: 'Billed on the monthly statement.',
+  subscription: 'Billed under the subscription.',
+};
+
+// COD orders are completed once the partner records the cash
+const isPaid = (order) => PAID_STATUSES.includes(order.paymentStatus);
+
+/**
+ * Whether an order can be invoiced yet: it must not be cancelled, and must be
+ * paid or delivered so the invoice does not change after it is issued
+ * @param {Object} order - Order document
+ * @returns {{success: boolean, error?: string}}
+ */
+export const canInvoice = (order) => {
+  if (order.status === 'cancelled') {
+    return { success: false, error: "Cancelled orders are not invoiced" };
+  }
+  if (!isPaid(order) && order.status !== 'delivered') {
+    return { success: false, error: "The invoice is available once the order is paid or delivered" };
+  }
+  return { success: true };
+};
+
+// Orders placed before GST was recorded are taxed at the product's current rate
+const orderTax = (order) => {
+  if (order.taxBreakdown?.supplyType) {
+    const snapshot = order.toObject();
+    return { itemTaxes: snapshot.items.map(item => item.tax || {}), taxBreakdown: snapshot.taxBreakdown };
+  }
+  return calculateOrderTax({
+    items: order.items.map(item => ({
+      totalPrice: item.totalPrice,
+      discount: item.discount,
+      gstRate: item.product?.gstRate,
+      hsnCode: item.product?.hsnCode,
+    })),
+    deliveryFee: order.deliveryFee,
+    deliveryDiscount: order.coupon?.deliveryDiscount,
+    branchState: order.branch.state,
+  });
+};
+
+// Everything printed on the invoice, taken from the order's snapshot fields
+const buildInvoiceView = (order, invoiceNumber, issuedAt) => {
+  const { itemTaxes, taxBreakdown } = orderTax(order);
+  const payment = order.paymentDetails || {};
+  const paid = isPaid(order);
+
+  const lines = order.items.map((item, index) => {
+    const tax = itemTaxes[index];
+    const discount = item.discount || 0;
+    return {
+      description: item.quantityValue ? `${item.name} (${item.quantityValue})` : item.name,
+      detail: item.mode === 'wholesale' ? `Wholesale: ${item.bundlesBought} bundle(s)` : null,
+      hsnCode: tax.hsnCode,
+      quantity: item.unitsBought,
+      unitPrice: item.unitPrice,
+      discount,
+      taxableValue: tax.taxableValue ?? item.totalPrice - discount,
+      gstRate: tax.gstRate ?? 0,
+      tax: tax.totalTax ?? 0,
+      amount: item.totalPrice - discount,
+    };
+  });
+
+  const delivery = taxBreakdown.delivery;
+  if (order.deliveryFee > 0) {
+    const deliveryDiscount = order.coupon?.deliveryDiscount || 0;
+    lines.push({
+      description: 'Delivery charges',
+      hsnCode: delivery?.sacCode,
+      quantity: 1,
+      unitPrice: order.deliveryFee,
+      discount: deliveryDiscount,
+      taxableValue: delivery?.taxableValue ?? 0,
+      gstRate: delivery?.gstRate ?? 0,
+      tax: delivery?.totalTax ?? 0,
+      amount: order.deliveryFee - deliveryDiscount,
+    });
+  }
+
+  const taxRates = (taxBreakdown.rates || []).map(rate => ({ label: `${rate.gstRate}%`, ...rate }));
+  if (delivery) {
+    taxRates.push({ ...delivery, label: `Delivery (${delivery.gstRate}%)` });
+  }
+
+  return {
+    title: 'Tax Invoice',
+    invoiceNumber,
+    issuedAt,
+    orderId: order.orderId,
+    seller: {
+      name: BUSINESS_NAME,
+      branchName: order.branch.name,
+      address: order.branch.address,
+      phone: order.branch.phone,
+      state: order.branch.state,
+      gstin: order.branch.gstin,
+    },
+    buyer: {
+      name: order.customer.name,
+      businessName: order.customer.businessName,
+      phone: order.customer.phone,
+      gstin: order.customer.gstin,
+      address: order.deliveryLocation.address,
+    },
+    supplyType: taxBreakdown.supplyType,
+    placeOfSupply: taxBreakdown.placeOfSupply,
+    lines,
+    taxRates,
+    totals: {
+      items: order.totalPrice,
+      deliveryFee: order.deliveryFee,
+      discount: order.discount || 0,
+      amountPayable: order.amountPayable,
+      taxableValue: taxBreakdown.taxableValue,
+      cgst: taxBreakdown.cgst,
+      sgst: taxBreakdown.sgst,
+      igst: taxBreakdown.igst,
+      totalTax: taxBreakdown.totalTax,
+    },
+    payment: paid
+      ? {
+        paid: true,
+        method: PAYMENT_METHOD_LABELS[payment.method] || 'online payment',
+        reference: payment.razorpayPaymentId || payment.walletTransaction?.toString(),
+        paidAt: payment.verifiedAt || order.updatedAt,
+        amount: payment.amount ?? order.amountPayable,
+      }
+      : { paid: false, note: UNPAID_NOTES[payment.method] || 'Payment due.' },
+  };
+};
+
+// A claim not completed in this time is taken to be abandoned
+const CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+const findIssuedInvoice = (orderId) =>
+  Invoice.findOne({ order: orderId, status: { $ne: 'issuing' } }).select('+pdf');
+
+// Insert the order's invoice as an 'issuing' claim, or take over one whose
+// request died; null when another request holds it or it is already issued
+const claimInvoice = async (order) => {
+  const claimedAt = new Date();
+  try {
+    return await Invoice.create({
+      order: order._id,
+      customer: order.customer,
+      branch: order.branch,
+      status: 'issuing',
+      claimedAt,
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return Invoice.findOneAndUpdate(
+    { order: order._id, status: 'issuing', claimedAt: { $lt: new Date(claimedAt.getTime() - CLAIM_TIMEOUT_MS) } },
+    { $set: { claimedAt } },
+    { new: true }
+  );
+};
+
+/**
+ * Return the order's invoice, issuing it on first request. Only the request
+ * that claims the invoice takes the next number from the invoiceNumber
+ * counter, so numbers are not skipped when requests race; it renders the PDF
+ * once and stores it, and later requests get the stored copy.
+ * @param {Object} order - Order document
+ * @returns {Promise<{success: boolean, invoice?: Object, error?: string}>}
+ */
+export const getOrIssueInvoice = async (order) => {
+  const existing = await findIssuedInvoice(order._id);
+  if (existing) {
+    return { success: true, invoice: existing };
+  }
+
+  const check = canInvoice(order);
+  if (!check.success) {
+    return check;
+  }
+
+  const claim = await claimInvoice(order);
+  if (!claim) {
+    const issued = await findIssuedInvoice(order._id);
+    if (issued) {
+      return { success: true, invoice: issued };
+    }
+    return { success: false, error: "The invoice is being issued, try again shortly" };
+  }
+
+  // A claim taken over keeps the number its first request recorded
+  let { invoiceNumber } = claim;
+  if (!invoiceNumber) {
+    invoiceNumber = await Invoice.nextInvoiceNumber();
+    await Invoice.updateOne(
+      { _id: claim._id, status: 'issuing', claimedAt: claim.claimedAt },
+      { $set: { invoiceNumber } }
+    );
+  }
+
+  await order.populate([
+    { path: 'branch', select: 'name address phone state gstin' },
+    { path: 'customer', select: 'name phone businessName gstin' },
+    { path: 'items.product', select: 'gstRate hsnCode' },
+  ]);
+
+  const issuedAt = new Date();
+  const view = buildInvoiceView(order, invoiceNumber, issuedAt);
+  const pdf = await renderInvoicePdf(view);
+
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: claim._id, status: 'issuing', claimedAt: claim.claimedAt },
+    {
+      $set: {
+        status: 'issued',
+        invoiceNumber,
+        issuedAt,
+        amount: view.totals.amountPayable,
+        totalTax: view.totals.totalTax || 0,
+        paid: view.payment.paid,
+        pdf,
+        sha256: crypto.createHash('sha256').update(pdf).digest('hex'),
+      },
+    },
+    { new: true, runValidators: true }
+  ).select('+pdf');
+
+  if (!invoice) {
+    // The claim was taken over while rendering; serve what the other request issued
+    const issued = await findIssuedInvoice(order._id);
+    if (issued) {
+      return { success: true, invoice: issued };
+    }
+    return { success: false, error: "The invoice is being issued, try again shortly" };
+  }
+
+  console.log(`🧾 Invoice ${invoiceNumber} issued for order ${order.orderId}`);
+  return { success: true, invoice };
+};
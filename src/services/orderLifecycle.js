@@ -0,0 +1,331 @@
+import { releaseOrderStock } from './inventoryService.js';
+import { releaseCoupon } from './couponService.js';
+import { isRefundable, issueRefund } from './refundService.js';
+import { creditDeliveryEarning } from './earningsService.js';
+import Order from '../models/order.js';
+
+export const ACTORS = {
+  CUSTOMER: 'customer',
+  PARTNER: 'partner',
+  ADMIN: 'admin',
+  SYSTEM: 'system',
+};
+
+const { CUSTOMER, PARTNER, ADMIN, SYSTEM } = ACTORS;
+
+// Allowed order.status transitions and who may trigger each one
+const STATUS_TRANSITIONS = {
+  'pending': {
+    'accepted': [PARTNER, ADMIN, SYSTEM],
+    'cancelled': [CUSTOMER, ADMIN, SYSTEM],
+  },
+  'accepted': {
+    'in-progress': [PARTNER, ADMIN],
+    'cancelled': [CUSTOMER, PARTNER, ADMIN, SYSTEM],
+  },
+  'in-progress': {
+    // Straight to delivered once the handover is proven (see deliveryService)
+    'delivered': [PARTNER, ADMIN],
+    'awaitconfirmation': [PARTNER, ADMIN],
+    'cancelled': [PARTNER, ADMIN],
+  },
+  'awaitconfirmation': {
+    'delivered': [CUSTOMER, PARTNER, ADMIN, SYSTEM],
+    'cancelled': [ADMIN],
+  },
+  'delivered': {},
+  'cancelled': {},
+};
+
+// deliveryStatus follows status
+const DELIVERY_STATUS_FOR = {
+  'pending': 'Assigning Partner',
+  'accepted': 'Partner Assigned',
+  'in-progress': 'On The Way',
+  'awaitconfirmation': 'Delivered',
+  'delivered': 'Delivered',
+  'cancelled': 'Cancelled',
+};
+
+// Allowed deliveryStatus transitions (staying on the same value is always allowed)
+const DELIVERY_STATUS_TRANSITIONS = {
+  'Assigning Partner': ['Partner Assigned', 'Cancelled'],
+  'Partner Assigned': ['On The Way', 'Cancelled'],
+  'On The Way': ['Delivered', 'Cancelled'],
+  'Delivered': ['Cancelled'],
+  'Cancelled': [],
+};
+
+export const TERMINAL_STATUSES = ['delivered', 'cancelled'];
+
+// Orders settled on delivery or on a statement; every other order is paid online before dispatch
+const PAY_LATER_METHODS = ['COD', 'postpaid', 'subscription'];
+const PAID_STATUSES = ['verified', 'completed', 'partially_refunded'];
+
+// Query clause matching orders partners may pick up as far as payment goes
+export const PAYMENT_CLEARED_FILTER = {
+  $or: [
+    { paymentStatus: { $in: PAID_STATUSES } },
+    { 'paymentDetails.method': { $in: PAY_LATER_METHODS } },
+  ]
+};
+
+/**
+ * Whether an order is still waiting for its online payment
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+export const isAwaitingPayment = (order) =>
+  !PAID_STATUSES.includes(order.paymentStatus) && !PAY_LATER_METHODS.includes(order.paymentDetails?.method);
+
+/**
+ * Map an authenticated user (req.user) to a lifecycle actor
+ * @param {Object} user - Customer, DeliveryPartner or Admin document
+ * @returns {string|null}
+ */
+export const actorFromUser = (user) => {
+  switch (user?.role) {
+    case 'Customer':
+      return CUSTOMER;
+    case 'DeliveryPartner':
+      return PARTNER;
+    case 'Admin':
+      return ADMIN;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Whether an actor may move an order from one status to another
+ * @returns {boolean}
+ */
+export const canTransition = (fromStatus, toStatus, actor) => {
+  const allowedActors = STATUS_TRANSITIONS[fromStatus]?.[toStatus];
+  return Array.isArray(allowedActors) && allowedActors.includes(actor);
+};
+
+const canChangeDeliveryStatus = (from, to) => {
+  return from === to || (DELIVERY_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Customers act on their own orders; partners on orders assigned to them
+// (accepting is how a partner becomes the assignee)
+const isParticipant = (order, toStatus, actor, actorId) => {
+  if (actor === CUSTOMER) {
+    return order.customer?.toString() === actorId?.toString();
+  }
+  if (actor === PARTNER) {
+    if (toStatus === 'accepted') {
+      return true;
+    }
+    return !!order.deliveryPartner && order.deliveryPartner.toString() === actorId?.toString();
+  }
+  return true;
+};
+
+/**
+ * Record the initial status on a new order. Call before the first save.
+ * @param {Object} order - New Order document
+ * @param {Object} options - actor, actorId, reason
+ */
+export const recordOrderCreated = (order, { actor, actorId, reason } = {}) => {
+  order.statusHistory.push({
+    status: order.status,
+    deliveryStatus: order.deliveryStatus,
+    actor,
+    actorId,
+    reason: reason || 'Order placed',
+  });
+};
+
+// Give back everything taken when the order was placed: stock, coupon and payment
+const releaseCancelledOrder = async (order, reason, io) => {
+  try {
+    await releaseOrderStock(order, 'cancelled', { io });
+  } catch (restoreErr) {
+    console.error('Stock restoration error on cancel:', restoreErr);
+  }
+
+  try {
+    await releaseCoupon(order);
+  } catch (couponErr) {
+    console.error('Coupon release error on cancel:', couponErr);
+  }
+
+  // Cancellation policy: whatever was paid goes back the way it came
+  if (isRefundable(order)) {
+    try {
+      const refund = await issueRefund(order, { reason, actor: ACTORS.SYSTEM, saveOrder: false });
+      if (!refund.success) {
+        console.error(`Refund failed for cancelled order ${order.orderId}:`, refund.error);
+      }
+    } catch (refundErr) {
+      console.error('Refund error on cancel:', refundErr);
+    }
+  }
+};
+
+const notifyTransition = (io, order, { actor, reason }) => {
+  if (!io) {
+    return;
+  }
+
+  const orderRoom = order._id.toString();
+  io.to(orderRoom).emit('orderStatusUpdated', order);
+
+  switch (order.status) {
+    case 'accepted':
+      // Remove the order from other partners' lists
+      io.to(`branch-${order.branch}`).emit('orderAcceptedByOther', order._id);
+      break;
+
+    case 'awaitconfirmation':
+      io.to(`customer-${order.customer}`).emit('awaitingCustomerConfirmation', order);
+      break;
+
+    case 'delivered':
+      io.to(orderRoom).emit('orderCompleted', {
+        orderId: order._id,
+        status: 'delivered',
+        message: 'Order delivery completed successfully'
+      });
+      io.socketsLeave(`order-${orderRoom}`);
+      break;
+
+    case 'cancelled': {
+      const payload = {
+        orderId: order._id,
+        orderNumber: order.orderId,
+        reason,
+        cancelledBy: actor,
+        message: 'Order has been cancelled'
+      };
+      io.to(`customer-${order.customer}`).emit('orderCancelled', payload);
+      if (order.deliveryPartner) {
+        io.to(`deliveryPartner-${order.deliveryPartner}`).emit('orderCancelled', payload);
+      }
+      // Other partners drop it from their lists
+      io.to(`branch-${order.branch}`).emit('orderCancelled', payload);
+      io.to(orderRoom).emit('orderCompleted', {
+        orderId: order._id,
+        status: 'cancelled',
+        message: 'Order has been cancelled'
+      });
+      io.socketsLeave(`order-${orderRoom}`);
+      break;
+    }
+  }
+};
+
+/**
+ * Move an order to a new status. Checks the transition and the actor, keeps
+ * deliveryStatus in step, appends to statusHistory, runs the side effects
+ * (stock release and refund on cancellation) and notifies over Socket.IO.
+ * @param {Object} order - Order document
+ * @param {string} toStatus - Target status
+ * @param {Object} options - actor, actorId, reason, io, apply(order) to set extra fields before saving
+ * @returns {Promise<{success: boolean, order?: Object, statusCode?: number, message?: string}>}
+ */
+export const transitionOrder = async (order, toStatus, { actor, actorId, reason, io, apply } = {}) => {
+  const fromStatus = order.status;
+
+  if (!STATUS_TRANSITIONS[toStatus]) {
+    return { success: false, statusCode: 400, message: `Unknown order status: ${toStatus}` };
+  }
+
+  if (!STATUS_TRANSITIONS[fromStatus]?.[toStatus]) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Invalid status transition from ${fromStatus} to ${toStatus}`
+    };
+  }
+
+  if (!canTransition(fromStatus, toStatus, actor) || !isParticipant(order, toStatus, actor, actorId)) {
+    return {
+      success: false,
+      statusCode: 403,
+      message: `You are not allowed to move this order from ${fromStatus} to ${toStatus}`
+    };
+  }
+
+  const deliveryStatus = DELIVERY_STATUS_FOR[toStatus];
+  if (!canChangeDeliveryStatus(order.deliveryStatus, deliveryStatus)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Invalid delivery status transition from ${order.deliveryStatus} to ${deliveryStatus}`
+    };
+  }
+
+  if (apply) {
+    apply(order);
+  }
+
+  order.status = toStatus;
+  order.deliveryStatus = deliveryStatus;
+
+  if (toStatus === 'cancelled') {
+    order.cancellationReason = reason;
+    order.cancelledBy = actor;
+    order.cancelledAt = new Date();
+    await releaseCancelledOrder(order, reason, io);
+  }
+
+  order.statusHistory.push({
+    fromStatus,
+    status: toStatus,
+    deliveryStatus,
+    actor,
+    actorId,
+    reason,
+  });
+  order.updatedAt = new Date();
+
+  await order.save();
+
+  notifyTransition(io, order, { actor, reason });
+
+  // The partner is paid once the order is delivered
+  if (toStatus === 'delivered' && order.deliveryPartner) {
+    try {
+      await creditDeliveryEarning(order, { io });
+    } catch (earningErr) {
+      console.error(`Earning credit error for order ${order.orderId}:`, earningErr);
+    }
+  }
+
+  return { success: true, order };
+};
+
+/**
+ * Cancel online orders whose payment deadline passed without a verified
+ * payment. Cancelling releases their stock and coupon and notifies the customer.
+ * @param {Date} now - Reference time
+ * @param {Object} options - io
+ * @returns {Promise<number>} - Number of orders cancelled
+ */
+export const expireUnpaidOrders = async (now = new Date(), { io } = {}) => {
+  const overdue = await Order.find({
+    status: 'pending',
+    paymentStatus: { $in: ['pending', 'failed'] },
+    paymentDeadline: { $lte: now },
+  });
+  let cancelled = 0;
+
+  for (const order of overdue) {
+    const result = await transitionOrder(order, 'cancelled', {
+      actor: SYSTEM,
+      reason: 'Payment not completed in time',
+      io,
+    });
+    if (result.success) {
+      cancelled++;
+    } else {
+      console.error(`Could not expire unpaid order ${order.orderId}:`, result.message);
+    }
+  }
+
+  return cancelled;
+};
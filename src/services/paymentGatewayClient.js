@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import razorpay from '../config/razorpay.js';
+
+// Reconciliation reads the gateway through a small client, so a local fake can
+// stand in for Razorpay. Every client has:
+//   listPayments(from, to)         payments created in [from, to)
+//   fetchPayment(paymentId)        one payment, or null when the gateway has none
+//   listSettlementItems(from, to)  payments settled on the days in [from, to)
+// Payments come back as { id, orderId, amount, status, method, createdAt, notes }
+// and settlement items as { paymentId, settlementId, amount, fee, tax, settled, settledAt, utr },
+// with amounts in rupees.
+
+const PAGE_SIZE = 100;
+const RECON_PAGE_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_FAKE_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..', 'scripts', 'fixtures', 'razorpay', 'gateway.json'
+);
+
+const toRupees = (paise) => Math.round(Number(paise || 0)) / 100;
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+const normalizePayment = (payment) => ({
+  id: payment.id,
+  orderId: payment.order_id || null,
+  amount: toRupees(payment.amount),
+  status: payment.status,
+  method: payment.method,
+  createdAt: fromUnix(payment.created_at),
+  notes: payment.notes || {},
+});
+
+// Rows of Razorpay's combined settlement recon report; refunds and adjustments are skipped
+const normalizeSettlementItems = (items) => items
+  .filter(item => item.type === 'payment')
+  .map(item => ({
+    paymentId: item.entity_id,
+    settlementId: item.settlement_id || null,
+    amount: toRupees(item.amount),
+    fee: toRupees(item.fee),
+    tax: toRupees(item.tax),
+    settled: Boolean(item.settled),
+    settledAt: fromUnix(item.settled_at),
+    utr: item.settlement_utr || null,
+  }));
+
+/**
+ * Client backed by the Razorpay API
+ * @param {Object} api - Razorpay SDK instance
+ * @returns {Object} Gateway client
+ */
+export const createRazorpayGatewayClient = (api = razorpay) => ({
+  name: 'razorpay',
+
+  async listPayments(from, to) {
+    const payments = [];
+    for (let skip = 0; ; skip += PAGE_SIZE) {
+      const page = await api.payments.all({
+        from: Math.floor(from.getTime() / 1000),
+        to: Math.floor(to.getTime() / 1000) - 1, // Razorpay's range is inclusive
+        count: PAGE_SIZE,
+        skip,
+      });
+      payments.push(...page.items.map(normalizePayment));
+      if (page.items.length < PAGE_SIZE) {
+        return payments;
+      }
+    }
+  },
+
+  async fetchPayment(paymentId) {
+    try {
+      return normalizePayment(await api.payments.fetch(paymentId));
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  // The recon report is per settlement day
+  async listSettlementItems(from, to) {
+    const items = [];
+    for (let day = new Date(from); day < to; day = new Date(day.getTime() + DAY_MS)) {
+      for (let skip = 0; ; skip += RECON_PAGE_SIZE) {
+        const page = await api.settlements.reports({
+          year: day.getFullYear(),
+          month: day.getMonth() + 1,
+          day: day.getDate(),
+          count: RECON_PAGE_SIZE,
+          skip,
+        });
+        items.push(...normalizeSettlementItems(page.items));
+        if (page.items.length < RECON_PAGE_SIZE) {
+          break;
+        }
+      }
+    }
+    return items;
+  },
+});
+
+/**
+ * Client that serves payments and recon rows held in memory, in the shapes
+ * Razorpay returns them. Used for local runs and for replaying a case.
+ * @param {Object} data - payments (Razorpay payment entities), settlements (recon report rows)
+ * @returns {Object} Gateway client
+ */
+export const createFakeGatewayClient = ({ payments = [], settlements = [] } = {}) => ({
+  name: 'fake',
+
+  async listPayments(from, to) {
+    return payments
+      .map(normalizePayment)
+      .filter(payment => payment.createdAt >= from && payment.createdAt < to);
+  },
+
+  async fetchPayment(paymentId) {
+    const payment = payments.find(p => p.id === paymentId);
+    return payment ? normalizePayment(payment) : null;
+  },
+
+  async listSettlementItems(from, to) {
+    return normalizeSettlementItems(settlements)
+      .filter(item => item.settledAt && item.settledAt >= from && item.settledAt < to);
+  },
+});
+
+const loadFakeGatewayClient = (file) => {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  console.log(`🧪 Using fake payment gateway data from ${file}`);
+  return createFakeGatewayClient(data);
+};
+
+let activeClient = null;
+
+/**
+ * The gateway client in use: Razorpay, or the fake when PAYMENT_GATEWAY_CLIENT=fake
+ * (data from FAKE_GATEWAY_FILE, default src/scripts/fixtures/razorpay/gateway.json)
+ * @returns {Object} Gateway client
+ */
+export const getGatewayClient = () => {
+  if (!activeClient) {
+    activeClient = process.env.PAYMENT_GATEWAY_CLIENT === 'fake'
+      ? loadFakeGatewayClient(process.env.FAKE_GATEWAY_FILE || DEFAULT_FAKE_FILE)
+      : createRazorpayGatewayClient();
+  }
+  return activeClient;
+};
+
+// Swap the client, e.g. for a fake in a script
+export const setGatewayClient = (client) => {
+  activeClient = client;
+};
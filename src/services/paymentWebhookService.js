@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import razorpay from '../config/razorpay.js';
+import Order from '../models/order.js';
+import Statement from '../models/statement.js';
+import WebhookEvent from '../models/webhookEvent.js';
+import { commitReservations, releaseReservations } from './inventoryService.js';
+import { isRefundable, issueRefund, recordGatewayRefund } from './refundService.js';
+import { releaseOrderToPartners } from './dispatchService.js';
+import { ACTORS } from './orderLifecycle.js';
+import { creditTopupPayment } from './walletService.js';
+import { settleStatement } from './billingService.js';
+
+const PAID_STATUSES = ['verified', 'completed'];
+// An event stuck in processing this long is assumed to have crashed and may be retried
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const toRupees = (paise) => Math.round(Number(paise || 0)) / 100;
+
+/**
+ * Check the X-Razorpay-Signature header: an HMAC-SHA256 of the raw request
+ * body keyed with the webhook secret
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - Header value
+ * @param {string} secret - RAZORPAY_WEBHOOK_SECRET
+ * @returns {boolean}
+ */
+export const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!rawBody || typeof signature !== 'string' || !secret) {
+    return false;
+  }
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+// Razorpay sends the id in X-Razorpay-Event-Id; fall back to the body hash for replays without it
+export const webhookEventId = (header, rawBody) =>
+  header || `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+
+/**
+ * Claim an event for processing. Returns null when it was already handled
+ * (or is being handled right now by another delivery); failed and stalled
+ * events are claimed again so Razorpay's retries can complete them.
+ * @param {string} eventId - Event id
+ * @param {string} event - Event type
+ * @returns {Promise<Object|null>} WebhookEvent document
+ */
+export const claimWebhookEvent = async (eventId, event) => {
+  try {
+    return await WebhookEvent.create({ eventId, event });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return WebhookEvent.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+      ]
+    },
+    { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// The app order behind a Razorpay order: recorded when checkout created it, else from the order notes
+const findAppOrder = async (razorpayOrderId, notes) => {
+  if (razorpayOrderId) {
+    const order = await Order.findOne({ 'paymentDetails.razorpayOrderId': razorpayOrderId });
+    if (order) {
+      return order;
+    }
+  }
+
+  let appOrderId = notes?.orderId;
+  if (!appOrderId && razorpayOrderId) {
+    const razorpayOrder = await razorpay.orders.fetch(razorpayOrderId);
+    appOrderId = razorpayOrder?.notes?.orderId;
+  }
+  return mongoose.Types.ObjectId.isValid(appOrderId) ? Order.findById(appOrderId) : null;
+};
+
+/**
+ * Give back a payment captured for a cancelled order, e.g. one that
+ * expireUnpaidOrders cancelled before the money arrived. The payment is
+ * recorded on the order once and refunded in full with issueRefund, which
+ * never refunds more than was captured: the payment.captured and order.paid
+ * events of the same payment, or a redelivery, do not refund it twice.
+ * @param {Object} order - Order document
+ * @param {Object} payment - razorpayOrderId, razorpayPaymentId, amount (rupees)
+ * @returns {Promise<{status: string, result: string, order?: Object}>}
+ */
+export const refundLatePayment = async (order, { razorpayOrderId, razorpayPaymentId, amount }) => {
+  const now = new Date();
+  const recorded = await Order.findOneAndUpdate(
+    { _id: order._id, 'paymentDetails.razorpayPaymentId': null },
+    {
+      $set: {
+        paymentStatus: 'verified',
+        'paymentDetails.razorpayOrderId': razorpayOrderId,
+        'paymentDetails.razorpayPaymentId': razorpayPaymentId,
+        'paymentDetails.amount': amount,
+        'paymentDetails.verifiedAt': now,
+        updatedAt: now,
+      }
+    },
+    { new: true }
+  ) || await Order.findById(order._id);
+
+  if (recorded.paymentDetails?.razorpayPaymentId !== razorpayPaymentId) {
+    console.error(`⚠️ Payment ${razorpayPaymentId} captured for order ${order.orderId}, which already holds payment ${recorded.paymentDetails?.razorpayPaymentId}; refund it from the Razorpay dashboard`);
+    return { status: 'ignored', order: recorded, result: `Order already holds another payment; ${razorpayPaymentId} needs a manual refund` };
+  }
+  if (!isRefundable(recorded)) {
+    return { status: 'ignored', order: recorded, result: `Payment ${razorpayPaymentId} is already ${recorded.paymentStatus}` };
+  }
+
+  const refund = await issueRefund(recorded, {
+    reason: `Payment received after the order was ${recorded.status}`,
+    actor: ACTORS.SYSTEM,
+  });
+  if (!refund.success) {
+    // A gateway failure is retried with the next delivery of the event
+    if (refund.refund?.status === 'failed') {
+      throw new Error(refund.error);
+    }
+    return { status: 'ignored', order: recorded, result: refund.error };
+  }
+
+  console.log(`↩️ Payment ${razorpayPaymentId} for ${recorded.status} order ${recorded.orderId} refunded`);
+  return { status: 'processed', order: recorded, result: `Order is ${recorded.status}; payment refunded` };
+};
+
+// Wallet top-up paid but never verified by the app (e.g. the browser closed): credit it here.
+// Returns null when the Razorpay order is not a top-up.
+const creditTopup = async (payment) => {
+  const credit = await creditTopupPayment(payment.order_id, payment.id);
+  if (!credit.isTopup) {
+    return null;
+  }
+  if (!credit.success) {
+    // e.g. the wallet was busy; the next delivery tries again
+    throw new Error(credit.error);
+  }
+  if (credit.duplicate) {
+    return { status: 'ignored', result: `Top-up ${payment.id} already credited` };
+  }
+  return { status: 'processed', result: `Top-up ${payment.id} credited, balance ₹${credit.balance}` };
+};
+
+const markOrderPaid = async (payment, { orderNotes, io }) => {
+  const notes = orderNotes ?? payment.notes;
+  // Statements are paid through payment links and settled on payment_link.paid
+  if (notes?.orderType === 'statement') {
+    return { status: 'ignored', result: 'Statement payments are settled on payment_link.paid' };
+  }
+  if (notes?.orderType === 'walletTopup') {
+    return await creditTopup(payment) ?? { status: 'ignored', result: 'Razorpay order is not a wallet top-up' };
+  }
+
+  const order = await findAppOrder(payment.order_id, notes);
+  if (!order) {
+    // Without notes on the payment, the Razorpay order tells whether it was a top-up
+    const topup = payment.order_id && !notes?.orderId ? await creditTopup(payment) : null;
+    return topup ?? { status: 'ignored', result: 'No app order for this payment' };
+  }
+
+  // Paid too late, e.g. after the payment deadline cancelled the order: the money goes back
+  if (order.status === 'cancelled') {
+    return refundLatePayment(order, {
+      razorpayOrderId: payment.order_id,
+      razorpayPaymentId: payment.id,
+      amount: toRupees(payment.amount),
+    });
+  }
+
+  if (PAID_STATUSES.includes(order.paymentStatus)) {
+    return { status: 'ignored', order, result: `Order ${order.orderId} is already paid` };
+  }
+  if (!['pending', 'created'].includes(order.status)) {
+    console.error(`⚠️ Payment ${payment.id} captured for order ${order.orderId} in status ${order.status}; needs a refund`);
+    return { status: 'ignored', order, result: `Order is ${order.status}; payment needs a refund` };
+  }
+
+  const amount = toRupees(payment.amount);
+  if (Math.abs(amount - order.amountPayable) > 0.01) {
+    console.error(`⚠️ Payment ${payment.id} of ₹${amount} does not match order ${order.orderId} (₹${order.amountPayable})`);
+    return { status: 'ignored', order, result: `Amount mismatch. Expected: ${order.amountPayable}, Received: ${amount}` };
+  }
+
+  order.paymentStatus = 'verified';
+  order.paymentDetails.razorpayOrderId = payment.order_id;
+  order.paymentDetails.razorpayPaymentId = payment.id;
+  order.paymentDetails.verifiedAt = new Date();
+  order.paymentDetails.amount = amount;
+  order.updatedAt = new Date();
+
+  // Paid: turn the order's stock hold into a real deduction
+  const stockResult = await commitReservations(order._id, { io, order });
+  if (!stockResult.success) {
+    console.error(`⚠️ Paid order ${order.orderId} could not commit its stock:`, stockResult.error);
+  }
+  await order.save();
+  await releaseOrderToPartners(order, { io });
+
+  console.log(`💳 Order ${order.orderId} marked paid from webhook (${payment.id})`);
+  return { status: 'processed', order, result: `Order ${order.orderId} marked paid` };
+};
+
+const markPaymentFailed = async (payment) => {
+  const order = await findAppOrder(payment.order_id, payment.notes);
+  if (!order) {
+    return { status: 'ignored', result: 'No app order for this payment' };
+  }
+  // A later attempt on the same Razorpay order may already have succeeded
+  if (order.paymentStatus !== 'pending') {
+    return { status: 'ignored', order, result: `Payment status is ${order.paymentStatus}` };
+  }
+
+  order.paymentStatus = 'failed';
+  order.updatedAt = new Date();
+  await order.save();
+
+  const released = await releaseReservations(order._id, 'payment_failed');
+  const reason = payment.error_description || payment.error_code || 'no reason given';
+  console.log(`💳 Payment failed for order ${order.orderId} (${reason}), ${released} hold(s) released`);
+  return { status: 'processed', order, result: `Payment failed: ${reason}` };
+};
+
+// Statement paid through its payment link, when the customer never came back to the callback
+const settlePaymentLink = async (paymentLink, payment) => {
+  const statement = paymentLink?.id ? await Statement.findOne({ 'paymentLink.id': paymentLink.id }) : null;
+  if (!statement) {
+    return { status: 'ignored', result: 'No statement for this payment link' };
+  }
+
+  const result = await settleStatement(statement, {
+    razorpayPaymentId: payment?.id,
+    razorpayPaymentLinkId: paymentLink.id,
+    amount: toRupees(payment?.amount ?? paymentLink.amount_paid),
+  });
+  if (result.alreadyPaid) {
+    return { status: 'ignored', result: `Statement ${statement.statementNumber} is already paid` };
+  }
+  return { status: 'processed', result: `Statement ${statement.statementNumber} settled` };
+};
+
+/**
+ * Apply a verified Razorpay webhook to the matching order, wallet top-up or statement
+ * @param {Object} body - Parsed webhook body
+ * @param {Object} options - io
+ * @returns {Promise<{status: string, result: string, order?: Object}>}
+ */
+export const handleWebhookEvent = async (body, { io } = {}) => {
+  const payment = body.payload?.payment?.entity;
+  const refund = body.payload?.refund?.entity;
+
+  switch (body.event) {
+    case 'payment.captured':
+      return markOrderPaid(payment, { io });
+    case 'order.paid':
+      return markOrderPaid(payment, { orderNotes: body.payload?.order?.entity?.notes, io });
+    case 'payment.failed':
+      return markPaymentFailed(payment);
+    case 'payment_link.paid':
+      return settlePaymentLink(body.payload?.payment_link?.entity, payment);
+    case 'refund.processed':
+      return recordGatewayRefund(refund, 'processed');
+    case 'refund.failed':
+      return recordGatewayRefund(refund, 'failed');
+    default:
+      return { status: 'ignored', result: `Unhandled event ${body.event}` };
+  }
+};
@@ -0,0 +1,176 @@
+import { EarningEntry, PayoutStatement } from '../models/earning.js';
+import { DeliveryPartner } from '../models/user.js';
+import { getCashInHand, settleCashAgainstPayout, reverseCashSettlement } from './cashService.js';
+import { startOfDay, addDays } from '../utils/dateUtils.js';
+
+const roundAmount = (amount) => Number(Number(amount).toFixed(2));
+
+/**
+ * Monday-to-Monday payout week containing the given date, as [periodStart, periodEnd)
+ * @param {Date} date - Any day in the week
+ * @returns {{periodStart: Date, periodEnd: Date}}
+ */
+export const getPayoutWeek = (date = new Date()) => {
+  const day = startOfDay(date);
+  const periodStart = addDays(day, -((day.getDay() + 6) % 7));
+  return { periodStart, periodEnd: addDays(periodStart, 7) };
+};
+
+/**
+ * Payout week before the one containing the given date
+ * @param {Date} date - Any day in the following week
+ * @returns {{periodStart: Date, periodEnd: Date}}
+ */
+export const getPreviousPayoutWeek = (date = new Date()) => getPayoutWeek(addDays(getPayoutWeek(date).periodStart, -1));
+
+// Earnings that are not on a statement yet
+const unpaidEntriesFilter = (periodEnd) => ({
+  statement: { $exists: false },
+  earnedAt: { $lt: periodEnd },
+});
+
+const totalsOf = (entries) => {
+  const sumOf = (type) => roundAmount(entries.filter(e => e.type === type).reduce((sum, e) => sum + e.amount, 0));
+  return {
+    deliveries: entries.filter(e => e.type === 'delivery').length,
+    distanceKm: roundAmount(entries.reduce((sum, e) => sum + (e.distanceKm || 0), 0)),
+    deliveryPay: sumOf('delivery'),
+    peakBonus: sumOf('peak_bonus'),
+    targetBonus: sumOf('daily_target'),
+    totalEarnings: roundAmount(entries.reduce((sum, e) => sum + e.amount, 0)),
+  };
+};
+
+// Steps run in an order that can be undone: the statement is saved first (the
+// unique week index stops a second run here, before anything else changes),
+// then the earnings are claimed for it, and the partner's cash is settled
+// last. A failure undoes the steps already taken, giving settled cash back
+// with a settlement_reversal entry.
+const buildPayoutStatement = async (partnerId, periodStart, periodEnd, io) => {
+  const entries = await EarningEntry.find({ ...unpaidEntriesFilter(periodEnd), deliveryPartner: partnerId });
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const partner = await DeliveryPartner.findById(partnerId).select('branch');
+  const totals = totalsOf(entries);
+  const statement = new PayoutStatement({
+    deliveryPartner: partnerId,
+    branch: partner?.branch,
+    periodStart,
+    periodEnd,
+    ...totals,
+    netPayable: totals.totalEarnings,
+  });
+
+  try {
+    await statement.save();
+  } catch (error) {
+    // Another run issued this week's statement first
+    if (error.code === 11000 && error.keyPattern?.periodStart) {
+      return null;
+    }
+    throw error;
+  }
+
+  let settledCash = 0;
+  try {
+    // Claim the earnings; some may have gone on another statement since they were read
+    const claimed = await EarningEntry.updateMany(
+      { _id: { $in: entries.map(e => e._id) }, statement: { $exists: false } },
+      { $set: { statement: statement._id } }
+    );
+    const claimedEntries = claimed.modifiedCount === entries.length
+      ? entries
+      : await EarningEntry.find({ statement: statement._id });
+    if (claimedEntries.length === 0) {
+      await PayoutStatement.deleteOne({ _id: statement._id });
+      return null;
+    }
+    Object.assign(statement, totalsOf(claimedEntries));
+
+    // COD cash the partner holds is kept as pay, up to what they earned
+    const cashInHand = await getCashInHand(partnerId);
+    let cashOffset = roundAmount(Math.min(cashInHand, statement.totalEarnings));
+    if (cashOffset > 0) {
+      const settlement = await settleCashAgainstPayout(partnerId, cashOffset, statement, { io });
+      if (settlement.success) {
+        settledCash = cashOffset;
+      } else {
+        console.error(`⚠️ Cash for payout of partner ${partnerId} could not be settled:`, settlement.error);
+        cashOffset = 0;
+      }
+    }
+    statement.cashInHand = cashInHand;
+    statement.cashOffset = cashOffset;
+    statement.netPayable = roundAmount(statement.totalEarnings - cashOffset);
+    statement.cashRemaining = roundAmount(cashInHand - cashOffset);
+    await statement.save();
+    return statement;
+  } catch (error) {
+    if (settledCash > 0) {
+      const reversal = await reverseCashSettlement(partnerId, settledCash, statement, { io });
+      if (!reversal.success) {
+        console.error(`⚠️ ₹${settledCash} settled for partner ${partnerId} could not be given back:`, reversal.error);
+      }
+    }
+    await EarningEntry.updateMany({ statement: statement._id }, { $unset: { statement: 1 } });
+    await PayoutStatement.deleteOne({ _id: statement._id });
+    throw error;
+  }
+};
+
+/**
+ * Issue one PayoutStatement per partner with earnings up to the end of the
+ * week that are not on a statement yet. Re-running for the same week does not
+ * create duplicates.
+ * @param {Date} periodStart - Start of the week (inclusive)
+ * @param {Date} periodEnd - End of the week (exclusive)
+ * @param {Object} options - io
+ * @returns {Promise<{created: number, failed: number}>}
+ */
+export const generatePayoutStatements = async (periodStart, periodEnd, { io } = {}) => {
+  const summary = { created: 0, failed: 0 };
+  const partnerIds = await EarningEntry.distinct('deliveryPartner', unpaidEntriesFilter(periodEnd));
+
+  for (const partnerId of partnerIds) {
+    try {
+      const existing = await PayoutStatement.exists({ deliveryPartner: partnerId, periodStart });
+      if (existing) {
+        continue;
+      }
+
+      const statement = await buildPayoutStatement(partnerId, periodStart, periodEnd, io);
+      if (statement) {
+        summary.created++;
+        if (io) {
+          io.to(`deliveryPartner-${partnerId}`).emit('payoutStatementIssued', statement);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to build payout statement for partner ${partnerId}:`, error);
+      summary.failed++;
+    }
+  }
+
+  console.log(`💸 Payout week ${periodStart.toISOString()} - ${periodEnd.toISOString()} closed:`, summary);
+  return summary;
+};
+
+/**
+ * Record that a statement's net payable was paid to the partner
+ * @param {Object} payment - statementId, adminId, reference
+ * @returns {Promise<{success: boolean, statement?: Object, error?: string}>}
+ */
+export const markPayoutPaid = async ({ statementId, adminId, reference }) => {
+  const statement = await PayoutStatement.findOneAndUpdate(
+    { _id: statementId, status: 'issued' },
+    { $set: { status: 'paid', paidAt: new Date(), paidBy: adminId, paymentReference: reference } },
+    { new: true }
+  );
+  if (!statement) {
+    const exists = await PayoutStatement.exists({ _id: statementId });
+    return { success: false, error: exists ? "Statement is already paid" : "Statement not found" };
+  }
+  return { success: true, statement };
+};
@@ -0,0 +1,258 @@
+import BranchInventory from '../models/branchInventory.js';
+import InventoryMovement from '../models/inventoryMovement.js';
+import PurchaseOrder from '../models/purchaseOrder.js';
+import StockLot from '../models/stockLot.js';
+import Supplier from '../models/supplier.js';
+import { adjustStock, receiveLot } from './inventoryService.js';
+
+const DEFAULT_LEAD_TIME_DAYS = 2;
+// Days of demand a reorder should cover on top of the supplier's lead time
+const REORDER_COVER_DAYS = 7;
+
+export const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+const outstanding = (line) => line.quantityOrdered - line.quantityReceived;
+
+const MAX_SETTLE_RETRIES = 3;
+
+const setReceiptStatus = (purchaseOrder) => {
+  const fullyReceived = purchaseOrder.lines.every(l => outstanding(l) === 0);
+  if (fullyReceived) {
+    purchaseOrder.status = 'received';
+    purchaseOrder.receivedAt = purchaseOrder.receivedAt || new Date();
+  } else {
+    purchaseOrder.status = purchaseOrder.lines.some(l => l.quantityReceived > 0) ? 'partially_received' : 'sent';
+    purchaseOrder.receivedAt = undefined;
+  }
+};
+
+// Finish a claimed receipt once its stock is in: link the lots created and take
+// back the lines whose stock could not be added (the whole receipt when none
+// could). Retried on a fresh copy when another receipt saved the order meanwhile.
+const settleReceipt = async (purchaseOrder, receiptId, { lots, failedIndexes }) => {
+  let current = purchaseOrder;
+  for (let attempt = 1; ; attempt++) {
+    const receiptEntry = current.receipts.id(receiptId);
+    for (const [index, lot] of lots) {
+      receiptEntry.lines[index].lot = lot;
+    }
+    for (const index of [...failedIndexes].sort((a, b) => b - a)) {
+      const [receiptLine] = receiptEntry.lines.splice(index, 1);
+      current.lines.find(l => l.product.equals(receiptLine.product)).quantityReceived -= receiptLine.quantity;
+    }
+    if (receiptEntry.lines.length === 0) {
+      receiptEntry.deleteOne();
+    }
+    setReceiptStatus(current);
+
+    try {
+      return await current.save();
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt >= MAX_SETTLE_RETRIES) {
+        console.error(`⚠️ ${purchaseOrder.poNumber}: receipt ${receiptId} does not match the stock added:`, error);
+        throw error;
+      }
+      current = await PurchaseOrder.findById(purchaseOrder._id);
+    }
+  }
+};
+
+/**
+ * Book a delivery against a sent purchase order: the units go into the
+ * receiving branch's stock (as a dated lot when expiresAt is given) at the
+ * line's unit cost, and the order moves to partially_received or received.
+ * Lines whose stock could not be added are left off the receipt and returned
+ * in `failed`; when no line could be added the receipt is dropped.
+ * @param {Object} purchaseOrder - PurchaseOrder document
+ * @param {Array<{product: string, quantity: number, unitCost?: number, lotNumber?: string, manufacturedAt?: Date, expiresAt?: Date}>} lines - Goods received
+ * @param {Object} options - adminId, note, io
+ * @returns {Promise<{success: boolean, purchaseOrder?: Object, failed?: Object[], error?: string}>}
+ */
+export const receiveGoods = async (purchaseOrder, lines, { adminId = null, note, io } = {}) => {
+  if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+    return { success: false, error: `Cannot receive goods on a ${purchaseOrder.status} purchase order` };
+  }
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { success: false, error: "At least one received line is required" };
+  }
+
+  const receivedByProduct = new Map();
+  const receipt = [];
+
+  for (const line of lines) {
+    const poLine = purchaseOrder.lines.find(l => l.product.toString() === String(line.product));
+    if (!poLine) {
+      return { success: false, error: `Product ${line.product} is not on this purchase order` };
+    }
+
+    const quantity = Number(line.quantity);
+    if (!(Number.isInteger(quantity) && quantity > 0)) {
+      return { success: false, error: "Received quantity must be a positive whole number" };
+    }
+
+    const key = poLine.product.toString();
+    const total = (receivedByProduct.get(key) || 0) + quantity;
+    if (total > outstanding(poLine)) {
+      return { success: false, error: `Only ${outstanding(poLine)} unit(s) of product ${key} are still outstanding` };
+    }
+    receivedByProduct.set(key, total);
+
+    const unitCost = line.unitCost === undefined ? poLine.unitCost : Number(line.unitCost);
+    if (!(Number.isFinite(unitCost) && unitCost >= 0)) {
+      return { success: false, error: "unitCost must be a non-negative number" };
+    }
+
+    if (line.expiresAt) {
+      const expiry = new Date(line.expiresAt);
+      if (!line.lotNumber || isNaN(expiry) || expiry <= new Date()) {
+        return { success: false, error: "Dated lines need a lotNumber and an expiresAt in the future" };
+      }
+      const duplicate = await StockLot.exists({
+        branch: purchaseOrder.branch,
+        product: poLine.product,
+        lotNumber: String(line.lotNumber).trim()
+      });
+      if (duplicate) {
+        return { success: false, error: `Lot ${line.lotNumber} was already received for this product at this branch` };
+      }
+    }
+
+    receipt.push({ poLine, quantity, unitCost, line });
+  }
+
+  // Claim the receipt on the order first; a concurrent receipt fails the version check here
+  for (const { poLine, quantity } of receipt) {
+    poLine.quantityReceived += quantity;
+  }
+  setReceiptStatus(purchaseOrder);
+  purchaseOrder.receipts.push({
+    receivedBy: adminId,
+    note,
+    lines: receipt.map(({ poLine, quantity, unitCost }) => ({ product: poLine.product, quantity, unitCost })),
+  });
+  await purchaseOrder.save();
+
+  const receiptId = purchaseOrder.receipts[purchaseOrder.receipts.length - 1]._id;
+  const movementNote = `${purchaseOrder.poNumber}${note ? `: ${note}` : ''}`;
+  const lots = new Map();
+  const failed = [];
+
+  for (const [index, { poLine, quantity, unitCost, line }] of receipt.entries()) {
+    let result;
+    try {
+      result = line.expiresAt
+        ? await receiveLot({
+          branchId: purchaseOrder.branch,
+          productId: poLine.product,
+          quantity,
+          lotNumber: String(line.lotNumber),
+          manufacturedAt: line.manufacturedAt,
+          expiresAt: line.expiresAt,
+          unitCost,
+          note: movementNote,
+          adminId,
+          io
+        })
+        : await adjustStock({
+          branchId: purchaseOrder.branch,
+          productId: poLine.product,
+          quantity,
+          reason: 'supplier_receipt',
+          note: movementNote,
+          adminId,
+          io
+        });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      console.error(`⚠️ ${purchaseOrder.poNumber}: could not add ${quantity} of product ${poLine.product} to stock:`, result.error);
+      failed.push({ index, product: poLine.product, quantity, error: result.error });
+    } else if (result.lot) {
+      lots.set(index, result.lot._id);
+    }
+  }
+
+  // Only goods that reached inventory stay on the receipt
+  if (failed.length > 0 || lots.size > 0) {
+    purchaseOrder = await settleReceipt(purchaseOrder, receiptId, { lots, failedIndexes: failed.map(f => f.index) });
+  }
+  const failedLines = failed.map(({ product, quantity, error }) => ({ product, quantity, error }));
+  if (failed.length === receipt.length) {
+    return { success: false, error: `No goods could be added to stock: ${failed[0].error}`, failed: failedLines };
+  }
+
+  console.log(`📦 ${purchaseOrder.poNumber} goods received (${purchaseOrder.status})`);
+  return { success: true, purchaseOrder, failed: failedLines };
+};
+
+/**
+ * Products a branch should reorder. Each product's reorder point is its
+ * lowStockThreshold plus the demand expected during the supplier's lead
+ * time; when available stock plus units already on order falls to that
+ * point, the suggestion tops it up with another REORDER_COVER_DAYS of demand.
+ * Demand is the average daily units sold over the last `days` days.
+ * @param {Object} options - branchId, days, now
+ * @returns {Promise<Object[]>}
+ */
+export const suggestReorders = async ({ branchId, days = 14, now = new Date() }) => {
+  const rows = await BranchInventory.find({ branch: branchId })
+    .populate('product', 'name lowStockThreshold status');
+  const stocked = rows.filter(row => row.product && row.product.status === 'active');
+  const productIds = stocked.map(row => row.product._id);
+  if (productIds.length === 0) {
+    return [];
+  }
+
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const [sales, openLines, suppliers] = await Promise.all([
+    InventoryMovement.aggregate([
+      { $match: { branch: rows[0].branch, product: { $in: productIds }, reason: 'sale', createdAt: { $gte: since, $lte: now } } },
+      { $group: { _id: '$product', sold: { $sum: { $abs: '$quantity' } } } },
+    ]),
+    PurchaseOrder.aggregate([
+      { $match: { branch: rows[0].branch, status: { $in: RECEIVABLE_STATUSES } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.product': { $in: productIds } } },
+      { $group: { _id: '$lines.product', onOrder: { $sum: { $subtract: ['$lines.quantityOrdered', '$lines.quantityReceived'] } } } },
+    ]),
+    Supplier.find({ isActive: true, products: { $in: productIds } }).select('name leadTimeDays products').sort({ leadTimeDays: 1 }),
+  ]);
+
+  const soldBy = new Map(sales.map(s => [s._id.toString(), s.sold]));
+  const onOrderBy = new Map(openLines.map(l => [l._id.toString(), l.onOrder]));
+
+  const suggestions = [];
+  for (const row of stocked) {
+    const key = row.product._id.toString();
+    const supplier = suppliers.find(s => s.products.some(p => p.toString() === key)) || null;
+    const leadTimeDays = supplier?.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+
+    const dailyDemand = (soldBy.get(key) || 0) / days;
+    const threshold = row.product.lowStockThreshold || 0;
+    const reorderPoint = threshold + Math.ceil(dailyDemand * leadTimeDays);
+    const orderUpTo = reorderPoint + Math.ceil(dailyDemand * REORDER_COVER_DAYS);
+    const onOrder = onOrderBy.get(key) || 0;
+    const projected = row.availableStock + onOrder;
+    const suggestedQuantity = orderUpTo - projected;
+
+    if (projected > reorderPoint || suggestedQuantity <= 0) {
+      continue;
+    }
+
+    suggestions.push({
+      product: row.product._id,
+      name: row.product.name,
+      available: row.availableStock,
+      onOrder,
+      lowStockThreshold: threshold,
+      dailyDemand: Math.round(dailyDemand * 100) / 100,
+      reorderPoint,
+      suggestedQuantity,
+      supplier: supplier && { _id: supplier._id, name: supplier.name, leadTimeDays },
+    });
+  }
+
+  return suggestions.sort((a, b) => b.suggestedQuantity - a.suggestedQuantity);
+};
@@ -0,0 +1,212 @@
+import Order from '../models/order.js';
+import Statement from '../models/statement.js';
+import { WalletTransaction } from '../models/wallet.js';
+import ReconciliationReport from '../models/reconciliationReport.js';
+import { getGatewayClient } from './paymentGatewayClient.js';
+import { addDays } from '../utils/dateUtils.js';
+
+// Razorpay settles on T+2 working days; look this far past the range for settlements
+const SETTLEMENT_LOOKAHEAD_DAYS = Number(process.env.SETTLEMENT_LOOKAHEAD_DAYS) || 5;
+// Payment states in which the money was captured (refunds happen after capture)
+const CAPTURED_STATUSES = ['captured', 'refunded'];
+const PAID_ORDER_STATUSES = ['verified', 'completed', 'partially_refunded', 'refunded'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+const amountsDiffer = (a, b) => Math.abs(Number(a) - Number(b)) > 0.01;
+
+const groupBy = (docs, keyOf) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    const key = keyOf(doc);
+    groups.set(key, [...(groups.get(key) || []), doc]);
+  }
+  return groups;
+};
+
+const orderFields = (order) => ({
+  order: order._id,
+  orderId: order.orderId,
+  appPaymentStatus: order.paymentStatus,
+  appAmount: order.paymentDetails?.amount ?? order.amountPayable,
+});
+
+// A captured payment must belong to a statement, a wallet top-up or a paid order, for the same amount
+const checkCapturedPayment = (payment, { orders, orderByRazorpayOrder, statement, topup }) => {
+  const base = { razorpayPaymentId: payment.id, razorpayOrderId: payment.orderId, gatewayStatus: payment.status, gatewayAmount: payment.amount };
+
+  if (statement) {
+    if (amountsDiffer(statement.paymentDetails.amount, payment.amount)) {
+      return { ...base, type: 'amount_mismatch', statement: statement._id, appAmount: statement.paymentDetails.amount, appPaymentStatus: statement.status, detail: `Statement ${statement.statementNumber} recorded ₹${statement.paymentDetails.amount}` };
+    }
+    return null;
+  }
+
+  if (topup) {
+    if (amountsDiffer(topup.amount, payment.amount)) {
+      return { ...base, type: 'amount_mismatch', appAmount: topup.amount, detail: 'Wallet top-up credited a different amount' };
+    }
+    return null;
+  }
+
+  const order = orders[0] || orderByRazorpayOrder;
+  if (!order) {
+    return { ...base, type: 'unmatched_payment', detail: 'No order, statement or wallet top-up for this payment' };
+  }
+  if (!orders.length || !PAID_ORDER_STATUSES.includes(order.paymentStatus)) {
+    return { ...base, ...orderFields(order), type: 'captured_not_verified', detail: 'Captured by the gateway but the order is not marked paid' };
+  }
+  const fields = orderFields(order);
+  if (amountsDiffer(fields.appAmount, payment.amount)) {
+    return { ...base, ...fields, type: 'amount_mismatch', detail: `Order recorded ₹${fields.appAmount}` };
+  }
+  return null;
+};
+
+/**
+ * Match the gateway's payments and settlements for [from, to) against orders,
+ * statements and wallet top-ups, and store the mismatches as a report.
+ * @param {Object} range - from, to (exclusive), trigger ('scheduled' or 'admin'), requestedBy, client (defaults to the configured gateway client)
+ * @returns {Promise<{success: boolean, report?: Object, error?: string}>}
+ */
+export const reconcilePayments = async ({ from, to, trigger, requestedBy, client = getGatewayClient() }) => {
+  if (!(from instanceof Date) || !(to instanceof Date) || isNaN(from) || isNaN(to) || from >= to) {
+    return { success: false, error: "A valid date range is required" };
+  }
+
+  const payments = await client.listPayments(from, to);
+  const paymentIds = payments.map(p => p.id);
+  const razorpayOrderIds = payments.map(p => p.orderId).filter(Boolean);
+
+  const [orders, statements, topups] = await Promise.all([
+    Order.find({
+      $or: [
+        { 'paymentDetails.razorpayPaymentId': { $in: paymentIds } },
+        { 'paymentDetails.razorpayOrderId': { $in: razorpayOrderIds } },
+        // Orders marked paid in the range, so payments the gateway does not have are caught too
+        { 'paymentDetails.verifiedAt': { $gte: from, $lt: to }, 'paymentDetails.razorpayPaymentId': { $exists: true, $ne: null } },
+      ]
+    }).select('orderId paymentStatus paymentDetails totalPrice deliveryFee discount statement'),
+    Statement.find({ 'paymentDetails.razorpayPaymentId': { $in: paymentIds } }),
+    WalletTransaction.find({ razorpayPaymentId: { $in: paymentIds }, reason: 'topup' }),
+  ]);
+
+  const ordersByPayment = groupBy(orders.filter(o => o.paymentDetails?.razorpayPaymentId), o => o.paymentDetails.razorpayPaymentId);
+  const orderByRazorpayOrder = new Map(orders
+    .filter(o => o.paymentDetails?.razorpayOrderId)
+    .map(o => [o.paymentDetails.razorpayOrderId, o]));
+  const statementByPayment = new Map(statements.map(s => [s.paymentDetails.razorpayPaymentId, s]));
+  const topupByPayment = new Map(topups.map(t => [t.razorpayPaymentId, t]));
+
+  const settlementEnd = new Date(Math.min(addDays(to, SETTLEMENT_LOOKAHEAD_DAYS).getTime(), Date.now()));
+  const settlementItems = await client.listSettlementItems(from, settlementEnd);
+  const settlementByPayment = new Map(settlementItems.map(item => [item.paymentId, item]));
+
+  const mismatches = [];
+  const summary = { payments: payments.length, captured: 0, capturedAmount: 0, matched: 0, settled: 0, settledAmount: 0, fees: 0, tax: 0 };
+
+  for (const payment of payments) {
+    const paymentOrders = ordersByPayment.get(payment.id) || [];
+
+    if (!CAPTURED_STATUSES.includes(payment.status)) {
+      // Statement orders share one payment; report each paid order once
+      for (const order of paymentOrders.filter(o => PAID_ORDER_STATUSES.includes(o.paymentStatus))) {
+        mismatches.push({ ...orderFields(order), type: 'verified_not_captured', razorpayPaymentId: payment.id, razorpayOrderId: payment.orderId, gatewayStatus: payment.status, gatewayAmount: payment.amount, detail: `Gateway reports the payment as ${payment.status}` });
+      }
+      continue;
+    }
+
+    summary.captured++;
+    summary.capturedAmount += payment.amount;
+
+    const mismatch = checkCapturedPayment(payment, {
+      orders: paymentOrders,
+      orderByRazorpayOrder: payment.orderId ? orderByRazorpayOrder.get(payment.orderId) : null,
+      statement: statementByPayment.get(payment.id),
+      topup: topupByPayment.get(payment.id),
+    });
+
+    const settlement = settlementByPayment.get(payment.id);
+    if (settlement?.settled) {
+      summary.settled++;
+      summary.settledAmount += settlement.amount;
+      summary.fees += settlement.fee;
+      summary.tax += settlement.tax;
+    }
+
+    if (mismatch) {
+      mismatches.push({ ...mismatch, settlementId: settlement?.settlementId, settledAmount: settlement?.amount });
+    } else if (settlement && amountsDiffer(settlement.amount, payment.amount)) {
+      const order = paymentOrders[0];
+      mismatches.push({
+        ...(order ? orderFields(order) : {}),
+        type: 'amount_mismatch',
+        razorpayPaymentId: payment.id,
+        razorpayOrderId: payment.orderId,
+        gatewayStatus: payment.status,
+        gatewayAmount: payment.amount,
+        settlementId: settlement.settlementId,
+        settledAmount: settlement.amount,
+        detail: `Settled ₹${settlement.amount} for a ₹${payment.amount} payment`,
+      });
+    } else {
+      summary.matched++;
+    }
+  }
+
+  // Orders paid in the range whose payment the gateway did not list (e.g. created before the range)
+  const listed = new Set(paymentIds);
+  const unlisted = [...ordersByPayment.entries()].filter(([paymentId, group]) =>
+    !listed.has(paymentId) && group.some(o => PAID_ORDER_STATUSES.includes(o.paymentStatus)));
+
+  for (const [paymentId, group] of unlisted) {
+    const payment = await client.fetchPayment(paymentId);
+    const captured = payment && CAPTURED_STATUSES.includes(payment.status);
+
+    for (const order of group.filter(o => PAID_ORDER_STATUSES.includes(o.paymentStatus))) {
+      const fields = { ...orderFields(order), razorpayOrderId: order.paymentDetails.razorpayOrderId || payment?.orderId };
+      if (!captured) {
+        mismatches.push({ ...fields, type: 'verified_not_captured', razorpayPaymentId: paymentId, gatewayStatus: payment?.status, gatewayAmount: payment?.amount, detail: payment ? `Gateway reports the payment as ${payment.status}` : 'Gateway has no such payment' });
+      } else if (!order.statement && amountsDiffer(fields.appAmount, payment.amount)) {
+        mismatches.push({ ...fields, type: 'amount_mismatch', razorpayPaymentId: paymentId, gatewayStatus: payment.status, gatewayAmount: payment.amount, detail: `Order recorded ₹${fields.appAmount}` });
+      }
+    }
+  }
+
+  for (const key of ['capturedAmount', 'settledAmount', 'fees', 'tax']) {
+    summary[key] = roundAmount(summary[key]);
+  }
+  summary.mismatches = mismatches.length;
+
+  const report = await ReconciliationReport.create({
+    from,
+    to,
+    gateway: client.name,
+    trigger,
+    requestedBy,
+    summary,
+    mismatches,
+  });
+
+  console.log(`🧾 Reconciled ${summary.payments} payment(s) from ${from.toISOString()} to ${to.toISOString()}: ${summary.mismatches} mismatch(es)`);
+  return { success: true, report };
+};
+
+const CSV_COLUMNS = [
+  'type', 'razorpayPaymentId', 'razorpayOrderId', 'orderId', 'statement', 'gatewayStatus', 'gatewayAmount',
+  'appPaymentStatus', 'appAmount', 'settlementId', 'settledAmount', 'detail',
+];
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * A report's mismatches as CSV, one row per mismatch
+ * @param {Object} report - ReconciliationReport document
+ * @returns {string}
+ */
+export const reportToCsv = (report) => {
+  const rows = report.mismatches.map(mismatch => CSV_COLUMNS.map(column => csvCell(mismatch[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+};
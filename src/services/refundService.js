@@ -0,0 +1,259 @@
+import razorpay from '../config/razorpay.js';
+import Order from '../models/order.js';
+import Refund from '../models/refund.js';
+import { creditWallet } from './walletService.js';
+
+const REFUNDABLE_STATUSES = ['verified', 'completed', 'partially_refunded'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Wallet orders are refunded to the wallet; orders paid through Razorpay (including statement payments) to the gateway
+const refundMethod = (order) => {
+  if (order.paymentDetails?.method === 'wallet') {
+    return 'wallet';
+  }
+  return order.paymentDetails?.razorpayPaymentId ? 'razorpay' : null;
+};
+
+/**
+ * Whether money was taken for this order that can be given back in the app
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+export const isRefundable = (order) =>
+  REFUNDABLE_STATUSES.includes(order.paymentStatus) && refundMethod(order) !== null;
+
+// What was actually taken for the order
+const capturedAmount = (order) => order.paymentDetails.amount ?? order.amountPayable;
+
+// Order item refunds: a share of what the line cost after its coupon discount
+const priceLines = (order, lines, refunds) => {
+  const refundedUnits = new Map();
+  for (const refund of refunds) {
+    for (const line of refund.lines) {
+      const key = line.item.toString();
+      refundedUnits.set(key, (refundedUnits.get(key) || 0) + line.quantity);
+    }
+  }
+
+  const priced = [];
+  for (const { itemId, quantity } of lines) {
+    const item = order.items.id(itemId);
+    if (!item) {
+      return { success: false, error: `Item ${itemId} is not on this order` };
+    }
+    const units = Number(quantity ?? item.unitsBought);
+    const remaining = item.unitsBought - (refundedUnits.get(item._id.toString()) || 0);
+    if (!(Number.isInteger(units) && units > 0 && units <= remaining)) {
+      return { success: false, error: `Only ${remaining} unit(s) of ${item.name} can still be refunded` };
+    }
+    refundedUnits.set(item._id.toString(), (refundedUnits.get(item._id.toString()) || 0) + units);
+
+    const linePaid = item.totalPrice - (item.discount || 0);
+    priced.push({
+      item: item._id,
+      product: item.product,
+      name: item.name,
+      quantity: units,
+      amount: roundAmount(linePaid * units / item.unitsBought),
+    });
+  }
+  return { success: true, lines: priced };
+};
+
+// Reserve part of the captured amount; fails when it would take refunds past it
+const commitAmount = (order, amount, captured) => Order.updateOne(
+  {
+    _id: order._id,
+    $expr: { $lte: [{ $add: [{ $ifNull: ['$paymentDetails.refundCommitted', 0] }, amount] }, captured + 0.001] }
+  },
+  { $inc: { 'paymentDetails.refundCommitted': amount } }
+);
+
+const releaseAmount = (order, amount) => Order.updateOne(
+  { _id: order._id },
+  { $inc: { 'paymentDetails.refundCommitted': -amount } }
+);
+
+/**
+ * Bring the order's paymentStatus and paymentDetails.refund* fields in line
+ * with its refunds. Does not save the order.
+ * @param {Object} order - Order document
+ */
+export const applyRefundTotals = async (order) => {
+  const processed = await Refund.find({ order: order._id, status: 'processed' }).sort({ processedAt: 1 });
+  if (processed.length === 0) {
+    return;
+  }
+
+  const total = roundAmount(processed.reduce((sum, refund) => sum + refund.amount, 0));
+  const latest = processed[processed.length - 1];
+  order.paymentDetails.refundAmount = total;
+  order.paymentDetails.refundId = latest.razorpayRefundId || latest._id.toString();
+  order.paymentDetails.refundedAt = latest.processedAt;
+  order.paymentDetails.refundReason = latest.reason;
+  order.paymentStatus = total >= capturedAmount(order) - 0.01 ? 'refunded' : 'partially_refunded';
+};
+
+/**
+ * Refund an order through the channel it was paid with: the whole remaining
+ * amount, a given amount, or specific items ({ itemId, quantity }). The total
+ * of all refunds can never exceed what was captured.
+ * @param {Object} order - Order document
+ * @param {Object} options - amount, lines, reason, actor ('admin' or 'system'), adminId, saveOrder (default true)
+ * @returns {Promise<{success: boolean, refund?: Object, error?: string}>}
+ */
+export const issueRefund = async (order, { amount, lines, reason, actor, adminId, saveOrder = true } = {}) => {
+  const method = refundMethod(order);
+  if (!REFUNDABLE_STATUSES.includes(order.paymentStatus) || !method) {
+    return { success: false, error: `Order cannot be refunded. Payment status: ${order.paymentStatus}` };
+  }
+  if (amount !== undefined && lines?.length) {
+    return { success: false, error: "Give either an amount or line items, not both" };
+  }
+
+  const captured = capturedAmount(order);
+  const existing = await Refund.find({ order: order._id, status: { $ne: 'failed' } });
+  const refunded = roundAmount(existing.reduce((sum, refund) => sum + refund.amount, 0));
+
+  let refundLines = [];
+  let refundAmount;
+  if (lines?.length) {
+    const priced = priceLines(order, lines, existing);
+    if (!priced.success) {
+      return priced;
+    }
+    refundLines = priced.lines;
+    refundAmount = roundAmount(refundLines.reduce((sum, line) => sum + line.amount, 0));
+  } else {
+    refundAmount = amount === undefined ? roundAmount(captured - refunded) : roundAmount(Number(amount));
+  }
+
+  if (!(refundAmount > 0)) {
+    return { success: false, error: refunded > 0 ? "The order has already been fully refunded" : "Refund amount must be greater than zero" };
+  }
+  if (refundAmount > roundAmount(captured - refunded)) {
+    return { success: false, error: `Invalid refund amount. Maximum refundable: ${roundAmount(captured - refunded)}` };
+  }
+
+  const claimed = await commitAmount(order, refundAmount, captured);
+  if (claimed.modifiedCount === 0) {
+    return { success: false, error: "Refund would exceed the amount paid for this order" };
+  }
+
+  const refund = await Refund.create({
+    order: order._id,
+    customer: order.customer,
+    amount: refundAmount,
+    method,
+    lines: refundLines,
+    reason: reason || 'Customer request',
+    initiatedBy: { actor, admin: adminId },
+    razorpayPaymentId: method === 'razorpay' ? order.paymentDetails.razorpayPaymentId : undefined,
+  });
+
+  try {
+    if (method === 'wallet') {
+      const credit = await creditWallet(order.customer, refundAmount, {
+        reason: 'order_refund',
+        order: order._id,
+        note: refund.reason,
+      });
+      if (!credit.success) {
+        throw new Error(credit.error);
+      }
+      refund.walletTransaction = credit.transaction._id;
+      refund.status = 'processed';
+      refund.processedAt = new Date();
+    } else {
+      const gatewayRefund = await razorpay.payments.refund(order.paymentDetails.razorpayPaymentId, {
+        amount: Math.round(refundAmount * 100), // To paise
+        notes: { orderId: order.orderId, refund: refund._id.toString(), reason: refund.reason },
+      });
+      refund.razorpayRefundId = gatewayRefund.id;
+      if (gatewayRefund.status === 'processed') {
+        refund.status = 'processed';
+        refund.processedAt = new Date();
+      }
+    }
+  } catch (error) {
+    console.error(`Refund of ₹${refundAmount} for order ${order.orderId} failed:`, error);
+    refund.status = 'failed';
+    refund.failedAt = new Date();
+    refund.failureReason = error?.error?.description || error.message;
+    await releaseAmount(order, refundAmount);
+  }
+  await refund.save();
+
+  await applyRefundTotals(order);
+  if (saveOrder) {
+    order.updatedAt = new Date();
+    await order.save();
+  }
+
+  if (refund.status === 'failed') {
+    return { success: false, refund, error: `Refund failed: ${refund.failureReason}` };
+  }
+  console.log(`↩️ Refund of ₹${refundAmount} ${refund.status} for order ${order.orderId} (${method})`);
+  return { success: true, refund };
+};
+
+/**
+ * Record a refund state reported by Razorpay (refund.processed / refund.failed).
+ * Refunds made outside the app, e.g. from the dashboard, are added as new records.
+ * @param {Object} gatewayRefund - Razorpay refund entity
+ * @param {string} status - processed or failed
+ * @returns {Promise<{status: string, result: string, order?: Object}>}
+ */
+export const recordGatewayRefund = async (gatewayRefund, status) => {
+  let refund = await Refund.findOne({ razorpayRefundId: gatewayRefund.id });
+  // The webhook can beat the API response that tells us the refund id
+  if (!refund && gatewayRefund.notes?.refund) {
+    refund = await Refund.findOne({ _id: gatewayRefund.notes.refund, razorpayRefundId: { $exists: false } });
+  }
+
+  const order = refund
+    ? await Order.findById(refund.order)
+    : await Order.findOne({ 'paymentDetails.razorpayPaymentId': gatewayRefund.payment_id });
+  if (!order) {
+    return { status: 'ignored', result: 'No app order for this payment' };
+  }
+
+  if (refund?.status === status) {
+    return { status: 'ignored', order, result: `Refund ${gatewayRefund.id} already ${status}` };
+  }
+
+  const amount = roundAmount(Number(gatewayRefund.amount || 0) / 100);
+  if (!refund) {
+    if (status === 'failed') {
+      return { status: 'ignored', order, result: `Unknown refund ${gatewayRefund.id} failed` };
+    }
+    await Order.updateOne({ _id: order._id }, { $inc: { 'paymentDetails.refundCommitted': amount } });
+    refund = new Refund({
+      order: order._id,
+      customer: order.customer,
+      amount,
+      method: 'razorpay',
+      reason: gatewayRefund.notes?.reason || 'Refunded through Razorpay',
+      initiatedBy: { actor: 'gateway' },
+      razorpayPaymentId: gatewayRefund.payment_id,
+    });
+  }
+
+  refund.razorpayRefundId = gatewayRefund.id;
+  refund.status = status;
+  if (status === 'processed') {
+    refund.processedAt = new Date((gatewayRefund.created_at || Date.now() / 1000) * 1000);
+  } else {
+    refund.failedAt = new Date();
+    refund.failureReason = 'Reported failed by Razorpay';
+    await releaseAmount(order, refund.amount);
+  }
+  await refund.save();
+
+  await applyRefundTotals(order);
+  order.updatedAt = new Date();
+  await order.save();
+
+  return { status: 'processed', order, result: `Refund ${gatewayRefund.id} of ₹${refund.amount} ${status}` };
+};
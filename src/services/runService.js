@@ -0,0 +1,371 @@
+import Branch from '../models/branch.js';
+import Order from '../models/order.js';
+import DeliveryRun from '../models/deliveryRun.js';
+import { DeliveryPartner } from '../models/user.js';
+import { commitReservations } from './inventoryService.js';
+import { ACTORS, isAwaitingPayment, transitionOrder } from './orderLifecycle.js';
+import { deliverOrder } from './deliveryService.js';
+import { cancelOpenOffer } from './dispatchService.js';
+import { optimizeStopOrder } from '../utils/routeOptimizer.js';
+import { distanceBetween } from '../utils/geo.js';
+
+// Used for stop ETAs; the default matches getOptimizedRoute (30 km/h slowed 20% by traffic)
+const AVERAGE_SPEED_KMH = Number(process.env.RUN_AVERAGE_SPEED_KMH) || 25;
+// Time spent at each door handing the order over
+const STOP_SERVICE_MINUTES = Number(process.env.RUN_STOP_SERVICE_MINUTES) || 2;
+
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+const notifyRun = (io, run) => {
+  if (io) {
+    io.to(`deliveryPartner-${run.deliveryPartner}`).emit('runUpdated', run);
+  }
+};
+
+// Work out arrival times for the stops still to visit, in sequence, leaving
+// `from` at `time`
+const scheduleEtas = (run, from, time) => {
+  let position = from;
+  let clock = time.getTime();
+  for (const stop of run.stops) {
+    if (stop.status !== 'pending') {
+      continue;
+    }
+    clock += distanceBetween(position, stop.location) / AVERAGE_SPEED_KMH * 60 * 60 * 1000;
+    stop.eta = new Date(clock);
+    clock += STOP_SERVICE_MINUTES * 60 * 1000;
+    position = stop.location;
+  }
+};
+
+// Order states reached once the order has been handed over
+const HANDED_OVER = ['awaitconfirmation', 'delivered'];
+
+// Bring pending stops in line with their orders: orders cancelled after they
+// were batched drop out of the run, and orders delivered outside the run (e.g.
+// through /order/:id/mark-delivered) count as delivered stops
+const syncStops = async (run) => {
+  const pending = run.stops.filter(stop => stop.status === 'pending');
+  const orders = await Order.find({ _id: { $in: pending.map(stop => stop.order) } });
+  const byId = new Map(orders.map(order => [order._id.toString(), order]));
+
+  for (const stop of pending) {
+    const order = byId.get(stop.order.toString());
+    if (!order || order.status === 'cancelled') {
+      stop.status = 'cancelled';
+    } else if (HANDED_OVER.includes(order.status)) {
+      stop.status = 'delivered';
+      stop.completedAt = order.deliveryPersonLocation?.deliveredAt || new Date();
+    }
+  }
+  return byId;
+};
+
+// An in-progress run is over once no stop is left to visit
+const closeIfDone = (run, now) => {
+  if (run.status === 'in_progress' && run.stops.every(s => s.status !== 'pending')) {
+    run.status = 'completed';
+    run.completedAt = now;
+  }
+};
+
+const saveRun = async (run) => {
+  try {
+    await run.save();
+    return null;
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return { success: false, statusCode: 409, message: "The run was updated at the same time, please try again" };
+    }
+    throw error;
+  }
+};
+
+// Attach the orders to the run, accepting pending ones for the partner
+const batchOrders = async (run, orders, { partnerId, adminId, io, batched, skipped }) => {
+  for (const order of orders) {
+    if (order.status === 'accepted') {
+      order.run = run._id;
+      await order.save();
+      batched.push(order);
+      continue;
+    }
+
+    // Same as an admin accepting the order for the partner
+    const commit = await commitReservations(order._id, { io, order });
+    if (!commit.success) {
+      skipped.push({ orderId: order.orderId, reason: commit.error });
+      continue;
+    }
+    const result = await transitionOrder(order, 'accepted', {
+      actor: ACTORS.ADMIN,
+      actorId: adminId,
+      reason: "Batched into a delivery run",
+      io,
+      apply: (o) => {
+        o.deliveryPartner = partnerId;
+        o.run = run._id;
+        if (o.dispatch?.status) {
+          o.dispatch.status = 'assigned';
+          o.dispatch.updatedAt = new Date();
+        }
+      }
+    });
+    if (!result.success) {
+      skipped.push({ orderId: order.orderId, reason: result.message });
+      continue;
+    }
+    await cancelOpenOffer(order._id, 'Batched into a delivery run');
+    batched.push(order);
+  }
+};
+
+/**
+ * Batch orders into a run for one partner. Pending orders are assigned to the
+ * partner as if an admin had accepted them for them; stops are ordered by
+ * nearest neighbour and 2-opt from the branch.
+ * @param {Object} plan - branchId, partnerId, orderIds, adminId, io
+ * @returns {Promise<{success: boolean, run?: Object, skipped?: Array, statusCode?: number, message?: string}>}
+ */
+export const createRun = async ({ branchId, partnerId, orderIds, adminId, io }) => {
+  const branch = await Branch.findById(branchId).select('location');
+  if (!branch) {
+    return { success: false, statusCode: 404, message: "Branch not found" };
+  }
+
+  const partner = await DeliveryPartner.findById(partnerId).select('branch');
+  if (!partner || partner.branch?.toString() !== branchId.toString()) {
+    return { success: false, statusCode: 400, message: "Delivery partner does not belong to this branch" };
+  }
+
+  const uniqueIds = [...new Set(orderIds.map(id => id.toString()))];
+  const orders = await Order.find({ _id: { $in: uniqueIds } });
+  if (orders.length !== uniqueIds.length) {
+    return { success: false, statusCode: 404, message: "Some orders were not found" };
+  }
+
+  for (const order of orders) {
+    const problem =
+      order.branch.toString() !== branchId.toString() ? "belongs to another branch" :
+      order.run ? "is already on a run" :
+      order.status === 'pending' && (order.deliveryPartner || isAwaitingPayment(order)) ? "is not ready for delivery" :
+      order.status === 'accepted' && order.deliveryPartner?.toString() !== partnerId.toString() ? "is assigned to another partner" :
+      !['pending', 'accepted'].includes(order.status) ? `is ${order.status}` :
+      null;
+    if (problem) {
+      return { success: false, statusCode: 400, message: `Order ${order.orderId} ${problem}` };
+    }
+  }
+
+  const run = new DeliveryRun({
+    branch: branchId,
+    deliveryPartner: partnerId,
+    startLocation: { latitude: branch.location.latitude, longitude: branch.location.longitude },
+    createdBy: adminId,
+  });
+
+  const batched = [];
+  const skipped = [];
+  try {
+    await batchOrders(run, orders, { partnerId, adminId, io, batched, skipped });
+    if (batched.length === 0) {
+      return { success: false, statusCode: 400, message: "None of the orders could be batched", skipped };
+    }
+
+    const route = optimizeStopOrder(run.startLocation, batched.map(order => order.deliveryLocation));
+    run.stops = route.sequence.map((index, position) => ({
+      order: batched[index]._id,
+      sequence: position + 1,
+      location: batched[index].deliveryLocation,
+      legDistanceKm: roundKm(route.legs[position]),
+    }));
+    run.totalDistanceKm = roundKm(route.totalKm);
+    scheduleEtas(run, run.startLocation, new Date());
+    await run.save();
+  } catch (error) {
+    // Orders must not point at a run that was never saved, or they could
+    // never be batched again. They stay accepted by the partner.
+    await Order.updateMany({ run: run._id }, { $unset: { run: 1 } });
+    throw error;
+  }
+
+  notifyRun(io, run);
+  console.log(`🚚 Run ${run.runNumber}: ${run.stops.length} stops, ${run.totalDistanceKm} km for partner ${partnerId}`);
+  return { success: true, run, skipped };
+};
+
+/**
+ * Leave the branch: every batched order is picked up and ETAs run from now
+ * @param {Object} start - runId, partnerId, io
+ * @returns {Promise<{success: boolean, run?: Object, statusCode?: number, message?: string}>}
+ */
+export const startRun = async ({ runId, partnerId, io }) => {
+  const run = await DeliveryRun.findById(runId);
+  if (!run || run.deliveryPartner.toString() !== partnerId.toString()) {
+    return { success: false, statusCode: 404, message: "Run not found" };
+  }
+  if (run.status !== 'planned') {
+    return { success: false, statusCode: 400, message: `Run is already ${run.status}` };
+  }
+
+  const orders = await syncStops(run);
+  for (const stop of run.stops.filter(s => s.status === 'pending')) {
+    const order = orders.get(stop.order.toString());
+    if (order.status !== 'accepted') {
+      continue;
+    }
+    const result = await transitionOrder(order, 'in-progress', {
+      actor: ACTORS.PARTNER,
+      actorId: partnerId,
+      reason: `Picked up for run ${run.runNumber}`,
+      io,
+      apply: (o) => {
+        o.deliveryPersonLocation = {
+          latitude: o.pickupLocation.latitude,
+          longitude: o.pickupLocation.longitude,
+          address: o.pickupLocation.address
+        };
+      }
+    });
+    if (!result.success) {
+      return result;
+    }
+  }
+
+  const now = new Date();
+  run.status = 'in_progress';
+  run.startedAt = now;
+  scheduleEtas(run, run.startLocation, now);
+  closeIfDone(run, now);
+  const conflict = await saveRun(run);
+  if (conflict) {
+    return conflict;
+  }
+
+  notifyRun(io, run);
+  return { success: true, run };
+};
+
+/**
+ * Hand over one stop's order. Stops can be completed in any order; the ETAs
+ * of the stops left are recalculated from this one.
+ * @param {Object} completion - runId, orderId, partnerId, actor, actorId, deliveryLocation, handoverCode, photo, cashCollected, io
+ * @returns {Promise<{success: boolean, run?: Object, order?: Object, statusCode?: number, message?: string, error?: string, amountDue?: number}>}
+ */
+export const completeStop = async ({ runId, orderId, partnerId, actor, actorId, deliveryLocation, handoverCode, photo, cashCollected, io }) => {
+  const run = await DeliveryRun.findById(runId);
+  if (!run || run.deliveryPartner.toString() !== partnerId.toString()) {
+    return { success: false, statusCode: 404, message: "Run not found" };
+  }
+  if (run.status !== 'in_progress') {
+    return { success: false, statusCode: 400, message: "Start the run before completing stops" };
+  }
+
+  const stop = run.stops.find(s => s.order.toString() === orderId.toString());
+  if (!stop) {
+    return { success: false, statusCode: 404, message: "Order is not a stop on this run" };
+  }
+  if (stop.status !== 'pending') {
+    return { success: false, statusCode: 400, message: `Stop is already ${stop.status}` };
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order || order.status === 'cancelled') {
+    stop.status = 'cancelled';
+    closeIfDone(run, new Date());
+    const conflict = await saveRun(run);
+    if (conflict) {
+      return conflict;
+    }
+    notifyRun(io, run);
+    return { success: false, statusCode: 409, message: "Order was cancelled" };
+  }
+  if (HANDED_OVER.includes(order.status)) {
+    // Delivered outside the run; the stop only has to catch up
+    const now = new Date();
+    await syncStops(run);
+    scheduleEtas(run, stop.location, now);
+    closeIfDone(run, now);
+    const conflict = await saveRun(run);
+    if (conflict) {
+      return conflict;
+    }
+    notifyRun(io, run);
+    return { success: true, run, order };
+  }
+
+  const result = await deliverOrder(order, {
+    partnerId,
+    actor,
+    actorId,
+    deliveryLocation,
+    handoverCode,
+    photo,
+    cashCollected,
+    reason: `Delivered on run ${run.runNumber} (stop ${stop.sequence})`,
+    io,
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  const now = new Date();
+  stop.status = 'delivered';
+  stop.completedAt = now;
+  await syncStops(run);
+  scheduleEtas(run, stop.location, now);
+  closeIfDone(run, now);
+  const conflict = await saveRun(run);
+  if (conflict) {
+    return conflict;
+  }
+
+  notifyRun(io, run);
+  return { success: true, run, order };
+};
+
+/**
+ * Call off a run. Orders not yet delivered stay with the partner and are
+ * delivered one by one.
+ * @param {Object} cancellation - runId, io
+ * @returns {Promise<{success: boolean, run?: Object, statusCode?: number, message?: string}>}
+ */
+export const cancelRun = async ({ runId, io }) => {
+  const run = await DeliveryRun.findById(runId);
+  if (!run) {
+    return { success: false, statusCode: 404, message: "Run not found" };
+  }
+  if (!['planned', 'in_progress'].includes(run.status)) {
+    return { success: false, statusCode: 400, message: `Run is already ${run.status}` };
+  }
+
+  const open = run.stops.filter(s => s.status === 'pending');
+  await Order.updateMany({ _id: { $in: open.map(s => s.order) } }, { $unset: { run: 1 } });
+  open.forEach(stop => { stop.status = 'cancelled'; });
+  run.status = 'cancelled';
+  const conflict = await saveRun(run);
+  if (conflict) {
+    return conflict;
+  }
+
+  notifyRun(io, run);
+  return { success: true, run };
+};
+
+/**
+ * Refresh a run before showing it: cancelled orders drop out and orders
+ * delivered outside the run complete their stops
+ * @param {Object} run - DeliveryRun document
+ * @returns {Promise<Object>}
+ */
+export const refreshRun = async (run) => {
+  if (['planned', 'in_progress'].includes(run.status)) {
+    const before = run.stops.filter(s => s.status === 'pending').length;
+    await syncStops(run);
+    if (run.stops.filter(s => s.status === 'pending').length !== before) {
+      closeIfDone(run, new Date());
+      await saveRun(run);
+    }
+  }
+  return run;
+};
@@ -0,0 +1,298 @@
+import Branch from '../models/branch.js';
+import Order from '../models/order.js';
+import DispatchOffer from '../models/dispatchOffer.js';
+import { DeliveryPartner } from '../models/user.js';
+import { Shift, Attendance } from '../models/shift.js';
+import { respondToOffer } from './dispatchService.js';
+import { distanceBetween } from '../utils/geo.js';
+import { toDateKey } from '../utils/dateUtils.js';
+
+// How early before a rostered shift a clock-in still counts towards it
+const EARLY_CLOCK_IN_MINUTES = Number(process.env.SHIFT_EARLY_CLOCK_IN_MINUTES) || 30;
+// Minutes after the shift start before a clock-in counts as late
+const LATE_GRACE_MINUTES = Number(process.env.SHIFT_LATE_GRACE_MINUTES) || 5;
+const MAX_SHIFT_HOURS = 16;
+
+// Orders a partner still has to deliver; they cannot clock out with any
+const UNFINISHED_ORDER_STATUSES = ['accepted', 'in-progress'];
+
+const MINUTE_MS = 60 * 1000;
+
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+/**
+ * Whether a partner is on duty and should receive new orders
+ * @param {Object} partner - DeliveryPartner document
+ * @returns {boolean}
+ */
+export const isOnDuty = (partner) => partner?.availability === 'online' && !partner.accountLocked;
+
+const setAvailability = (partnerId, availability, extra = {}) => DeliveryPartner.updateOne(
+  { _id: partnerId },
+  { $set: { availability, availabilityUpdatedAt: new Date(), ...extra } }
+);
+
+// Hand the partner's open offers on to the next candidate when they go off duty
+const passOnOpenOffers = async (partnerId, io) => {
+  const offers = await DispatchOffer.find({ deliveryPartner: partnerId, status: 'offered' }).select('_id');
+  for (const offer of offers) {
+    await respondToOffer({ offerId: offer._id, partnerId, accept: false, io });
+  }
+};
+
+const minutesBetween = (from, to) => Math.max(0, Math.round((to - from) / MINUTE_MS));
+
+export const getOpenAttendance = (partnerId) => Attendance.findOne({ deliveryPartner: partnerId, status: 'open' });
+
+/**
+ * Roster a partner on a shift at their branch
+ * @param {Object} shift - branchId, partnerId, startsAt, endsAt, note, adminId
+ * @returns {Promise<{success: boolean, shift?: Object, error?: string}>}
+ */
+export const scheduleShift = async ({ branchId, partnerId, startsAt, endsAt, note, adminId }) => {
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  if (isNaN(start) || isNaN(end) || end <= start) {
+    return { success: false, error: "endsAt must be after startsAt" };
+  }
+  if (end - start > MAX_SHIFT_HOURS * 60 * MINUTE_MS) {
+    return { success: false, error: `A shift cannot be longer than ${MAX_SHIFT_HOURS} hours` };
+  }
+
+  const partner = await DeliveryPartner.findById(partnerId).select('branch');
+  if (!partner || partner.branch?.toString() !== branchId.toString()) {
+    return { success: false, error: "Delivery partner does not belong to this branch" };
+  }
+
+  const overlapping = await Shift.findOne({
+    deliveryPartner: partnerId,
+    status: 'scheduled',
+    startsAt: { $lt: end },
+    endsAt: { $gt: start },
+  });
+  if (overlapping) {
+    return { success: false, error: "The partner already has a shift in this time" };
+  }
+
+  const shift = await Shift.create({
+    branch: branchId,
+    deliveryPartner: partnerId,
+    startsAt: start,
+    endsAt: end,
+    note,
+    createdBy: adminId,
+  });
+  return { success: true, shift };
+};
+
+/**
+ * Take a partner off a shift that has not started yet
+ * @param {Object} cancellation - branchId, shiftId
+ * @returns {Promise<{success: boolean, shift?: Object, error?: string}>}
+ */
+export const cancelShift = async ({ branchId, shiftId }) => {
+  const shift = await Shift.findOne({ _id: shiftId, branch: branchId });
+  if (!shift) {
+    return { success: false, error: "Shift not found" };
+  }
+  if (shift.status === 'cancelled') {
+    return { success: false, error: "Shift is already cancelled" };
+  }
+  if (shift.startsAt <= new Date()) {
+    return { success: false, error: "Shifts that have started cannot be cancelled" };
+  }
+
+  shift.status = 'cancelled';
+  await shift.save();
+  return { success: true, shift };
+};
+
+// Rostered shift a clock-in at `at` belongs to
+const findShiftFor = (partnerId, at) => Shift.findOne({
+  deliveryPartner: partnerId,
+  status: 'scheduled',
+  startsAt: { $lte: new Date(at.getTime() + EARLY_CLOCK_IN_MINUTES * MINUTE_MS) },
+  endsAt: { $gt: at },
+}).sort({ startsAt: 1 });
+
+/**
+ * Start a duty period: records where the partner is, links the rostered
+ * shift and puts the partner online
+ * @param {Object} clockIn - partner (DeliveryPartner document), location { latitude, longitude }
+ * @returns {Promise<{success: boolean, attendance?: Object, error?: string}>}
+ */
+export const clockIn = async ({ partner, location }) => {
+  if (!partner.branch) {
+    return { success: false, error: "You are not assigned to a branch" };
+  }
+  if (await getOpenAttendance(partner._id)) {
+    return { success: false, error: "You are already clocked in" };
+  }
+
+  const now = new Date();
+  const branch = await Branch.findById(partner.branch).select('location');
+  const shift = await findShiftFor(partner._id, now);
+  const lateBy = shift ? minutesBetween(shift.startsAt, now) : 0;
+
+  let attendance;
+  try {
+    attendance = await Attendance.create({
+      branch: partner.branch,
+      deliveryPartner: partner._id,
+      shift: shift?._id,
+      clockInAt: now,
+      clockInLocation: location,
+      clockInDistanceKm: branch ? roundKm(distanceBetween(location, branch.location)) : undefined,
+      lateMinutes: lateBy > LATE_GRACE_MINUTES ? lateBy : 0,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { success: false, error: "You are already clocked in" };
+    }
+    throw error;
+  }
+
+  await setAvailability(partner._id, 'online', {
+    liveLocation: { latitude: location.latitude, longitude: location.longitude, updatedAt: now },
+  });
+  console.log(`🟢 Partner ${partner._id} clocked in${shift ? ` for shift ${shift._id}` : ' without a rostered shift'}`);
+  return { success: true, attendance };
+};
+
+/**
+ * End the duty period and take the partner offline. Refused while the partner
+ * still has orders to deliver.
+ * @param {Object} clockOut - partner (DeliveryPartner document), location, io
+ * @returns {Promise<{success: boolean, attendance?: Object, error?: string, code?: string}>}
+ */
+export const clockOut = async ({ partner, location, io }) => {
+  const attendance = await getOpenAttendance(partner._id);
+  if (!attendance) {
+    return { success: false, error: "You are not clocked in" };
+  }
+
+  const unfinished = await Order.countDocuments({ deliveryPartner: partner._id, status: { $in: UNFINISHED_ORDER_STATUSES } });
+  if (unfinished > 0) {
+    return { success: false, error: `Deliver your ${unfinished} active order(s) before clocking out`, code: "ACTIVE_ORDERS" };
+  }
+
+  const now = new Date();
+  const branch = await Branch.findById(attendance.branch).select('location');
+  attendance.breaks.filter(b => !b.endedAt).forEach(b => { b.endedAt = now; });
+  attendance.breakMinutes = attendance.breaks.reduce((sum, b) => sum + minutesBetween(b.startedAt, b.endedAt), 0);
+  attendance.workedMinutes = Math.max(0, minutesBetween(attendance.clockInAt, now) - attendance.breakMinutes);
+  attendance.clockOutAt = now;
+  attendance.clockOutLocation = location;
+  attendance.clockOutDistanceKm = branch && location ? roundKm(distanceBetween(location, branch.location)) : undefined;
+  attendance.status = 'closed';
+  await attendance.save();
+
+  await setAvailability(partner._id, 'offline');
+  await passOnOpenOffers(partner._id, io);
+  console.log(`🔴 Partner ${partner._id} clocked out after ${attendance.workedMinutes} minutes`);
+  return { success: true, attendance };
+};
+
+/**
+ * Go on a break or come back from one while clocked in
+ * @param {Object} change - partner (DeliveryPartner document), availability ('online' or 'on_break'), io
+ * @returns {Promise<{success: boolean, attendance?: Object, error?: string}>}
+ */
+export const changeAvailability = async ({ partner, availability, io }) => {
+  if (!['online', 'on_break'].includes(availability)) {
+    return { success: false, error: "Availability must be 'online' or 'on_break'; clock in or out to change duty" };
+  }
+
+  const attendance = await getOpenAttendance(partner._id);
+  if (!attendance) {
+    return { success: false, error: "Clock in first" };
+  }
+
+  const now = new Date();
+  const openBreak = attendance.breaks.find(b => !b.endedAt);
+  if (availability === 'on_break' && !openBreak) {
+    attendance.breaks.push({ startedAt: now });
+  }
+  if (availability === 'online' && openBreak) {
+    openBreak.endedAt = now;
+  }
+  await attendance.save();
+
+  await setAvailability(partner._id, availability);
+  if (availability === 'on_break') {
+    await passOnOpenOffers(partner._id, io);
+  }
+  return { success: true, attendance };
+};
+
+/**
+ * Parse a YYYY-MM month into its local-time bounds
+ * @param {string} month - e.g. "2025-03"
+ * @returns {{from: Date, to: Date}|null} - to is exclusive
+ */
+export const monthRange = (month) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    return null;
+  }
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  return { from: new Date(year, monthIndex, 1), to: new Date(year, monthIndex + 1, 1) };
+};
+
+const summarize = (shifts, records, now) => {
+  const attendedShiftIds = new Set(records.filter(r => r.shift).map(r => r.shift.toString()));
+  const closed = records.filter(r => r.status === 'closed');
+  const late = records.filter(r => r.lateMinutes > 0);
+  const workedMinutes = closed.reduce((sum, r) => sum + r.workedMinutes, 0);
+
+  return {
+    scheduledShifts: shifts.length,
+    attendedShifts: shifts.filter(s => attendedShiftIds.has(s._id.toString())).length,
+    missedShifts: shifts.filter(s => s.endsAt <= now && !attendedShiftIds.has(s._id.toString())).length,
+    unscheduledSessions: records.filter(r => !r.shift).length,
+    daysWorked: new Set(records.map(r => toDateKey(r.clockInAt))).size,
+    lateArrivals: late.length,
+    lateMinutes: late.reduce((sum, r) => sum + r.lateMinutes, 0),
+    workedMinutes,
+    workedHours: Math.round(workedMinutes / 60 * 100) / 100,
+    breakMinutes: closed.reduce((sum, r) => sum + r.breakMinutes, 0),
+    clockedIn: records.some(r => r.status === 'open'),
+  };
+};
+
+/**
+ * Monthly attendance of a branch's partners: rostered vs attended shifts,
+ * lateness, hours worked and breaks
+ * @param {Object} query - branchId, month (YYYY-MM), partnerId to narrow it to one partner
+ * @returns {Promise<{success: boolean, report?: Object, error?: string}>}
+ */
+export const buildAttendanceReport = async ({ branchId, month, partnerId }) => {
+  const range = monthRange(month);
+  if (!range) {
+    return { success: false, error: "month must be in YYYY-MM format" };
+  }
+
+  const partnerFilter = partnerId ? { _id: partnerId } : { branch: branchId };
+  const partners = await DeliveryPartner.find(partnerFilter).select('name phone branch').sort({ name: 1 });
+  const partnerIds = partners.map(p => p._id);
+
+  const [shifts, records] = await Promise.all([
+    Shift.find({ deliveryPartner: { $in: partnerIds }, status: 'scheduled', startsAt: { $gte: range.from, $lt: range.to } }).sort({ startsAt: 1 }),
+    Attendance.find({ deliveryPartner: { $in: partnerIds }, clockInAt: { $gte: range.from, $lt: range.to } }).sort({ clockInAt: 1 }),
+  ]);
+
+  const now = new Date();
+  const forPartner = (list, partner) => list.filter(item => item.deliveryPartner.toString() === partner._id.toString());
+  const rows = partners.map(partner => {
+    const partnerShifts = forPartner(shifts, partner);
+    const partnerRecords = forPartner(records, partner);
+    return {
+      partner,
+      ...summarize(partnerShifts, partnerRecords, now),
+      ...(partnerId ? { shifts: partnerShifts, records: partnerRecords } : {}),
+    };
+  });
+
+  return { success: true, report: { month, from: range.from, to: range.to, partners: rows } };
+};
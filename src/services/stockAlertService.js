@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+import Branch from '../models/branch.js';
+import Product from '../models/product.js';
+import BranchInventory from '../models/branchInventory.js';
+import InventoryMovement from '../models/inventoryMovement.js';
+import StockAlert from '../models/stockAlert.js';
+
+const VELOCITY_WINDOW_DAYS = 7;
+
+const alertPayload = (alert, product, stock) => ({
+  alertId: alert._id,
+  branch: alert.branch,
+  product: { _id: product._id, name: product.name },
+  threshold: alert.threshold,
+  stock,
+});
+
+/**
+ * Open or resolve the low-stock alert of a branch/product after its stock
+ * changed. Opening emits `lowStockAlert` and resolving emits
+ * `lowStockResolved` to the branch room. Never throws: alerting must not
+ * break the stock change that triggered it.
+ * @param {Object} row - BranchInventory row after the change
+ * @param {Object} options - io (optional Socket.IO server)
+ * @returns {Promise<{opened?: Object, resolved?: Object}>}
+ */
+export const syncStockAlert = async (row, { io } = {}) => {
+  try {
+    const product = await Product.findById(row.product).select('name lowStockThreshold');
+    if (!product || typeof product.lowStockThreshold !== 'number') {
+      return {};
+    }
+
+    if (row.stock < product.lowStockThreshold) {
+      let alert;
+      try {
+        alert = await StockAlert.create({
+          branch: row.branch,
+          product: row.product,
+          threshold: product.lowStockThreshold,
+          stockAtAlert: row.stock,
+        });
+      } catch (error) {
+        // Already below threshold with an open alert: not a new crossing
+        if (error.code === 11000) {
+          return {};
+        }
+        throw error;
+      }
+
+      console.warn(`⚠️ Low stock alert for ${product.name} at branch ${row.branch}: ${row.stock} left`);
+      if (io) {
+        io.to(`branch-${row.branch}`).emit('lowStockAlert', alertPayload(alert, product, row.stock));
+      }
+      return { opened: alert };
+    }
+
+    const alert = await StockAlert.findOneAndUpdate(
+      { branch: row.branch, product: row.product, status: 'open' },
+      { $set: { status: 'resolved', resolvedAt: new Date(), resolvedStock: row.stock } },
+      { new: true }
+    );
+    if (alert && io) {
+      io.to(`branch-${row.branch}`).emit('lowStockResolved', alertPayload(alert, product, row.stock));
+    }
+    return alert ? { resolved: alert } : {};
+  } catch (error) {
+    console.error('Stock alert sync error:', error);
+    return {};
+  }
+};
+
+/**
+ * Every product below its threshold, per branch, with how fast it sold over
+ * the last few days and how many days the remaining stock should last.
+ * @param {Object} options - branchId (optional), now, days (velocity window)
+ * @returns {Promise<Array<{branch: Object, items: Object[]}>>}
+ */
+export const buildLowStockDigest = async ({ branchId = null, now = new Date(), days = VELOCITY_WINDOW_DAYS } = {}) => {
+  const match = branchId ? { branch: new mongoose.Types.ObjectId(branchId.toString()) } : {};
+
+  const lowRows = await BranchInventory.aggregate([
+    { $match: match },
+    { $lookup: { from: 'products', localField: 'product', foreignField: '_id', as: 'product' } },
+    { $unwind: '$product' },
+    { $match: { $expr: { $lt: ['$stock', '$product.lowStockThreshold'] } } },
+    {
+      $project: {
+        branch: 1,
+        stock: 1,
+        reserved: 1,
+        'product._id': 1,
+        'product.name': 1,
+        'product.lowStockThreshold': 1,
+      }
+    },
+  ]);
+  if (lowRows.length === 0) {
+    return [];
+  }
+
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const sales = await InventoryMovement.aggregate([
+    {
+      $match: {
+        reason: 'sale',
+        createdAt: { $gte: since, $lte: now },
+        product: { $in: lowRows.map(r => r.product._id) },
+        ...match,
+      }
+    },
+    { $group: { _id: { branch: '$branch', product: '$product' }, sold: { $sum: { $abs: '$quantity' } } } },
+  ]);
+  const soldBy = new Map(sales.map(s => [`${s._id.branch}:${s._id.product}`, s.sold]));
+
+  const branches = await Branch.find({ _id: { $in: [...new Set(lowRows.map(r => r.branch.toString()))] } }).select('name');
+  const branchById = new Map(branches.map(b => [b._id.toString(), b]));
+
+  const byBranch = new Map();
+  for (const row of lowRows) {
+    const key = row.branch.toString();
+    const sold = soldBy.get(`${key}:${row.product._id}`) || 0;
+    const perDay = Math.round((sold / days) * 100) / 100;
+
+    if (!byBranch.has(key)) {
+      byBranch.set(key, { branch: branchById.get(key) || { _id: row.branch }, items: [] });
+    }
+    byBranch.get(key).items.push({
+      product: row.product._id,
+      name: row.product.name,
+      stock: row.stock,
+      reserved: row.reserved,
+      threshold: row.product.lowStockThreshold,
+      soldLastDays: sold,
+      salesPerDay: perDay,
+      daysOfCover: perDay > 0 ? Math.floor(row.stock / perDay) : null,
+    });
+  }
+
+  // Products that will run out first go on top
+  const digest = [...byBranch.values()];
+  for (const entry of digest) {
+    entry.items.sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity));
+  }
+  return digest;
+};
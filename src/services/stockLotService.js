@@ -0,0 +1,118 @@
+import StockLot from '../models/stockLot.js';
+
+/**
+ * Take `quantity` units of a product from a branch's unexpired lots,
+ * earliest expiry first. Units not covered by any lot (stock received before
+ * lots were tracked) are simply not allocated.
+ * @param {string} branchId - Branch ID
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Units sold
+ * @param {Date} now - Lots expiring at or before this are skipped
+ * @returns {Promise<Array<{lot: string, lotNumber: string, expiresAt: Date, quantity: number}>>}
+ */
+export const consumeLots = async (branchId, productId, quantity, now = new Date()) => {
+  const allocations = [];
+  let needed = quantity;
+
+  while (needed > 0) {
+    const lot = await StockLot.findOne({
+      branch: branchId,
+      product: productId,
+      status: 'active',
+      quantityRemaining: { $gt: 0 },
+      expiresAt: { $gt: now },
+    }).sort({ expiresAt: 1, createdAt: 1 });
+    if (!lot) {
+      break;
+    }
+
+    const take = Math.min(needed, lot.quantityRemaining);
+    // Another sale may have taken from this lot in between; if so, look again
+    const updated = await StockLot.findOneAndUpdate(
+      { _id: lot._id, status: 'active', quantityRemaining: { $gte: take } },
+      { $inc: { quantityRemaining: -take } },
+      { new: true }
+    );
+    if (!updated) {
+      continue;
+    }
+    if (updated.quantityRemaining === 0) {
+      await StockLot.updateOne({ _id: lot._id, status: 'active', quantityRemaining: 0 }, { $set: { status: 'depleted' } });
+    }
+
+    allocations.push({ lot: lot._id, lotNumber: lot.lotNumber, expiresAt: lot.expiresAt, quantity: take });
+    needed -= take;
+  }
+
+  return allocations;
+};
+
+/**
+ * Put units of a cancelled sale back into the lots they came from. Units
+ * returned to a lot that has since expired are written off by the next
+ * expiry run.
+ * @param {Array<{lot: string, quantity: number}>} allocations - From consumeLots
+ */
+export const returnToLots = async (allocations = []) => {
+  for (const { lot, quantity } of allocations) {
+    await StockLot.updateOne({ _id: lot }, { $inc: { quantityRemaining: quantity } });
+    await StockLot.updateOne({ _id: lot, status: 'depleted' }, { $set: { status: 'active' } });
+  }
+};
+
+/**
+ * Copy lot allocations onto the matching order items. Items of the same
+ * product share the product's allocations in item order.
+ * @param {Object} order - Order document (modified in memory, not saved)
+ * @param {Array<{product: string, lots: Object[]}>} reservations - Committed reservations
+ */
+export const snapshotOrderLots = (order, reservations) => {
+  const queues = new Map();
+  for (const reservation of reservations) {
+    const key = reservation.product.toString();
+    const queue = queues.get(key) || [];
+    queue.push(...(reservation.lots || []).map(a => ({ ...(a.toObject?.() ?? a) })));
+    queues.set(key, queue);
+  }
+
+  for (const item of order.items) {
+    const queue = queues.get(item.product.toString());
+    if (!queue) {
+      continue;
+    }
+
+    const lots = [];
+    let needed = item.unitsBought;
+    while (needed > 0 && queue.length > 0) {
+      const take = Math.min(needed, queue[0].quantity);
+      lots.push({ lot: queue[0].lot, lotNumber: queue[0].lotNumber, expiresAt: queue[0].expiresAt, quantity: take });
+      queue[0].quantity -= take;
+      if (queue[0].quantity === 0) {
+        queue.shift();
+      }
+      needed -= take;
+    }
+    item.lots = lots;
+  }
+};
+
+/**
+ * Lots with units left that expire within the next `days` days
+ * @param {Object} options - branchId (optional), days, now
+ * @returns {Promise<Object[]>}
+ */
+export const getExpiringLots = async ({ branchId = null, days = 3, now = new Date() } = {}) => {
+  const filter = {
+    status: 'active',
+    quantityRemaining: { $gt: 0 },
+    expiresAt: { $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) },
+  };
+  if (branchId) {
+    filter.branch = branchId;
+  }
+
+  return StockLot.find(filter)
+    .populate('branch', 'name')
+    .populate('product', 'name quantityValue quantityUnit')
+    .sort({ expiresAt: 1 });
+};
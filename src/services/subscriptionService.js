@@ -0,0 +1,302 @@
+import Subscription from '../models/subscription.js';
+import Order from '../models/order.js';
+import { startOfDay, addDays, daysBetween, toDateKey } from '../utils/dateUtils.js';
+import { findActivePause, findDeliveryOverride } from '../utils/deliveryCalendar.js';
+import { ACTORS, recordOrderCreated } from './orderLifecycle.js';
+import { reserveStock, commitReservations, releaseReservations, releaseOrderStock } from './inventoryService.js';
+import { calculateOrderTax } from './taxService.js';
+import { releaseOrderToPartners } from './dispatchService.js';
+import { debitWallet, creditWallet } from './walletService.js';
+
+/**
+ * Check whether a subscription delivers on a given day
+ * @param {Object} subscription - Subscription document
+ * @param {Date} date - Day to check
+ * @returns {boolean}
+ */
+export const isDeliveryDue = (subscription, date) => {
+  const day = startOfDay(date);
+
+  if (subscription.status !== 'active') return false;
+  if (day < startOfDay(subscription.startDate)) return false;
+  if (subscription.endDate && day > startOfDay(subscription.endDate)) return false;
+
+  switch (subscription.frequency) {
+    case 'daily':
+      return true;
+    case 'alternate':
+      return daysBetween(subscription.startDate, day) % 2 === 0;
+    case 'weekdays':
+      return day.getDay() >= 1 && day.getDay() <= 5;
+    case 'custom':
+      return (subscription.customDays || []).includes(day.getDay());
+    default:
+      return false;
+  }
+};
+
+/**
+ * Resolve what the customer actually receives on a delivery day once
+ * vacation pauses and one-off overrides are applied
+ * @param {Object} subscription - Subscription document
+ * @param {Object} customer - Customer document (pauses and overrides), optional
+ * @param {Date} date - Delivery day
+ * @returns {{deliver: boolean, quantity: number, reason: string|null}}
+ */
+export const resolveDelivery = (subscription, customer, date) => {
+  if (!isDeliveryDue(subscription, date)) {
+    return { deliver: false, quantity: 0, reason: null };
+  }
+
+  if (findActivePause(customer, date)) {
+    return { deliver: false, quantity: 0, reason: 'paused' };
+  }
+
+  const productId = subscription.product?._id || subscription.product;
+  const override = findDeliveryOverride(customer, date, productId);
+  if (override?.skip) {
+    return { deliver: false, quantity: 0, reason: 'skipped' };
+  }
+
+  return {
+    deliver: true,
+    quantity: override?.quantity || subscription.quantity,
+    reason: override?.quantity ? 'override' : null
+  };
+};
+
+/**
+ * List the delivery days of a subscription within the next N days
+ * @param {Object} subscription - Subscription document
+ * @param {number} days - Look-ahead window (today included)
+ * @param {Date} from - First day of the window
+ * @param {Object} customer - Customer document used to apply pauses and overrides, optional
+ * @returns {Array<{date: string, quantity: number, status: string}>}
+ */
+export const getUpcomingDeliveries = (subscription, days = 7, from = new Date(), customer = null) => {
+  const deliveries = [];
+  const firstDay = startOfDay(from);
+
+  for (let i = 0; i < days; i++) {
+    const day = addDays(firstDay, i);
+    if (!isDeliveryDue(subscription, day)) {
+      continue;
+    }
+
+    const delivery = resolveDelivery(subscription, customer, day);
+    deliveries.push({
+      date: toDateKey(day),
+      quantity: delivery.quantity,
+      status: delivery.deliver ? (delivery.reason || 'scheduled') : delivery.reason
+    });
+  }
+
+  return deliveries;
+};
+
+// Build the Order document for one subscription delivery day
+const buildSubscriptionOrder = (subscription, day, quantity) => {
+  const product = subscription.product;
+  const branch = subscription.branch;
+  const address = subscription.address;
+  const unitPrice = product.discountPrice ?? product.basePrice;
+  const totalPrice = Number((unitPrice * quantity).toFixed(2));
+
+  const deliveryAddress = [
+    address.addressLine1,
+    address.addressLine2,
+    address.city,
+    address.state,
+    address.zipCode
+  ].filter(Boolean).join(', ');
+
+  const { itemTaxes, taxBreakdown } = calculateOrderTax({
+    items: [{ totalPrice, gstRate: product.gstRate, hsnCode: product.hsnCode }],
+    branchState: branch.state,
+    deliveryState: address.state,
+  });
+
+  return new Order({
+    customer: subscription.customer._id,
+    branch: branch._id,
+    items: [{
+      product: product._id,
+      name: product.name,
+      brand: product.brand,
+      quantityValue: product.quantityValue,
+      quantityUnit: product.quantityUnit,
+      mode: "retail",
+      unitsBought: quantity,
+      unitPrice: Number(unitPrice.toFixed(2)),
+      totalPrice,
+      bundlesBought: 0,
+      basePrice: product.basePrice,
+      discountPrice: product.discountPrice,
+      subscriptionPrice: product.subscriptionPrice,
+      unitPerSubscription: product.unitPerSubscription,
+      tax: itemTaxes[0]
+    }],
+    totalPrice,
+    deliveryFee: 0,
+    taxBreakdown,
+    deliveryLocation: {
+      latitude: address.latitude ?? 0.0,
+      longitude: address.longitude ?? 0.0,
+      address: deliveryAddress
+    },
+    pickupLocation: {
+      latitude: branch.location.latitude,
+      longitude: branch.location.longitude,
+      address: branch.address || "Not provided",
+    },
+    deliveryPersonLocation: {
+      latitude: 0.0,
+      longitude: 0.0,
+      address: "Not assigned",
+    },
+    // Postpaid customers settle subscription deliveries on their monthly
+    // statement; prepaid deliveries are paid from the wallet before saving
+    paymentDetails: {
+      method: subscription.customer.billingMode === 'postpaid' ? 'postpaid' : 'subscription',
+      amount: totalPrice,
+      currency: 'INR'
+    },
+    subscription: subscription._id,
+    scheduledFor: day
+  });
+};
+
+/**
+ * Turn every active subscription due on the given day into an Order.
+ * Vacation pauses and one-off skips/overrides on the customer are honoured.
+ * Prepaid customers pay for each delivery from their wallet; deliveries the
+ * wallet cannot cover are not created and count as unpaid.
+ * Safe to run more than once per day: subscriptions that already have an
+ * order for that day are skipped.
+ * @param {Date} date - Delivery day
+ * @param {Object} io - Socket.IO server (optional) for branch notifications
+ * @returns {Promise<{created: number, skipped: number, unpaid: number, failed: number}>}
+ */
+export const generateSubscriptionOrders = async (date = new Date(), io = null) => {
+  const day = startOfDay(date);
+  const summary = { created: 0, skipped: 0, unpaid: 0, failed: 0 };
+
+  const subscriptions = await Subscription.find({
+    status: 'active',
+    startDate: { $lt: addDays(day, 1) },
+    $or: [{ endDate: { $exists: false } }, { endDate: null }, { endDate: { $gte: day } }]
+  })
+    .populate('customer', 'billingMode deliveryPauses deliveryOverrides')
+    .populate('product')
+    .populate('branch')
+    .populate('address');
+
+  for (const subscription of subscriptions) {
+    try {
+      if (!isDeliveryDue(subscription, day)) {
+        continue;
+      }
+
+      if (!subscription.customer || !subscription.product || !subscription.branch || !subscription.address) {
+        console.warn(`⚠️ Subscription ${subscription._id} is missing customer, product, branch or address - skipped`);
+        summary.skipped++;
+        continue;
+      }
+
+      const delivery = resolveDelivery(subscription, subscription.customer, day);
+      if (!delivery.deliver) {
+        summary.skipped++;
+        continue;
+      }
+
+      const existing = await Order.exists({ subscription: subscription._id, scheduledFor: day });
+      if (existing) {
+        summary.skipped++;
+        continue;
+      }
+
+      const order = buildSubscriptionOrder(subscription, day, delivery.quantity);
+      recordOrderCreated(order, { actor: ACTORS.SYSTEM, reason: 'Generated from subscription' });
+
+      // Subscription deliveries have no checkout step, so the hold is committed right away
+      const reservation = await reserveStock(
+        order._id,
+        subscription.branch._id,
+        [{ product: subscription.product._id, quantity: delivery.quantity }]
+      );
+      if (!reservation.success) {
+        console.warn(`⚠️ Insufficient stock for subscription ${subscription._id} (${subscription.product.name})`);
+        summary.skipped++;
+        continue;
+      }
+
+      let walletDebit = null;
+      if (subscription.customer.billingMode !== 'postpaid') {
+        walletDebit = await debitWallet(subscription.customer._id, order.amountPayable, {
+          reason: 'order_payment',
+          order: order._id,
+        });
+        if (!walletDebit.success) {
+          await releaseReservations(order._id, 'payment_failed');
+          console.warn(`⚠️ Subscription ${subscription._id} not paid: ${walletDebit.error}`);
+          summary.unpaid++;
+          continue;
+        }
+
+        order.paymentStatus = 'completed';
+        order.paymentDetails = {
+          method: 'wallet',
+          amount: order.amountPayable,
+          currency: 'INR',
+          verifiedAt: new Date(),
+          walletTransaction: walletDebit.transaction._id,
+        };
+      }
+
+      // Nothing is kept unless the order is saved: stock goes back and the wallet is refunded
+      const undo = async () => {
+        await releaseOrderStock(order, 'order_failed', { io });
+        if (walletDebit) {
+          await creditWallet(subscription.customer._id, order.amountPayable, {
+            reason: 'order_refund',
+            order: order._id,
+            note: 'Subscription order could not be created',
+          });
+        }
+      };
+
+      let savedOrder;
+      try {
+        const commit = await commitReservations(order._id, { io, order });
+        if (!commit.success) {
+          await undo();
+          console.warn(`⚠️ Stock for subscription ${subscription._id} could not be committed: ${commit.error}`);
+          summary.skipped++;
+          continue;
+        }
+        savedOrder = await order.save();
+      } catch (createError) {
+        await undo();
+        // Another run created the order for this day first
+        if (createError.code === 11000 && createError.keyPattern?.subscription) {
+          summary.skipped++;
+          continue;
+        }
+        throw createError;
+      }
+
+      subscription.lastOrderDate = day;
+      await subscription.save();
+
+      await releaseOrderToPartners(savedOrder, { io });
+
+      summary.created++;
+    } catch (error) {
+      console.error(`❌ Failed to generate order for subscription ${subscription._id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  console.log(`🥛 Subscription orders for ${toDateKey(day)}:`, summary);
+  return summary;
+};
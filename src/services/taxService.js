@@ -0,0 +1,95 @@
+// GST on orders. Catalogue prices and delivery fees are tax-inclusive, so tax
+// is carved out of each amount rather than added on top: the customer pays
+// the same total, and the order records how much of it was tax.
+//
+// Within the branch's state the tax splits evenly into CGST and SGST; across
+// states it is charged as IGST.
+
+export const GST_RATES = [0, 5, 12, 18, 28];
+
+// Delivery charges are billed as a separate service
+const DELIVERY_FEE_GST_RATE = Number(process.env.DELIVERY_FEE_GST_RATE ?? 18);
+const DELIVERY_SAC_CODE = '996813';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normaliseState = (state) => (state || '').toString().trim().toLowerCase();
+
+// Unknown branch state is treated as local delivery
+export const getSupplyType = (branchState, deliveryState) => {
+  if (!normaliseState(branchState) || !normaliseState(deliveryState)) {
+    return 'intra_state';
+  }
+  return normaliseState(branchState) === normaliseState(deliveryState) ? 'intra_state' : 'inter_state';
+};
+
+/**
+ * Split a tax-inclusive amount into taxable value and GST
+ * @param {number} amount - Amount paid, including tax
+ * @param {number} gstRate - GST rate in percent
+ * @param {string} supplyType - intra_state or inter_state
+ * @returns {{gstRate: number, taxableValue: number, cgst: number, sgst: number, igst: number, totalTax: number}}
+ */
+export const calculateLineTax = (amount, gstRate, supplyType) => {
+  const rate = gstRate || 0;
+  const gross = roundAmount(Math.max(0, amount));
+  const taxableValue = roundAmount(gross / (1 + rate / 100));
+  const totalTax = roundAmount(gross - taxableValue);
+
+  if (supplyType === 'inter_state') {
+    return { gstRate: rate, taxableValue, cgst: 0, sgst: 0, igst: totalTax, totalTax };
+  }
+  const cgst = roundAmount(totalTax / 2);
+  return { gstRate: rate, taxableValue, cgst, sgst: roundAmount(totalTax - cgst), igst: 0, totalTax };
+};
+
+const sumTaxes = (taxes) => {
+  const total = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+  for (const tax of taxes) {
+    for (const key of Object.keys(total)) {
+      total[key] += tax[key];
+    }
+  }
+  for (const key of Object.keys(total)) {
+    total[key] = roundAmount(total[key]);
+  }
+  return total;
+};
+
+/**
+ * GST for every line of an order, the delivery fee and the order as a whole
+ * @param {Object} params - items [{totalPrice, discount, gstRate, hsnCode}], deliveryFee, deliveryDiscount, branchState, deliveryState
+ * @returns {{itemTaxes: Object[], taxBreakdown: Object}}
+ */
+export const calculateOrderTax = ({ items, deliveryFee = 0, deliveryDiscount = 0, branchState, deliveryState }) => {
+  const supplyType = getSupplyType(branchState, deliveryState);
+
+  const itemTaxes = items.map(item => ({
+    hsnCode: item.hsnCode,
+    ...calculateLineTax(item.totalPrice - (item.discount || 0), item.gstRate, supplyType),
+  }));
+
+  const byRate = new Map();
+  for (const tax of itemTaxes) {
+    byRate.set(tax.gstRate, [...(byRate.get(tax.gstRate) || []), tax]);
+  }
+
+  const deliveryAmount = Number(deliveryFee || 0) - Number(deliveryDiscount || 0);
+  const delivery = deliveryAmount > 0
+    ? { sacCode: DELIVERY_SAC_CODE, ...calculateLineTax(deliveryAmount, DELIVERY_FEE_GST_RATE, supplyType) }
+    : null;
+
+  return {
+    itemTaxes,
+    taxBreakdown: {
+      supplyType,
+      placeOfSupply: (deliveryState || branchState || '').toString().trim() || null,
+      pricesIncludeTax: true,
+      ...sumTaxes([...itemTaxes, ...(delivery ? [delivery] : [])]),
+      rates: [...byRate.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([gstRate, taxes]) => ({ gstRate, ...sumTaxes(taxes) })),
+      delivery,
+    },
+  };
+};
@@ -0,0 +1,164 @@
+import razorpay from '../config/razorpay.js';
+import { Wallet, WalletTransaction } from '../models/wallet.js';
+
+const MAX_APPEND_RETRIES = 5;
+
+const roundAmount = (amount) => Number(Number(amount).toFixed(2));
+
+/**
+ * Get the customer's wallet, creating it on first use
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} - Wallet document
+ */
+export const getOrCreateWallet = async (customerId) => {
+  return Wallet.findOneAndUpdate(
+    { customer: customerId },
+    { $setOnInsert: { customer: customerId } },
+    { new: true, upsert: true }
+  );
+};
+
+const getLastEntry = (walletId) => {
+  return WalletTransaction.findOne({ wallet: walletId }).sort({ sequence: -1 });
+};
+
+/**
+ * Current balance, read from the latest ledger entry
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<number>}
+ */
+export const getBalance = async (customerId) => {
+  const wallet = await Wallet.findOne({ customer: customerId });
+  if (!wallet) {
+    return 0;
+  }
+  const last = await getLastEntry(wallet._id);
+  return last ? last.balanceAfter : 0;
+};
+
+/**
+ * Recompute the balance from every ledger entry and check the running
+ * balances chain up without gaps
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<{balance: number, entries: number, consistent: boolean}>}
+ */
+export const auditWallet = async (customerId) => {
+  const wallet = await Wallet.findOne({ customer: customerId });
+  if (!wallet) {
+    return { balance: 0, entries: 0, consistent: true };
+  }
+
+  const entries = await WalletTransaction.find({ wallet: wallet._id }).sort({ sequence: 1 }).lean();
+  let balance = 0;
+  let consistent = true;
+
+  entries.forEach((entry, index) => {
+    balance = roundAmount(entry.type === 'credit' ? balance + entry.amount : balance - entry.amount);
+    if (entry.sequence !== index + 1 || entry.balanceAfter !== balance) {
+      consistent = false;
+    }
+  });
+
+  return { balance, entries: entries.length, consistent };
+};
+
+// Append one entry on top of the latest one. The unique (wallet, sequence)
+// index turns a concurrent append into a duplicate key error, so we re-read
+// the latest entry and try again.
+const appendEntry = async (customerId, entry) => {
+  const amount = roundAmount(entry.amount);
+  if (!(amount > 0)) {
+    return { success: false, error: "Amount must be greater than zero" };
+  }
+
+  const wallet = await getOrCreateWallet(customerId);
+  if (wallet.status !== 'active') {
+    return { success: false, error: "Wallet is frozen" };
+  }
+
+  for (let attempt = 0; attempt < MAX_APPEND_RETRIES; attempt++) {
+    const last = await getLastEntry(wallet._id);
+    const balance = last ? last.balanceAfter : 0;
+    const balanceAfter = roundAmount(entry.type === 'credit' ? balance + amount : balance - amount);
+
+    if (balanceAfter < 0) {
+      return { success: false, error: "Insufficient wallet balance", balance };
+    }
+
+    try {
+      const transaction = await WalletTransaction.create({
+        ...entry,
+        amount,
+        wallet: wallet._id,
+        customer: customerId,
+        sequence: (last ? last.sequence : 0) + 1,
+        balanceAfter,
+      });
+      return { success: true, transaction, balance: balanceAfter };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // Same Razorpay payment credited twice: report the existing entry
+      if (error.keyPattern?.razorpayPaymentId) {
+        const existing = await WalletTransaction.findOne({ razorpayPaymentId: entry.razorpayPaymentId });
+        return { success: true, transaction: existing, balance: await getBalance(customerId), duplicate: true };
+      }
+    }
+  }
+
+  return { success: false, error: "Wallet is busy, please try again" };
+};
+
+/**
+ * Credit the wallet
+ * @param {string} customerId - Customer ID
+ * @param {number} amount - Amount in rupees
+ * @param {Object} details - reason, order, razorpayOrderId, razorpayPaymentId, note
+ * @returns {Promise<{success: boolean, transaction?: Object, balance?: number, error?: string}>}
+ */
+export const creditWallet = (customerId, amount, details) => {
+  return appendEntry(customerId, { ...details, type: 'credit', amount });
+};
+
+/**
+ * Debit the wallet. Fails without writing anything when the balance is too low.
+ * @param {string} customerId - Customer ID
+ * @param {number} amount - Amount in rupees
+ * @param {Object} details - reason, order, note
+ * @returns {Promise<{success: boolean, transaction?: Object, balance?: number, error?: string}>}
+ */
+export const debitWallet = (customerId, amount, details) => {
+  return appendEntry(customerId, { ...details, type: 'debit', amount });
+};
+
+/**
+ * Credit a captured Razorpay top-up payment. The amount and customer come from
+ * the Razorpay order itself, never from the client, and each payment is
+ * credited once: /verify-payment and the payment webhook can both call this.
+ * @param {string} razorpayOrderId - Razorpay order id
+ * @param {string} razorpayPaymentId - Razorpay payment id
+ * @returns {Promise<{success: boolean, isTopup: boolean, balance?: number, duplicate?: boolean, error?: string}>}
+ */
+export const creditTopupPayment = async (razorpayOrderId, razorpayPaymentId) => {
+  const razorpayOrder = await razorpay.orders.fetch(razorpayOrderId);
+  const notes = razorpayOrder?.notes || {};
+  if (notes.orderType !== 'walletTopup' || !notes.customerId) {
+    return { success: false, isTopup: false, error: "Razorpay order is not a wallet top-up" };
+  }
+
+  const amount = razorpayOrder.amount / 100;
+  const credit = await creditWallet(notes.customerId, amount, {
+    reason: 'topup',
+    razorpayOrderId,
+    razorpayPaymentId,
+  });
+  if (!credit.success) {
+    return { success: false, isTopup: true, error: credit.error };
+  }
+
+  if (!credit.duplicate) {
+    console.log(`💰 Wallet top-up of ₹${amount} credited for customer ${notes.customerId}`);
+  }
+  return { success: true, isTopup: true, balance: credit.balance, duplicate: Boolean(credit.duplicate) };
+};
@@ -0,0 +1,31 @@
+// Calendar helpers shared by subscription scheduling and delivery jobs.
+// All dates are treated in server local time and normalised to midnight.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const startOfDay = (date = new Date()) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+export const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// Whole days between two dates, ignoring the time of day
+export const daysBetween = (from, to) => {
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+};
+
+export const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+// YYYY-MM-DD key in local time (used for grouping and API responses)
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
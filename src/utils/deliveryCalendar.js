@@ -0,0 +1,46 @@
+import { startOfDay, addDays, isSameDay } from './dateUtils.js';
+
+// Vacation pauses and one-off overrides stored on the Customer document.
+
+/**
+ * Find the pause window covering a delivery day
+ * @param {Object} customer - Customer document (needs deliveryPauses)
+ * @param {Date} date - Delivery day
+ * @returns {Object|null} - Matching pause entry
+ */
+export const findActivePause = (customer, date = new Date()) => {
+  const day = startOfDay(date);
+  return (customer?.deliveryPauses || []).find(pause =>
+    startOfDay(pause.startDate) <= day && day <= startOfDay(pause.endDate)
+  ) || null;
+};
+
+/**
+ * Find the override for a delivery day. A product-specific entry wins over
+ * an entry that applies to every product on that day.
+ * @param {Object} customer - Customer document (needs deliveryOverrides)
+ * @param {Date} date - Delivery day
+ * @param {string} productId - Product being delivered
+ * @returns {Object|null} - Matching override entry
+ */
+export const findDeliveryOverride = (customer, date, productId) => {
+  const sameDay = (customer?.deliveryOverrides || []).filter(o => isSameDay(o.date, date));
+  const forProduct = sameDay.find(o => o.product && productId && o.product.toString() === productId.toString());
+  return forProduct || sameDay.find(o => !o.product) || null;
+};
+
+/**
+ * First day on or after the given date that is not covered by a pause
+ * @param {Object} customer - Customer document
+ * @param {Date} date - Requested delivery day
+ * @returns {Date}
+ */
+export const nextDeliverableDate = (customer, date = new Date()) => {
+  let day = startOfDay(date);
+  let pause = findActivePause(customer, day);
+  while (pause) {
+    day = addDays(startOfDay(pause.endDate), 1);
+    pause = findActivePause(customer, day);
+  }
+  return day;
+};
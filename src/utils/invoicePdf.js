@@ -0,0 +1,180 @@
+// Renders an invoice view (see services/invoiceService.js) to an A4 PDF.
+// The built-in fonts have no rupee sign, so amounts are printed as "Rs.".
+import PDFDocument from 'pdfkit';
+
+const MARGIN = 40;
+
+const money = (amount) => Number(amount || 0).toFixed(2);
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '-');
+
+// Widths add up to the printable width of an A4 page (595 - 2 * MARGIN)
+const columns = (specs) => {
+  let x = MARGIN;
+  return specs.map(([label, width, align = 'left']) => {
+    const column = { label, x, width, align };
+    x += width;
+    return column;
+  });
+};
+
+const ITEM_COLUMNS = columns([
+  ['#', 20], ['Item', 150], ['HSN', 45], ['Qty', 30, 'right'], ['Rate', 50, 'right'],
+  ['Disc.', 45, 'right'], ['Taxable', 55, 'right'], ['GST %', 30, 'right'], ['Tax', 40, 'right'], ['Amount', 50, 'right'],
+]);
+
+const TAX_COLUMNS = columns([
+  ['GST rate', 135], ['Taxable value', 76, 'right'], ['CGST', 76, 'right'],
+  ['SGST', 76, 'right'], ['IGST', 76, 'right'], ['Total tax', 76, 'right'],
+]);
+
+const ensureSpace = (doc, y, needed) => {
+  if (y + needed <= doc.page.height - MARGIN) {
+    return y;
+  }
+  doc.addPage();
+  return MARGIN;
+};
+
+const drawRow = (doc, y, cols, cells, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  const height = Math.max(...cols.map((col, i) => doc.heightOfString(String(cells[i] ?? ''), { width: col.width - 4 })));
+  const top = ensureSpace(doc, y, height + 4);
+  cols.forEach((col, i) => {
+    doc.text(String(cells[i] ?? ''), col.x, top, { width: col.width - 4, align: col.align });
+  });
+  return top + height + 4;
+};
+
+const drawRule = (doc, y) => {
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(0.5).stroke();
+  return y + 4;
+};
+
+const drawParty = (doc, x, y, heading, lines) => {
+  doc.font('Helvetica-Bold').fontSize(9).text(heading, x, y, { width: 250 });
+  doc.font('Helvetica').fontSize(8);
+  for (const line of lines.filter(Boolean)) {
+    doc.text(line, { width: 250 });
+  }
+  return doc.y;
+};
+
+/**
+ * Render an invoice to PDF
+ * @param {Object} invoice - Invoice view built by the invoice service
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: { Title: `Invoice ${invoice.invoiceNumber}`, Author: invoice.seller.name },
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(16).text(invoice.title, MARGIN, MARGIN);
+  doc.font('Helvetica').fontSize(9)
+    .text(`Invoice no: ${invoice.invoiceNumber}`, MARGIN, MARGIN, { align: 'right' })
+    .text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+    .text(`Order: ${invoice.orderId}`, { align: 'right' });
+
+  // Parties
+  let y = MARGIN + 50;
+  const sellerBottom = drawParty(doc, MARGIN, y, invoice.seller.name, [
+    invoice.seller.branchName,
+    invoice.seller.address,
+    invoice.seller.phone && `Phone: ${invoice.seller.phone}`,
+    invoice.seller.state && `State: ${invoice.seller.state}`,
+    invoice.seller.gstin && `GSTIN: ${invoice.seller.gstin}`,
+  ]);
+  const buyerBottom = drawParty(doc, MARGIN + 265, y, 'Bill to', [
+    invoice.buyer.businessName,
+    invoice.buyer.name,
+    invoice.buyer.phone && `Phone: ${invoice.buyer.phone}`,
+    invoice.buyer.gstin && `GSTIN: ${invoice.buyer.gstin}`,
+    `Deliver to: ${invoice.buyer.address}`,
+  ]);
+  y = Math.max(sellerBottom, buyerBottom) + 8;
+
+  doc.font('Helvetica').fontSize(8).text(
+    `Place of supply: ${invoice.placeOfSupply || '-'}    Supply: ${invoice.supplyType === 'inter_state' ? 'Inter-state (IGST)' : 'Intra-state (CGST + SGST)'}`,
+    MARGIN, y
+  );
+  y = doc.y + 8;
+
+  // Items
+  y = drawRule(doc, y);
+  y = drawRow(doc, y, ITEM_COLUMNS, ITEM_COLUMNS.map(c => c.label), { bold: true });
+  y = drawRule(doc, y);
+  invoice.lines.forEach((line, index) => {
+    y = drawRow(doc, y, ITEM_COLUMNS, [
+      index + 1,
+      line.detail ? `${line.description}\n${line.detail}` : line.description,
+      line.hsnCode || '-',
+      line.quantity,
+      money(line.unitPrice),
+      money(line.discount),
+      money(line.taxableValue),
+      line.gstRate,
+      money(line.tax),
+      money(line.amount),
+    ]);
+  });
+  y = drawRule(doc, y);
+
+  // Totals
+  const totals = [
+    ['Items total', invoice.totals.items],
+    ['Delivery fee', invoice.totals.deliveryFee],
+    ['Discount', -invoice.totals.discount],
+    ['Amount payable', invoice.totals.amountPayable],
+  ];
+  for (const [label, amount] of totals) {
+    y = ensureSpace(doc, y, 14);
+    doc.font(label === 'Amount payable' ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+      .text(label, MARGIN + 300, y, { width: 120 })
+      .text(`Rs. ${money(amount)}`, MARGIN + 420, y, { width: 95, align: 'right' });
+    y += 14;
+  }
+  y += 8;
+
+  // Tax summary
+  y = ensureSpace(doc, y, 40);
+  doc.font('Helvetica-Bold').fontSize(9).text('Tax summary', MARGIN, y);
+  y = drawRule(doc, doc.y + 4);
+  y = drawRow(doc, y, TAX_COLUMNS, TAX_COLUMNS.map(c => c.label), { bold: true });
+  for (const rate of invoice.taxRates) {
+    y = drawRow(doc, y, TAX_COLUMNS, [
+      rate.label, money(rate.taxableValue), money(rate.cgst), money(rate.sgst), money(rate.igst), money(rate.totalTax),
+    ]);
+  }
+  y = drawRule(doc, y);
+  y = drawRow(doc, y, TAX_COLUMNS, [
+    'Total', money(invoice.totals.taxableValue), money(invoice.totals.cgst), money(invoice.totals.sgst),
+    money(invoice.totals.igst), money(invoice.totals.totalTax),
+  ], { bold: true });
+  y += 12;
+
+  // Payment receipt
+  const { payment } = invoice;
+  y = ensureSpace(doc, y, 60);
+  doc.font('Helvetica-Bold').fontSize(9).text(payment.paid ? 'Payment received' : 'Payment', MARGIN, y);
+  doc.font('Helvetica').fontSize(8);
+  if (payment.paid) {
+    doc.text(`Rs. ${money(payment.amount)} received by ${payment.method} on ${formatDate(payment.paidAt)}`);
+    if (payment.reference) {
+      doc.text(`Reference: ${payment.reference}`);
+    }
+  } else {
+    doc.text(payment.note);
+  }
+
+  doc.moveDown(2).fontSize(7).fillColor('#555555')
+    .text('All prices are inclusive of GST. This is a computer-generated invoice and needs no signature.', MARGIN);
+
+  doc.end();
+});
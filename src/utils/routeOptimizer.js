@@ -0,0 +1,90 @@
+import { distanceBetween } from './geo.js';
+
+// Stop sequencing for multi-stop delivery runs. Routes are open paths: they
+// start at the branch and end at the last stop, with straight-line distances.
+
+// Distances between every pair of points; index 0 is the start
+const distanceMatrix = (points) =>
+  points.map(from => points.map(to => distanceBetween(from, to)));
+
+/**
+ * Total length of a path through the matrix
+ * @param {number[][]} matrix - Distance matrix
+ * @param {number[]} path - Matrix indices, starting with 0
+ * @returns {number} - Kilometers
+ */
+const pathLength = (matrix, path) => {
+  let total = 0;
+  for (let i = 1; i < path.length; i++) {
+    total += matrix[path[i - 1]][path[i]];
+  }
+  return total;
+};
+
+// Greedy first pass: always drive to the closest stop not yet visited
+const nearestNeighbourPath = (matrix) => {
+  const path = [0];
+  const unvisited = new Set(matrix.map((_, i) => i).slice(1));
+
+  while (unvisited.size > 0) {
+    const current = path[path.length - 1];
+    let next = null;
+    for (const candidate of unvisited) {
+      if (next === null || matrix[current][candidate] < matrix[current][next]) {
+        next = candidate;
+      }
+    }
+    path.push(next);
+    unvisited.delete(next);
+  }
+  return path;
+};
+
+// Improve the path by reversing segments while that makes it shorter. The
+// start stays fixed; since the path is open, reversing a tail only changes
+// the edge into it.
+const twoOpt = (matrix, path, maxPasses) => {
+  const best = [...path];
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let improved = false;
+    for (let i = 1; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const a = best[i - 1], b = best[i], c = best[j];
+        const d = j + 1 < best.length ? best[j + 1] : null;
+        const before = matrix[a][b] + (d === null ? 0 : matrix[c][d]);
+        const after = matrix[a][c] + (d === null ? 0 : matrix[b][d]);
+        if (after < before - 1e-9) {
+          best.splice(i, j - i + 1, ...best.slice(i, j + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+    if (!improved) {
+      break;
+    }
+  }
+  return best;
+};
+
+/**
+ * Order stops for a run from a start point: nearest neighbour, then 2-opt
+ * @param {{latitude: number, longitude: number}} start - Where the run begins (the branch)
+ * @param {Array<{latitude: number, longitude: number}>} stops - Stop coordinates
+ * @param {Object} options - maxPasses (2-opt passes, default 50)
+ * @returns {{sequence: number[], legs: number[], totalKm: number}} - Indices into stops in visiting
+ * order, the km driven to reach each of them, and the length of the whole route
+ */
+export const optimizeStopOrder = (start, stops, { maxPasses = 50 } = {}) => {
+  if (stops.length === 0) {
+    return { sequence: [], legs: [], totalKm: 0 };
+  }
+
+  const matrix = distanceMatrix([start, ...stops]);
+  const path = twoOpt(matrix, nearestNeighbourPath(matrix), maxPasses);
+
+  return {
+    sequence: path.slice(1).map(i => i - 1),
+    legs: path.slice(1).map((to, k) => matrix[path[k]][to]),
+    totalKm: pathLength(matrix, path),
+  };
+};